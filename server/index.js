@@ -5,6 +5,15 @@ const mongoose = require('mongoose');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
+const { jobScheduler } = require('./services/schedulerService');
+const { runDailyOverdueJob } = require('./services/delinquencyService');
+const { runDailyReminderJob } = require('./services/reminderService');
+const { runDailyPresentationJob } = require('./services/mandateService');
+const { runDailyReconciliationJob } = require('./services/paymentService');
+const { runDailyAccrualJob } = require('./services/accrualService');
+const { runDailyCollectionsJob } = require('./services/collectionService');
+const LoanProduct = require('./models/LoanProduct');
+
 const app = express();
 
 // Security middleware
@@ -23,7 +32,13 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for verifying payment gateway webhook signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Database connection
@@ -31,15 +46,35 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/grameencr
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ Connected to MongoDB'))
+.then(() => {
+  console.log('✅ Connected to MongoDB');
+  LoanProduct.seedDefaults().catch(err => console.error('❌ Loan product seeding error:', err));
+  jobScheduler.start();
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
+// Scheduled jobs
+jobScheduler.registerDailyJob('overdue', runDailyOverdueJob, { hour: 1 });
+jobScheduler.registerDailyJob('interest_accrual', runDailyAccrualJob, { hour: 2 });
+jobScheduler.registerDailyJob('collections', runDailyCollectionsJob, { hour: 4 });
+jobScheduler.registerDailyJob('reminders', runDailyReminderJob, { hour: 9 });
+jobScheduler.registerDailyJob('mandate_presentation', runDailyPresentationJob, { hour: 6 });
+jobScheduler.registerDailyJob('payment_reconciliation', runDailyReconciliationJob, { hour: 3 });
+
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/loans', require('./routes/loans'));
 app.use('/api/credit', require('./routes/credit'));
 app.use('/api/voice', require('./routes/voice'));
 app.use('/api/user', require('./routes/user'));
+app.use('/api/review', require('./routes/review'));
+app.use('/api/groups', require('./routes/groups'));
+app.use('/api/mandates', require('./routes/mandates'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/collections', require('./routes/collections'));
+app.use('/api/relief-events', require('./routes/relief'));
+app.use('/api/files', require('./routes/files'));
+app.use('/api/admin', require('./routes/admin'));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -63,6 +98,10 @@ app.use((err, req, res, next) => {
     });
   }
   
+  if (err.name === 'LoanStatusTransitionError') {
+    return res.status(err.statusCode).json(err.toResponse());
+  }
+  
   if (err.name === 'UnauthorizedError') {
     return res.status(401).json({
       error: 'Unauthorized',
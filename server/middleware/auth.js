@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { getPermissionsForRole, isStaffRole } = require('../utils/permissions');
 
 // Authenticate JWT token
 const authenticateToken = async (req, res, next) => {
@@ -26,11 +27,23 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Tokens are scoped to the role they were issued for; a role change forces a fresh login
+    const tokenRole = decoded.role || 'borrower';
+    if (tokenRole !== user.role) {
+      return res.status(401).json({
+        success: false,
+        message: 'Role has changed, please log in again'
+      });
+    }
+
     // Add user info to request
     req.user = {
       userId: decoded.userId,
       phoneNumber: decoded.phoneNumber,
       preferredLanguage: decoded.preferredLanguage,
+      role: user.role,
+      isStaff: isStaffRole(user.role),
+      permissions: getPermissionsForRole(user.role),
       userData: user
     };
 
@@ -90,8 +103,39 @@ const requireLoanEligibility = (req, res, next) => {
   next();
 };
 
+// Check if user has one of the given roles
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient role',
+        requiredRoles: roles
+      });
+    }
+    next();
+  };
+};
+
+// Check if user's role grants all of the given permissions
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter(permission => !req.user.permissions.includes(permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions',
+        missingPermissions: missing
+      });
+    }
+    next();
+  };
+};
+
 module.exports = {
   authenticateToken,
   requireVerifiedIdentity,
-  requireLoanEligibility
+  requireLoanEligibility,
+  requireRole,
+  requirePermission
 };
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const Loan = require('./Loan');
+const LoanProduct = require('./LoanProduct');
+
+// Where a draft was last worked on
+const DRAFT_CHANNELS = ['app', 'voice', 'field_agent'];
+
+// Fields an application can't be submitted without (productCode defaults from the purpose)
+const REQUIRED_FIELDS = ['amount', 'purpose', 'tenure'];
+
+// Loan application saved step by step, so a borrower who drops off can pick up where they left
+const applicationDraftSchema = new mongoose.Schema({
+  draftId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'submitting', 'submitted', 'discarded'],
+    default: 'draft'
+  },
+
+  productCode: {
+    type: String,
+    uppercase: true
+  },
+  amount: Number,
+  purpose: {
+    type: String,
+    enum: LoanProduct.LOAN_PURPOSES
+  },
+  tenure: Number,
+  monthlyIncome: Number,
+  coApplicants: [{
+    _id: false,
+    phoneNumber: String,
+    name: String,
+    role: {
+      type: String,
+      enum: Loan.CO_APPLICANT_ROLES
+    },
+    relationship: {
+      type: String,
+      enum: Loan.CO_APPLICANT_RELATIONSHIPS
+    }
+  }],
+
+  missingFields: [String],
+  voiceStep: String, // Last step of the voice guided application
+
+  // Who changed what, from which channel
+  updates: [{
+    _id: false,
+    channel: {
+      type: String,
+      enum: DRAFT_CHANNELS
+    },
+    fields: [String],
+    updatedBy: String,
+    updatedAt: Date
+  }],
+
+  submittedAt: Date,
+  loanId: String, // Application created on submission
+  discardedAt: Date
+}, {
+  timestamps: true
+});
+
+applicationDraftSchema.index({ userId: 1, status: 1 });
+// A borrower has at most one open draft
+applicationDraftSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { status: 'draft' } });
+
+// Generate draft ID and keep the missing fields current
+applicationDraftSchema.pre('validate', function(next) {
+  if (!this.draftId) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    this.draftId = `DRF${timestamp}${random}`.toUpperCase();
+  }
+  this.missingFields = REQUIRED_FIELDS.filter(field => this[field] === undefined || this[field] === null);
+  next();
+});
+
+// Set some of the application fields and record the change
+applicationDraftSchema.methods.applyUpdate = function(fields, channel, updatedBy) {
+  const changed = Object.keys(fields).filter(field => fields[field] !== undefined);
+  for (const field of changed) {
+    this[field] = fields[field];
+  }
+
+  if (changed.length > 0) {
+    this.updates.push({
+      channel: channel,
+      fields: changed,
+      updatedBy: updatedBy,
+      updatedAt: new Date()
+    });
+  }
+  return changed;
+};
+
+// Fields in the shape POST /api/loans/apply takes
+applicationDraftSchema.methods.getApplication = function() {
+  const application = {
+    amount: this.amount,
+    purpose: this.purpose,
+    tenure: this.tenure,
+    coApplicants: this.coApplicants.map(coApplicant => coApplicant.toObject())
+  };
+  if (this.productCode) application.productCode = this.productCode;
+  if (this.monthlyIncome !== undefined && this.monthlyIncome !== null) application.monthlyIncome = this.monthlyIncome;
+  return application;
+};
+
+applicationDraftSchema.statics.DRAFT_CHANNELS = DRAFT_CHANNELS;
+applicationDraftSchema.statics.REQUIRED_FIELDS = REQUIRED_FIELDS;
+
+module.exports = mongoose.model('ApplicationDraft', applicationDraftSchema);
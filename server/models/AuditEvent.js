@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Back-office actions recorded for auditors
+const AUDIT_ACTIONS = [
+  'user.role_changed',
+  'product.created',
+  'product.updated',
+  'snapshot.generated',
+  'job.run'
+];
+
+// One privileged action: who did it, to what, and why
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  actor: {
+    type: String,
+    required: true
+  }, // User id of the staff member
+  targetType: String, // user, product, snapshot or job
+  targetId: String,
+  reason: String,
+  details: mongoose.Schema.Types.Mixed // e.g. previous and new role, fields changed
+}, {
+  timestamps: true
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+auditEventSchema.statics.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
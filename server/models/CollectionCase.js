@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+
+// Why a visit ended the way it did
+const VISIT_OUTCOMES = ['met', 'not_met'];
+const VISIT_REASONS = {
+  met: ['will_pay', 'paid', 'financial_hardship', 'crop_failure', 'medical_emergency', 'dispute', 'refused', 'other'],
+  not_met: ['not_at_home', 'door_locked', 'migrated', 'address_not_found', 'avoiding', 'other']
+};
+
+const PROMISE_STATUSES = ['pending', 'kept', 'broken', 'cancelled'];
+
+// Each broken promise raises the case one level: an SMS to the borrower, then notices to
+// co-applicants and guarantors, then the case is flagged for the recovery team
+const ESCALATION_LEVELS = ['none', 'borrower_notice', 'co_applicant_notice', 'recovery'];
+
+const locationSchema = new mongoose.Schema({
+  latitude: Number,
+  longitude: Number,
+  accuracy: Number // Metres, as reported by the device
+}, { _id: false });
+
+// Follow-up of one overdue loan by the field collections team
+const collectionCaseSchema = new mongoose.Schema({
+  caseId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true
+  },
+  loanId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Where the borrower lives, copied when the case opens (used for assignment and routing)
+  pincode: String,
+  village: String,
+  district: String,
+
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  daysPastDueAtOpen: Number,
+  resolvedAt: Date,
+  resolution: String,
+
+  // Field agent working the case
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: Date,
+  assignedBy: String,
+
+  visits: [{
+    visitId: String,
+    visitedAt: Date,
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    outcome: {
+      type: String,
+      enum: VISIT_OUTCOMES
+    },
+    reason: String,
+    notes: String,
+    location: locationSchema,
+    photo: {
+      filename: String,
+      fileId: String,
+      uploadDate: Date
+    }
+  }],
+  lastVisitAt: Date,
+
+  promises: [{
+    promiseId: String,
+    promisedDate: Date,
+    amount: Number,
+    visitId: String,
+    recordedBy: String,
+    createdAt: Date,
+    status: {
+      type: String,
+      enum: PROMISE_STATUSES,
+      default: 'pending'
+    },
+    amountPaid: Number,
+    resolvedAt: Date
+  }],
+
+  // Cash collected in the field (the payment itself is on the loan)
+  collections: [{
+    paymentId: String,
+    receiptNumber: String,
+    receiptBookNumber: String, // Number on the agent's paper receipt, if one was issued
+    idempotencyKey: String, // Sent by the agent's app so a retried request is not posted twice
+    amount: Number,
+    collectedAt: Date,
+    collectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    location: locationSchema
+  }],
+  totalCollected: {
+    type: Number,
+    default: 0
+  },
+
+  escalationLevel: {
+    type: String,
+    enum: ESCALATION_LEVELS,
+    default: 'none'
+  },
+  escalations: [{
+    level: String,
+    reason: String,
+    promiseId: String,
+    escalatedAt: Date
+  }]
+}, {
+  timestamps: true
+});
+
+collectionCaseSchema.index({ loan: 1, status: 1 });
+collectionCaseSchema.index({ status: 1, assignedTo: 1 });
+collectionCaseSchema.index({ status: 1, pincode: 1 });
+collectionCaseSchema.index({ 'promises.status': 1, 'promises.promisedDate': 1 });
+
+// Generate case ID
+collectionCaseSchema.pre('validate', function(next) {
+  if (!this.caseId) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    this.caseId = `COL${timestamp}${random}`.toUpperCase();
+  }
+  next();
+});
+
+// Promise still waiting on its date, if any
+collectionCaseSchema.methods.getPendingPromise = function() {
+  return this.promises.find(promise => promise.status === 'pending');
+};
+
+collectionCaseSchema.statics.VISIT_OUTCOMES = VISIT_OUTCOMES;
+collectionCaseSchema.statics.VISIT_REASONS = VISIT_REASONS;
+collectionCaseSchema.statics.PROMISE_STATUSES = PROMISE_STATUSES;
+collectionCaseSchema.statics.ESCALATION_LEVELS = ESCALATION_LEVELS;
+
+module.exports = mongoose.model('CollectionCase', collectionCaseSchema);
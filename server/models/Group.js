@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+// Group sizes allowed for each lending model
+const GROUP_SIZE_LIMITS = {
+  jlg: { min: 4, max: 10 },
+  shg: { min: 10, max: 20 }
+};
+
+const MEETING_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const groupSchema = new mongoose.Schema({
+  // Group Identification
+  groupId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(GROUP_SIZE_LIMITS),
+    default: 'jlg'
+  },
+
+  // Members (a borrower belongs to at most one active group)
+  members: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    status: {
+      type: String,
+      enum: ['active', 'left'],
+      default: 'active'
+    },
+    leftAt: Date
+  }],
+  leader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Location
+  address: {
+    village: String,
+    district: String,
+    state: String,
+    pincode: {
+      type: String,
+      match: /^\d{6}$/
+    }
+  },
+
+  // Weekly meeting where repayments are collected
+  meetingDay: {
+    type: String,
+    enum: MEETING_DAYS,
+    required: true
+  },
+  meetingTime: String,
+  meetingPlace: String,
+
+  // Meetings held and what was collected at each
+  meetings: [{
+    meetingId: String,
+    meetingDate: Date,
+    heldBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    attendance: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    collections: [{
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      loanId: String,
+      amount: Number,
+      paymentId: String
+    }],
+    totalCollected: Number,
+    notes: String
+  }],
+
+  formedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+groupSchema.index({ 'members.userId': 1 });
+groupSchema.index({ 'address.pincode': 1 });
+
+// Generate group ID before validation (groupId is required)
+groupSchema.pre('validate', function(next) {
+  if (!this.groupId) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    this.groupId = `GRP${timestamp}${random}`.toUpperCase();
+  }
+  next();
+});
+
+// Members who haven't left the group
+groupSchema.methods.getActiveMembers = function() {
+  return this.members.filter(member => member.status === 'active');
+};
+
+groupSchema.methods.isMember = function(userId) {
+  return this.getActiveMembers().some(member => member.userId.toString() === userId.toString());
+};
+
+groupSchema.methods.isLeader = function(userId) {
+  return this.leader.toString() === userId.toString();
+};
+
+// Size limits for this group type
+groupSchema.methods.getSizeLimits = function() {
+  return GROUP_SIZE_LIMITS[this.type];
+};
+
+groupSchema.statics.GROUP_SIZE_LIMITS = GROUP_SIZE_LIMITS;
+groupSchema.statics.MEETING_DAYS = MEETING_DAYS;
+
+module.exports = mongoose.model('Group', groupSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Umbrella for a group application: each member gets an individual sub-loan
+const groupLoanSchema = new mongoose.Schema({
+  groupLoanId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  productCode: String,
+
+  memberLoans: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    loan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Loan'
+    },
+    loanId: String,
+    amount: Number
+  }],
+  totalAmount: Number,
+
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  applicationDate: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+groupLoanSchema.index({ groupId: 1, applicationDate: -1 });
+
+// Generate group loan ID before validation (groupLoanId is required)
+groupLoanSchema.pre('validate', function(next) {
+  if (!this.groupLoanId) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    this.groupLoanId = `GL${timestamp}${random}`.toUpperCase();
+  }
+  next();
+});
+
+module.exports = mongoose.model('GroupLoan', groupLoanSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Interest earned on a loan for one day. Written by the daily accrual job; the installment
+// billing on the ledger is unaffected, this is the day-by-day recognition used for reporting.
+const interestAccrualSchema = new mongoose.Schema({
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true
+  },
+  loanId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  productCode: String,
+
+  // Start of the day the interest was earned for
+  accrualDate: {
+    type: Date,
+    required: true
+  },
+  principal: Number,    // Ledger principal outstanding at the end of the day
+  interestRate: Number, // Annual rate, percent
+  amount: {
+    type: Number,
+    required: true
+  },
+
+  // Running total since the last installment fell due (interest earned but not yet billed)
+  periodStart: Date,
+  periodAccrued: Number
+}, {
+  timestamps: true
+});
+
+interestAccrualSchema.index({ loan: 1, accrualDate: 1 }, { unique: true });
+interestAccrualSchema.index({ accrualDate: 1 });
+
+module.exports = mongoose.model('InterestAccrual', interestAccrualSchema);
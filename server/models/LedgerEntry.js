@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// Chart of accounts. Asset and expense accounts carry debit balances, the rest credit balances.
+const ACCOUNTS = {
+  loan_principal: 'asset',         // Principal owed by the borrower, including capitalized interest
+  interest_receivable: 'asset',    // Interest that has accrued and is not yet paid
+  charges_receivable: 'asset',     // Penalties, bounce charges and fees not yet paid
+  cash: 'asset',                   // Money paid out and collected
+  borrower_advance: 'liability',   // Money received before it fell due
+  interest_income: 'income',
+  fee_income: 'income',
+  penalty_income: 'income',
+  waiver_expense: 'expense',
+  write_off_expense: 'expense'
+};
+
+const LEDGER_EVENTS = [
+  'disbursement',
+  'interest_capitalization',
+  'interest_accrual',
+  'fee',
+  'penalty',
+  'payment',
+  'advance_applied',
+  'waiver',
+  'write_off'
+];
+
+// Journal entry on a loan's ledger. Entries are never changed or removed:
+// a correction is a new entry that reverses or adjusts an earlier one.
+const ledgerEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true
+  },
+  loanId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    enum: LEDGER_EVENTS,
+    required: true
+  },
+  // Loan record the entry was posted from; posting the same record twice is rejected
+  sourceKey: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  emiNumber: Number,
+  postedAt: {
+    type: Date,
+    required: true
+  },
+  description: String,
+  lines: [{
+    _id: false,
+    account: {
+      type: String,
+      enum: Object.keys(ACCOUNTS),
+      required: true
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+  postedBy: String
+}, {
+  timestamps: true
+});
+
+ledgerEntrySchema.index({ loan: 1, postedAt: 1 });
+ledgerEntrySchema.index({ userId: 1 });
+
+// Generate unique entry ID and check the entry balances (before validation, since entryId is required)
+ledgerEntrySchema.pre('validate', function(next) {
+  if (!this.entryId) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    this.entryId = `JE${timestamp}${random}`.toUpperCase();
+  }
+
+  const debits = this.lines.reduce((sum, line) => sum + (line.debit || 0), 0);
+  const credits = this.lines.reduce((sum, line) => sum + (line.credit || 0), 0);
+  if (this.lines.length < 2 || Math.round(debits * 100) !== Math.round(credits * 100)) {
+    return next(new Error(`Journal entry ${this.sourceKey} does not balance (Dr ${debits}, Cr ${credits})`));
+  }
+  next();
+});
+
+// Append-only: an entry can be created once and never edited afterwards
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries cannot be modified'));
+  }
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error('Ledger entries cannot be modified'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => ledgerEntrySchema.pre(operation, rejectChange));
+
+ledgerEntrySchema.statics.ACCOUNTS = ACCOUNTS;
+ledgerEntrySchema.statics.LEDGER_EVENTS = LEDGER_EVENTS;
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
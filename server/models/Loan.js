@@ -1,4 +1,81 @@
 const mongoose = require('mongoose');
+const { LoanStatusTransitionError } = require('../utils/errors');
+const LoanProduct = require('./LoanProduct');
+
+// Allowed status transitions. under_review may repeat (e.g. reviewer asks for more information).
+const STATUS_TRANSITIONS = {
+  pending: ['under_review', 'cancelled'],
+  under_review: ['under_review', 'approved', 'rejected', 'cancelled'],
+  approved: ['accepted', 'cancelled'],
+  accepted: ['disbursing', 'cancelled'],
+  disbursing: ['disbursed', 'accepted'], // claimed by one disbursal request; back to accepted if it fails
+  rejected: [],
+  disbursed: ['closed', 'written_off', 'cancelled'], // cancelled only within the cooling-off period
+  closed: [],
+  cancelled: [],
+  written_off: []
+};
+
+// Documents that must be uploaded and verified before a loan can be disbursed
+// (used when the loan has no product terms of its own)
+const REQUIRED_DISBURSAL_DOCUMENTS = ['aadhaar', 'pan'];
+
+// Co-applicants share the repayment liability; guarantors repay only if the borrower defaults
+const CO_APPLICANT_ROLES = ['co_applicant', 'guarantor'];
+const CO_APPLICANT_RELATIONSHIPS = ['spouse', 'parent', 'child', 'sibling', 'relative', 'other'];
+const MAX_CO_APPLICANTS = 2;
+
+// RBI asset classification by days past due: special mention accounts (SMA-0 up to 30 days,
+// SMA-1 up to 60, SMA-2 up to 90), then non-performing (NPA)
+const ASSET_CLASSES = ['standard', 'SMA-0', 'SMA-1', 'SMA-2', 'NPA'];
+
+// Relief restructuring: pause installments (interest capitalized at the end of the pause)
+// or spread what is owed over a longer tenure
+const RESTRUCTURE_MODES = ['moratorium', 'extend_tenure'];
+
+const getAssetClass = (daysPastDue) => {
+  if (daysPastDue <= 0) return 'standard';
+  if (daysPastDue <= 30) return 'SMA-0';
+  if (daysPastDue <= 60) return 'SMA-1';
+  if (daysPastDue <= 90) return 'SMA-2';
+  return 'NPA';
+};
+
+// Extra conditions checked when entering a status; return a reason string to block
+const STATUS_GUARDS = {
+  approved: (loan) => {
+    return loan.hasPendingConsents()
+      ? 'Co-applicant/guarantor consent is pending'
+      : null;
+  },
+  accepted: (loan) => {
+    return loan.kfs && loan.kfs.acceptedAt
+      ? null
+      : 'Borrower must accept the Key Fact Statement';
+  },
+  disbursing: (loan) => STATUS_GUARDS.disbursed(loan),
+  disbursed: (loan) => {
+    const missing = loan.getRequiredDocuments().filter(type =>
+      !loan.documents.some(doc => doc.type === type && doc.verified)
+    );
+    if (missing.length > 0) {
+      return `Verified documents required before disbursal: ${missing.join(', ')}`;
+    }
+    return loan.isAgreementSigned() ? null : 'Loan agreement must be signed before disbursal';
+  },
+  cancelled: (loan) => {
+    if (loan.status !== 'disbursed') {
+      return null;
+    }
+    if (!loan.isInCoolingOff()) {
+      return 'Cooling-off period has ended';
+    }
+    return loan.canBeClosed() ? null : 'Loan has outstanding dues';
+  },
+  closed: (loan) => {
+    return loan.canBeClosed() ? null : 'Loan has outstanding dues';
+  }
+};
 
 const loanSchema = new mongoose.Schema({
   // Loan Identification
@@ -14,30 +91,116 @@ const loanSchema = new mongoose.Schema({
   },
   
   // Loan Details
+  // Limits are enforced by the loan product at application time
   amount: {
     type: Number,
     required: true,
-    min: 5000,
-    max: 100000
+    min: 1
   },
   interestRate: {
     type: Number,
     required: true,
-    min: 8.0,
-    max: 24.0
+    min: 0
   },
   tenure: {
     type: Number,
     required: true,
-    min: 3,
-    max: 24
+    min: 1
   },
   purpose: {
     type: String,
-    enum: ['agriculture', 'business', 'education', 'medical', 'personal', 'emergency'],
+    enum: LoanProduct.LOAN_PURPOSES,
     required: true
   },
   
+  // Product the loan was issued under, with its terms at the time of application
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LoanProduct'
+  },
+  productCode: String,
+  productTerms: {
+    name: String,
+    repaymentFrequency: String,
+    moratoriumMonths: Number,
+    requiredDocuments: [String],
+    coolingOffDays: Number,
+    fees: {
+      processingFeePercent: Number,
+      foreclosureFeePercent: Number,
+      latePaymentPenaltyFlat: Number,
+      latePaymentPenaltyCap: Number,
+      bounceCharge: Number
+    }
+  },
+  
+  // Group lending: sub-loan of a group application
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  },
+  groupLoanId: String,
+  
+  // Co-applicants and guarantors, each liable only after giving OTP consent
+  coApplicants: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    phoneNumber: {
+      type: String,
+      required: true
+    },
+    role: {
+      type: String,
+      enum: CO_APPLICANT_ROLES,
+      required: true
+    },
+    relationship: {
+      type: String,
+      enum: CO_APPLICANT_RELATIONSHIPS
+    },
+    consent: {
+      status: {
+        type: String,
+        enum: ['pending', 'given', 'declined'],
+        default: 'pending'
+      },
+      requestedAt: Date,
+      respondedAt: Date,
+      ipAddress: String,
+      userAgent: String
+    },
+    creditAnalysisId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CreditAnalysis'
+    },
+    creditScore: Number,
+    confidenceLevel: Number,
+    liabilityAmount: Number
+  }],
+  // Score used for the decision once co-applicant profiles are combined
+  combinedCreditScore: Number,
+  
+  // Repayment plan: tenure is in months and includes any moratorium
+  repaymentFrequency: {
+    type: String,
+    enum: LoanProduct.REPAYMENT_FREQUENCIES,
+    default: 'monthly'
+  },
+  moratoriumMonths: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Interest for the moratorium, added to the principal that is repaid
+  capitalizedInterest: {
+    type: Number,
+    default: 0
+  },
+  installmentCount: Number,
+  
   // EMI Details
   emiAmount: {
     type: Number,
@@ -47,11 +210,12 @@ const loanSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  totalInterest: Number,
   
   // Application Status
   status: {
     type: String,
-    enum: ['pending', 'under_review', 'approved', 'rejected', 'disbursed', 'closed'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'pending'
   },
   applicationDate: {
@@ -60,6 +224,76 @@ const loanSchema = new mongoose.Schema({
   },
   approvalDate: Date,
   disbursalDate: Date,
+  disbursingSince: Date, // when the current disbursal request claimed the loan
+  
+  // Key Fact Statement the borrower accepted, kept exactly as it was shown
+  kfs: {
+    reference: String,
+    generatedAt: Date,
+    language: String,
+    apr: Number,
+    totalCostOfCredit: Number,
+    netDisbursedAmount: Number,
+    acceptedAt: Date,
+    ipAddress: String,
+    userAgent: String,
+    statement: mongoose.Schema.Types.Mixed
+  },
+  
+  // Loan agreement: the exact document signed and how it was signed
+  agreement: {
+    agreementId: String,
+    templateVersion: String,
+    language: String,
+    document: String,
+    documentHash: String,
+    generatedAt: Date,
+    status: {
+      type: String,
+      enum: ['generated', 'signed']
+    },
+    signedAt: Date,
+    signerPhone: String,
+    deviceId: String,
+    ipAddress: String,
+    userAgent: String
+  },
+  
+  // Disbursement Details
+  disbursement: {
+    method: {
+      type: String,
+      enum: ['bank_transfer', 'upi']
+    },
+    payoutReference: String,
+    bankAccount: {
+      accountHolderName: String,
+      accountNumber: String, // Stored masked, only last 4 digits retained
+      ifscCode: String
+    },
+    upiVpa: String,
+    processingFee: Number,
+    disbursedAmount: Number,
+    // Top-up: the running loan paid off out of this disbursement
+    settledLoanId: String,
+    settlementAmount: Number,
+    settlementPaymentId: String,
+    disbursedBy: String
+  },
+
+  // Pre-approved top-up or repeat loan: the offer it was taken against
+  preApprovedOffer: {
+    type: {
+      type: String,
+      enum: ['top_up', 'repeat']
+    },
+    basedOnLoanId: String,
+    grade: String,
+    maxAmount: Number,
+    interestRate: Number,
+    previousInterestRate: Number,
+    acceptedAt: Date
+  },
   
   // Credit Assessment
   creditScore: {
@@ -100,19 +334,235 @@ const loanSchema = new mongoose.Schema({
     min: 0,
     max: 1
   },
+  creditAnalysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditAnalysis'
+  },
+  riskCategory: {
+    type: String,
+    enum: ['low', 'medium', 'high']
+  },
+  
+  // Manual Review (for applications routed to under_review)
+  review: {
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    claimedAt: Date,
+    decision: {
+      type: String,
+      enum: ['approve', 'reject', 'request_info']
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    infoRequested: [String],
+    notes: String
+  },
   
   // Repayment Details
   repaymentSchedule: [{
     emiNumber: Number,
     dueDate: Date,
     amount: Number,
+    openingBalance: Number,
+    principal: Number,
+    interest: Number,
+    closingBalance: Number,
     status: {
       type: String,
       enum: ['pending', 'paid', 'overdue', 'partial'],
       default: 'pending'
     },
     paidDate: Date,
-    paidAmount: Number
+    paidAmount: {
+      type: Number,
+      default: 0
+    },
+    // Charges and amounts collected per component (see allocatePayment)
+    penaltyAmount: {
+      type: Number,
+      default: 0
+    },
+    paidPenalty: {
+      type: Number,
+      default: 0
+    },
+    bounceCharges: {
+      type: Number,
+      default: 0
+    }, // Included in penaltyAmount
+    paidInterest: {
+      type: Number,
+      default: 0
+    },
+    paidPrincipal: {
+      type: Number,
+      default: 0
+    },
+    reminderSentAt: Date,
+    liabilityNoticeSentAt: Date
+  }],
+  
+  // Charges levied on top of the schedule (each one is a separate line)
+  charges: [{
+    type: {
+      type: String,
+      enum: ['late_payment_penalty', 'bounce_charge', 'foreclosure_fee']
+    },
+    emiNumber: Number,
+    amount: Number,
+    appliedAt: Date,
+    description: String
+  }],
+  
+  // Delinquency (refreshed by the daily overdue job)
+  daysPastDue: {
+    type: Number,
+    default: 0
+  },
+  accruedPenalty: {
+    type: Number,
+    default: 0
+  },
+  delinquencyUpdatedAt: Date,
+
+  // Asset classification (refreshed with delinquency, upgraded as soon as arrears are cleared)
+  assetClassification: {
+    type: String,
+    enum: ASSET_CLASSES
+  },
+  assetClassifiedAt: Date,
+  npaDate: Date,
+  assetClassificationHistory: [{
+    classification: {
+      type: String,
+      enum: ASSET_CLASSES
+    },
+    previous: String,
+    daysPastDue: Number,
+    changedAt: Date,
+    reason: String,
+    updatedBy: String
+  }],
+  
+  // Money received but not yet due, applied to future EMIs as they fall due
+  advanceCredit: {
+    type: Number,
+    default: 0
+  },
+  // Advance credit used on EMIs as they fell due (see applyAdvanceCredit)
+  advanceApplications: [{
+    appliedAt: Date,
+    amount: Number,
+    allocations: [{
+      _id: false,
+      emiNumber: Number,
+      penalty: Number,
+      interest: Number,
+      principal: Number,
+      total: Number,
+      statusAfter: String
+    }]
+  }],
+  
+  // Penalty or interest forgiven by staff, settled on the EMI without any money received
+  waivers: [{
+    waiverId: String,
+    component: {
+      type: String,
+      enum: ['penalty', 'interest']
+    },
+    emiNumber: Number,
+    amount: Number,
+    reason: String,
+    approvedBy: String,
+    waivedAt: Date
+  }],
+  
+  // Balances written off when the loan moved to written_off, as read from the ledger
+  writeOff: {
+    writtenOffAt: Date,
+    reason: String,
+    principal: Number,
+    interest: Number,
+    charges: Number,
+    writtenOffBy: String
+  },
+  
+  // Relief restructurings, each with the schedule it replaced (kept for audit)
+  restructurings: [{
+    restructureId: String,
+    reliefEventId: String,
+    mode: {
+      type: String,
+      enum: RESTRUCTURE_MODES
+    },
+    months: Number,
+    reason: String,
+    appliedAt: Date,
+    appliedBy: String,
+    principalRescheduled: Number,
+    arrearsInterestCapitalized: Number, // Billed interest left unpaid, added to the principal
+    moratoriumInterest: Number,         // Interest for the pause, capitalized when it ends
+    moratoriumEndsAt: Date,
+    penaltyWaived: Number,
+    emiAmountBefore: Number,
+    emiAmountAfter: Number,
+    tenureBefore: Number,
+    tenureAfter: Number,
+    originalSchedule: [mongoose.Schema.Types.Mixed]
+  }],
+  
+  // Payments received, with the allocation of every rupee
+  payments: [{
+    paymentId: String,
+    receiptNumber: String,
+    type: {
+      type: String,
+      enum: ['emi', 'prepayment', 'foreclosure', 'cooling_off_cancellation', 'top_up_settlement'],
+      default: 'emi'
+    },
+    amount: Number,
+    method: String,
+    reference: String,
+    paidAt: Date,
+    recordedBy: String,
+    allocations: [{
+      _id: false,
+      emiNumber: Number,
+      penalty: Number,
+      interest: Number,
+      principal: Number,
+      total: Number,
+      statusAfter: String
+    }],
+    feesPaid: Number,
+    feeRefund: Number, // Processing fee refunded against the payment (cooling-off cancellation)
+    advanceCreditBefore: Number,
+    advanceCreditAfter: Number
+  }],
+  
+  // Foreclosure quotes issued to the borrower
+  foreclosureQuotes: [{
+    quoteId: String,
+    generatedAt: Date,
+    validUntil: Date,
+    outstandingPrincipal: Number,
+    overdueInterest: Number,
+    accruedInterest: Number,
+    penalty: Number,
+    foreclosureFee: Number,
+    advanceCredit: Number,
+    totalAmount: Number,
+    status: {
+      type: String,
+      enum: ['open', 'settled', 'expired'],
+      default: 'open'
+    }
   }],
   
   // Communication Preferences
@@ -152,14 +602,21 @@ const loanSchema = new mongoose.Schema({
   documents: [{
     type: {
       type: String,
-      enum: ['aadhaar', 'pan', 'income_proof', 'bank_statement', 'photo']
+      enum: LoanProduct.DOCUMENT_TYPES
     },
     filename: String,
+    fileId: String, // Stored file with the uploaded content
     uploadDate: Date,
     verified: {
       type: Boolean,
       default: false
-    }
+    },
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    verifiedAt: Date,
+    remarks: String
   }],
   
   // Audit Trail
@@ -175,13 +632,19 @@ const loanSchema = new mongoose.Schema({
 
 // Indexes for performance
 loanSchema.index({ userId: 1 });
+loanSchema.index({ 'preApprovedOffer.basedOnLoanId': 1 });
 loanSchema.index({ loanId: 1 });
 loanSchema.index({ status: 1 });
+loanSchema.index({ status: 1, 'review.assignedTo': 1 });
 loanSchema.index({ applicationDate: -1 });
 loanSchema.index({ 'repaymentSchedule.dueDate': 1 });
+loanSchema.index({ 'disbursement.payoutReference': 1 }, { unique: true, sparse: true });
+loanSchema.index({ groupId: 1, status: 1 });
+loanSchema.index({ 'coApplicants.phoneNumber': 1 });
+loanSchema.index({ status: 1, assetClassification: 1 });
 
-// Generate unique loan ID
-loanSchema.pre('save', async function(next) {
+// Generate unique loan ID (before validation, since loanId is required)
+loanSchema.pre('validate', function(next) {
   if (!this.loanId) {
     const timestamp = Date.now().toString(36);
     const random = Math.random().toString(36).substr(2, 5);
@@ -190,62 +653,790 @@ loanSchema.pre('save', async function(next) {
   next();
 });
 
+// Reject status changes that bypassed addStatusHistory
+loanSchema.pre('save', function(next) {
+  if (!this.isModified('status') || this.status === 'pending') {
+    return next();
+  }
+
+  const lastEntry = this.statusHistory[this.statusHistory.length - 1];
+  if (!lastEntry || lastEntry.status !== this.status) {
+    return next(new Error(`Loan status '${this.status}' must be set through addStatusHistory`));
+  }
+  next();
+});
+
+// A payment or waiver that clears arrears upgrades the loan straight away,
+// without waiting for the daily overdue job
+loanSchema.pre('save', function(next) {
+  if (this.isModified('repaymentSchedule') && this.assetClassification && this.assetClassification !== 'standard') {
+    this.refreshAssetClassification(new Date(), { upgradeOnly: true });
+  }
+  next();
+});
+
+// A quote states what was owed when it was issued: once a payment, charge or waiver is
+// posted, open quotes no longer match and a new one has to be requested
+loanSchema.pre('save', function(next) {
+  const posted = ['payments', 'charges', 'waivers'].some(path => this[path].some(entry => entry.isNew));
+  if (posted) {
+    this.foreclosureQuotes.forEach(quote => {
+      if (quote.status === 'open') quote.status = 'expired';
+    });
+  }
+  next();
+});
+
+// Post new payments, charges and other money movements to the ledger. A failure here never
+// fails the save: the next save or the daily overdue job catches up.
+loanSchema.post('save', async function(loan) {
+  const { syncLoanLedger } = require('../services/ledgerService');
+  try {
+    await syncLoanLedger(loan);
+  } catch (error) {
+    console.error(`Ledger sync failed for loan ${loan.loanId}:`, error);
+  }
+});
+
+// Round to paise
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Split each EMI into interest and principal on the reducing balance.
+// The last EMI takes whatever principal is left so the schedule closes at exactly zero.
+const buildAmortizationSchedule = (principal, monthlyRate, tenure, emiAmount) => {
+  const rows = [];
+  let balance = principal;
+
+  for (let i = 1; i <= tenure; i++) {
+    const interest = roundCurrency(balance * monthlyRate);
+    const principalComponent = i === tenure
+      ? balance
+      : Math.min(balance, roundCurrency(emiAmount - interest));
+    const closingBalance = roundCurrency(balance - principalComponent);
+
+    rows.push({
+      emiNumber: i,
+      openingBalance: balance,
+      principal: principalComponent,
+      interest: interest,
+      amount: roundCurrency(principalComponent + interest),
+      closingBalance: closingBalance
+    });
+
+    balance = closingBalance;
+  }
+
+  return rows;
+};
+
+// Installments per year for each repayment frequency (bullet is a single payment)
+const INSTALLMENTS_PER_YEAR = {
+  weekly: 52,
+  fortnightly: 26,
+  monthly: 12,
+  quarterly: 4
+};
+
+// Move a date forward by a number of repayment periods
+const addRepaymentPeriods = (date, frequency, count) => {
+  const result = new Date(date);
+  if (frequency === 'weekly') {
+    result.setDate(result.getDate() + 7 * count);
+  } else if (frequency === 'fortnightly') {
+    result.setDate(result.getDate() + 14 * count);
+  } else if (frequency === 'quarterly') {
+    result.setMonth(result.getMonth() + 3 * count);
+  } else {
+    result.setMonth(result.getMonth() + count);
+  }
+  return result;
+};
+
+// Number of installments, interest rate per installment and the principal to amortize
+loanSchema.methods.getRepaymentPlan = function() {
+  const frequency = this.repaymentFrequency || 'monthly';
+  const moratoriumMonths = frequency === 'bullet' ? 0 : (this.moratoriumMonths || 0);
+  const repaymentMonths = this.tenure - moratoriumMonths;
+  const annualRate = this.interestRate / 100;
+
+  let installments;
+  let periodRate;
+  if (frequency === 'bullet') {
+    // Principal and simple interest for the whole tenure fall due together
+    installments = 1;
+    periodRate = annualRate / 12 * repaymentMonths;
+  } else if (frequency === 'quarterly') {
+    installments = Math.ceil(repaymentMonths / 3);
+    periodRate = annualRate / INSTALLMENTS_PER_YEAR.quarterly;
+  } else {
+    installments = Math.max(1, Math.round(repaymentMonths * INSTALLMENTS_PER_YEAR[frequency] / 12));
+    periodRate = annualRate / INSTALLMENTS_PER_YEAR[frequency];
+  }
+
+  const capitalizedInterest = roundCurrency(this.amount * annualRate / 12 * moratoriumMonths);
+
+  return {
+    frequency: frequency,
+    moratoriumMonths: moratoriumMonths,
+    installments: installments,
+    periodRate: periodRate,
+    capitalizedInterest: capitalizedInterest,
+    principal: roundCurrency(this.amount + capitalizedInterest)
+  };
+};
+
 // Calculate EMI amount
 loanSchema.methods.calculateEMI = function() {
-  const principal = this.amount;
-  const rate = this.interestRate / 100 / 12; // Monthly interest rate
-  const tenure = this.tenure;
+  const plan = this.getRepaymentPlan();
+  const principal = plan.principal;
+  const rate = plan.periodRate; // Interest rate per installment
+  const tenure = plan.installments;
   
-  const emi = (principal * rate * Math.pow(1 + rate, tenure)) / 
-              (Math.pow(1 + rate, tenure) - 1);
+  const emi = rate === 0
+    ? principal / tenure
+    : (principal * rate * Math.pow(1 + rate, tenure)) / (Math.pow(1 + rate, tenure) - 1);
   
   this.emiAmount = Math.round(emi);
-  this.totalAmount = Math.round(emi * tenure);
+  this.installmentCount = tenure;
+  this.capitalizedInterest = plan.capitalizedInterest;
+
+  // Totals come from the actual schedule so they reconcile to the paisa
+  const rows = buildAmortizationSchedule(principal, rate, tenure, this.emiAmount);
+  this.totalInterest = roundCurrency(plan.capitalizedInterest + rows.reduce((sum, row) => sum + row.interest, 0));
+  this.totalAmount = roundCurrency(this.amount + this.totalInterest);
   
   return this.emiAmount;
 };
 
+// Repayment schedule for a loan disbursed on the given date (not stored on the loan)
+loanSchema.methods.buildRepaymentSchedule = function(disbursalDate = new Date()) {
+  const plan = this.getRepaymentPlan();
+
+  if (!this.emiAmount) {
+    this.calculateEMI();
+  }
+
+  // Installments start after the moratorium; a bullet falls due at the end of the tenure
+  const startDate = new Date(disbursalDate);
+  startDate.setMonth(startDate.getMonth() + (plan.frequency === 'bullet' ? this.tenure - 1 : plan.moratoriumMonths));
+  const frequency = plan.frequency === 'bullet' ? 'monthly' : plan.frequency;
+  
+  return buildAmortizationSchedule(plan.principal, plan.periodRate, plan.installments, this.emiAmount)
+    .map(row => ({
+      ...row,
+      dueDate: addRepaymentPeriods(startDate, frequency, row.emiNumber),
+      status: 'pending'
+    }));
+};
+
 // Generate repayment schedule
 loanSchema.methods.generateRepaymentSchedule = function() {
-  const schedule = [];
-  const startDate = this.disbursalDate || new Date();
+  const schedule = this.buildRepaymentSchedule(this.disbursalDate || new Date());
   
-  for (let i = 1; i <= this.tenure; i++) {
-    const dueDate = new Date(startDate);
-    dueDate.setMonth(dueDate.getMonth() + i);
-    
-    schedule.push({
-      emiNumber: i,
+  this.repaymentSchedule = schedule;
+  return schedule;
+};
+
+// Processing fee from the product terms, deducted from the amount disbursed
+loanSchema.methods.getProcessingFee = function() {
+  const percent = (this.productTerms && this.productTerms.fees && this.productTerms.fees.processingFeePercent) || 0;
+  return roundCurrency(this.amount * percent / 100);
+};
+
+// End of the moratorium, when the capitalized interest becomes part of the principal owed
+loanSchema.methods.getMoratoriumEndDate = function() {
+  if (!this.moratoriumMonths || this.repaymentFrequency === 'bullet' || !this.disbursalDate) {
+    return null;
+  }
+  const endDate = new Date(this.disbursalDate);
+  endDate.setMonth(endDate.getMonth() + this.moratoriumMonths);
+  return endDate;
+};
+
+loanSchema.methods.isInMoratorium = function(asOf = new Date()) {
+  const endDate = this.getMoratoriumEndDate();
+  return !!endDate && asOf < endDate && this.capitalizedInterest > 0;
+};
+
+// Regenerate the unpaid part of the schedule on a new principal balance.
+// 'reduce_emi' keeps the number of EMIs, 'reduce_tenure' keeps the EMI amount.
+loanSchema.methods.rescheduleRemaining = function(principal, mode = 'reduce_tenure') {
+  const rate = this.getRepaymentPlan().periodRate;
+  const paid = this.repaymentSchedule.filter(emi => emi.status === 'paid');
+  const remaining = this.repaymentSchedule.filter(emi => emi.status !== 'paid');
+
+  if (remaining.length === 0) {
+    return [];
+  }
+
+  let count = remaining.length;
+  let emiAmount = this.emiAmount;
+
+  if (mode === 'reduce_emi') {
+    emiAmount = Math.round(rate === 0
+      ? principal / count
+      : (principal * rate * Math.pow(1 + rate, count)) / (Math.pow(1 + rate, count) - 1));
+  } else {
+    count = rate === 0
+      ? Math.ceil(principal / emiAmount)
+      : Math.ceil(-Math.log(1 - (principal * rate) / emiAmount) / Math.log(1 + rate));
+    count = Math.max(1, Math.min(count, remaining.length));
+  }
+
+  const firstNumber = remaining[0].emiNumber;
+  const firstDueDate = remaining[0].dueDate;
+
+  const rows = buildAmortizationSchedule(principal, rate, count, emiAmount).map((row, index) => ({
+    ...row,
+    emiNumber: firstNumber + index,
+    dueDate: addRepaymentPeriods(firstDueDate, this.repaymentFrequency, index),
+    status: 'pending'
+  }));
+
+  this.repaymentSchedule = [...paid.map(emi => emi.toObject()), ...rows];
+  this.emiAmount = emiAmount;
+  this.totalInterest = roundCurrency(this.getCapitalizedInterest() +
+    this.repaymentSchedule.reduce((sum, emi) => sum + (emi.interest || 0), 0));
+  this.totalAmount = roundCurrency(this.amount + this.totalInterest);
+
+  return rows;
+};
+
+// Interest folded into the principal: the loan's own moratorium and any relief restructurings
+loanSchema.methods.getCapitalizedInterest = function() {
+  return roundCurrency((this.restructurings || []).reduce((sum, restructuring) =>
+    sum + (restructuring.arrearsInterestCapitalized || 0) + (restructuring.moratoriumInterest || 0),
+  this.capitalizedInterest || 0));
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+const monthsBetween = (from, to) => {
+  return Math.max(0, (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth());
+};
+
+// Tenure in months as counted at origination: from disbursal to the last installment.
+// Rounded so weekly and fortnightly schedules land on whole months.
+const getScheduleTenure = (disbursalDate, schedule) => {
+  const lastDueDate = schedule.reduce((latest, emi) => emi.dueDate > latest ? emi.dueDate : latest, schedule[0].dueDate);
+  return Math.round((lastDueDate - disbursalDate) / (24 * 60 * 60 * 1000 * 365 / 12));
+};
+
+// Restructure the loan for calamity relief. Every unpaid installment is replaced: penalties on
+// them are waived, anything already paid on one stays as a settled installment, unpaid billed
+// interest is capitalized, and the principal is scheduled again either after a pause of
+// `months` (moratorium) or over `months` more (extend_tenure). Bullet loans move their single
+// repayment `months` later. Returns the restructuring record, which keeps the old schedule.
+loanSchema.methods.restructureForRelief = function({ mode, months, reliefEventId, reason, appliedBy = 'system', asOf = new Date() }) {
+  const frequency = this.repaymentFrequency || 'monthly';
+  const dateFrequency = frequency === 'bullet' ? 'monthly' : frequency;
+  const annualRate = this.interestRate / 100;
+  const originalSchedule = this.repaymentSchedule.map(emi => emi.toObject());
+  const emiAmountBefore = this.emiAmount;
+  const tenureBefore = this.tenure;
+
+  // No penal charges on installments covered by relief
+  let penaltyWaived = 0;
+  for (const emi of this.repaymentSchedule.filter(entry => entry.status !== 'paid')) {
+    const penalty = getEMIDues(emi).penalty;
+    if (penalty > 0) {
+      this.applyWaiver({ component: 'penalty', emiNumber: emi.emiNumber, amount: penalty, reason: reason, approvedBy: appliedBy, waivedAt: asOf });
+      penaltyWaived = roundCurrency(penaltyWaived + penalty);
+    }
+  }
+
+  const unpaid = this.repaymentSchedule
+    .filter(emi => emi.status !== 'paid')
+    .sort((a, b) => a.emiNumber - b.emiNumber);
+  if (unpaid.length === 0) {
+    throw new Error('No unpaid installments to restructure');
+  }
+
+  let principal = 0;
+  let arrearsInterest = 0;
+  let unbilledInterest = 0;
+  for (const emi of unpaid) {
+    const dues = getEMIDues(emi);
+    principal += dues.principal;
+    if (emi.dueDate <= asOf) {
+      arrearsInterest += dues.interest;
+    } else {
+      unbilledInterest += dues.interest;
+    }
+  }
+  principal = roundCurrency(principal);
+  arrearsInterest = roundCurrency(arrearsInterest);
+
+  // Installments partly paid keep what was paid and are settled; the rest are dropped
+  const kept = this.repaymentSchedule.filter(emi => emi.status === 'paid');
+  for (const emi of unpaid) {
+    const paid = (emi.paidPrincipal || 0) + (emi.paidInterest || 0);
+    if (paid <= 0) continue;
+
+    emi.principal = emi.paidPrincipal || 0;
+    emi.interest = emi.paidInterest || 0;
+    emi.amount = roundCurrency(paid);
+    emi.closingBalance = roundCurrency((emi.openingBalance || 0) - emi.principal);
+    emi.status = 'paid';
+    emi.paidDate = emi.paidDate || asOf;
+    kept.push(emi);
+  }
+
+  // Next installment date on the loan's cycle that hasn't passed yet
+  let nextDueDate = unpaid[0].dueDate;
+  while (nextDueDate <= asOf) {
+    nextDueDate = addRepaymentPeriods(nextDueDate, dateFrequency, 1);
+  }
+
+  const firstNumber = kept.reduce((max, emi) => Math.max(max, emi.emiNumber), 0) + 1;
+  let rows;
+  let moratoriumInterest = 0;
+  let moratoriumEndsAt;
+
+  if (frequency === 'bullet') {
+    // Interest runs on to the new repayment date
+    const oldDueDate = unpaid[0].dueDate;
+    const dueDate = addMonths(oldDueDate > asOf ? oldDueDate : asOf, months);
+    const newPrincipal = roundCurrency(principal + arrearsInterest);
+    const interest = roundCurrency(unbilledInterest + newPrincipal * annualRate / 12 * monthsBetween(oldDueDate, dueDate));
+
+    rows = [{
+      emiNumber: firstNumber,
+      openingBalance: newPrincipal,
+      principal: newPrincipal,
+      interest: interest,
+      amount: roundCurrency(newPrincipal + interest),
+      closingBalance: 0,
       dueDate: dueDate,
-      amount: this.emiAmount,
       status: 'pending'
-    });
+    }];
+    this.emiAmount = rows[0].amount;
+  } else {
+    const rate = this.getRepaymentPlan().periodRate;
+    let count = unpaid.length;
+    let firstDueDate = nextDueDate;
+
+    if (mode === 'moratorium') {
+      firstDueDate = addMonths(nextDueDate, months);
+      moratoriumEndsAt = addRepaymentPeriods(firstDueDate, dateFrequency, -1);
+      moratoriumInterest = roundCurrency((principal + arrearsInterest) * annualRate / 12 * months);
+    } else {
+      count += frequency === 'quarterly'
+        ? Math.ceil(months / 3)
+        : Math.round(months * INSTALLMENTS_PER_YEAR[frequency] / 12);
+    }
+
+    const newPrincipal = roundCurrency(principal + arrearsInterest + moratoriumInterest);
+    const emiAmount = Math.round(rate === 0
+      ? newPrincipal / count
+      : (newPrincipal * rate * Math.pow(1 + rate, count)) / (Math.pow(1 + rate, count) - 1));
+
+    rows = buildAmortizationSchedule(newPrincipal, rate, count, emiAmount).map((row, index) => ({
+      ...row,
+      emiNumber: firstNumber + index,
+      dueDate: addRepaymentPeriods(firstDueDate, dateFrequency, index),
+      status: 'pending'
+    }));
+    this.emiAmount = emiAmount;
   }
-  
-  this.repaymentSchedule = schedule;
-  return schedule;
+
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 5);
+  const restructuring = {
+    restructureId: `RST${timestamp}${random}`.toUpperCase(),
+    reliefEventId: reliefEventId,
+    mode: mode,
+    months: months,
+    reason: reason,
+    appliedAt: asOf,
+    appliedBy: appliedBy,
+    principalRescheduled: principal,
+    arrearsInterestCapitalized: arrearsInterest,
+    moratoriumInterest: moratoriumInterest,
+    moratoriumEndsAt: moratoriumEndsAt,
+    penaltyWaived: penaltyWaived,
+    emiAmountBefore: emiAmountBefore,
+    emiAmountAfter: this.emiAmount,
+    tenureBefore: tenureBefore,
+    originalSchedule: originalSchedule
+  };
+
+  this.repaymentSchedule = [...kept.map(emi => emi.toObject()), ...rows]
+    .sort((a, b) => a.emiNumber - b.emiNumber);
+
+  // Arrears moved past the pause can push the last installment out by more than `months`
+  restructuring.tenureAfter = this.disbursalDate
+    ? Math.max(tenureBefore, getScheduleTenure(this.disbursalDate, this.repaymentSchedule))
+    : tenureBefore + months;
+  this.restructurings.push(restructuring);
+  this.tenure = restructuring.tenureAfter;
+  this.installmentCount = this.repaymentSchedule.length;
+
+  this.totalInterest = roundCurrency(this.getCapitalizedInterest() +
+    this.repaymentSchedule.reduce((sum, emi) => sum + (emi.interest || 0), 0));
+  this.totalAmount = roundCurrency(this.amount + this.totalInterest);
+
+  // A restructured account is no longer in arrears
+  this.daysPastDue = this.getDaysPastDue(asOf);
+  this.refreshAssetClassification(asOf, { updatedBy: appliedBy, reason: `Restructured: ${reason}` });
+
+  return this.restructurings[this.restructurings.length - 1];
+};
+
+// Outstanding principal according to the repayment schedule.
+// During a moratorium the interest that will be capitalized is not owed yet.
+loanSchema.methods.getOutstandingPrincipal = function(asOf = new Date()) {
+  const scheduled = this.repaymentSchedule
+    .filter(emi => emi.status !== 'paid')
+    .reduce((sum, emi) => sum + (emi.principal || 0) - (emi.paidPrincipal || 0), 0);
+
+  return roundCurrency(scheduled - this.getPendingCapitalization(asOf));
+};
+
+// Interest already in the scheduled principal but not capitalized yet: the loan's own moratorium
+// and any relief moratorium still running
+loanSchema.methods.getPendingCapitalization = function(asOf = new Date()) {
+  const relief = this.restructurings
+    .filter(restructuring => restructuring.moratoriumEndsAt && restructuring.moratoriumEndsAt > asOf)
+    .reduce((sum, restructuring) => sum + (restructuring.moratoriumInterest || 0), 0);
+
+  return roundCurrency((this.isInMoratorium(asOf) ? this.capitalizedInterest : 0) + relief);
 };
 
 // Get next EMI due
 loanSchema.methods.getNextEMI = function() {
-  return this.repaymentSchedule.find(emi => emi.status === 'pending');
+  return this.repaymentSchedule.find(emi => emi.status !== 'paid');
 };
 
 // Get overdue EMIs
 loanSchema.methods.getOverdueEMIs = function() {
   const today = new Date();
   return this.repaymentSchedule.filter(emi => 
-    emi.status === 'pending' && emi.dueDate < today
+    emi.status !== 'paid' && emi.dueDate < today
   );
 };
 
+// Days past due, counted from the oldest unpaid EMI
+loanSchema.methods.getDaysPastDue = function(asOf = new Date()) {
+  const oldestOverdue = this.repaymentSchedule
+    .filter(emi => emi.status !== 'paid' && emi.dueDate < asOf)
+    .sort((a, b) => a.dueDate - b.dueDate)[0];
+
+  if (!oldestOverdue) return 0;
+  return Math.floor((asOf - oldestOverdue.dueDate) / (24 * 60 * 60 * 1000));
+};
+
+// Reclassify the loan on its days past due and record the change. An NPA is only upgraded
+// once every overdue installment is paid, not as the days past due fall.
+loanSchema.methods.refreshAssetClassification = function(asOf = new Date(), options = {}) {
+  const { updatedBy = 'system', upgradeOnly = false } = options;
+  const daysPastDue = this.getDaysPastDue(asOf);
+  const current = this.assetClassification || 'standard';
+
+  let classification = getAssetClass(daysPastDue);
+  if (current === 'NPA' && daysPastDue > 0) {
+    classification = 'NPA';
+  }
+
+  const upgrade = ASSET_CLASSES.indexOf(classification) < ASSET_CLASSES.indexOf(current);
+  if (classification === current || (upgradeOnly && !upgrade)) {
+    if (!this.assetClassification) {
+      this.assetClassification = classification;
+      this.assetClassifiedAt = asOf;
+    }
+    return null;
+  }
+
+  let reason = `${daysPastDue} days past due`;
+  if (options.reason) {
+    reason = options.reason;
+  } else if (classification === 'standard') {
+    reason = 'Arrears cleared';
+  } else if (upgrade) {
+    reason = `Days past due reduced to ${daysPastDue}`;
+  }
+
+  const change = {
+    classification: classification,
+    previous: current,
+    daysPastDue: daysPastDue,
+    changedAt: asOf,
+    reason: reason,
+    updatedBy: updatedBy
+  };
+
+  this.assetClassificationHistory.push(change);
+  this.assetClassification = classification;
+  this.assetClassifiedAt = asOf;
+  this.npaDate = classification === 'NPA' ? asOf : undefined;
+  return change;
+};
+
+// Penalty charged but not yet paid
+loanSchema.methods.getAccruedPenalty = function() {
+  return roundCurrency(this.repaymentSchedule
+    .reduce((sum, emi) => sum + (emi.penaltyAmount || 0) - (emi.paidPenalty || 0), 0));
+};
+
+// Amount that has fallen due and is still unpaid (including penalty)
+loanSchema.methods.getOverdueAmount = function(asOf = new Date()) {
+  return roundCurrency(this.repaymentSchedule
+    .filter(emi => emi.status !== 'paid' && emi.dueDate < asOf)
+    .reduce((sum, emi) => {
+      const dues = getEMIDues(emi);
+      return sum + dues.penalty + dues.interest + dues.principal;
+    }, 0));
+};
+
+// Amount still owed on an EMI, per component
+const getEMIDues = (emi) => ({
+  penalty: roundCurrency((emi.penaltyAmount || 0) - (emi.paidPenalty || 0)),
+  interest: roundCurrency((emi.interest || 0) - (emi.paidInterest || 0)),
+  principal: roundCurrency((emi.principal || emi.amount || 0) - (emi.paidPrincipal || 0))
+});
+
+// Total still owed across the whole schedule, before advance credit
+const getScheduledDues = (loan) => {
+  return roundCurrency(loan.repaymentSchedule
+    .filter(emi => emi.status !== 'paid')
+    .reduce((sum, emi) => {
+      const dues = getEMIDues(emi);
+      return sum + dues.penalty + dues.interest + dues.principal;
+    }, 0));
+};
+
+// Total still owed across the whole schedule (net of advance credit)
+loanSchema.methods.getTotalOutstanding = function() {
+  return roundCurrency(Math.max(0, getScheduledDues(this) - (this.advanceCredit || 0)));
+};
+
+// Allocate money to EMIs oldest-first, penalty -> interest -> principal.
+// Due EMIs are cleared first, then the currently running EMI; the rest is returned.
+// Money that covers the whole schedule is spread across every remaining EMI instead.
+loanSchema.methods.allocateToEMIs = function(pool, asOf = new Date()) {
+  const allocations = [];
+  let remaining = roundCurrency(pool);
+
+  const unpaid = this.repaymentSchedule
+    .filter(emi => emi.status !== 'paid')
+    .sort((a, b) => a.emiNumber - b.emiNumber);
+  const due = unpaid.filter(emi => emi.dueDate <= asOf);
+  const upcoming = unpaid.find(emi => emi.dueDate > asOf);
+
+  let targets = upcoming ? [...due, upcoming] : due;
+  if (remaining >= getScheduledDues(this)) {
+    targets = unpaid;
+  }
+
+  for (const emi of targets) {
+    if (remaining <= 0) break;
+
+    const dues = getEMIDues(emi);
+    const allocation = { emiNumber: emi.emiNumber, penalty: 0, interest: 0, principal: 0 };
+
+    for (const component of ['penalty', 'interest', 'principal']) {
+      const applied = roundCurrency(Math.min(remaining, dues[component]));
+      allocation[component] = applied;
+      remaining = roundCurrency(remaining - applied);
+    }
+
+    allocation.total = roundCurrency(allocation.penalty + allocation.interest + allocation.principal);
+    if (allocation.total === 0) continue;
+
+    emi.paidPenalty = roundCurrency((emi.paidPenalty || 0) + allocation.penalty);
+    emi.paidInterest = roundCurrency((emi.paidInterest || 0) + allocation.interest);
+    emi.paidPrincipal = roundCurrency((emi.paidPrincipal || 0) + allocation.principal);
+    emi.paidAmount = roundCurrency((emi.paidAmount || 0) + allocation.total);
+
+    const left = getEMIDues(emi);
+    if (left.penalty + left.interest + left.principal <= 0) {
+      emi.status = 'paid';
+      emi.paidDate = asOf;
+    } else {
+      emi.status = 'partial';
+    }
+
+    allocation.statusAfter = emi.status;
+    allocations.push(allocation);
+  }
+
+  return { allocations, remaining };
+};
+
+// Record a payment of any amount and return a receipt of where every rupee went
+loanSchema.methods.allocatePayment = function(amount, options = {}) {
+  const {
+    method = 'upi',
+    reference,
+    paidAt = new Date(),
+    recordedBy = 'system'
+  } = options;
+
+  const advanceCreditBefore = this.advanceCredit || 0;
+  const { allocations, remaining } = this.allocateToEMIs(amount + advanceCreditBefore, paidAt);
+
+  this.advanceCredit = remaining;
+
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 5);
+  const payment = {
+    paymentId: `PAY${timestamp}${random}`.toUpperCase(),
+    receiptNumber: `RCT${timestamp}${random}`.toUpperCase(),
+    amount: roundCurrency(amount),
+    method: method,
+    reference: reference,
+    paidAt: paidAt,
+    recordedBy: recordedBy,
+    allocations: allocations,
+    advanceCreditBefore: advanceCreditBefore,
+    advanceCreditAfter: remaining
+  };
+
+  this.payments.push(payment);
+  return payment;
+};
+
+// Apply held advance credit to EMIs that have fallen due
+loanSchema.methods.applyAdvanceCredit = function(asOf = new Date()) {
+  if (!this.advanceCredit) return [];
+
+  const unpaidDue = this.repaymentSchedule.filter(emi => emi.status !== 'paid' && emi.dueDate <= asOf);
+  if (unpaidDue.length === 0) return [];
+
+  const { allocations, remaining } = this.allocateToEMIs(this.advanceCredit, asOf);
+  if (allocations.length > 0) {
+    this.advanceApplications.push({
+      appliedAt: asOf,
+      amount: roundCurrency(this.advanceCredit - remaining),
+      allocations: allocations
+    });
+  }
+  this.advanceCredit = remaining;
+  return allocations;
+};
+
+// Forgive part of an EMI's unpaid penalty or interest. The waived amount counts as settled
+// on the EMI (like a payment) and is recorded separately so the ledger can tell them apart.
+loanSchema.methods.applyWaiver = function({ component, emiNumber, amount, reason, approvedBy = 'system', waivedAt = new Date() }) {
+  const emi = this.repaymentSchedule.find(entry => entry.emiNumber === emiNumber);
+  if (!emi) {
+    throw new Error(`EMI ${emiNumber} not found`);
+  }
+
+  const due = getEMIDues(emi)[component];
+  if (amount > due) {
+    throw new Error(`Waiver of Rs. ${amount} exceeds the unpaid ${component} of Rs. ${due}`);
+  }
+
+  if (component === 'penalty') {
+    emi.paidPenalty = roundCurrency((emi.paidPenalty || 0) + amount);
+  } else {
+    emi.paidInterest = roundCurrency((emi.paidInterest || 0) + amount);
+  }
+
+  const left = getEMIDues(emi);
+  if (left.penalty + left.interest + left.principal <= 0) {
+    emi.status = 'paid';
+    emi.paidDate = waivedAt;
+  }
+
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 5);
+  const waiver = {
+    waiverId: `WVR${timestamp}${random}`.toUpperCase(),
+    component: component,
+    emiNumber: emiNumber,
+    amount: roundCurrency(amount),
+    reason: reason,
+    approvedBy: approvedBy,
+    waivedAt: waivedAt
+  };
+
+  this.waivers.push(waiver);
+  return waiver;
+};
+
 // Check if loan is eligible for closure
 loanSchema.methods.canBeClosed = function() {
   return this.repaymentSchedule.every(emi => emi.status === 'paid');
 };
 
-// Add status to history
+// Documents to verify before disbursal, from the product terms when available
+loanSchema.methods.getRequiredDocuments = function() {
+  const documents = this.productTerms && this.productTerms.requiredDocuments;
+  return documents && documents.length > 0 ? documents : REQUIRED_DISBURSAL_DOCUMENTS;
+};
+
+loanSchema.methods.isAgreementSigned = function() {
+  return !!(this.agreement && this.agreement.status === 'signed');
+};
+
+// Days after disbursal in which the borrower may cancel without penalty
+loanSchema.methods.getCoolingOffDays = function() {
+  return this.productTerms && this.productTerms.coolingOffDays != null
+    ? this.productTerms.coolingOffDays
+    : 3;
+};
+
+loanSchema.methods.getCoolingOffEndDate = function() {
+  if (!this.disbursalDate) {
+    return null;
+  }
+  return new Date(this.disbursalDate.getTime() + this.getCoolingOffDays() * 24 * 60 * 60 * 1000);
+};
+
+loanSchema.methods.isInCoolingOff = function(asOf = new Date()) {
+  const endDate = this.getCoolingOffEndDate();
+  return !!endDate && asOf <= endDate;
+};
+
+// Co-applicant or guarantor entry for a phone number
+loanSchema.methods.findCoApplicant = function(phoneNumber) {
+  return this.coApplicants.find(coApplicant => coApplicant.phoneNumber === phoneNumber);
+};
+
+loanSchema.methods.hasPendingConsents = function() {
+  return this.coApplicants.some(coApplicant => coApplicant.consent.status === 'pending');
+};
+
+// Co-applicants and guarantors who accepted liability for the loan
+loanSchema.methods.getLiableCoApplicants = function() {
+  return this.coApplicants.filter(coApplicant => coApplicant.consent.status === 'given');
+};
+
+// Check whether the loan may move to a status, including guards
+loanSchema.methods.canTransitionTo = function(status) {
+  try {
+    this.assertCanTransitionTo(status);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Throw a LoanStatusTransitionError if the loan may not move to a status
+loanSchema.methods.assertCanTransitionTo = function(status) {
+  const allowedTransitions = STATUS_TRANSITIONS[this.status] || [];
+
+  if (!allowedTransitions.includes(status)) {
+    throw new LoanStatusTransitionError(this.status, status, { allowedTransitions });
+  }
+
+  const guard = STATUS_GUARDS[status];
+  const blockedReason = guard && guard(this);
+  if (blockedReason) {
+    throw new LoanStatusTransitionError(this.status, status, { reason: blockedReason, allowedTransitions });
+  }
+};
+
+// Add status to history (the only supported way to change status)
 loanSchema.methods.addStatusHistory = function(status, reason, updatedBy = 'system') {
+  this.assertCanTransitionTo(status);
+
   this.statusHistory.push({
     status: status,
     timestamp: new Date(),
@@ -255,4 +1446,15 @@ loanSchema.methods.addStatusHistory = function(status, reason, updatedBy = 'syst
   this.status = status;
 };
 
+loanSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+loanSchema.statics.REQUIRED_DISBURSAL_DOCUMENTS = REQUIRED_DISBURSAL_DOCUMENTS;
+loanSchema.statics.CO_APPLICANT_ROLES = CO_APPLICANT_ROLES;
+loanSchema.statics.CO_APPLICANT_RELATIONSHIPS = CO_APPLICANT_RELATIONSHIPS;
+loanSchema.statics.MAX_CO_APPLICANTS = MAX_CO_APPLICANTS;
+loanSchema.statics.ASSET_CLASSES = ASSET_CLASSES;
+loanSchema.statics.RESTRUCTURE_MODES = RESTRUCTURE_MODES;
+loanSchema.statics.getAssetClass = getAssetClass;
+loanSchema.statics.roundCurrency = roundCurrency;
+loanSchema.statics.INSTALLMENTS_PER_YEAR = INSTALLMENTS_PER_YEAR;
+
 module.exports = mongoose.model('Loan', loanSchema);
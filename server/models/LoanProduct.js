@@ -0,0 +1,359 @@
+const mongoose = require('mongoose');
+
+const LOAN_PURPOSES = ['agriculture', 'business', 'education', 'medical', 'personal', 'emergency'];
+const OCCUPATIONS = ['farmer', 'shopkeeper', 'gig_worker', 'self_employed', 'daily_wage', 'other'];
+const DOCUMENT_TYPES = ['aadhaar', 'pan', 'income_proof', 'bank_statement', 'photo'];
+const REPAYMENT_FREQUENCIES = ['weekly', 'fortnightly', 'monthly', 'quarterly', 'bullet'];
+
+const loanProductSchema = new mongoose.Schema({
+  // Product Identification
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  nameHindi: String,
+  description: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  purposes: [{
+    type: String,
+    enum: LOAN_PURPOSES
+  }],
+
+  // Limits
+  amount: {
+    min: { type: Number, required: true, min: 1 },
+    max: { type: Number, required: true }
+  },
+  tenure: {
+    min: { type: Number, required: true, min: 1 },
+    max: { type: Number, required: true }
+  },
+  interestRate: {
+    min: { type: Number, required: true, min: 0 },
+    max: { type: Number, required: true }
+  },
+
+  // Pricing: the first band whose minScore the applicant meets sets the base rate
+  pricingGrid: [{
+    minScore: Number,
+    interestRate: Number
+  }],
+  pricingAdjustments: [{
+    type: {
+      type: String,
+      enum: ['amount_above', 'tenure_above']
+    },
+    threshold: Number,
+    rateDelta: Number
+  }],
+
+  // Fees and charges
+  fees: {
+    processingFeePercent: { type: Number, default: 0 },
+    foreclosureFeePercent: Number,
+    latePaymentPenaltyFlat: Number,
+    latePaymentPenaltyCap: Number,
+    bounceCharge: { type: Number, default: 0 }
+  },
+
+  // Eligibility and servicing
+  eligibleOccupations: [{
+    type: String,
+    enum: OCCUPATIONS
+  }],
+  repaymentFrequency: {
+    type: String,
+    enum: REPAYMENT_FREQUENCIES,
+    default: 'monthly'
+  },
+  // Months before the first installment; the interest for them is capitalized
+  moratoriumMonths: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  requiredDocuments: [{
+    type: String,
+    enum: DOCUMENT_TYPES
+  }],
+  coolingOffDays: {
+    type: Number,
+    default: 3
+  },
+
+  // Loan agreement wording per language; the standard agreement is used when none matches.
+  // Clauses may use {{placeholders}} filled from the accepted Key Fact Statement.
+  agreementTemplates: [{
+    _id: false,
+    language: {
+      type: String,
+      required: true
+    },
+    version: {
+      type: String,
+      required: true
+    },
+    title: String,
+    clauses: [String]
+  }],
+
+  // Display order in catalog and voice prompts
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+loanProductSchema.index({ isActive: 1, sortOrder: 1 });
+
+// Agreement template for a language, if the product defines its own
+loanProductSchema.methods.getAgreementTemplate = function(language) {
+  return this.agreementTemplates.find(template => template.language === language) || null;
+};
+
+// Base rate from the pricing grid, adjusted for amount and tenure, within the product band
+loanProductSchema.methods.getInterestRate = function(creditScore, amount, tenure) {
+  const grid = [...this.pricingGrid].sort((a, b) => b.minScore - a.minScore);
+  const band = grid.find(row => (creditScore || 0) >= row.minScore);
+  let rate = band ? band.interestRate : this.interestRate.max;
+
+  for (const adjustment of this.pricingAdjustments) {
+    if (adjustment.type === 'amount_above' && amount > adjustment.threshold) {
+      rate += adjustment.rateDelta;
+    }
+    if (adjustment.type === 'tenure_above' && tenure > adjustment.threshold) {
+      rate += adjustment.rateDelta;
+    }
+  }
+
+  return Math.min(Math.max(rate, this.interestRate.min), this.interestRate.max);
+};
+
+// Check an application against the product terms; returns a list of problems
+loanProductSchema.methods.validateApplication = function({ amount, tenure, purpose }, user) {
+  const errors = [];
+
+  if (!this.isActive) {
+    errors.push(`${this.name} is not available at the moment`);
+  }
+  if (amount < this.amount.min || amount > this.amount.max) {
+    errors.push(`"amount" must be between ${this.amount.min} and ${this.amount.max} for ${this.name}`);
+  }
+  if (!Number.isInteger(tenure) || tenure < this.tenure.min || tenure > this.tenure.max) {
+    errors.push(`"tenure" must be between ${this.tenure.min} and ${this.tenure.max} months for ${this.name}`);
+  } else if (this.repaymentFrequency !== 'bullet' && tenure <= this.moratoriumMonths) {
+    errors.push(`"tenure" must be longer than the ${this.moratoriumMonths} month moratorium for ${this.name}`);
+  } else if (this.repaymentFrequency === 'quarterly' && (tenure - this.moratoriumMonths) % 3 !== 0) {
+    errors.push(`"tenure" after the moratorium must be a multiple of 3 months for ${this.name}`);
+  }
+  if (!this.purposes.includes(purpose)) {
+    errors.push(`"purpose" must be one of [${this.purposes.join(', ')}] for ${this.name}`);
+  }
+  if (user && !this.isEligibleOccupation(user.occupation)) {
+    errors.push(`${this.name} is not available for occupation "${user.occupation || 'unknown'}"`);
+  }
+
+  return errors;
+};
+
+// Empty eligibleOccupations means the product is open to everyone
+loanProductSchema.methods.isEligibleOccupation = function(occupation) {
+  return this.eligibleOccupations.length === 0 || this.eligibleOccupations.includes(occupation);
+};
+
+// Terms copied onto a loan at application so later catalog edits don't change it
+loanProductSchema.methods.getLoanTerms = function() {
+  return {
+    name: this.name,
+    repaymentFrequency: this.repaymentFrequency,
+    moratoriumMonths: this.moratoriumMonths,
+    requiredDocuments: [...this.requiredDocuments],
+    coolingOffDays: this.coolingOffDays,
+    fees: {
+      processingFeePercent: this.fees.processingFeePercent,
+      foreclosureFeePercent: this.fees.foreclosureFeePercent,
+      latePaymentPenaltyFlat: this.fees.latePaymentPenaltyFlat,
+      latePaymentPenaltyCap: this.fees.latePaymentPenaltyCap,
+      bounceCharge: this.fees.bounceCharge
+    }
+  };
+};
+
+// Catalog summary for borrowers, eligibility and the assistant
+loanProductSchema.methods.getSummary = function() {
+  return {
+    code: this.code,
+    name: this.name,
+    nameHindi: this.nameHindi,
+    description: this.description,
+    purposes: this.purposes,
+    amount: { min: this.amount.min, max: this.amount.max },
+    tenure: { min: this.tenure.min, max: this.tenure.max },
+    interestRate: { min: this.interestRate.min, max: this.interestRate.max },
+    processingFeePercent: this.fees.processingFeePercent,
+    repaymentFrequency: this.repaymentFrequency,
+    moratoriumMonths: this.moratoriumMonths,
+    requiredDocuments: this.requiredDocuments,
+    eligibleOccupations: this.eligibleOccupations
+  };
+};
+
+// Active products in display order
+loanProductSchema.statics.getActiveProducts = function() {
+  return this.find({ isActive: true }).sort({ sortOrder: 1, name: 1 });
+};
+
+// Default product for a purpose when the client doesn't pick one
+loanProductSchema.statics.findDefaultForPurpose = function(purpose) {
+  return this.findOne({ isActive: true, purposes: purpose }).sort({ sortOrder: 1, name: 1 });
+};
+
+// Create the starter catalog on an empty database
+loanProductSchema.statics.seedDefaults = async function() {
+  const count = await this.countDocuments();
+  if (count > 0) {
+    return 0;
+  }
+
+  await this.insertMany(DEFAULT_PRODUCTS);
+  console.log(`Seeded ${DEFAULT_PRODUCTS.length} default loan products`);
+  return DEFAULT_PRODUCTS.length;
+};
+
+// Standard score-based pricing used by the starter catalog
+const STANDARD_PRICING_GRID = [
+  { minScore: 750, interestRate: 12.0 },
+  { minScore: 650, interestRate: 15.0 },
+  { minScore: 600, interestRate: 18.0 },
+  { minScore: 0, interestRate: 24.0 }
+];
+
+const DEFAULT_PRODUCTS = [
+  {
+    code: 'KISAN_CROP',
+    name: 'Kisan Crop Loan',
+    nameHindi: 'किसान फसल लोन',
+    description: 'Seeds, fertiliser and input costs, repaid in one go at harvest',
+    purposes: ['agriculture'],
+    amount: { min: 5000, max: 100000 },
+    tenure: { min: 3, max: 12 },
+    interestRate: { min: 8.0, max: 20.0 },
+    pricingGrid: [
+      { minScore: 750, interestRate: 10.0 },
+      { minScore: 650, interestRate: 13.0 },
+      { minScore: 600, interestRate: 16.0 },
+      { minScore: 0, interestRate: 20.0 }
+    ],
+    pricingAdjustments: [
+      { type: 'amount_above', threshold: 50000, rateDelta: 1.0 }
+    ],
+    fees: { processingFeePercent: 1.0, foreclosureFeePercent: 0, latePaymentPenaltyFlat: 100, latePaymentPenaltyCap: 300, bounceCharge: 250 },
+    eligibleOccupations: ['farmer'],
+    repaymentFrequency: 'bullet',
+    requiredDocuments: ['aadhaar', 'pan'],
+    coolingOffDays: 3,
+    sortOrder: 1
+  },
+  {
+    code: 'KISAN_SEASONAL',
+    name: 'Kisan Seasonal Loan',
+    nameHindi: 'किसान मौसमी लोन',
+    description: 'Equipment and livestock, with a grace period and quarterly installments after each harvest',
+    purposes: ['agriculture'],
+    amount: { min: 10000, max: 100000 },
+    tenure: { min: 9, max: 24 },
+    interestRate: { min: 8.0, max: 20.0 },
+    pricingGrid: [
+      { minScore: 750, interestRate: 11.0 },
+      { minScore: 650, interestRate: 14.0 },
+      { minScore: 600, interestRate: 17.0 },
+      { minScore: 0, interestRate: 20.0 }
+    ],
+    fees: { processingFeePercent: 1.0, foreclosureFeePercent: 0, latePaymentPenaltyFlat: 150, latePaymentPenaltyCap: 450, bounceCharge: 250 },
+    eligibleOccupations: ['farmer'],
+    repaymentFrequency: 'quarterly',
+    moratoriumMonths: 3,
+    requiredDocuments: ['aadhaar', 'pan'],
+    coolingOffDays: 3,
+    sortOrder: 2
+  },
+  {
+    code: 'DUKAAN_WC',
+    name: 'Dukaan Working Capital',
+    nameHindi: 'दुकान कार्यशील पूंजी लोन',
+    description: 'Stock and working capital for small shops, repaid weekly from daily sales',
+    purposes: ['business'],
+    amount: { min: 10000, max: 100000 },
+    tenure: { min: 6, max: 24 },
+    interestRate: { min: 12.0, max: 24.0 },
+    pricingGrid: STANDARD_PRICING_GRID,
+    pricingAdjustments: [
+      { type: 'amount_above', threshold: 50000, rateDelta: 1.0 },
+      { type: 'tenure_above', threshold: 18, rateDelta: 0.5 }
+    ],
+    fees: { processingFeePercent: 2.0, foreclosureFeePercent: 2.0, latePaymentPenaltyFlat: 50, latePaymentPenaltyCap: 200, bounceCharge: 350 },
+    eligibleOccupations: ['shopkeeper', 'self_employed', 'gig_worker'],
+    repaymentFrequency: 'weekly',
+    requiredDocuments: ['aadhaar', 'pan', 'bank_statement'],
+    coolingOffDays: 3,
+    sortOrder: 3
+  },
+  {
+    code: 'EMERGENCY_MED',
+    name: 'Emergency Medical',
+    nameHindi: 'आपातकालीन चिकित्सा लोन',
+    description: 'Quick small loan for hospital and medicine expenses',
+    purposes: ['medical', 'emergency'],
+    amount: { min: 5000, max: 25000 },
+    tenure: { min: 3, max: 12 },
+    interestRate: { min: 8.0, max: 18.0 },
+    pricingGrid: [
+      { minScore: 650, interestRate: 12.0 },
+      { minScore: 0, interestRate: 18.0 }
+    ],
+    fees: { processingFeePercent: 0, foreclosureFeePercent: 0, bounceCharge: 0 },
+    eligibleOccupations: [],
+    requiredDocuments: ['aadhaar', 'pan'],
+    coolingOffDays: 3,
+    sortOrder: 4
+  },
+  {
+    code: 'GENERAL',
+    name: 'Grameen Personal Loan',
+    nameHindi: 'ग्रामीण व्यक्तिगत लोन',
+    description: 'Education and other personal needs',
+    purposes: ['education', 'personal'],
+    amount: { min: 5000, max: 100000 },
+    tenure: { min: 3, max: 24 },
+    interestRate: { min: 8.0, max: 24.0 },
+    pricingGrid: STANDARD_PRICING_GRID,
+    pricingAdjustments: [
+      { type: 'amount_above', threshold: 50000, rateDelta: 1.0 },
+      { type: 'tenure_above', threshold: 18, rateDelta: 0.5 }
+    ],
+    fees: { processingFeePercent: 1.0, bounceCharge: 250 },
+    eligibleOccupations: [],
+    requiredDocuments: ['aadhaar', 'pan'],
+    coolingOffDays: 3,
+    sortOrder: 5
+  }
+];
+
+loanProductSchema.statics.LOAN_PURPOSES = LOAN_PURPOSES;
+loanProductSchema.statics.OCCUPATIONS = OCCUPATIONS;
+loanProductSchema.statics.DOCUMENT_TYPES = DOCUMENT_TYPES;
+loanProductSchema.statics.REPAYMENT_FREQUENCIES = REPAYMENT_FREQUENCIES;
+
+module.exports = mongoose.model('LoanProduct', loanProductSchema);
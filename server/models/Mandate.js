@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+const MANDATE_TYPES = ['nach', 'upi_autopay'];
+const MANDATE_FREQUENCIES = ['weekly', 'fortnightly', 'monthly', 'quarterly', 'as_presented'];
+
+// Mandate lifecycle. pending mandates are waiting for the bank/PSP to confirm registration.
+const MANDATE_TRANSITIONS = {
+  pending: ['active', 'rejected', 'revoked'],
+  active: ['paused', 'revoked'],
+  paused: ['active', 'revoked'],
+  revoked: [],
+  rejected: []
+};
+
+// Mandates that can still be presented now or later
+const LIVE_MANDATE_STATUSES = ['pending', 'active', 'paused'];
+
+const mandateSchema = new mongoose.Schema({
+  mandateId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true
+  },
+  loanId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Debit instrument
+  type: {
+    type: String,
+    enum: MANDATE_TYPES,
+    required: true
+  },
+  bankAccount: {
+    accountHolderName: String,
+    accountNumber: String, // Stored masked, only last 4 digits retained
+    ifscCode: String
+  },
+  upiVpa: String,
+
+  // Limits agreed by the borrower
+  maxAmount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  frequency: {
+    type: String,
+    enum: MANDATE_FREQUENCIES,
+    default: 'as_presented'
+  },
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  endDate: Date,
+
+  // Registration with the mandate provider
+  provider: String,
+  providerReference: String, // UMRN for NACH, mandate reference for UPI AutoPay
+  rejectionReason: String,
+
+  status: {
+    type: String,
+    enum: Object.keys(MANDATE_TRANSITIONS),
+    default: 'pending'
+  },
+  statusHistory: [{
+    status: String,
+    timestamp: Date,
+    reason: String,
+    updatedBy: String
+  }],
+  registeredBy: String
+}, {
+  timestamps: true
+});
+
+mandateSchema.index({ loan: 1, status: 1 });
+mandateSchema.index({ userId: 1 });
+mandateSchema.index({ status: 1 });
+
+// Generate unique mandate ID (before validation, since mandateId is required)
+mandateSchema.pre('validate', function(next) {
+  if (!this.mandateId) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    this.mandateId = `MDT${timestamp}${random}`.toUpperCase();
+  }
+  next();
+});
+
+mandateSchema.methods.canTransitionTo = function(status) {
+  return (MANDATE_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Change status with a history entry; throws on transitions the lifecycle doesn't allow
+mandateSchema.methods.addStatusHistory = function(status, reason, updatedBy = 'system') {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Mandate cannot move from '${this.status}' to '${status}'`);
+  }
+
+  this.statusHistory.push({
+    status: status,
+    timestamp: new Date(),
+    reason: reason,
+    updatedBy: updatedBy
+  });
+  this.status = status;
+};
+
+// Whether the mandate may be debited on a date
+mandateSchema.methods.isPresentableOn = function(date) {
+  return this.status === 'active' &&
+    this.startDate <= date &&
+    (!this.endDate || this.endDate >= date);
+};
+
+mandateSchema.statics.MANDATE_TYPES = MANDATE_TYPES;
+mandateSchema.statics.MANDATE_FREQUENCIES = MANDATE_FREQUENCIES;
+mandateSchema.statics.MANDATE_TRANSITIONS = MANDATE_TRANSITIONS;
+mandateSchema.statics.LIVE_MANDATE_STATUSES = LIVE_MANDATE_STATUSES;
+
+module.exports = mongoose.model('Mandate', mandateSchema);
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+// Payment collected through the payment gateway. An order is created for the amount owed,
+// the borrower pays it in their UPI app, and the gateway confirms capture by webhook.
+const paymentOrderSchema = new mongoose.Schema({
+  orderId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true
+  },
+  loanId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  emiNumber: Number,
+
+  // What the payment settles once captured. Foreclosures and cooling-off cancellations are
+  // paid against a quote; a prepayment carries the option chosen by the borrower.
+  purpose: {
+    type: String,
+    enum: ['emi', 'foreclosure', 'prepayment', 'cooling_off_cancellation'],
+    default: 'emi'
+  },
+  quoteId: String,
+  prepaymentOption: {
+    type: String,
+    enum: ['reduce_tenure', 'reduce_emi']
+  },
+  channel: {
+    type: String,
+    enum: ['app', 'voice'],
+    default: 'app'
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+
+  // Client supplied key; retrying a create with the same key returns the same order
+  idempotencyKey: String,
+
+  provider: String,
+  providerOrderId: String,
+  mode: {
+    type: String,
+    enum: ['intent', 'collect'],
+    default: 'intent'
+  },
+  payerVpa: String,
+  upiPayload: mongoose.Schema.Types.Mixed, // What the client needs to start the UPI payment
+  expiresAt: Date,
+
+  status: {
+    type: String,
+    enum: ['created', 'captured', 'failed', 'expired'],
+    default: 'created'
+  },
+  capture: {
+    providerPaymentId: String,
+    amount: Number,
+    method: String,
+    capturedAt: Date
+  },
+  failureReason: String,
+  paymentId: String, // Loan payment the capture was posted as
+  exception: String, // Captured but not posted in full, needs manual follow-up
+
+  // Webhook events already applied, so redelivered events are ignored
+  webhookEvents: [{
+    _id: false,
+    eventId: String,
+    type: { type: String },
+    receivedAt: Date
+  }],
+
+  reconciliation: {
+    status: {
+      type: String,
+      enum: ['pending', 'matched', 'mismatch'],
+      default: 'pending'
+    },
+    reportId: String,
+    reconciledAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+paymentOrderSchema.index({ providerOrderId: 1 });
+paymentOrderSchema.index({ 'capture.providerPaymentId': 1 });
+paymentOrderSchema.index({ loan: 1, createdAt: -1 });
+paymentOrderSchema.index(
+  { userId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+// Generate unique order ID (before validation, since orderId is required)
+paymentOrderSchema.pre('validate', function(next) {
+  if (!this.orderId) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    this.orderId = `ORD${timestamp}${random}`.toUpperCase();
+  }
+  next();
+});
+
+// A late capture is still accepted on an expired order: the borrower's money has moved
+paymentOrderSchema.methods.canBeCaptured = function() {
+  return ['created', 'expired'].includes(this.status);
+};
+
+paymentOrderSchema.methods.isExpired = function(asOf = new Date()) {
+  return this.status === 'created' && !!this.expiresAt && this.expiresAt < asOf;
+};
+
+module.exports = mongoose.model('PaymentOrder', paymentOrderSchema);
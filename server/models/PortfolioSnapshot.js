@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const DPD_BUCKETS = ['current', '1-30', '31-60', '61-90', '90+'];
+
+const sliceSchema = new mongoose.Schema({
+  key: String,
+  loanCount: Number,
+  outstandingPrincipal: Number,
+  accruedInterest: Number
+}, { _id: false });
+
+// State of the disbursed portfolio at the end of a month, kept for historical reporting
+const portfolioSnapshotSchema = new mongoose.Schema({
+  period: {
+    type: String, // YYYY-MM
+    unique: true,
+    required: true
+  },
+  snapshotDate: {
+    type: Date,
+    required: true
+  },
+  totals: {
+    loanCount: Number,
+    outstandingPrincipal: Number,
+    interestReceivable: Number, // Billed and unpaid
+    accruedInterest: Number,    // Earned since the last installment, not yet billed
+    chargesReceivable: Number,
+    overdueAmount: Number
+  },
+  dpdBuckets: [{
+    _id: false,
+    bucket: {
+      type: String,
+      enum: DPD_BUCKETS
+    },
+    loanCount: Number,
+    outstandingPrincipal: Number
+  }],
+  byProduct: [sliceSchema],
+  byState: [sliceSchema],
+  byOccupation: [sliceSchema],
+  generatedAt: Date,
+  generatedBy: String
+}, {
+  timestamps: true
+});
+
+portfolioSnapshotSchema.index({ snapshotDate: -1 });
+
+portfolioSnapshotSchema.statics.DPD_BUCKETS = DPD_BUCKETS;
+
+module.exports = mongoose.model('PortfolioSnapshot', portfolioSnapshotSchema);
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// A batch of mandate debits sent to the provider for one presentation date
+const presentationBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  provider: String,
+  presentationDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['submitted', 'partially_processed', 'processed'],
+    default: 'submitted'
+  },
+  submissionReference: String,
+
+  items: [{
+    _id: false,
+    presentationId: String,
+    mandate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Mandate'
+    },
+    mandateId: String,
+    loan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Loan'
+    },
+    loanId: String,
+    emiNumber: Number,
+    amount: Number,
+    status: {
+      type: String,
+      enum: ['pending', 'success', 'failed'],
+      default: 'pending'
+    },
+    returnCode: String,
+    returnReason: String,
+    paymentId: String,
+    bounceCharge: Number,
+    processedAt: Date
+  }],
+
+  // Totals, refreshed whenever a return file is processed
+  totalAmount: Number,
+  successCount: {
+    type: Number,
+    default: 0
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  },
+  collectedAmount: {
+    type: Number,
+    default: 0
+  },
+  generatedBy: String,
+  returnFiles: [{
+    _id: false,
+    receivedAt: Date,
+    processedBy: String,
+    rows: Number,
+    applied: Number,
+    skipped: Number
+  }]
+}, {
+  timestamps: true
+});
+
+presentationBatchSchema.index({ presentationDate: -1 });
+presentationBatchSchema.index({ 'items.loan': 1, 'items.emiNumber': 1 });
+
+// Generate unique batch ID (before validation, since batchId is required)
+presentationBatchSchema.pre('validate', function(next) {
+  if (!this.batchId) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    this.batchId = `PB${timestamp}${random}`.toUpperCase();
+  }
+  next();
+});
+
+// Recompute totals and status from the items
+presentationBatchSchema.methods.refreshTotals = function() {
+  const round = (value) => Math.round(value * 100) / 100;
+
+  this.totalAmount = round(this.items.reduce((sum, item) => sum + item.amount, 0));
+  this.successCount = this.items.filter(item => item.status === 'success').length;
+  this.failureCount = this.items.filter(item => item.status === 'failed').length;
+  this.collectedAmount = round(this.items
+    .filter(item => item.status === 'success')
+    .reduce((sum, item) => sum + item.amount, 0));
+
+  const pending = this.items.filter(item => item.status === 'pending').length;
+  if (pending === 0) {
+    this.status = 'processed';
+  } else if (pending < this.items.length) {
+    this.status = 'partially_processed';
+  }
+};
+
+module.exports = mongoose.model('PresentationBatch', presentationBatchSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const MISMATCH_TYPES = [
+  'unknown_payment',    // Settled by the gateway, no matching order
+  'not_captured',       // Settled, but the capture webhook never arrived
+  'duplicate_payment',  // A second payment settled against an already captured order
+  'amount_mismatch',    // Settled amount differs from the amount captured
+  'not_posted',         // Captured, but no matching payment on the loan
+  'missing_settlement'  // Captured, but absent from the settlement report
+];
+
+// Result of matching one day's gateway settlement report against captured orders
+const reconciliationReportSchema = new mongoose.Schema({
+  reportId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  provider: String,
+  settlementDate: {
+    type: Date,
+    required: true
+  },
+  settlementRows: Number,
+  settledAmount: Number,
+  matchedCount: Number,
+  matchedAmount: Number,
+  mismatches: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: MISMATCH_TYPES
+    },
+    orderId: String,
+    providerOrderId: String,
+    providerPaymentId: String,
+    loanId: String,
+    emiNumber: Number,
+    expectedAmount: Number,
+    actualAmount: Number,
+    description: String
+  }],
+  status: {
+    type: String,
+    enum: ['matched', 'mismatches_found'],
+    default: 'matched'
+  },
+  runBy: String
+}, {
+  timestamps: true
+});
+
+reconciliationReportSchema.index({ settlementDate: -1 });
+
+// Generate unique report ID (before validation, since reportId is required)
+reconciliationReportSchema.pre('validate', function(next) {
+  if (!this.reportId) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    this.reportId = `REC${timestamp}${random}`.toUpperCase();
+  }
+  next();
+});
+
+reconciliationReportSchema.statics.MISMATCH_TYPES = MISMATCH_TYPES;
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const Loan = require('./Loan');
+
+const CALAMITY_TYPES = ['drought', 'flood', 'cyclone', 'crop_failure', 'earthquake', 'pest_attack', 'other'];
+
+// A calamity declared for an area and period. Loans of borrowers in the area get a
+// moratorium or a longer tenure when the event is applied.
+const reliefEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  calamityType: {
+    type: String,
+    enum: CALAMITY_TYPES,
+    required: true
+  },
+  description: String,
+
+  // Affected area: a borrower qualifies if their district or pincode is listed
+  districts: [String],
+  pincodes: [String],
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+
+  reliefType: {
+    type: String,
+    enum: Loan.RESTRUCTURE_MODES,
+    required: true
+  },
+  reliefMonths: {
+    type: Number,
+    min: 1,
+    max: 24,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['declared', 'applying', 'applied'], // applying while loans are being restructured
+    default: 'declared'
+  },
+  applyingSince: Date, // when the request applying the event claimed it
+  declaredBy: String,
+  appliedAt: Date,
+  appliedBy: String,
+
+  // Outcome per loan once the event is applied
+  loans: [{
+    _id: false,
+    loan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Loan'
+    },
+    loanId: String,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    restructureId: String,
+    status: {
+      type: String,
+      enum: ['applied', 'skipped', 'failed']
+    },
+    reason: String,
+    processedAt: Date,
+    notified: {
+      sms: Boolean,
+      voice: Boolean
+    }
+  }],
+  summary: {
+    applied: Number,
+    skipped: Number,
+    failed: Number
+  }
+}, {
+  timestamps: true
+});
+
+reliefEventSchema.index({ status: 1, startDate: -1 });
+
+// Generate event ID
+reliefEventSchema.pre('validate', function(next) {
+  if (!this.eventId) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    this.eventId = `RLF${timestamp}${random}`.toUpperCase();
+  }
+  next();
+});
+
+reliefEventSchema.statics.CALAMITY_TYPES = CALAMITY_TYPES;
+
+module.exports = mongoose.model('ReliefEvent', reliefEventSchema);
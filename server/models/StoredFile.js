@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// What a stored file is for; KYC documents are encrypted at rest
+const FILE_CATEGORIES = ['kyc_document', 'profile_image', 'visit_photo'];
+
+// An uploaded file kept by a storage driver. The same content uploaded again for the
+// same owner and category reuses the stored object.
+const storedFileSchema = new mongoose.Schema({
+  fileId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  category: {
+    type: String,
+    enum: FILE_CATEGORIES,
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  uploadedBy: String,
+
+  driver: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  contentHash: {
+    type: String,
+    required: true
+  }, // SHA-256 of the original content
+  size: Number,
+  mimeType: String,
+  originalName: String,
+
+  encrypted: {
+    type: Boolean,
+    default: false
+  },
+  encryption: {
+    iv: String,
+    authTag: String
+  }
+}, {
+  timestamps: true
+});
+
+// One stored copy of any content per owner and category
+storedFileSchema.index({ owner: 1, category: 1, contentHash: 1 }, { unique: true });
+
+const generateFileId = () => {
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 5);
+  return `FIL${timestamp}${random}`.toUpperCase();
+};
+
+// Generate file ID
+storedFileSchema.pre('validate', function(next) {
+  if (!this.fileId) {
+    this.fileId = generateFileId();
+  }
+  next();
+});
+
+storedFileSchema.statics.FILE_CATEGORIES = FILE_CATEGORIES;
+storedFileSchema.statics.generateFileId = generateFileId;
+
+module.exports = mongoose.model('StoredFile', storedFileSchema);
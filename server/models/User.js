@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES, hasPermission, isStaffRole } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -62,6 +63,7 @@ const userSchema = new mongoose.Schema({
     type: Number,
     min: 0
   },
+  profileImage: String, // Stored file id
   
   // Digital Footprint Consent
   smsAnalysisConsent: {
@@ -88,6 +90,11 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'borrower'
+  },
   deviceId: String,
   lastLogin: Date,
   isActive: {
@@ -121,6 +128,18 @@ const userSchema = new mongoose.Schema({
     default: 0
   },
   
+  // Field agents: areas whose overdue loans are assigned to them for collection
+  collectionTerritory: {
+    pincodes: [String],
+    villages: [String]
+  },
+  
+  // Group lending membership (at most one active group)
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  },
+  
   // Risk Assessment
   riskCategory: {
     type: String,
@@ -140,6 +159,8 @@ userSchema.index({ phoneNumber: 1 });
 userSchema.index({ aadhaarNumber: 1 });
 userSchema.index({ panNumber: 1 });
 userSchema.index({ 'address.pincode': 1 });
+userSchema.index({ role: 1 });
+userSchema.index({ 'collectionTerritory.pincodes': 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -164,6 +185,16 @@ userSchema.methods.getDisplayName = function() {
   return this.name;
 };
 
+// Check if user's role grants a permission
+userSchema.methods.hasPermission = function(permission) {
+  return hasPermission(this.role, permission);
+};
+
+// Check if user is a back-office staff member
+userSchema.methods.isStaff = function() {
+  return isStaffRole(this.role);
+};
+
 // Check if user is eligible for loan
 userSchema.methods.isEligibleForLoan = function() {
   return this.aadhaarVerified && 
@@ -0,0 +1,720 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { maskSensitiveData } = require('../middleware/security');
+const { ROLES, PERMISSIONS, STAFF_ROLES } = require('../utils/permissions');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const LoanProduct = require('../models/LoanProduct');
+const { jobScheduler } = require('../services/schedulerService');
+const { getBorrowerBalances } = require('../services/ledgerService');
+const { generatePortfolioSnapshot, getPeriodEnd } = require('../services/accrualService');
+const { getPortfolioQuality } = require('../services/assetQualityService');
+const InterestAccrual = require('../models/InterestAccrual');
+const PortfolioSnapshot = require('../models/PortfolioSnapshot');
+const AuditEvent = require('../models/AuditEvent');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Validation schemas
+const roleUpdateSchema = Joi.object({
+  role: Joi.string().valid(...ROLES).required(),
+  reason: Joi.string().trim().max(500).optional()
+});
+
+const rangeSchema = (min = 0) => Joi.object({
+  min: Joi.number().min(min).required(),
+  max: Joi.number().min(Joi.ref('min')).required()
+});
+
+// Jobs make permanent changes as of asOf (penalties, debits, accruals), so never a future date
+const jobRunSchema = Joi.object({
+  asOf: Joi.date().max('now').optional()
+});
+
+const productSchema = Joi.object({
+  code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_]{2,32}$/).required(),
+  name: Joi.string().trim().max(100).required(),
+  nameHindi: Joi.string().trim().max(100).optional(),
+  description: Joi.string().trim().max(500).optional(),
+  isActive: Joi.boolean().default(true),
+  purposes: Joi.array().items(Joi.string().valid(...LoanProduct.LOAN_PURPOSES)).min(1).required(),
+  amount: rangeSchema(1).required(),
+  tenure: Joi.object({
+    min: Joi.number().integer().min(1).required(),
+    max: Joi.number().integer().min(Joi.ref('min')).required()
+  }).required(),
+  interestRate: rangeSchema(0).required(),
+  pricingGrid: Joi.array().items(Joi.object({
+    minScore: Joi.number().min(0).max(1000).required(),
+    interestRate: Joi.number().min(0).required()
+  })).min(1).required(),
+  pricingAdjustments: Joi.array().items(Joi.object({
+    type: Joi.string().valid('amount_above', 'tenure_above').required(),
+    threshold: Joi.number().min(0).required(),
+    rateDelta: Joi.number().required()
+  })).default([]),
+  fees: Joi.object({
+    processingFeePercent: Joi.number().min(0).max(100).default(0),
+    foreclosureFeePercent: Joi.number().min(0).max(100).optional(),
+    latePaymentPenaltyFlat: Joi.number().min(0).optional(),
+    latePaymentPenaltyCap: Joi.number().min(0).optional(),
+    bounceCharge: Joi.number().min(0).default(0)
+  }).default({}),
+  eligibleOccupations: Joi.array().items(Joi.string().valid(...LoanProduct.OCCUPATIONS)).default([]),
+  repaymentFrequency: Joi.string().valid(...LoanProduct.REPAYMENT_FREQUENCIES).default('monthly'),
+  moratoriumMonths: Joi.number().integer().min(0).max(12).default(0),
+  requiredDocuments: Joi.array().items(Joi.string().valid(...LoanProduct.DOCUMENT_TYPES)).min(1).required(),
+  coolingOffDays: Joi.number().integer().min(0).max(30).default(3),
+  agreementTemplates: Joi.array().items(Joi.object({
+    language: Joi.string().valid('hindi', 'english', 'tamil', 'telugu', 'bengali', 'marathi', 'gujarati').required(),
+    version: Joi.string().trim().max(20).required(),
+    title: Joi.string().trim().max(200).optional(),
+    clauses: Joi.array().items(Joi.string().trim().max(2000)).min(1).required()
+  })).unique('language').default([]),
+  sortOrder: Joi.number().integer().default(0)
+});
+
+// Updates replace the whole product definition except its code
+const productUpdateSchema = productSchema.fork(['code'], schema => schema.forbidden());
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// List users (staff directory or borrower lookup)
+router.get('/users', requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
+  try {
+    const { role, staffOnly, phoneNumber, limit = 20, page = 1 } = req.query;
+
+    const query = {};
+    if (role) {
+      query.role = role;
+    } else if (staffOnly === 'true') {
+      query.role = { $in: STAFF_ROLES };
+    }
+    if (phoneNumber) {
+      query.phoneNumber = phoneNumber;
+    }
+
+    const users = await User.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .select('name phoneNumber role address occupation isActive lastLogin createdAt');
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map(user => maskSensitiveData(user.toObject())),
+        pagination: {
+          total: total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin user list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Amounts a borrower owes across their loans, from the ledger
+router.get('/users/:userId/balances', requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('name phoneNumber');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid asOf date'
+      });
+    }
+
+    const balances = await getBorrowerBalances(user._id, asOf);
+
+    res.json({
+      success: true,
+      data: {
+        name: user.name,
+        ...balances
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin borrower balances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch borrower balances',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Assign a role to a user
+router.put('/users/:userId/role', requirePermission(PERMISSIONS.USERS_MANAGE_ROLES), async (req, res) => {
+  try {
+    const { error, value } = roleUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { userId } = req.params;
+    const { role, reason } = value;
+
+    // Prevent admins from locking themselves out
+    if (userId === req.user.userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await AuditEvent.create({
+      action: 'user.role_changed',
+      actor: req.user.userId.toString(),
+      targetType: 'user',
+      targetId: user._id.toString(),
+      reason: reason,
+      details: { previousRole: previousRole, role: role }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully. The user must log in again.',
+      data: {
+        userId: user._id,
+        previousRole: previousRole,
+        role: user.role
+      }
+    });
+
+  } catch (error) {
+    console.error('Role update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get audit trail of a loan
+router.get('/loans/:loanId/audit', requirePermission(PERMISSIONS.AUDIT_READ), async (req, res) => {
+  try {
+    const loan = await Loan.findOne({ loanId: req.params.loanId })
+      .select('loanId userId status statusHistory review disbursement approvalReason rejectionReason applicationDate approvalDate disbursalDate daysPastDue assetClassification npaDate assetClassificationHistory');
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        loanId: loan.loanId,
+        userId: loan.userId,
+        status: loan.status,
+        applicationDate: loan.applicationDate,
+        approvalDate: loan.approvalDate,
+        disbursalDate: loan.disbursalDate,
+        approvalReason: loan.approvalReason,
+        rejectionReason: loan.rejectionReason,
+        review: loan.review,
+        disbursement: loan.disbursement,
+        statusHistory: loan.statusHistory,
+        daysPastDue: loan.daysPastDue,
+        assetClassification: loan.assetClassification,
+        npaDate: loan.npaDate,
+        assetClassificationHistory: loan.assetClassificationHistory
+      }
+    });
+
+  } catch (error) {
+    console.error('Loan audit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch loan audit trail',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get status changes across all loans (for audit review)
+router.get('/audit/status-changes', requirePermission(PERMISSIONS.AUDIT_READ), async (req, res) => {
+  try {
+    const { from, to, updatedBy, status, limit = 50, page = 1 } = req.query;
+
+    const match = {};
+    if (from || to) {
+      match['statusHistory.timestamp'] = {};
+      if (from) match['statusHistory.timestamp'].$gte = new Date(from);
+      if (to) match['statusHistory.timestamp'].$lte = new Date(to);
+    }
+    if (updatedBy) match['statusHistory.updatedBy'] = updatedBy;
+    if (status) match['statusHistory.status'] = status;
+
+    const changes = await Loan.aggregate([
+      { $unwind: '$statusHistory' },
+      { $match: match },
+      { $sort: { 'statusHistory.timestamp': -1 } },
+      { $skip: (parseInt(page) - 1) * parseInt(limit) },
+      { $limit: parseInt(limit) },
+      {
+        $project: {
+          _id: 0,
+          loanId: 1,
+          userId: 1,
+          status: '$statusHistory.status',
+          timestamp: '$statusHistory.timestamp',
+          reason: '$statusHistory.reason',
+          updatedBy: '$statusHistory.updatedBy'
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        changes: changes,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Audit status changes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch status changes',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Privileged back-office actions: role changes, product changes, snapshots and manual job runs
+router.get('/audit/events', requirePermission(PERMISSIONS.AUDIT_READ), async (req, res) => {
+  try {
+    const { action, actor, targetType, targetId, from, to, limit = 50, page = 1 } = req.query;
+
+    const query = {};
+    if (action) query.action = action;
+    if (actor) query.actor = actor;
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const events = await AuditEvent.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await AuditEvent.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        events: events,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Audit events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit events',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Asset quality of the live portfolio: SMA/NPA counts, PAR30, PAR90 and NPA ratios,
+// in total and by district, product and loan officer
+router.get('/portfolio/quality', requirePermission(PERMISSIONS.REPORTS_READ), async (req, res) => {
+  try {
+    const quality = await getPortfolioQuality();
+
+    res.json({
+      success: true,
+      data: quality
+    });
+
+  } catch (error) {
+    console.error('Portfolio quality error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch portfolio quality',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Month-end portfolio snapshots, newest first (optionally within a YYYY-MM range)
+router.get('/portfolio/snapshots', requirePermission(PERMISSIONS.REPORTS_READ), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && !PERIOD_PATTERN.test(from)) || (to && !PERIOD_PATTERN.test(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Periods must be in YYYY-MM format'
+      });
+    }
+
+    const query = {};
+    if (from || to) {
+      query.period = {};
+      if (from) query.period.$gte = from;
+      if (to) query.period.$lte = to;
+    }
+
+    const snapshots = await PortfolioSnapshot.find(query)
+      .select('period snapshotDate totals dpdBuckets generatedAt')
+      .sort({ period: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        snapshots: snapshots
+      }
+    });
+
+  } catch (error) {
+    console.error('Portfolio snapshots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch portfolio snapshots',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Full portfolio snapshot for one month, including the product, state and occupation breakdowns
+router.get('/portfolio/snapshots/:period', requirePermission(PERMISSIONS.REPORTS_READ), async (req, res) => {
+  try {
+    const snapshot = await PortfolioSnapshot.findOne({ period: req.params.period });
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Snapshot not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: snapshot
+    });
+
+  } catch (error) {
+    console.error('Portfolio snapshot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch portfolio snapshot',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Rebuild the snapshot for a past month from the ledger and accrual records
+router.post('/portfolio/snapshots/:period', requirePermission(PERMISSIONS.JOBS_RUN), async (req, res) => {
+  try {
+    const { period } = req.params;
+    if (!PERIOD_PATTERN.test(period)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Period must be in YYYY-MM format'
+      });
+    }
+
+    const periodEnd = getPeriodEnd(period);
+    if (periodEnd >= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Snapshots can only be generated for months that have ended'
+      });
+    }
+
+    const snapshot = await generatePortfolioSnapshot(periodEnd, req.user.userId);
+
+    await AuditEvent.create({
+      action: 'snapshot.generated',
+      actor: req.user.userId.toString(),
+      targetType: 'snapshot',
+      targetId: period
+    });
+
+    res.json({
+      success: true,
+      message: 'Snapshot generated',
+      data: snapshot
+    });
+
+  } catch (error) {
+    console.error('Generate portfolio snapshot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate portfolio snapshot',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Daily interest accrual records of a loan
+router.get('/loans/:loanId/accruals', requirePermission(PERMISSIONS.REPORTS_READ), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const query = { loanId: req.params.loanId };
+    if (from || to) {
+      query.accrualDate = {};
+      if (from) query.accrualDate.$gte = new Date(from);
+      if (to) query.accrualDate.$lte = new Date(to);
+    }
+
+    const accruals = await InterestAccrual.find(query)
+      .select('accrualDate principal interestRate amount periodStart periodAccrued')
+      .sort({ accrualDate: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        loanId: req.params.loanId,
+        accruals: accruals,
+        totalAccrued: Loan.roundCurrency(accruals.reduce((sum, accrual) => sum + accrual.amount, 0))
+      }
+    });
+
+  } catch (error) {
+    console.error('Loan accruals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch interest accruals',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// List all loan products, including inactive ones
+router.get('/products', requirePermission(PERMISSIONS.PRODUCTS_MANAGE), async (req, res) => {
+  try {
+    const products = await LoanProduct.find().sort({ sortOrder: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        products: products
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin product list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch loan products',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Create a loan product
+router.post('/products', requirePermission(PERMISSIONS.PRODUCTS_MANAGE), async (req, res) => {
+  try {
+    const { error, value } = productSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const existing = await LoanProduct.findOne({ code: value.code });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'A product with this code already exists'
+      });
+    }
+
+    const product = new LoanProduct(value);
+    await product.save();
+
+    await AuditEvent.create({
+      action: 'product.created',
+      actor: req.user.userId.toString(),
+      targetType: 'product',
+      targetId: product.code
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Loan product created successfully',
+      data: {
+        product: product
+      }
+    });
+
+  } catch (error) {
+    console.error('Product creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create loan product',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Update a loan product (existing loans keep the terms they were issued with)
+router.put('/products/:code', requirePermission(PERMISSIONS.PRODUCTS_MANAGE), async (req, res) => {
+  try {
+    const { error, value } = productUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const product = await LoanProduct.findOne({ code: req.params.code.toUpperCase() });
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan product not found'
+      });
+    }
+
+    product.set(value);
+    await product.save();
+
+    await AuditEvent.create({
+      action: 'product.updated',
+      actor: req.user.userId.toString(),
+      targetType: 'product',
+      targetId: product.code,
+      details: { fields: Object.keys(value) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Loan product updated successfully',
+      data: {
+        product: product
+      }
+    });
+
+  } catch (error) {
+    console.error('Product update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update loan product',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// List scheduled jobs and their last run
+router.get('/jobs', requirePermission(PERMISSIONS.JOBS_RUN), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      jobs: jobScheduler.getStatus()
+    }
+  });
+});
+
+// Trigger a scheduled job immediately (optionally as of a past date)
+router.post('/jobs/:jobName/run', requirePermission(PERMISSIONS.JOBS_RUN), async (req, res) => {
+  try {
+    const { error, value } = jobRunSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { jobName } = req.params;
+    const asOf = value.asOf || new Date();
+
+    if (!jobScheduler.jobs.has(jobName)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const result = await jobScheduler.runJob(jobName, asOf);
+
+    await AuditEvent.create({
+      action: 'job.run',
+      actor: req.user.userId.toString(),
+      targetType: 'job',
+      targetId: jobName,
+      details: { asOf: asOf, skipped: !!(result && result.skipped) }
+    });
+
+    res.json({
+      success: true,
+      message: result && result.skipped ? 'Job is already running' : 'Job completed',
+      data: {
+        jobName: jobName,
+        asOf: asOf,
+        result: result
+      }
+    });
+
+  } catch (error) {
+    console.error('Manual job run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run job',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -226,15 +226,22 @@ router.post('/verify-otp', async (req, res) => {
       });
     }
 
-    // Generate JWT token
+    // Generate JWT token (staff tokens carry their role and expire sooner)
+    const isStaff = user.isStaff();
     const token = jwt.sign(
       {
         userId: user._id,
         phoneNumber: user.phoneNumber,
-        preferredLanguage: user.preferredLanguage
+        preferredLanguage: user.preferredLanguage,
+        role: user.role,
+        scope: isStaff ? 'staff' : 'borrower'
       },
       process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+      {
+        expiresIn: isStaff
+          ? process.env.STAFF_JWT_EXPIRES_IN || '12h'
+          : process.env.JWT_EXPIRES_IN || '7d'
+      }
     );
 
     // Update last login
@@ -251,6 +258,7 @@ router.post('/verify-otp', async (req, res) => {
           phoneNumber: user.phoneNumber,
           name: user.name,
           preferredLanguage: user.preferredLanguage,
+          role: user.role,
           aadhaarVerified: user.aadhaarVerified,
           panVerified: user.panVerified,
           creditScore: user.creditScore,
@@ -0,0 +1,626 @@
+const express = require('express');
+const multer = require('multer');
+const Joi = require('joi');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { LoanStatusTransitionError } = require('../utils/errors');
+const CollectionCase = require('../models/CollectionCase');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const {
+  assignCase,
+  assignTerritoryCases,
+  findCashCollection,
+  recordCashCollection,
+  getRouteList
+} = require('../services/collectionService');
+const { getLoanBalances } = require('../services/ledgerService');
+const { buildReceipt, renderReceiptSms } = require('../services/statementService');
+const { sendAccountSummarySMS } = require('../services/smsService');
+const { storeFile } = require('../services/storageService');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Visit photos are kept in memory until stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/jpg'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JPEG and PNG photos are allowed'));
+    }
+  }
+});
+
+// How far ahead a borrower can promise to pay
+const MAX_PROMISE_DAYS = 30;
+
+// Validation schemas
+const objectId = Joi.string().hex().length(24);
+
+const locationFields = {
+  latitude: Joi.number().min(-90).max(90).required(),
+  longitude: Joi.number().min(-180).max(180).required(),
+  accuracy: Joi.number().min(0).optional()
+};
+
+const visitSchema = Joi.object({
+  outcome: Joi.string().valid(...CollectionCase.VISIT_OUTCOMES).required(),
+  reason: Joi.when('outcome', {
+    is: 'met',
+    then: Joi.string().valid(...CollectionCase.VISIT_REASONS.met).required(),
+    otherwise: Joi.string().valid(...CollectionCase.VISIT_REASONS.not_met).required()
+  }),
+  notes: Joi.string().max(500).optional(),
+  visitedAt: Joi.date().max('now').default(() => new Date()),
+  ...locationFields,
+  promisedDate: Joi.when('outcome', {
+    is: 'met',
+    then: Joi.date().optional(),
+    otherwise: Joi.forbidden()
+  }),
+  promisedAmount: Joi.when('promisedDate', {
+    is: Joi.exist(),
+    then: Joi.number().positive().required(),
+    otherwise: Joi.forbidden()
+  })
+});
+
+const promiseSchema = Joi.object({
+  promisedDate: Joi.date().required(),
+  amount: Joi.number().positive().required()
+});
+
+const cashCollectionSchema = Joi.object({
+  amount: Joi.number().positive().required(),
+  receiptBookNumber: Joi.string().trim().max(30).optional(),
+  ...locationFields
+});
+
+const assignSchema = Joi.object({
+  agentId: objectId.required()
+});
+
+const territorySchema = Joi.object({
+  pincodes: Joi.array().items(Joi.string().pattern(/^\d{6}$/)).unique().default([]),
+  villages: Joi.array().items(Joi.string().trim().max(100)).unique().default([]),
+  reassign: Joi.boolean().default(false)
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map(detail => detail.message)
+});
+
+// A promise must fall between today and MAX_PROMISE_DAYS from now
+const checkPromiseDate = (promisedDate) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const latest = new Date(today.getTime() + (MAX_PROMISE_DAYS + 1) * 24 * 60 * 60 * 1000);
+
+  if (promisedDate < today || promisedDate >= latest) {
+    return `Promised date must be within the next ${MAX_PROMISE_DAYS} days`;
+  }
+  return null;
+};
+
+// Managers can open any case; agents only the ones assigned to them
+const caseQuery = (req, caseId) => {
+  if (req.user.permissions.includes(PERMISSIONS.COLLECTIONS_MANAGE)) {
+    return { caseId: caseId };
+  }
+  return { caseId: caseId, assignedTo: req.user.userId };
+};
+
+const findOpenCase = async (req, res) => {
+  const collectionCase = await CollectionCase.findOne(caseQuery(req, req.params.caseId));
+  if (!collectionCase) {
+    res.status(404).json({
+      success: false,
+      message: 'Collection case not found'
+    });
+    return null;
+  }
+  if (collectionCase.status !== 'open') {
+    res.status(400).json({
+      success: false,
+      message: 'Collection case is already resolved'
+    });
+    return null;
+  }
+  return collectionCase;
+};
+
+const findFieldAgent = (agentId) => User.findOne({ _id: agentId, role: 'field_agent', isActive: true }).select('name collectionTerritory');
+
+// Record a promise on a case, replacing any earlier promise still pending
+const addPromise = (collectionCase, { promisedDate, amount, visitId, recordedBy }) => {
+  const pending = collectionCase.getPendingPromise();
+  if (pending) {
+    pending.status = 'cancelled';
+    pending.resolvedAt = new Date();
+  }
+
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 5);
+  const promise = {
+    promiseId: `PTP${timestamp}${random}`.toUpperCase(),
+    promisedDate: promisedDate,
+    amount: amount,
+    visitId: visitId,
+    recordedBy: recordedBy,
+    createdAt: new Date(),
+    status: 'pending'
+  };
+
+  collectionCase.promises.push(promise);
+  return promise;
+};
+
+// Field agent's route list for a day
+router.get('/route', requirePermission(PERMISSIONS.COLLECTIONS_VISIT), async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+
+    const route = await getRouteList(req.user.userId, date);
+
+    res.json({
+      success: true,
+      data: route
+    });
+
+  } catch (error) {
+    console.error('Collection route error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch route list',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// List collection cases (supervisors)
+router.get('/cases', requirePermission(PERMISSIONS.COLLECTIONS_MANAGE), async (req, res) => {
+  try {
+    const { status = 'open', assignedTo, pincode, district, escalationLevel, unassigned, limit = 50, page = 1 } = req.query;
+
+    const query = { status: status };
+    if (assignedTo) query.assignedTo = assignedTo;
+    if (unassigned === 'true') query.assignedTo = { $exists: false };
+    if (pincode) query.pincode = pincode;
+    if (district) query.district = district;
+    if (escalationLevel) query.escalationLevel = escalationLevel;
+
+    const cases = await CollectionCase.find(query)
+      .select('caseId loanId pincode village district status openedAt daysPastDueAtOpen assignedTo lastVisitAt totalCollected escalationLevel promises')
+      .populate('assignedTo', 'name phoneNumber')
+      .sort({ openedAt: 1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await CollectionCase.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        cases: cases,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('List collection cases error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch collection cases',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get a collection case with its visits, promises and collections
+router.get('/cases/:caseId', requirePermission(PERMISSIONS.COLLECTIONS_VISIT), async (req, res) => {
+  try {
+    const collectionCase = await CollectionCase.findOne(caseQuery(req, req.params.caseId))
+      .populate('userId', 'name phoneNumber address preferredLanguage')
+      .populate('assignedTo', 'name phoneNumber');
+
+    if (!collectionCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection case not found'
+      });
+    }
+
+    const loan = await Loan.findById(collectionCase.loan);
+
+    res.json({
+      success: true,
+      data: {
+        case: collectionCase,
+        loan: loan && {
+          loanId: loan.loanId,
+          status: loan.status,
+          daysPastDue: loan.getDaysPastDue(),
+          overdueAmount: loan.getOverdueAmount(),
+          overdueEMIs: loan.getOverdueEMIs().map(emi => ({
+            emiNumber: emi.emiNumber,
+            dueDate: emi.dueDate,
+            amount: emi.amount,
+            status: emi.status
+          }))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get collection case error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch collection case',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Assign a case to a field agent
+router.post('/cases/:caseId/assign', requirePermission(PERMISSIONS.COLLECTIONS_MANAGE), async (req, res) => {
+  try {
+    const { error, value } = assignSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const collectionCase = await findOpenCase(req, res);
+    if (!collectionCase) return;
+
+    const agent = await findFieldAgent(value.agentId);
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Field agent not found'
+      });
+    }
+
+    assignCase(collectionCase, agent._id, req.user.userId.toString());
+    await collectionCase.save();
+
+    res.json({
+      success: true,
+      message: 'Case assigned',
+      data: {
+        caseId: collectionCase.caseId,
+        assignedTo: { _id: agent._id, name: agent.name },
+        assignedAt: collectionCase.assignedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Assign collection case error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign case',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Set the pincodes and villages a field agent covers, and assign the open cases there
+router.put('/agents/:agentId/territory', requirePermission(PERMISSIONS.COLLECTIONS_MANAGE), async (req, res) => {
+  try {
+    const { error, value } = territorySchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const agent = await findFieldAgent(req.params.agentId);
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Field agent not found'
+      });
+    }
+
+    agent.collectionTerritory = { pincodes: value.pincodes, villages: value.villages };
+    await agent.save();
+
+    const assigned = await assignTerritoryCases(agent, agent.collectionTerritory, {
+      reassign: value.reassign,
+      assignedBy: req.user.userId.toString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Territory updated',
+      data: {
+        agentId: agent._id,
+        name: agent.name,
+        territory: agent.collectionTerritory,
+        casesAssigned: assigned
+      }
+    });
+
+  } catch (error) {
+    console.error('Update territory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update territory',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Log a field visit, with GPS location, an optional photo and an optional promise to pay
+router.post('/cases/:caseId/visits', requirePermission(PERMISSIONS.COLLECTIONS_VISIT), upload.single('photo'), async (req, res) => {
+  try {
+    const { error, value } = visitSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const promiseDateError = value.promisedDate && checkPromiseDate(value.promisedDate);
+    if (promiseDateError) {
+      return res.status(400).json({
+        success: false,
+        message: promiseDateError
+      });
+    }
+
+    const collectionCase = await findOpenCase(req, res);
+    if (!collectionCase) return;
+
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    const visit = {
+      visitId: `VST${timestamp}${random}`.toUpperCase(),
+      visitedAt: value.visitedAt,
+      agent: req.user.userId,
+      outcome: value.outcome,
+      reason: value.reason,
+      notes: value.notes,
+      location: {
+        latitude: value.latitude,
+        longitude: value.longitude,
+        accuracy: value.accuracy
+      }
+    };
+
+    if (req.file) {
+      const { file } = await storeFile(req.file.buffer, {
+        category: 'visit_photo',
+        owner: req.user.userId,
+        uploadedBy: req.user.userId.toString(),
+        mimeType: req.file.mimetype,
+        originalName: req.file.originalname
+      });
+      visit.photo = {
+        filename: `${collectionCase.caseId}_${visit.visitId}.${req.file.originalname.split('.').pop()}`,
+        fileId: file.fileId,
+        uploadDate: new Date()
+      };
+    }
+
+    collectionCase.visits.push(visit);
+    collectionCase.lastVisitAt = value.visitedAt;
+
+    let promise = null;
+    if (value.promisedDate) {
+      promise = addPromise(collectionCase, {
+        promisedDate: value.promisedDate,
+        amount: value.promisedAmount,
+        visitId: visit.visitId,
+        recordedBy: req.user.userId.toString()
+      });
+    }
+
+    await collectionCase.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Visit recorded',
+      data: {
+        caseId: collectionCase.caseId,
+        visit: visit,
+        promise: promise
+      }
+    });
+
+  } catch (error) {
+    console.error('Record visit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record visit',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Record a promise to pay made outside a visit (e.g. over the phone)
+router.post('/cases/:caseId/promises', requirePermission(PERMISSIONS.COLLECTIONS_VISIT), async (req, res) => {
+  try {
+    const { error, value } = promiseSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const promiseDateError = checkPromiseDate(value.promisedDate);
+    if (promiseDateError) {
+      return res.status(400).json({
+        success: false,
+        message: promiseDateError
+      });
+    }
+
+    const collectionCase = await findOpenCase(req, res);
+    if (!collectionCase) return;
+
+    const promise = addPromise(collectionCase, {
+      promisedDate: value.promisedDate,
+      amount: value.amount,
+      recordedBy: req.user.userId.toString()
+    });
+
+    await collectionCase.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Promise to pay recorded',
+      data: {
+        caseId: collectionCase.caseId,
+        promise: promise
+      }
+    });
+
+  } catch (error) {
+    console.error('Record promise error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record promise to pay',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Record cash collected from the borrower; the receipt is sent to them by SMS. A request
+// repeated with the same receiptBookNumber or Idempotency-Key returns the first receipt.
+router.post('/cases/:caseId/collections', requirePermission(PERMISSIONS.COLLECTIONS_VISIT), async (req, res) => {
+  try {
+    const { error, value } = cashCollectionSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey && idempotencyKey.length > 64) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency-Key must be at most 64 characters'
+      });
+    }
+
+    const collectionCase = await CollectionCase.findOne(caseQuery(req, req.params.caseId));
+    if (!collectionCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection case not found'
+      });
+    }
+
+    const loan = await Loan.findById(collectionCase.loan);
+
+    // Checked before the case status, as the first request may have resolved the case
+    const recorded = loan && findCashCollection(collectionCase, loan, {
+      receiptBookNumber: value.receiptBookNumber,
+      idempotencyKey: idempotencyKey
+    });
+    if (recorded) {
+      const borrower = await User.findById(loan.userId).select('name phoneNumber preferredLanguage');
+      return res.json({
+        success: true,
+        message: 'Cash collection already recorded',
+        data: {
+          caseId: collectionCase.caseId,
+          caseStatus: collectionCase.status,
+          receipt: buildReceipt(loan, recorded, borrower),
+          loanStatus: loan.status,
+          totalOutstanding: (await getLoanBalances(loan)).totalOutstanding
+        }
+      });
+    }
+
+    if (collectionCase.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Collection case is already resolved'
+      });
+    }
+
+    if (!loan || loan.status !== 'disbursed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Loan is not active',
+        currentStatus: loan && loan.status
+      });
+    }
+
+    const { totalOutstanding } = await getLoanBalances(loan);
+    if (value.amount > totalOutstanding) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount exceeds total outstanding of Rs. ${totalOutstanding}`
+      });
+    }
+
+    const payment = await recordCashCollection(collectionCase, loan, {
+      amount: value.amount,
+      receiptBookNumber: value.receiptBookNumber,
+      idempotencyKey: idempotencyKey,
+      location: {
+        latitude: value.latitude,
+        longitude: value.longitude,
+        accuracy: value.accuracy
+      },
+      collectedBy: req.user.userId
+    });
+
+    await collectionCase.save();
+
+    // The borrower gets the system receipt for the cash they handed over
+    const borrower = await User.findById(loan.userId).select('name phoneNumber preferredLanguage');
+    const receipt = buildReceipt(loan, payment, borrower);
+    try {
+      await sendAccountSummarySMS(borrower.phoneNumber, renderReceiptSms(receipt));
+    } catch (smsError) {
+      console.error(`Receipt SMS failed for ${payment.receiptNumber}:`, smsError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Cash collection recorded',
+      data: {
+        caseId: collectionCase.caseId,
+        caseStatus: collectionCase.status,
+        receipt: receipt,
+        loanStatus: loan.status,
+        totalOutstanding: (await getLoanBalances(loan)).totalOutstanding
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof LoanStatusTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The loan changed while the collection was being recorded, please try again'
+      });
+    }
+    console.error('Record cash collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record cash collection',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@ const { authenticateToken, requireVerifiedIdentity } = require('../middleware/au
 const { calculateAlternativeCreditScore } = require('../services/creditScoringService');
 const CreditAnalysis = require('../models/CreditAnalysis');
 const User = require('../models/User');
+const { PERMISSIONS } = require('../utils/permissions');
 
 const router = express.Router();
 
@@ -273,8 +274,8 @@ router.get('/report/:userId?', authenticateToken, async (req, res) => {
   try {
     const userId = req.params.userId || req.user.userId;
     
-    // Only allow users to access their own reports (admin access can be added later)
-    if (userId !== req.user.userId) {
+    // Borrowers can only access their own reports; staff need explicit permission
+    if (userId !== req.user.userId && !req.user.permissions.includes(PERMISSIONS.CREDIT_READ_ANY)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -0,0 +1,81 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const StoredFile = require('../models/StoredFile');
+const { readFile, canReadFile, getSignedFileUrl, verifyFileSignature } = require('../services/storageService');
+
+const router = express.Router();
+
+// Short-lived download link for a file the caller may read
+router.get('/:fileId/url', authenticateToken, async (req, res) => {
+  try {
+    const file = await StoredFile.findOne({ fileId: req.params.fileId });
+
+    if (!file || !canReadFile(file, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        fileId: file.fileId,
+        mimeType: file.mimeType,
+        size: file.size,
+        ...getSignedFileUrl(file.fileId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Signed file URL error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create file link',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Download a file through a signed link; the signature stands in for the login so the
+// link can be opened directly in a browser or image view
+router.get('/:fileId', async (req, res) => {
+  try {
+    const { expires, signature } = req.query;
+
+    if (!verifyFileSignature(req.params.fileId, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Link is invalid or has expired'
+      });
+    }
+
+    const file = await StoredFile.findOne({ fileId: req.params.fileId });
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const content = await readFile(file);
+
+    res.set({
+      'Content-Type': file.mimeType || 'application/octet-stream',
+      'Content-Length': content.length,
+      'Content-Disposition': `inline; filename="${file.fileId}"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(content);
+
+  } catch (error) {
+    console.error('File download error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch file',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,735 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { LoanStatusTransitionError } = require('../utils/errors');
+const Group = require('../models/Group');
+const GroupLoan = require('../models/GroupLoan');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const LoanProduct = require('../models/LoanProduct');
+const CreditAnalysis = require('../models/CreditAnalysis');
+const {
+  buildLoanApplication,
+  closeLoan,
+  notifyLoanStatus,
+  OPEN_LOAN_STATUSES,
+  WITHDRAWABLE_STATUSES
+} = require('../services/loanService');
+const { getGroupEligibility } = require('../services/groupService');
+const { getLoanBalances } = require('../services/ledgerService');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Applications awaiting a decision and open loans: either keeps a borrower out of a group loan
+const ACTIVE_APPLICATION_STATUSES = [...WITHDRAWABLE_STATUSES, ...OPEN_LOAN_STATUSES];
+
+// Validation schemas
+const objectId = Joi.string().hex().length(24);
+
+const groupSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  type: Joi.string().valid(...Object.keys(Group.GROUP_SIZE_LIMITS)).default('jlg'),
+  leaderId: objectId.required(),
+  memberIds: Joi.array().items(objectId).unique().min(1).required(),
+  address: Joi.object({
+    village: Joi.string().optional(),
+    district: Joi.string().optional(),
+    state: Joi.string().optional(),
+    pincode: Joi.string().pattern(/^\d{6}$/).required()
+  }).required(),
+  meetingDay: Joi.string().valid(...Group.MEETING_DAYS).required(),
+  meetingTime: Joi.string().pattern(/^\d{2}:\d{2}$/).optional(),
+  meetingPlace: Joi.string().max(200).optional()
+});
+
+const memberSchema = Joi.object({
+  userId: objectId.required()
+});
+
+const groupLoanSchema = Joi.object({
+  productCode: Joi.string().uppercase().required(),
+  members: Joi.array().items(Joi.object({
+    userId: objectId.required(),
+    amount: Joi.number().positive().required(),
+    purpose: Joi.string().valid(...LoanProduct.LOAN_PURPOSES).required(),
+    tenure: Joi.number().integer().positive().required()
+  })).unique('userId').min(1).required()
+});
+
+const meetingSchema = Joi.object({
+  meetingDate: Joi.date().max('now').default(() => new Date()),
+  attendance: Joi.array().items(objectId).unique().default([]),
+  collections: Joi.array().items(Joi.object({
+    loanId: Joi.string().required(),
+    amount: Joi.number().positive().precision(2).required()
+  })).unique('loanId').default([]),
+  paymentMethod: Joi.string().valid('cash', 'upi', 'bank_transfer').default('cash'),
+  reference: Joi.string().max(64).optional(),
+  notes: Joi.string().max(500).optional()
+});
+
+const canManageGroups = (req) => req.user.permissions.includes(PERMISSIONS.GROUPS_MANAGE);
+
+// Members see their own group; staff with group or loan access see any group
+const canViewGroup = (req, group) => {
+  return group.isMember(req.user.userId) ||
+    canManageGroups(req) ||
+    req.user.permissions.includes(PERMISSIONS.LOANS_READ_ANY);
+};
+
+// Check that a borrower can join a group; returns a reason when they can't
+const getMembershipProblem = (user, group) => {
+  if (!user) return 'User not found';
+  if (user.role !== 'borrower') return 'Only borrowers can be group members';
+  if (!user.isActive) return 'Account is inactive';
+  if (user.groupId && (!group || user.groupId.toString() !== group._id.toString())) {
+    return 'Already a member of another group';
+  }
+  return null;
+};
+
+// Create a group (field staff)
+router.post('/', requirePermission(PERMISSIONS.GROUPS_MANAGE), async (req, res) => {
+  try {
+    const { error, value } = groupSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { leaderId, memberIds, ...details } = value;
+    if (!memberIds.includes(leaderId)) {
+      memberIds.push(leaderId);
+    }
+
+    const limits = Group.GROUP_SIZE_LIMITS[details.type];
+    if (memberIds.length < limits.min || memberIds.length > limits.max) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${details.type.toUpperCase()} must have between ${limits.min} and ${limits.max} members`
+      });
+    }
+
+    const users = await User.find({ _id: { $in: memberIds } });
+    const memberErrors = memberIds
+      .map(userId => ({
+        userId: userId,
+        error: getMembershipProblem(users.find(user => user._id.toString() === userId), null)
+      }))
+      .filter(member => member.error);
+
+    if (memberErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some members cannot join this group',
+        memberErrors: memberErrors
+      });
+    }
+
+    const group = new Group({
+      ...details,
+      leader: leaderId,
+      members: memberIds.map(userId => ({ userId: userId })),
+      formedBy: req.user.userId
+    });
+    await group.save();
+
+    await User.updateMany({ _id: { $in: memberIds } }, { groupId: group._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Group created successfully',
+      data: {
+        group: group
+      }
+    });
+
+  } catch (error) {
+    console.error('Group creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create group',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get the borrower's own group
+router.get('/my-group', async (req, res) => {
+  try {
+    if (!req.user.userData.groupId) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not a member of any group'
+      });
+    }
+
+    const group = await Group.findById(req.user.userData.groupId).select('-meetings');
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const eligibility = await getGroupEligibility(group);
+    await group.populate([
+      { path: 'members.userId', select: 'name phoneNumber' },
+      { path: 'leader', select: 'name phoneNumber' }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        group: group,
+        eligibility: eligibility
+      }
+    });
+
+  } catch (error) {
+    console.error('My group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch group',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get group details
+router.get('/:groupId', async (req, res) => {
+  try {
+    const group = await Group.findOne({ groupId: req.params.groupId });
+
+    if (!group || !canViewGroup(req, group)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    // Eligibility needs the plain member ids, so check it before populating
+    const eligibility = await getGroupEligibility(group);
+    await group.populate([
+      { path: 'members.userId', select: 'name phoneNumber address occupation' },
+      { path: 'leader', select: 'name phoneNumber' }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        group: group,
+        eligibility: eligibility
+      }
+    });
+
+  } catch (error) {
+    console.error('Group details error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch group',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Add a member to a group
+router.post('/:groupId/members', requirePermission(PERMISSIONS.GROUPS_MANAGE), async (req, res) => {
+  try {
+    const { error, value } = memberSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const group = await Group.findOne({ groupId: req.params.groupId, isActive: true });
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (group.isMember(value.userId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'User is already a member of this group'
+      });
+    }
+
+    const limits = group.getSizeLimits();
+    if (group.getActiveMembers().length >= limits.max) {
+      return res.status(409).json({
+        success: false,
+        message: `Group already has the maximum of ${limits.max} members`
+      });
+    }
+
+    const user = await User.findById(value.userId);
+    const problem = getMembershipProblem(user, group);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    group.members.push({ userId: user._id });
+    user.groupId = group._id;
+
+    await group.save();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Member added successfully',
+      data: {
+        groupId: group.groupId,
+        members: group.getActiveMembers()
+      }
+    });
+
+  } catch (error) {
+    console.error('Add group member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add group member',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Remove a member from a group (only once they have no open loan)
+router.delete('/:groupId/members/:userId', requirePermission(PERMISSIONS.GROUPS_MANAGE), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const group = await Group.findOne({ groupId: req.params.groupId, isActive: true });
+    if (!group || !group.isMember(userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group member not found'
+      });
+    }
+
+    if (group.isLeader(userId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Assign a new leader before removing the current leader'
+      });
+    }
+
+    const openLoans = await Loan.countDocuments({ userId: userId, status: { $in: ACTIVE_APPLICATION_STATUSES } });
+    if (openLoans > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Member has an open loan and cannot leave the group'
+      });
+    }
+
+    const member = group.getActiveMembers().find(m => m.userId.toString() === userId);
+    member.status = 'left';
+    member.leftAt = new Date();
+
+    await group.save();
+    await User.updateOne({ _id: userId }, { $unset: { groupId: 1 } });
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully',
+      data: {
+        groupId: group.groupId,
+        members: group.getActiveMembers()
+      }
+    });
+
+  } catch (error) {
+    console.error('Remove group member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove group member',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Change the group leader
+router.put('/:groupId/leader', requirePermission(PERMISSIONS.GROUPS_MANAGE), async (req, res) => {
+  try {
+    const { error, value } = memberSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const group = await Group.findOne({ groupId: req.params.groupId, isActive: true });
+    if (!group || !group.isMember(value.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group member not found'
+      });
+    }
+
+    group.leader = value.userId;
+    await group.save();
+
+    res.json({
+      success: true,
+      message: 'Group leader updated successfully',
+      data: {
+        groupId: group.groupId,
+        leader: group.leader
+      }
+    });
+
+  } catch (error) {
+    console.error('Group leader update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update group leader',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Apply for a group loan: one sub-loan per member under a group umbrella
+router.post('/:groupId/loans', async (req, res) => {
+  try {
+    const { error, value } = groupLoanSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const group = await Group.findOne({ groupId: req.params.groupId, isActive: true });
+    if (!group || !canViewGroup(req, group)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    // Only the group leader or field staff can apply on behalf of the group
+    if (!group.isLeader(req.user.userId) && !canManageGroups(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group leader can apply for a group loan'
+      });
+    }
+
+    const eligibility = await getGroupEligibility(group);
+    if (!eligibility.eligible) {
+      return res.status(403).json({
+        success: false,
+        message: 'Group is not eligible while a member has overdue EMIs',
+        overdueMembers: eligibility.overdueMembers
+      });
+    }
+
+    const product = await LoanProduct.findOne({ code: value.productCode });
+    if (!product) {
+      return res.status(400).json({
+        success: false,
+        message: 'Loan product not found'
+      });
+    }
+
+    // Check every member before creating anything
+    const userIds = value.members.map(member => member.userId);
+    const users = await User.find({ _id: { $in: userIds } });
+    const openLoans = await Loan.find({ userId: { $in: userIds }, status: { $in: ACTIVE_APPLICATION_STATUSES } })
+      .select('userId loanId status');
+
+    const applications = [];
+    const memberErrors = [];
+
+    for (const request of value.members) {
+      const user = users.find(u => u._id.toString() === request.userId);
+      const errors = [];
+
+      if (!user || !group.isMember(request.userId)) {
+        memberErrors.push({ userId: request.userId, errors: ['Not an active member of this group'] });
+        continue;
+      }
+
+      if (!user.aadhaarVerified || !user.panVerified) {
+        errors.push('Aadhaar and PAN verification required');
+      }
+      if (!user.isEligibleForLoan() || openLoans.some(loan => loan.userId.toString() === request.userId)) {
+        errors.push('Existing loan must be cleared');
+      }
+      errors.push(...product.validateApplication(request, user));
+
+      const creditAnalysis = await CreditAnalysis.findOne({ userId: user._id }).sort({ analysisDate: -1 });
+      if (!creditAnalysis) {
+        errors.push('Credit analysis required before loan application');
+      } else if (request.amount > creditAnalysis.loanRecommendation.maxLoanAmount) {
+        errors.push(`Requested amount exceeds maximum allowed limit of Rs. ${creditAnalysis.loanRecommendation.maxLoanAmount}`);
+      }
+
+      if (errors.length > 0) {
+        memberErrors.push({ userId: request.userId, name: user.name, errors: errors });
+      } else {
+        applications.push({ user, creditAnalysis, request });
+      }
+    }
+
+    if (memberErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some members cannot apply',
+        memberErrors: memberErrors
+      });
+    }
+
+    // Validating the umbrella generates its id for the sub-loans to reference
+    const groupLoan = new GroupLoan({
+      groupId: group._id,
+      productCode: product.code,
+      appliedBy: req.user.userId
+    });
+    await groupLoan.validate();
+
+    // Sub-loans go to the review queue; the group is appraised together
+    for (const { user, creditAnalysis, request } of applications) {
+      const loan = buildLoanApplication(user, product, creditAnalysis, request, {
+        fields: { groupId: group._id, groupLoanId: groupLoan.groupLoanId },
+        reason: `Group application ${groupLoan.groupLoanId} submitted`,
+        updatedBy: req.user.userId.toString()
+      });
+      await loan.save();
+
+      user.totalLoansApplied += 1;
+      await user.save();
+
+      groupLoan.memberLoans.push({
+        userId: user._id,
+        loan: loan._id,
+        loanId: loan.loanId,
+        amount: loan.amount
+      });
+
+      await notifyLoanStatus(user, loan);
+    }
+
+    groupLoan.totalAmount = groupLoan.memberLoans.reduce((sum, member) => sum + member.amount, 0);
+    await groupLoan.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Group loan application submitted successfully',
+      data: {
+        groupLoanId: groupLoan.groupLoanId,
+        groupId: group.groupId,
+        productCode: product.code,
+        totalAmount: groupLoan.totalAmount,
+        memberLoans: groupLoan.memberLoans
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof LoanStatusTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    console.error('Group loan application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit group loan application',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// List group loan applications with each member's sub-loan
+router.get('/:groupId/loans', async (req, res) => {
+  try {
+    const group = await Group.findOne({ groupId: req.params.groupId });
+    if (!group || !canViewGroup(req, group)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const groupLoans = await GroupLoan.find({ groupId: group._id })
+      .sort({ applicationDate: -1 })
+      .populate('memberLoans.userId', 'name phoneNumber')
+      .populate('memberLoans.loan', 'loanId status amount emiAmount repaymentFrequency daysPastDue');
+
+    res.json({
+      success: true,
+      data: {
+        groupId: group.groupId,
+        groupLoans: groupLoans.map(groupLoan => ({
+          groupLoanId: groupLoan.groupLoanId,
+          productCode: groupLoan.productCode,
+          totalAmount: groupLoan.totalAmount,
+          applicationDate: groupLoan.applicationDate,
+          memberLoans: groupLoan.memberLoans.map(member => ({
+            borrower: member.userId,
+            loanId: member.loanId,
+            amount: member.amount,
+            status: member.loan ? member.loan.status : null,
+            emiAmount: member.loan ? member.loan.emiAmount : null,
+            daysPastDue: member.loan ? member.loan.daysPastDue : null
+          }))
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Group loans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch group loans',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Record repayments collected at the weekly group meeting
+router.post('/:groupId/meetings', requirePermission(PERMISSIONS.GROUPS_COLLECT), async (req, res) => {
+  try {
+    const { error, value } = meetingSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const group = await Group.findOne({ groupId: req.params.groupId, isActive: true });
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const { meetingDate, attendance, collections, paymentMethod, reference, notes } = value;
+
+    // Every collection must be for a disbursed loan of a current member
+    const loans = await Loan.find({ loanId: { $in: collections.map(c => c.loanId) } });
+    const collectionErrors = [];
+
+    for (const collection of collections) {
+      const loan = loans.find(l => l.loanId === collection.loanId);
+      if (!loan || !group.isMember(loan.userId)) {
+        collectionErrors.push({ loanId: collection.loanId, error: 'Loan does not belong to a member of this group' });
+        continue;
+      }
+      if (loan.status !== 'disbursed') {
+        collectionErrors.push({ loanId: collection.loanId, error: `Loan is ${loan.status}` });
+        continue;
+      }
+
+      const { totalOutstanding } = await getLoanBalances(loan);
+      if (collection.amount > totalOutstanding) {
+        collectionErrors.push({
+          loanId: collection.loanId,
+          error: `Amount exceeds total outstanding of Rs. ${totalOutstanding}`
+        });
+      }
+    }
+
+    if (collectionErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some collections could not be recorded',
+        collectionErrors: collectionErrors
+      });
+    }
+
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    const meeting = {
+      meetingId: `MTG${timestamp}${random}`.toUpperCase(),
+      meetingDate: meetingDate,
+      heldBy: req.user.userId,
+      attendance: attendance.filter(userId => group.isMember(userId)),
+      collections: [],
+      totalCollected: 0,
+      notes: notes
+    };
+    const receipts = [];
+
+    for (const collection of collections) {
+      const loan = loans.find(l => l.loanId === collection.loanId);
+
+      const receipt = loan.allocatePayment(collection.amount, {
+        method: paymentMethod,
+        reference: reference || meeting.meetingId,
+        paidAt: meetingDate,
+        recordedBy: req.user.userId.toString()
+      });
+
+      if (loan.canBeClosed()) {
+        closeLoan(loan, 'All EMIs paid successfully', req.user.userId.toString());
+      }
+
+      await loan.save();
+
+      meeting.collections.push({
+        userId: loan.userId,
+        loanId: loan.loanId,
+        amount: collection.amount,
+        paymentId: receipt.paymentId
+      });
+      meeting.totalCollected = Loan.roundCurrency(meeting.totalCollected + collection.amount);
+
+      receipts.push({
+        loanId: loan.loanId,
+        receipt: receipt,
+        loanStatus: loan.status,
+        totalOutstanding: (await getLoanBalances(loan)).totalOutstanding
+      });
+    }
+
+    group.meetings.push(meeting);
+    await group.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Meeting collections recorded successfully',
+      data: {
+        groupId: group.groupId,
+        meetingId: meeting.meetingId,
+        meetingDate: meeting.meetingDate,
+        attendanceCount: meeting.attendance.length,
+        totalCollected: meeting.totalCollected,
+        receipts: receipts,
+        eligibility: await getGroupEligibility(group)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof LoanStatusTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    console.error('Group meeting collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record meeting collections',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
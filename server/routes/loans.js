@@ -1,12 +1,58 @@
 const express = require('express');
 const multer = require('multer');
 const Joi = require('joi');
-const { authenticateToken, requireVerifiedIdentity, requireLoanEligibility } = require('../middleware/auth');
+const { authenticateToken, requireVerifiedIdentity, requireLoanEligibility, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { LoanStatusTransitionError } = require('../utils/errors');
 const Loan = require('../models/Loan');
 const User = require('../models/User');
 const CreditAnalysis = require('../models/CreditAnalysis');
-const { sendLoanStatusSMS } = require('../services/smsService');
+const LoanProduct = require('../models/LoanProduct');
+const Group = require('../models/Group');
+const PaymentOrder = require('../models/PaymentOrder');
+const ApplicationDraft = require('../models/ApplicationDraft');
+const {
+  buildLoanApplication,
+  attachCoApplicants,
+  getCoApplicantCredit,
+  requestCoApplicantConsent,
+  getCombinedCreditProfile,
+  autoDecideLoan,
+  approveLoan,
+  closeLoan,
+  writeOffLoan,
+  hasOpenLoan,
+  notifyLoanStatus,
+  WITHDRAWABLE_STATUSES,
+  withdrawApplication
+} = require('../services/loanService');
+const { getGroupEligibility } = require('../services/groupService');
+const { getPreApprovedOffers } = require('../services/offerService');
+const { storeFile } = require('../services/storageService');
+const {
+  getForeclosureConfig,
+  generateForeclosureQuote,
+  generateCoolingOffQuote,
+  generateTopUpSettlementQuote,
+  settleForeclosure
+} = require('../services/foreclosureService');
+const { getInstallmentDue, createPaymentOrder } = require('../services/paymentService');
+const { getLoanBalances, getLoanEntries, getAccountEntries } = require('../services/ledgerService');
+const { generateAgreement, getAgreementLanguages, hashDocument } = require('../services/agreementService');
+const { KFS_LANGUAGES, generateKFS, renderKFSHtml, renderKFSScript } = require('../services/kfsService');
 const { generateLoanRecommendation } = require('../services/llmService');
+const {
+  STATEMENT_LANGUAGES,
+  buildStatement,
+  buildReceipt,
+  getReceiptNumber,
+  renderStatementCsv,
+  renderStatementHtml,
+  renderStatementSms,
+  renderReceiptHtml,
+  renderReceiptSms
+} = require('../services/statementService');
+const { verifyOTP, sendSigningOTP, sendAccountSummarySMS } = require('../services/smsService');
 
 const router = express.Router();
 
@@ -27,17 +73,2151 @@ const upload = multer({
 });
 
 // Validation schemas
+// Amount and tenure limits come from the selected loan product
+const coApplicantsSchema = Joi.array().items(Joi.object({
+  phoneNumber: Joi.string().pattern(/^[6-9]\d{9}$/).required(),
+  name: Joi.string().trim().min(2).max(50).optional(),
+  role: Joi.string().valid(...Loan.CO_APPLICANT_ROLES).required(),
+  relationship: Joi.string().valid(...Loan.CO_APPLICANT_RELATIONSHIPS).required()
+})).max(Loan.MAX_CO_APPLICANTS).unique('phoneNumber');
+
 const loanApplicationSchema = Joi.object({
-  amount: Joi.number().min(5000).max(100000).required(),
-  purpose: Joi.string().valid('agriculture', 'business', 'education', 'medical', 'personal', 'emergency').required(),
-  tenure: Joi.number().min(3).max(24).required(),
-  monthlyIncome: Joi.number().min(0).optional()
+  productCode: Joi.string().uppercase().optional(),
+  amount: Joi.number().positive().required(),
+  purpose: Joi.string().valid(...LoanProduct.LOAN_PURPOSES).required(),
+  tenure: Joi.number().integer().positive().required(),
+  monthlyIncome: Joi.number().min(0).optional(),
+  coApplicants: coApplicantsSchema.default([])
+});
+
+// Drafts take any subset of the application fields
+const draftFieldsSchema = Joi.object({
+  productCode: Joi.string().uppercase().optional(),
+  amount: Joi.number().positive().optional(),
+  purpose: Joi.string().valid(...LoanProduct.LOAN_PURPOSES).optional(),
+  tenure: Joi.number().integer().positive().optional(),
+  monthlyIncome: Joi.number().min(0).optional(),
+  coApplicants: coApplicantsSchema.optional()
+});
+
+// Field agents start a draft for a borrower by phone number
+const draftCreateSchema = draftFieldsSchema.keys({
+  borrowerPhoneNumber: Joi.string().pattern(/^[6-9]\d{9}$/).optional()
+});
+
+const withdrawSchema = Joi.object({
+  reason: Joi.string().trim().max(200).optional()
+});
+
+const kfsQuerySchema = Joi.object({
+  format: Joi.string().valid('json', 'html', 'script').default('json'),
+  language: Joi.string().valid(...KFS_LANGUAGES).optional()
+});
+
+const acceptOfferSchema = Joi.object({
+  kfsReference: Joi.string().required(),
+  acknowledged: Joi.boolean().valid(true).required(),
+  language: Joi.string().valid(...KFS_LANGUAGES).optional()
+});
+
+const agreementRequestSchema = Joi.object({
+  language: Joi.string().valid('hindi', 'english', 'tamil', 'telugu', 'bengali', 'marathi', 'gujarati').optional()
+});
+
+const statementQuerySchema = Joi.object({
+  from: Joi.date().optional(),
+  to: Joi.date().min(Joi.ref('from')).optional(),
+  format: Joi.string().valid('json', 'csv', 'html', 'sms').default('json'),
+  language: Joi.string().valid(...STATEMENT_LANGUAGES).optional()
+});
+
+const receiptQuerySchema = Joi.object({
+  format: Joi.string().valid('json', 'html', 'sms').default('json'),
+  language: Joi.string().valid(...STATEMENT_LANGUAGES).optional()
+});
+
+const agreementSignSchema = Joi.object({
+  otp: Joi.string().length(6).required(),
+  documentHash: Joi.string().hex().length(64).required(),
+  deviceId: Joi.string().trim().max(128).required()
+});
+
+// How the borrower pays a payment order: a UPI intent link, or a collect request to their VPA
+const upiPaymentKeys = {
+  mode: Joi.string().valid('intent', 'collect').default('intent'),
+  payerVpa: Joi.when('mode', {
+    is: 'collect',
+    then: Joi.string().pattern(/^[\w.-]{2,256}@[a-zA-Z]{2,64}$/).required(),
+    otherwise: Joi.forbidden()
+  })
+};
+
+const coolingOffCancelSchema = Joi.object({
+  ...upiPaymentKeys
+});
+
+// Statuses in which the loan has a sanctioned offer and therefore a KFS
+const KFS_STATUSES = ['approved', 'accepted', 'disbursing', 'disbursed', 'closed', 'written_off'];
+
+// A disbursal claim older than this was interrupted and may be taken over
+const DISBURSAL_CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+const consentSchema = Joi.object({
+  phoneNumber: Joi.string().pattern(/^[6-9]\d{9}$/).required(),
+  otp: Joi.string().length(6).required(),
+  decision: Joi.string().valid('give', 'decline').required()
+});
+
+const disbursementSchema = Joi.object({
+  method: Joi.string().valid('bank_transfer', 'upi').required(),
+  payoutReference: Joi.string().trim().max(64).required(),
+  bankAccount: Joi.when('method', {
+    is: 'bank_transfer',
+    then: Joi.object({
+      accountHolderName: Joi.string().required(),
+      accountNumber: Joi.string().pattern(/^\d{9,18}$/).required(),
+      ifscCode: Joi.string().pattern(/^[A-Z]{4}0[A-Z0-9]{6}$/).required()
+    }).required(),
+    otherwise: Joi.forbidden()
+  }),
+  upiVpa: Joi.when('method', {
+    is: 'upi',
+    then: Joi.string().pattern(/^[\w.-]{2,256}@[a-zA-Z]{2,64}$/).required(),
+    otherwise: Joi.forbidden()
+  })
+});
+
+const offerAcceptanceSchema = Joi.object({
+  basedOnLoanId: Joi.string().trim().required(),
+  amount: Joi.number().positive().required(),
+  tenure: Joi.number().integer().positive().required(),
+  purpose: Joi.string().valid(...LoanProduct.LOAN_PURPOSES).optional() // Defaults to the earlier loan's purpose
+});
+
+const paymentOrderSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).optional(), // Defaults to the EMI due
+  emiNumber: Joi.number().integer().positive().optional(),
+  ...upiPaymentKeys
+});
+
+const paymentSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).required(),
+  paymentMethod: Joi.string().valid('upi', 'cash', 'bank_transfer', 'card').default('upi'),
+  reference: Joi.string().max(64).optional(),
+  emiNumber: Joi.number().optional() // Deprecated: payments are allocated oldest-first
+});
+
+const foreclosureSchema = Joi.object({
+  quoteId: Joi.string().required(),
+  ...upiPaymentKeys
+});
+
+const prepaymentSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).required(),
+  option: Joi.string().valid('reduce_tenure', 'reduce_emi').default('reduce_tenure'),
+  ...upiPaymentKeys
+});
+
+const waiverSchema = Joi.object({
+  component: Joi.string().valid('penalty', 'interest').required(),
+  emiNumber: Joi.number().integer().positive().required(),
+  amount: Joi.number().positive().precision(2).required(),
+  reason: Joi.string().trim().min(5).max(500).required()
+});
+
+const writeOffSchema = Joi.object({
+  reason: Joi.string().trim().min(5).max(500).required()
+});
+
+// Loans the user is liable for: their own, and those where they consented as co-applicant/guarantor
+const liableLoanQuery = (req, loanId) => ({
+  loanId: loanId,
+  $or: [
+    { userId: req.user.userId },
+    { coApplicants: { $elemMatch: { phoneNumber: req.user.phoneNumber, 'consent.status': 'given' } } }
+  ]
+});
+
+// Borrowers only see loans they are liable for; staff with read access can see any loan
+const loanReadQuery = (req, loanId) => {
+  if (req.user.permissions.includes(PERMISSIONS.LOANS_READ_ANY)) {
+    return { loanId: loanId };
+  }
+  return liableLoanQuery(req, loanId);
+};
+
+// Co-applicant details safe to show to the borrower and staff
+const formatCoApplicant = (coApplicant) => ({
+  name: coApplicant.name,
+  phoneNumber: coApplicant.phoneNumber,
+  role: coApplicant.role,
+  relationship: coApplicant.relationship,
+  consentStatus: coApplicant.consent.status,
+  consentRespondedAt: coApplicant.consent.respondedAt,
+  liabilityAmount: coApplicant.liabilityAmount
+});
+
+const formatPaymentOrder = (order) => ({
+  orderId: order.orderId,
+  loanId: order.loanId,
+  emiNumber: order.emiNumber,
+  purpose: order.purpose,
+  quoteId: order.quoteId,
+  amount: order.amount,
+  currency: order.currency,
+  mode: order.mode,
+  upiPayload: order.upiPayload,
+  expiresAt: order.expiresAt,
+  status: order.isExpired() ? 'expired' : order.status,
+  paymentId: order.paymentId,
+  failureReason: order.failureReason,
+  createdAt: order.createdAt
+});
+
+// Create a loan application from validated fields and send the response. Shared by
+// POST /apply and draft submission (the draft is marked submitted with the new loan).
+const submitApplication = async (req, res, value, draft = null) => {
+  const { productCode, amount, purpose, tenure, monthlyIncome, coApplicants } = value;
+  const user = await User.findById(req.user.userId);
+
+  if (coApplicants.some(coApplicant => coApplicant.phoneNumber === user.phoneNumber)) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot add yourself as a co-applicant or guarantor'
+    });
+  }
+
+  // An approved loan that isn't disbursed yet owes nothing on the ledger, but still counts
+  if (await hasOpenLoan(user._id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'User not eligible for loan',
+      reasons: ['Existing loan must be cleared']
+    });
+  }
+
+  // Group members are jointly liable: an overdue member blocks the whole group
+  const group = user.groupId ? await Group.findById(user.groupId) : null;
+  if (group) {
+    const groupEligibility = await getGroupEligibility(group);
+    if (!groupEligibility.eligible) {
+      return res.status(403).json({
+        success: false,
+        message: 'User not eligible for loan',
+        reasons: ['A member of your group has overdue EMIs'],
+        overdueMembers: groupEligibility.overdueMembers
+      });
+    }
+  }
+
+  // Use the requested product, or the default product for the purpose
+  const product = productCode
+    ? await LoanProduct.findOne({ code: productCode })
+    : await LoanProduct.findDefaultForPurpose(purpose);
+
+  if (!product) {
+    return res.status(400).json({
+      success: false,
+      message: productCode ? 'Loan product not found' : `No loan product available for purpose "${purpose}"`
+    });
+  }
+
+  const productErrors = product.validateApplication({ amount, purpose, tenure }, user);
+  if (productErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: productErrors,
+      product: product.getSummary()
+    });
+  }
+
+  // Get latest credit analysis
+  const creditAnalysis = await CreditAnalysis.findOne({ userId: req.user.userId })
+    .sort({ analysisDate: -1 });
+
+  if (!creditAnalysis) {
+    return res.status(400).json({
+      success: false,
+      message: 'Credit analysis required before loan application',
+      requiresCreditAnalysis: true
+    });
+  }
+
+  // Check if requested amount is within recommended limits
+  const maxAllowed = creditAnalysis.loanRecommendation.maxLoanAmount;
+  if (amount > maxAllowed) {
+    return res.status(400).json({
+      success: false,
+      message: `Requested amount exceeds maximum allowed limit of Rs. ${maxAllowed}`,
+      maxAllowedAmount: maxAllowed,
+      recommendedAmount: creditAnalysis.loanRecommendation.recommendedAmount
+    });
+  }
+
+  // Create loan application, priced from the product grid
+  const loan = buildLoanApplication(user, product, creditAnalysis, { amount, purpose, tenure });
+
+  // With co-applicants the decision waits for their consent; otherwise decide now
+  if (coApplicants.length > 0) {
+    await attachCoApplicants(loan, coApplicants);
+  } else {
+    autoDecideLoan(loan, user, {
+      score: creditAnalysis.alternativeCreditScore,
+      confidence: creditAnalysis.confidenceLevel
+    });
+  }
+
+  await loan.save();
+
+  for (const coApplicant of loan.coApplicants) {
+    await requestCoApplicantConsent(loan, coApplicant, user);
+  }
+  if (loan.coApplicants.length > 0) {
+    await loan.save();
+  }
+
+  if (draft) {
+    draft.status = 'submitted';
+    draft.submittedAt = new Date();
+    draft.loanId = loan.loanId;
+    await draft.save();
+  }
+
+  // Update user application count
+  user.totalLoansApplied += 1;
+  await user.save();
+
+  // Send SMS notification
+  await notifyLoanStatus(user, loan);
+
+  res.status(201).json({
+    success: true,
+    message: 'Loan application submitted successfully',
+    data: {
+      loanId: loan.loanId,
+      status: loan.status,
+      productCode: loan.productCode,
+      productName: product.name,
+      amount: loan.amount,
+      interestRate: loan.interestRate,
+      tenure: loan.tenure,
+      repaymentFrequency: loan.repaymentFrequency,
+      moratoriumMonths: loan.moratoriumMonths,
+      installmentCount: loan.installmentCount,
+      emiAmount: loan.emiAmount,
+      totalAmount: loan.totalAmount,
+      applicationDate: loan.applicationDate,
+      approvalDate: loan.approvalDate,
+      coApplicants: loan.coApplicants.map(formatCoApplicant),
+      awaitingConsent: loan.hasPendingConsents(),
+      requiresKfsAcceptance: loan.status === 'approved',
+      draftId: draft ? draft.draftId : undefined
+    }
+  });
+};
+
+// Apply for loan
+router.post('/apply', authenticateToken, requireVerifiedIdentity, requireLoanEligibility, async (req, res) => {
+  try {
+    const { error, value } = loanApplicationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    await submitApplication(req, res, value);
+
+  } catch (error) {
+    if (error instanceof LoanStatusTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    console.error('Loan application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit loan application',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Borrowers reach their own drafts; staff assisting applications reach any
+const draftQuery = (req, draftId) => {
+  if (req.user.permissions.includes(PERMISSIONS.APPLICATIONS_ASSIST)) {
+    return { draftId: draftId };
+  }
+  return { draftId: draftId, userId: req.user.userId };
+};
+
+const getDraftChannel = (req) => {
+  return req.user.permissions.includes(PERMISSIONS.APPLICATIONS_ASSIST) ? 'field_agent' : 'app';
+};
+
+const formatDraft = (draft) => ({
+  draftId: draft.draftId,
+  status: draft.status,
+  productCode: draft.productCode,
+  amount: draft.amount,
+  purpose: draft.purpose,
+  tenure: draft.tenure,
+  monthlyIncome: draft.monthlyIncome,
+  coApplicants: draft.coApplicants,
+  missingFields: draft.missingFields,
+  readyToSubmit: draft.status === 'draft' && draft.missingFields.length === 0,
+  voiceStep: draft.voiceStep,
+  loanId: draft.loanId,
+  updatedAt: draft.updatedAt
+});
+
+// Start an application draft, or resume the borrower's open one with these fields
+router.post('/drafts', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = draftCreateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { borrowerPhoneNumber, ...fields } = value;
+    const channel = getDraftChannel(req);
+
+    let userId = req.user.userId;
+    if (channel === 'field_agent') {
+      const borrower = borrowerPhoneNumber && await User.findOne({ phoneNumber: borrowerPhoneNumber, role: 'borrower' });
+      if (!borrower) {
+        return res.status(404).json({
+          success: false,
+          message: 'Borrower not found'
+        });
+      }
+      userId = borrower._id;
+    }
+
+    let draft = await ApplicationDraft.findOne({ userId: userId, status: 'draft' });
+    const resumed = !!draft;
+    if (!draft) {
+      draft = new ApplicationDraft({ userId: userId });
+    }
+
+    draft.applyUpdate(fields, channel, req.user.userId.toString());
+    try {
+      await draft.save();
+    } catch (saveError) {
+      if (saveError.code !== 11000) throw saveError;
+      return res.status(409).json({
+        success: false,
+        message: 'An application draft was started at the same time, please try again'
+      });
+    }
+
+    res.status(resumed ? 200 : 201).json({
+      success: true,
+      message: resumed ? 'Draft resumed' : 'Draft created',
+      data: formatDraft(draft)
+    });
+
+  } catch (error) {
+    console.error('Create draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save application draft',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Borrower's open draft and recent submissions
+router.get('/drafts', authenticateToken, async (req, res) => {
+  try {
+    const drafts = await ApplicationDraft.find({ userId: req.user.userId, status: { $ne: 'discarded' } })
+      .sort({ updatedAt: -1 })
+      .limit(10);
+
+    res.json({
+      success: true,
+      data: {
+        drafts: drafts.map(formatDraft)
+      }
+    });
+
+  } catch (error) {
+    console.error('List drafts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch application drafts',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+router.get('/drafts/:draftId', authenticateToken, async (req, res) => {
+  try {
+    const draft = await ApplicationDraft.findOne(draftQuery(req, req.params.draftId));
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatDraft(draft)
+    });
+
+  } catch (error) {
+    console.error('Get draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch application draft',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Fill in more of a draft
+router.patch('/drafts/:draftId', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = draftFieldsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const draft = await ApplicationDraft.findOne(draftQuery(req, req.params.draftId));
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft not found'
+      });
+    }
+
+    if (draft.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: `Draft has already been ${draft.status}`,
+        loanId: draft.loanId
+      });
+    }
+
+    draft.applyUpdate(value, getDraftChannel(req), req.user.userId.toString());
+    await draft.save();
+
+    res.json({
+      success: true,
+      message: 'Draft updated',
+      data: formatDraft(draft)
+    });
+
+  } catch (error) {
+    console.error('Update draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update application draft',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Submit a complete draft as a loan application (the borrower only)
+router.post('/drafts/:draftId/submit', authenticateToken, requireVerifiedIdentity, requireLoanEligibility, async (req, res) => {
+  try {
+    const draft = await ApplicationDraft.findOne({ draftId: req.params.draftId, userId: req.user.userId });
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft not found'
+      });
+    }
+
+    if (draft.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: `Draft has already been ${draft.status}`,
+        loanId: draft.loanId
+      });
+    }
+
+    if (draft.missingFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Draft is incomplete',
+        missingFields: draft.missingFields
+      });
+    }
+
+    const { error, value } = loanApplicationSchema.validate(draft.getApplication());
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    // Claim the draft so a repeated submit creates one application
+    const claimed = await ApplicationDraft.findOneAndUpdate(
+      { draftId: draft.draftId, userId: req.user.userId, status: 'draft' },
+      { $set: { status: 'submitting' } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Draft is already being submitted'
+      });
+    }
+
+    try {
+      await submitApplication(req, res, value, claimed);
+    } finally {
+      // A submission that was refused or failed leaves the draft open for another try
+      await ApplicationDraft.updateOne(
+        { _id: claimed._id, status: 'submitting' },
+        { $set: { status: 'draft' } }
+      );
+    }
+
+  } catch (error) {
+    if (error instanceof LoanStatusTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    console.error('Submit draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit loan application',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Discard a draft that was never submitted
+router.delete('/drafts/:draftId', authenticateToken, async (req, res) => {
+  try {
+    const draft = await ApplicationDraft.findOne(draftQuery(req, req.params.draftId));
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft not found'
+      });
+    }
+
+    if (draft.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: `Draft has already been ${draft.status}`,
+        loanId: draft.loanId
+      });
+    }
+
+    draft.status = 'discarded';
+    draft.discardedAt = new Date();
+    await draft.save();
+
+    res.json({
+      success: true,
+      message: 'Draft discarded',
+      data: formatDraft(draft)
+    });
+
+  } catch (error) {
+    console.error('Discard draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to discard application draft',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// List loan products available to apply for
+router.get('/products', authenticateToken, async (req, res) => {
+  try {
+    const products = await LoanProduct.getActiveProducts();
+
+    res.json({
+      success: true,
+      data: {
+        products: products.map(product => ({
+          ...product.getSummary(),
+          eligible: product.isEligibleOccupation(req.user.userData.occupation)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Loan products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch loan products',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Pre-approved top-up and repeat-loan offers, from the borrower's repayment record
+router.get('/offers', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    const offers = await getPreApprovedOffers(user);
+
+    res.json({
+      success: true,
+      data: {
+        offers: offers
+      }
+    });
+
+  } catch (error) {
+    console.error('Pre-approved offers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch loan offers',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Take up a pre-approved offer. The loan is approved at the offer's rate straight away;
+// a top-up pays off the running loan when it is disbursed.
+router.post('/offers/accept', authenticateToken, requireVerifiedIdentity, async (req, res) => {
+  try {
+    const { error, value } = offerAcceptanceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { basedOnLoanId, amount, tenure } = value;
+    const user = await User.findById(req.user.userId);
+
+    const offer = (await getPreApprovedOffers(user)).find(entry => entry.basedOnLoanId === basedOnLoanId);
+    if (!offer) {
+      return res.status(409).json({
+        success: false,
+        message: 'No pre-approved offer is available for this loan'
+      });
+    }
+
+    if (amount < offer.minAmount || amount > offer.maxAmount) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount must be between Rs. ${offer.minAmount} and Rs. ${offer.maxAmount} for this offer`,
+        offer: offer
+      });
+    }
+
+    // Group members are jointly liable: an overdue member blocks the whole group
+    const group = user.groupId ? await Group.findById(user.groupId) : null;
+    if (group) {
+      const groupEligibility = await getGroupEligibility(group);
+      if (!groupEligibility.eligible) {
+        return res.status(403).json({
+          success: false,
+          message: 'User not eligible for loan',
+          reasons: ['A member of your group has overdue EMIs'],
+          overdueMembers: groupEligibility.overdueMembers
+        });
+      }
+    }
+
+    const basedOn = await Loan.findOne({ loanId: basedOnLoanId, userId: user._id }).select('purpose');
+    const purpose = value.purpose || basedOn.purpose;
+    const product = await LoanProduct.findOne({ code: offer.productCode });
+
+    const productErrors = product.validateApplication({ amount, purpose, tenure }, user);
+    if (productErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: productErrors,
+        product: product.getSummary()
+      });
+    }
+
+    const creditAnalysis = await CreditAnalysis.findOne({ userId: req.user.userId })
+      .sort({ analysisDate: -1 });
+
+    if (!creditAnalysis) {
+      return res.status(400).json({
+        success: false,
+        message: 'Credit analysis required before loan application',
+        requiresCreditAnalysis: true
+      });
+    }
+
+    const offerName = offer.type === 'top_up' ? 'top-up' : 'repeat loan';
+    const loan = buildLoanApplication(user, product, creditAnalysis, { amount, purpose, tenure }, {
+      reason: `Pre-approved ${offerName} offer accepted`,
+      fields: {
+        interestRate: offer.interestRate,
+        preApprovedOffer: {
+          type: offer.type,
+          basedOnLoanId: offer.basedOnLoanId,
+          grade: offer.grade,
+          maxAmount: offer.maxAmount,
+          interestRate: offer.interestRate,
+          previousInterestRate: offer.previousInterestRate,
+          acceptedAt: new Date()
+        }
+      }
+    });
+    approveLoan(loan, user, `Pre-approved ${offerName} (${offer.grade} repayment on ${offer.basedOnLoanId})`);
+
+    await loan.save();
+
+    user.totalLoansApplied += 1;
+    await user.save();
+
+    await notifyLoanStatus(user, loan);
+
+    res.status(201).json({
+      success: true,
+      message: 'Offer accepted',
+      data: {
+        loanId: loan.loanId,
+        status: loan.status,
+        type: offer.type,
+        productCode: loan.productCode,
+        amount: loan.amount,
+        interestRate: loan.interestRate,
+        tenure: loan.tenure,
+        repaymentFrequency: loan.repaymentFrequency,
+        emiAmount: loan.emiAmount,
+        totalAmount: loan.totalAmount,
+        // Estimate: the balance is settled as of the disbursal date
+        outstandingToSettle: offer.outstandingToSettle,
+        estimatedPayout: offer.type === 'top_up'
+          ? Loan.roundCurrency(loan.amount - loan.getProcessingFee() - offer.outstandingToSettle)
+          : Loan.roundCurrency(loan.amount - loan.getProcessingFee()),
+        requiresKfsAcceptance: true
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof LoanStatusTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    console.error('Accept offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept loan offer',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get loan status
+router.get('/status/:loanId', authenticateToken, async (req, res) => {
+  try {
+    const { loanId } = req.params;
+
+    const loan = await Loan.findOne(loanReadQuery(req, loanId))
+      .populate('userId', 'name phoneNumber preferredLanguage');
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    // Calculate progress
+    const totalEMIs = loan.repaymentSchedule.length;
+    const paidEMIs = loan.repaymentSchedule.filter(emi => emi.status === 'paid').length;
+    const progress = totalEMIs > 0 ? (paidEMIs / totalEMIs) * 100 : 0;
+
+    // Get next EMI
+    const nextEMI = loan.getNextEMI();
+    const overdueEMIs = loan.getOverdueEMIs();
+    const balances = await getLoanBalances(loan);
+
+    res.json({
+      success: true,
+      data: {
+        loanId: loan.loanId,
+        status: loan.status,
+        productCode: loan.productCode,
+        productName: loan.productTerms?.name,
+        amount: loan.amount,
+        interestRate: loan.interestRate,
+        tenure: loan.tenure,
+        repaymentFrequency: loan.repaymentFrequency,
+        emiAmount: loan.emiAmount,
+        totalAmount: loan.totalAmount,
+        applicationDate: loan.applicationDate,
+        approvalDate: loan.approvalDate,
+        disbursalDate: loan.disbursalDate,
+        progress: Math.round(progress),
+        nextEMI: nextEMI,
+        overdueEMIs: overdueEMIs,
+        totalOutstanding: balances.totalOutstanding,
+        outstanding: balances,
+        advanceCredit: balances.advance,
+        daysPastDue: loan.getDaysPastDue(),
+        overdueAmount: loan.getOverdueAmount(),
+        accruedPenalty: balances.charges,
+        charges: loan.charges,
+        canBeClosed: loan.canBeClosed(),
+        coApplicants: loan.coApplicants.map(formatCoApplicant),
+        combinedCreditScore: loan.combinedCreditScore,
+        kfsAcceptedAt: loan.kfs?.acceptedAt,
+        agreementStatus: loan.agreement?.status || null,
+        coolingOffEndsAt: loan.getCoolingOffEndDate(),
+        statusHistory: loan.statusHistory
+      }
+    });
+
+  } catch (error) {
+    console.error('Loan status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch loan status',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get all user loans
+router.get('/my-loans', authenticateToken, async (req, res) => {
+  try {
+    const { status, limit = 10, page = 1 } = req.query;
+
+    const query = { userId: req.user.userId };
+    if (status) {
+      query.status = status;
+    }
+
+    const loans = await Loan.find(query)
+      .sort({ applicationDate: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .select('loanId status amount interestRate tenure emiAmount applicationDate approvalDate disbursalDate');
+
+    const total = await Loan.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        loans: loans,
+        pagination: {
+          total: total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('My loans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch loans',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Loans where the user was added as co-applicant or guarantor
+router.get('/co-applications', authenticateToken, async (req, res) => {
+  try {
+    const loans = await Loan.find({ 'coApplicants.phoneNumber': req.user.phoneNumber })
+      .sort({ applicationDate: -1 })
+      .populate('userId', 'name');
+
+    res.json({
+      success: true,
+      data: {
+        loans: loans.map(loan => {
+          const coApplicant = loan.findCoApplicant(req.user.phoneNumber);
+          return {
+            loanId: loan.loanId,
+            borrowerName: loan.userId?.name,
+            status: loan.status,
+            amount: loan.amount,
+            tenure: loan.tenure,
+            emiAmount: loan.emiAmount,
+            applicationDate: loan.applicationDate,
+            ...formatCoApplicant(coApplicant),
+            // Repayment status is only shared once liability has been accepted
+            overdueAmount: coApplicant.consent.status === 'given' ? loan.getOverdueAmount() : undefined,
+            daysPastDue: coApplicant.consent.status === 'given' ? loan.getDaysPastDue() : undefined
+          };
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Co-applications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch co-applications',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Co-applicant/guarantor gives or declines consent with the OTP sent to their phone.
+// The OTP proves the phone number, so invited people need no account to respond.
+router.post('/:loanId/consent', async (req, res) => {
+  try {
+    const { error, value } = consentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { loanId } = req.params;
+    const { phoneNumber, otp, decision } = value;
+
+    const loan = await Loan.findOne({ loanId: loanId, 'coApplicants.phoneNumber': phoneNumber });
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    const coApplicant = loan.findCoApplicant(phoneNumber);
+    if (coApplicant.consent.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Consent already ${coApplicant.consent.status}`
+      });
+    }
+
+    if (loan.status !== 'under_review') {
+      return res.status(409).json({
+        success: false,
+        message: 'Loan is no longer awaiting consent',
+        currentStatus: loan.status
+      });
+    }
+
+    const isOTPValid = await verifyOTP(phoneNumber, otp, `consent:${loan.loanId}`);
+    if (!isOTPValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired OTP'
+      });
+    }
+
+    const consentUpdate = {
+      'coApplicants.$.consent.status': decision === 'give' ? 'given' : 'declined',
+      'coApplicants.$.consent.respondedAt': new Date(),
+      'coApplicants.$.consent.ipAddress': req.ip,
+      'coApplicants.$.consent.userAgent': req.get('User-Agent')
+    };
+
+    // Link invited co-applicants who have since registered and pick up their latest analysis
+    if (decision === 'give') {
+      const coApplicantUser = await User.findOne({ phoneNumber: phoneNumber });
+      if (coApplicantUser) {
+        consentUpdate['coApplicants.$.userId'] = coApplicantUser._id;
+        consentUpdate['coApplicants.$.name'] = coApplicant.name || coApplicantUser.name;
+        const credit = await getCoApplicantCredit(coApplicantUser._id);
+        Object.keys(credit).forEach(field => {
+          consentUpdate[`coApplicants.$.${field}`] = credit[field];
+        });
+      }
+    }
+
+    // Recorded only while the consent is still pending, and read back with every other
+    // response recorded so far, so concurrent responses all count towards the decision
+    const updatedLoan = await Loan.findOneAndUpdate(
+      {
+        _id: loan._id,
+        status: 'under_review',
+        coApplicants: { $elemMatch: { phoneNumber: phoneNumber, 'consent.status': 'pending' } }
+      },
+      { $set: consentUpdate },
+      { new: true }
+    );
+
+    if (!updatedLoan) {
+      return res.status(409).json({
+        success: false,
+        message: 'Consent already recorded or loan no longer awaiting consent'
+      });
+    }
+
+    // Once everyone has responded, decide on the combined profile. The save is checked
+    // against the loan's version, so when the last two responses arrive together only one
+    // decides; the other finds the decision already made.
+    let borrower = null;
+    if (!updatedLoan.hasPendingConsents()) {
+      const profile = getCombinedCreditProfile(updatedLoan);
+      updatedLoan.combinedCreditScore = profile.score;
+
+      borrower = await User.findById(updatedLoan.userId);
+      autoDecideLoan(updatedLoan, borrower, profile);
+
+      try {
+        await updatedLoan.increment().save();
+      } catch (saveError) {
+        if (saveError.name !== 'VersionError') {
+          throw saveError;
+        }
+        borrower = null;
+      }
+    }
+
+    if (borrower) {
+      await borrower.save();
+      if (updatedLoan.status !== 'under_review') {
+        await notifyLoanStatus(borrower, updatedLoan);
+      }
+    }
+
+    const respondent = updatedLoan.findCoApplicant(phoneNumber);
+
+    res.json({
+      success: true,
+      message: decision === 'give' ? 'Consent recorded successfully' : 'Consent declined',
+      data: {
+        loanId: updatedLoan.loanId,
+        role: respondent.role,
+        consentStatus: respondent.consent.status,
+        liabilityAmount: respondent.liabilityAmount,
+        awaitingConsent: updatedLoan.hasPendingConsents()
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof LoanStatusTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    console.error('Co-applicant consent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record consent',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Borrower resends the consent OTP to a co-applicant who has not responded
+router.post('/:loanId/co-applicants/:phoneNumber/resend-consent', authenticateToken, async (req, res) => {
+  try {
+    const { loanId, phoneNumber } = req.params;
+
+    const loan = await Loan.findOne({ loanId: loanId, userId: req.user.userId });
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    const coApplicant = loan.findCoApplicant(phoneNumber);
+    if (!coApplicant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Co-applicant not found'
+      });
+    }
+
+    if (coApplicant.consent.status !== 'pending' || loan.status !== 'under_review') {
+      return res.status(409).json({
+        success: false,
+        message: 'Co-applicant is not awaiting consent'
+      });
+    }
+
+    await requestCoApplicantConsent(loan, coApplicant, req.user.userData);
+    await loan.save();
+
+    res.json({
+      success: true,
+      message: 'Consent OTP sent',
+      data: formatCoApplicant(coApplicant)
+    });
+
+  } catch (error) {
+    console.error('Resend consent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend consent OTP',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Upload loan documents
+router.post('/:loanId/documents', authenticateToken, upload.array('documents', 5), async (req, res) => {
+  try {
+    const { loanId } = req.params;
+    const { documentTypes } = req.body; // Array of document types corresponding to files
+
+    const loan = await Loan.findOne({ 
+      loanId: loanId,
+      userId: req.user.userId 
+    });
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No documents uploaded'
+      });
+    }
+
+    const allowedTypes = ['aadhaar', 'pan', 'income_proof', 'bank_statement', 'photo'];
+    const uploadedDocs = [];
+
+    // Process each uploaded file
+    for (let i = 0; i < req.files.length; i++) {
+      const file = req.files[i];
+      const docType = documentTypes ? documentTypes[i] : 'other';
+
+      if (!allowedTypes.includes(docType)) {
+        continue;
+      }
+
+      const filename = `${loanId}_${docType}_${Date.now()}.${file.originalname.split('.').pop()}`;
+      const { file: storedFile } = await storeFile(file.buffer, {
+        category: 'kyc_document',
+        owner: loan.userId,
+        uploadedBy: req.user.userId.toString(),
+        mimeType: file.mimetype,
+        originalName: file.originalname
+      });
+
+      // The same file uploaded again for the same document type is not added twice
+      const existing = loan.documents.find(doc => doc.type === docType && doc.fileId === storedFile.fileId);
+      if (existing) {
+        uploadedDocs.push({ ...existing.toObject(), duplicate: true });
+        continue;
+      }
+
+      const document = {
+        type: docType,
+        filename: filename,
+        fileId: storedFile.fileId,
+        uploadDate: new Date(),
+        verified: false
+      };
+
+      loan.documents.push(document);
+      uploadedDocs.push(document);
+    }
+
+    await loan.save();
+
+    res.json({
+      success: true,
+      message: 'Documents uploaded successfully',
+      data: {
+        loanId: loan.loanId,
+        uploadedDocuments: uploadedDocs,
+        totalDocuments: loan.documents.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Document upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload documents',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get EMI schedule
+router.get('/:loanId/emi-schedule', authenticateToken, async (req, res) => {
+  try {
+    const { loanId } = req.params;
+
+    const loan = await Loan.findOne(loanReadQuery(req, loanId));
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    // Generate schedule if not exists
+    if (loan.repaymentSchedule.length === 0 && loan.status === 'disbursed') {
+      loan.generateRepaymentSchedule();
+      await loan.save();
+    }
+
+    const schedule = loan.repaymentSchedule.map(emi => ({
+      emiNumber: emi.emiNumber,
+      dueDate: emi.dueDate,
+      amount: emi.amount,
+      openingBalance: emi.openingBalance,
+      principal: emi.principal,
+      interest: emi.interest,
+      closingBalance: emi.closingBalance,
+      status: emi.status,
+      paidDate: emi.paidDate,
+      paidAmount: emi.paidAmount,
+      paidPrincipal: emi.paidPrincipal,
+      paidInterest: emi.paidInterest,
+      penaltyAmount: emi.penaltyAmount,
+      bounceCharges: emi.bounceCharges,
+      paidPenalty: emi.paidPenalty,
+      isOverdue: emi.status !== 'paid' && emi.dueDate < new Date()
+    }));
+    const balances = await getLoanBalances(loan);
+
+    res.json({
+      success: true,
+      data: {
+        loanId: loan.loanId,
+        totalEMIs: schedule.length,
+        paidEMIs: schedule.filter(emi => emi.status === 'paid').length,
+        pendingEMIs: schedule.filter(emi => emi.status === 'pending').length,
+        partialEMIs: schedule.filter(emi => emi.status === 'partial').length,
+        overdueEMIs: schedule.filter(emi => emi.isOverdue).length,
+        repaymentFrequency: loan.repaymentFrequency,
+        moratoriumMonths: loan.moratoriumMonths,
+        moratoriumEndDate: loan.getMoratoriumEndDate(),
+        capitalizedInterest: loan.capitalizedInterest,
+        principalAmount: loan.amount,
+        totalInterest: loan.totalInterest,
+        totalAmount: loan.totalAmount,
+        outstandingPrincipal: balances.principal,
+        advanceCredit: balances.advance,
+        schedule: schedule
+      }
+    });
+
+  } catch (error) {
+    console.error('EMI schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch EMI schedule',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Key Fact Statement as JSON, printable HTML or a text-to-speech script.
+// Once the offer is accepted, the statement the borrower accepted is returned unchanged.
+router.get('/:loanId/kfs', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = kfsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { loanId } = req.params;
+    const { format, language } = value;
+
+    const loan = await Loan.findOne(loanReadQuery(req, loanId));
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    if (!KFS_STATUSES.includes(loan.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Key Fact Statement is available once the loan is approved',
+        currentStatus: loan.status
+      });
+    }
+
+    let kfs = loan.kfs && loan.kfs.acceptedAt ? loan.kfs.statement : null;
+    if (!kfs) {
+      const borrower = await User.findById(loan.userId).select('name phoneNumber preferredLanguage');
+      kfs = generateKFS(loan, borrower, { language });
+    }
+
+    if (format === 'html') {
+      return res.type('html').send(renderKFSHtml(kfs));
+    }
+
+    if (format === 'script') {
+      return res.json({
+        success: true,
+        data: {
+          loanId: loan.loanId,
+          kfsReference: kfs.reference,
+          language: kfs.language,
+          languageCode: kfs.languageCode,
+          script: renderKFSScript(kfs)
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        kfs: kfs,
+        accepted: !!(loan.kfs && loan.kfs.acceptedAt),
+        acceptedAt: loan.kfs?.acceptedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('KFS error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate Key Fact Statement',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Borrower accepts the loan offer after reviewing the KFS (approved -> accepted)
+router.post('/:loanId/accept-offer', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = acceptOfferSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { loanId } = req.params;
+    const { kfsReference, language } = value;
+
+    const loan = await Loan.findOne({ loanId: loanId, userId: req.user.userId });
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    if (loan.status !== 'approved') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only approved loan offers can be accepted',
+        currentStatus: loan.status
+      });
+    }
+
+    // The borrower must accept the terms currently on offer, not an older statement
+    const user = await User.findById(req.user.userId);
+    const kfs = generateKFS(loan, user, { language });
+    if (kfs.reference !== kfsReference.toUpperCase()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Loan terms have changed. Please review the latest Key Fact Statement.',
+        kfsReference: kfs.reference
+      });
+    }
+
+    const acceptedAt = new Date();
+    loan.kfs = {
+      reference: kfs.reference,
+      generatedAt: kfs.generatedAt,
+      language: kfs.language,
+      apr: kfs.rate.apr,
+      totalCostOfCredit: kfs.amounts.totalCostOfCredit,
+      netDisbursedAmount: kfs.amounts.netDisbursedAmount,
+      acceptedAt: acceptedAt,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      statement: kfs
+    };
+
+    loan.addStatusHistory('accepted', `Key Fact Statement ${kfs.reference} accepted`, req.user.userId.toString());
+
+    await loan.save();
+
+    await notifyLoanStatus(user, loan);
+
+    res.json({
+      success: true,
+      message: 'Loan offer accepted',
+      data: {
+        loanId: loan.loanId,
+        status: loan.status,
+        kfsReference: loan.kfs.reference,
+        apr: loan.kfs.apr,
+        netDisbursedAmount: loan.kfs.netDisbursedAmount,
+        acceptedAt: acceptedAt
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof LoanStatusTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    console.error('Accept offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept loan offer',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get the loan agreement (HTML is the exact document that was or will be signed)
+router.get('/:loanId/agreement', authenticateToken, async (req, res) => {
+  try {
+    const { loanId } = req.params;
+
+    const loan = await Loan.findOne(loanReadQuery(req, loanId));
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    if (!loan.agreement || !loan.agreement.document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan agreement has not been generated yet'
+      });
+    }
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(loan.agreement.document);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        loanId: loan.loanId,
+        agreementId: loan.agreement.agreementId,
+        status: loan.agreement.status,
+        language: loan.agreement.language,
+        templateVersion: loan.agreement.templateVersion,
+        documentHash: loan.agreement.documentHash,
+        generatedAt: loan.agreement.generatedAt,
+        signedAt: loan.agreement.signedAt,
+        document: loan.agreement.document
+      }
+    });
+
+  } catch (error) {
+    console.error('Loan agreement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch loan agreement',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Generate the agreement for an accepted offer and send the signing OTP.
+// Calling again before signing regenerates the document and resends the OTP.
+router.post('/:loanId/agreement', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = agreementRequestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { loanId } = req.params;
+
+    const loan = await Loan.findOne({ loanId: loanId, userId: req.user.userId });
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    if (loan.status !== 'accepted') {
+      return res.status(409).json({
+        success: false,
+        message: 'The loan offer must be accepted before the agreement can be signed',
+        currentStatus: loan.status
+      });
+    }
+
+    if (loan.isAgreementSigned()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Loan agreement is already signed'
+      });
+    }
+
+    const product = loan.productId ? await LoanProduct.findById(loan.productId) : null;
+
+    // Agreements are only written in languages with a template
+    const availableLanguages = getAgreementLanguages(product);
+    if (value.language && !availableLanguages.includes(value.language)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Loan agreement is not available in this language',
+        availableLanguages: availableLanguages
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+
+    loan.agreement = generateAgreement(loan, user, product, { language: value.language });
+    await loan.save();
+
+    await sendSigningOTP(user.phoneNumber, {
+      loanId: loan.loanId,
+      documentHash: loan.agreement.documentHash
+    }, user.preferredLanguage);
+
+    res.json({
+      success: true,
+      message: 'Loan agreement generated. Enter the OTP sent to your phone to sign it.',
+      data: {
+        loanId: loan.loanId,
+        agreementId: loan.agreement.agreementId,
+        language: loan.agreement.language,
+        templateVersion: loan.agreement.templateVersion,
+        documentHash: loan.agreement.documentHash,
+        document: loan.agreement.document
+      }
+    });
+
+  } catch (error) {
+    console.error('Loan agreement generation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate loan agreement',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Sign the agreement with the OTP (click-wrap). The hash ties the signature to the exact document.
+router.post('/:loanId/agreement/sign', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = agreementSignSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { loanId } = req.params;
+    const { otp, documentHash, deviceId } = value;
+
+    const loan = await Loan.findOne({ loanId: loanId, userId: req.user.userId });
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    if (!loan.agreement || loan.agreement.status !== 'generated' || loan.status !== 'accepted') {
+      return res.status(409).json({
+        success: false,
+        message: 'No loan agreement is awaiting signature'
+      });
+    }
+
+    // The document shown must be the one stored, and the stored one must be intact
+    if (documentHash.toLowerCase() !== loan.agreement.documentHash ||
+        hashDocument(loan.agreement.document) !== loan.agreement.documentHash) {
+      return res.status(409).json({
+        success: false,
+        message: 'Agreement has changed. Please review the latest agreement.',
+        documentHash: loan.agreement.documentHash
+      });
+    }
+
+    const isOTPValid = await verifyOTP(req.user.phoneNumber, otp, `esign:${loan.loanId}`);
+    if (!isOTPValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired OTP'
+      });
+    }
+
+    loan.agreement.status = 'signed';
+    loan.agreement.signedAt = new Date();
+    loan.agreement.signerPhone = req.user.phoneNumber;
+    loan.agreement.deviceId = deviceId;
+    loan.agreement.ipAddress = req.ip;
+    loan.agreement.userAgent = req.get('User-Agent');
+
+    await loan.save();
+
+    res.json({
+      success: true,
+      message: 'Loan agreement signed successfully',
+      data: {
+        loanId: loan.loanId,
+        agreementId: loan.agreement.agreementId,
+        documentHash: loan.agreement.documentHash,
+        signedAt: loan.agreement.signedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Loan agreement signing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign loan agreement',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Amount to cancel a disbursed loan within the cooling-off period
+router.get('/:loanId/cooling-off', authenticateToken, async (req, res) => {
+  try {
+    const { loanId } = req.params;
+
+    const loan = await Loan.findOne({ loanId: loanId, userId: req.user.userId });
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    const eligible = loan.status === 'disbursed' && loan.isInCoolingOff();
+
+    res.json({
+      success: true,
+      data: {
+        loanId: loan.loanId,
+        eligible: eligible,
+        coolingOffDays: loan.getCoolingOffDays(),
+        coolingOffEndsAt: loan.getCoolingOffEndDate(),
+        quote: eligible ? generateCoolingOffQuote(loan) : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Cooling-off quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch cooling-off details',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Withdraw an application before it has been decided
+router.post('/:loanId/withdraw', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = withdrawSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const loan = await Loan.findOne({ loanId: req.params.loanId, userId: req.user.userId });
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    if (!WITHDRAWABLE_STATUSES.includes(loan.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only applications awaiting a decision can be withdrawn',
+        currentStatus: loan.status
+      });
+    }
+
+    withdrawApplication(loan, value.reason, req.user.userId.toString());
+    await loan.save();
+
+    const user = await User.findById(req.user.userId);
+    await notifyLoanStatus(user, loan, 'withdrawn');
+
+    res.json({
+      success: true,
+      message: 'Loan application withdrawn',
+      data: {
+        loanId: loan.loanId,
+        status: loan.status,
+        withdrawnAt: loan.statusHistory[loan.statusHistory.length - 1].timestamp
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof LoanStatusTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    console.error('Withdraw application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw loan application',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Cancel a disbursed loan within the cooling-off period by repaying principal and interest for the days used.
+// Creates a payment order for the cancellation amount; the loan is cancelled when the payment is captured.
+router.post('/:loanId/cooling-off/cancel', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = coolingOffCancelSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { loanId } = req.params;
+
+    const loan = await Loan.findOne({ loanId: loanId, userId: req.user.userId });
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    if (loan.status !== 'disbursed' || !loan.isInCoolingOff()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Loan is not within its cooling-off period',
+        currentStatus: loan.status,
+        coolingOffEndsAt: loan.getCoolingOffEndDate()
+      });
+    }
+
+    const quote = generateCoolingOffQuote(loan);
+    const order = await createPaymentOrder(loan, req.user.userData, {
+      amount: quote.totalAmount,
+      purpose: 'cooling_off_cancellation',
+      quoteId: quote.quoteId,
+      mode: value.mode,
+      payerVpa: value.payerVpa
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment order created. The loan is cancelled once the payment is confirmed.',
+      data: {
+        loanId: loan.loanId,
+        quote: quote,
+        paymentOrder: formatPaymentOrder(order)
+      }
+    });
+
+  } catch (error) {
+    console.error('Cooling-off cancellation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel loan',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Record a payment collected outside the gateway (cash with field staff, bank transfer).
+// Borrowers pay through payment orders. Any amount is allocated across due EMIs oldest-first.
+router.post('/:loanId/pay-emi', authenticateToken, requirePermission(PERMISSIONS.PAYMENTS_RECORD), async (req, res) => {
+  try {
+    const { error, value } = paymentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { loanId } = req.params;
+    const { amount, paymentMethod, reference } = value;
+
+    const loan = await Loan.findOne({ loanId: loanId });
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    if (loan.status !== 'disbursed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Payments can only be made on disbursed loans',
+        currentStatus: loan.status
+      });
+    }
+
+    const { totalOutstanding } = await getLoanBalances(loan);
+    if (amount > totalOutstanding) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment exceeds total outstanding amount',
+        totalOutstanding: totalOutstanding,
+        providedAmount: amount
+      });
+    }
+
+    // Process payment
+    const receipt = loan.allocatePayment(amount, {
+      method: paymentMethod,
+      reference: reference,
+      recordedBy: req.user.userId.toString()
+    });
+
+    // Check if loan is fully paid
+    if (loan.canBeClosed()) {
+      closeLoan(loan, 'All EMIs paid successfully');
+    }
+
+    await loan.save();
+    const balances = await getLoanBalances(loan);
+
+    res.json({
+      success: true,
+      message: 'Payment received successfully',
+      data: {
+        loanId: loan.loanId,
+        receipt: receipt,
+        advanceCredit: balances.advance,
+        totalOutstanding: balances.totalOutstanding,
+        remainingEMIs: loan.repaymentSchedule.filter(e => e.status !== 'paid').length,
+        loanStatus: loan.status,
+        nextEMI: loan.getNextEMI()
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof LoanStatusTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    console.error('EMI payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process EMI payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Create a gateway payment order for an EMI (the oldest unpaid one unless given).
+// Send an Idempotency-Key header to retry safely.
+router.post('/:loanId/payment-orders', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = paymentOrderSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey && idempotencyKey.length > 64) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency-Key must be at most 64 characters'
+      });
+    }
+
+    const { loanId } = req.params;
+
+    if (idempotencyKey) {
+      const existing = await PaymentOrder.findOne({ userId: req.user.userId, idempotencyKey: idempotencyKey });
+      if (existing) {
+        const sameRequest = existing.loanId === loanId &&
+          (value.amount === undefined || value.amount === existing.amount) &&
+          (value.emiNumber === undefined || value.emiNumber === existing.emiNumber);
+        if (!sameRequest) {
+          return res.status(409).json({
+            success: false,
+            message: 'Idempotency-Key was already used for a different payment'
+          });
+        }
+        return res.json({
+          success: true,
+          message: 'Payment order already created',
+          data: formatPaymentOrder(existing)
+        });
+      }
+    }
+
+    // Co-applicants and guarantors can pay on the borrower's behalf
+    const loan = await Loan.findOne(liableLoanQuery(req, loanId));
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    if (loan.status !== 'disbursed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Payments can only be made on disbursed loans',
+        currentStatus: loan.status
+      });
+    }
+
+    const due = getInstallmentDue(loan, value.emiNumber);
+    if (!due && value.amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: value.emiNumber ? 'EMI not found or already paid' : 'No installments are due'
+      });
+    }
+
+    const amount = value.amount !== undefined ? value.amount : due.amount;
+    const { totalOutstanding } = await getLoanBalances(loan);
+    if (amount > totalOutstanding) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment exceeds total outstanding amount',
+        totalOutstanding: totalOutstanding,
+        providedAmount: amount
+      });
+    }
+
+    const order = await createPaymentOrder(loan, req.user.userData, {
+      amount: amount,
+      emiNumber: due ? due.emiNumber : undefined,
+      mode: value.mode,
+      payerVpa: value.payerVpa,
+      idempotencyKey: idempotencyKey
+    });
+
+    res.status(201).json({
+      success: true,
+      message: value.mode === 'collect'
+        ? 'Collect request sent. Approve it in your UPI app.'
+        : 'Payment order created. Open the UPI link to pay.',
+      data: formatPaymentOrder(order)
+    });
+
+  } catch (error) {
+    console.error('Create payment order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create payment order',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
 });
 
-// Apply for loan
-router.post('/apply', authenticateToken, requireVerifiedIdentity, requireLoanEligibility, async (req, res) => {
+// Payment order status, for the client to poll after the UPI app returns
+router.get('/:loanId/payment-orders/:orderId', authenticateToken, async (req, res) => {
   try {
-    const { error, value } = loanApplicationSchema.validate(req.body);
+    const loan = await Loan.findOne(loanReadQuery(req, req.params.loanId)).select('_id');
+    const order = loan && await PaymentOrder.findOne({ orderId: req.params.orderId, loan: loan._id });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatPaymentOrder(order)
+    });
+
+  } catch (error) {
+    console.error('Get payment order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get payment order',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Receipts for every payment on a loan, newest first
+router.get('/:loanId/receipts', authenticateToken, async (req, res) => {
+  try {
+    const loan = await Loan.findOne(loanReadQuery(req, req.params.loanId)).select('loanId payments');
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    const receipts = loan.payments
+      .map(payment => ({
+        receiptNumber: getReceiptNumber(payment),
+        paymentId: payment.paymentId,
+        type: payment.type,
+        amount: payment.amount,
+        method: payment.method,
+        paidAt: payment.paidAt
+      }))
+      .sort((a, b) => b.paidAt - a.paidAt);
+
+    res.json({
+      success: true,
+      data: {
+        loanId: loan.loanId,
+        receipts: receipts
+      }
+    });
+
+  } catch (error) {
+    console.error('List receipts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get receipts',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Receipt for one payment as JSON, printable HTML or SMS text
+router.get('/:loanId/receipts/:receiptNumber', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = receiptQuerySchema.validate(req.query);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -46,135 +2226,266 @@ router.post('/apply', authenticateToken, requireVerifiedIdentity, requireLoanEli
       });
     }
 
-    const { amount, purpose, tenure, monthlyIncome } = value;
-    const user = await User.findById(req.user.userId);
+    const loan = await Loan.findOne(loanReadQuery(req, req.params.loanId));
+    const payment = loan && loan.payments.find(entry => getReceiptNumber(entry) === req.params.receiptNumber);
 
-    // Get latest credit analysis
-    const creditAnalysis = await CreditAnalysis.findOne({ userId: req.user.userId })
-      .sort({ analysisDate: -1 });
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt not found'
+      });
+    }
 
-    if (!creditAnalysis) {
+    const borrower = await User.findById(loan.userId).select('name phoneNumber preferredLanguage');
+    const receipt = buildReceipt(loan, payment, borrower, { language: value.language });
+
+    if (value.format === 'html') {
+      return res.type('html').send(renderReceiptHtml(receipt));
+    }
+
+    if (value.format === 'sms') {
+      return res.json({
+        success: true,
+        data: {
+          receiptNumber: receipt.receiptNumber,
+          language: receipt.language,
+          text: renderReceiptSms(receipt)
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: receipt
+    });
+
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get receipt',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Statement of account for a date range as JSON, CSV, printable HTML or SMS text
+router.get('/:loanId/statement', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = statementQuerySchema.validate(req.query);
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Credit analysis required before loan application',
-        requiresCreditAnalysis: true
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const loan = await Loan.findOne(loanReadQuery(req, req.params.loanId));
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    if (!loan.disbursalDate) {
+      return res.status(409).json({
+        success: false,
+        message: 'Statement is available once the loan is disbursed',
+        currentStatus: loan.status
+      });
+    }
+
+    const borrower = await User.findById(loan.userId).select('name phoneNumber preferredLanguage');
+    const statement = buildStatement(loan, borrower, {
+      ...value,
+      entries: await getAccountEntries(loan),
+      balances: await getLoanBalances(loan)
+    });
+
+    if (value.format === 'csv') {
+      res.set('Content-Disposition', `attachment; filename="statement-${loan.loanId}.csv"`);
+      return res.type('text/csv').send(renderStatementCsv(statement));
+    }
+
+    if (value.format === 'html') {
+      return res.type('html').send(renderStatementHtml(statement));
+    }
+
+    if (value.format === 'sms') {
+      return res.json({
+        success: true,
+        data: {
+          loanId: loan.loanId,
+          language: statement.language,
+          text: renderStatementSms(statement)
+        }
       });
     }
 
-    // Check if requested amount is within recommended limits
-    const maxAllowed = creditAnalysis.loanRecommendation.maxLoanAmount;
-    if (amount > maxAllowed) {
+    res.json({
+      success: true,
+      data: statement
+    });
+
+  } catch (error) {
+    console.error('Statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate statement',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Text the statement summary to the borrower's phone (for feature phones)
+router.post('/:loanId/statement/sms', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = statementQuerySchema.validate(req.body);
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: `Requested amount exceeds maximum allowed limit of Rs. ${maxAllowed}`,
-        maxAllowedAmount: maxAllowed,
-        recommendedAmount: creditAnalysis.loanRecommendation.recommendedAmount
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
       });
     }
 
-    // Calculate interest rate based on credit score and risk
-    let interestRate = creditAnalysis.loanRecommendation.suggestedInterestRate || 18.0;
-    
-    // Adjust based on amount and tenure
-    if (amount > 50000) interestRate += 1.0;
-    if (tenure > 18) interestRate += 0.5;
+    const loan = await Loan.findOne(loanReadQuery(req, req.params.loanId));
 
-    // Create loan application
-    const loan = new Loan({
-      userId: req.user.userId,
-      amount: amount,
-      interestRate: interestRate,
-      tenure: tenure,
-      purpose: purpose,
-      creditScore: creditAnalysis.alternativeCreditScore,
-      riskScore: (100 - creditAnalysis.alternativeCreditScore) / 10, // Convert to 0-10 scale
-      alternativeCreditData: {
-        smsAnalysis: creditAnalysis.smsAnalysis,
-        upiAnalysis: creditAnalysis.upiAnalysis,
-        mobileUsage: creditAnalysis.mobileUsage
-      },
-      aiDecisionConfidence: creditAnalysis.confidenceLevel
-    });
-
-    // Calculate EMI
-    loan.calculateEMI();
-
-    // Auto-approve based on credit score and confidence
-    if (creditAnalysis.alternativeCreditScore >= 650 && creditAnalysis.confidenceLevel >= 0.7) {
-      loan.status = 'approved';
-      loan.approvalDate = new Date();
-      loan.approvalReason = 'Auto-approved based on strong credit profile';
-      
-      // Update user loan count
-      user.totalLoansApproved += 1;
-      user.currentLoanAmount = amount;
-      await user.save();
-    } else if (creditAnalysis.alternativeCreditScore < 500) {
-      loan.status = 'rejected';
-      loan.rejectionReason = 'Credit score below minimum threshold';
-    } else {
-      loan.status = 'under_review';
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
     }
 
-    // Add status to history
-    loan.addStatusHistory(loan.status, loan.approvalReason || loan.rejectionReason || 'Application submitted');
+    if (!loan.disbursalDate) {
+      return res.status(409).json({
+        success: false,
+        message: 'Statement is available once the loan is disbursed',
+        currentStatus: loan.status
+      });
+    }
 
-    await loan.save();
+    const borrower = await User.findById(loan.userId).select('name phoneNumber preferredLanguage');
+    const text = renderStatementSms(buildStatement(loan, borrower, {
+      ...value,
+      entries: await getAccountEntries(loan),
+      balances: await getLoanBalances(loan)
+    }));
+    await sendAccountSummarySMS(borrower.phoneNumber, text);
 
-    // Update user application count
-    user.totalLoansApplied += 1;
-    await user.save();
+    res.json({
+      success: true,
+      message: 'Statement summary sent by SMS',
+      data: {
+        loanId: loan.loanId,
+        text: text
+      }
+    });
 
-    // Send SMS notification
-    try {
-      await sendLoanStatusSMS(
-        user.phoneNumber, 
-        loan.loanId, 
-        loan.status, 
-        user.preferredLanguage
-      );
-    } catch (smsError) {
-      console.error('SMS notification failed:', smsError);
+  } catch (error) {
+    console.error('Statement SMS error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send statement SMS',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Ledger of a loan: every journal entry and the balances derived from them
+router.get('/:loanId/ledger', authenticateToken, async (req, res) => {
+  try {
+    const loan = await Loan.findOne(loanReadQuery(req, req.params.loanId));
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
     }
 
-    res.status(201).json({
+    const balances = await getLoanBalances(loan);
+    const entries = await getLoanEntries(loan);
+
+    res.json({
+      success: true,
+      data: {
+        loanId: loan.loanId,
+        status: loan.status,
+        balances: balances,
+        entries: entries.map(entry => ({
+          entryId: entry.entryId,
+          event: entry.event,
+          emiNumber: entry.emiNumber,
+          postedAt: entry.postedAt,
+          description: entry.description,
+          lines: entry.lines,
+          postedBy: entry.postedBy
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Loan ledger error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch loan ledger',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Relief restructurings of a loan, each with the schedule it replaced
+router.get('/:loanId/restructurings', authenticateToken, async (req, res) => {
+  try {
+    const loan = await Loan.findOne(loanReadQuery(req, req.params.loanId))
+      .select('loanId status emiAmount tenure restructurings');
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    res.json({
       success: true,
-      message: 'Loan application submitted successfully',
       data: {
         loanId: loan.loanId,
         status: loan.status,
-        amount: loan.amount,
-        interestRate: loan.interestRate,
-        tenure: loan.tenure,
         emiAmount: loan.emiAmount,
-        totalAmount: loan.totalAmount,
-        applicationDate: loan.applicationDate,
-        approvalDate: loan.approvalDate,
-        expectedDisbursalDate: loan.status === 'approved' 
-          ? new Date(Date.now() + 2 * 24 * 60 * 60 * 1000) // 2 days from now
-          : null
+        tenure: loan.tenure,
+        restructurings: loan.restructurings
       }
     });
 
   } catch (error) {
-    console.error('Loan application error:', error);
+    console.error('Loan restructurings error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to submit loan application',
+      message: 'Failed to fetch restructurings',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// Get loan status
-router.get('/status/:loanId', authenticateToken, async (req, res) => {
+// Waive part of an EMI's unpaid penalty or interest (back-office)
+router.post('/:loanId/waivers', authenticateToken, requirePermission(PERMISSIONS.CHARGES_WAIVE), async (req, res) => {
   try {
-    const { loanId } = req.params;
+    const { error, value } = waiverSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
 
-    const loan = await Loan.findOne({ 
-      loanId: loanId,
-      userId: req.user.userId 
-    }).populate('userId', 'name phoneNumber preferredLanguage');
+    const loan = await Loan.findOne({ loanId: req.params.loanId });
 
     if (!loan) {
       return res.status(404).json({
@@ -183,96 +2494,169 @@ router.get('/status/:loanId', authenticateToken, async (req, res) => {
       });
     }
 
-    // Calculate progress
-    const totalEMIs = loan.repaymentSchedule.length;
-    const paidEMIs = loan.repaymentSchedule.filter(emi => emi.status === 'paid').length;
-    const progress = totalEMIs > 0 ? (paidEMIs / totalEMIs) * 100 : 0;
+    if (loan.status !== 'disbursed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Waivers can only be applied to disbursed loans',
+        currentStatus: loan.status
+      });
+    }
 
-    // Get next EMI
-    const nextEMI = loan.getNextEMI();
-    const overdueEMIs = loan.getOverdueEMIs();
+    const emi = loan.repaymentSchedule.find(entry => entry.emiNumber === value.emiNumber);
+    if (!emi || emi.status === 'paid') {
+      return res.status(400).json({
+        success: false,
+        message: 'EMI not found or already paid'
+      });
+    }
+
+    const unpaid = Loan.roundCurrency(value.component === 'penalty'
+      ? (emi.penaltyAmount || 0) - (emi.paidPenalty || 0)
+      : (emi.interest || 0) - (emi.paidInterest || 0));
+    if (value.amount > unpaid) {
+      return res.status(400).json({
+        success: false,
+        message: `Waiver exceeds the unpaid ${value.component} on EMI ${value.emiNumber}`,
+        unpaidAmount: unpaid,
+        providedAmount: value.amount
+      });
+    }
+
+    // Interest can only be waived once it has fallen due
+    if (value.component === 'interest' && emi.dueDate > new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Interest can only be waived on an EMI that has fallen due',
+        dueDate: emi.dueDate
+      });
+    }
+
+    const waiver = loan.applyWaiver({
+      ...value,
+      approvedBy: req.user.userId.toString()
+    });
+    loan.accruedPenalty = loan.getAccruedPenalty();
+
+    if (loan.canBeClosed()) {
+      closeLoan(loan, 'All dues settled after waiver', req.user.userId.toString());
+    }
+
+    await loan.save();
+    const balances = await getLoanBalances(loan);
 
-    res.json({
+    res.status(201).json({
       success: true,
+      message: 'Waiver applied successfully',
       data: {
         loanId: loan.loanId,
-        status: loan.status,
-        amount: loan.amount,
-        interestRate: loan.interestRate,
-        tenure: loan.tenure,
-        emiAmount: loan.emiAmount,
-        totalAmount: loan.totalAmount,
-        applicationDate: loan.applicationDate,
-        approvalDate: loan.approvalDate,
-        disbursalDate: loan.disbursalDate,
-        progress: Math.round(progress),
-        nextEMI: nextEMI,
-        overdueEMIs: overdueEMIs,
-        canBeClosed: loan.canBeClosed(),
-        statusHistory: loan.statusHistory
+        waiver: waiver,
+        loanStatus: loan.status,
+        balances: balances
       }
     });
 
   } catch (error) {
-    console.error('Loan status error:', error);
+    if (error instanceof LoanStatusTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    console.error('Waiver error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch loan status',
+      message: 'Failed to apply waiver',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// Get all user loans
-router.get('/my-loans', authenticateToken, async (req, res) => {
+// Write off a disbursed loan that won't be recovered (back-office)
+router.post('/:loanId/write-off', authenticateToken, requirePermission(PERMISSIONS.LOANS_WRITE_OFF), async (req, res) => {
   try {
-    const { status, limit = 10, page = 1 } = req.query;
+    const { error, value } = writeOffSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
 
-    const query = { userId: req.user.userId };
-    if (status) {
-      query.status = status;
+    const loan = await Loan.findOne({ loanId: req.params.loanId });
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
     }
 
-    const loans = await Loan.find(query)
-      .sort({ applicationDate: -1 })
-      .limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit))
-      .select('loanId status amount interestRate tenure emiAmount applicationDate approvalDate disbursalDate');
+    loan.assertCanTransitionTo('written_off');
 
-    const total = await Loan.countDocuments(query);
+    // Whatever the ledger says is still owed is written off
+    const balances = await getLoanBalances(loan);
+    writeOffLoan(loan, balances, value.reason, req.user.userId.toString());
+
+    await loan.save();
 
     res.json({
       success: true,
+      message: 'Loan written off',
       data: {
-        loans: loans,
-        pagination: {
-          total: total,
-          page: parseInt(page),
-          limit: parseInt(limit),
-          pages: Math.ceil(total / parseInt(limit))
-        }
+        loanId: loan.loanId,
+        status: loan.status,
+        writeOff: loan.writeOff,
+        balances: await getLoanBalances(loan)
       }
     });
 
   } catch (error) {
-    console.error('My loans error:', error);
+    if (error instanceof LoanStatusTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    console.error('Write-off error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch loans',
+      message: 'Failed to write off loan',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// Upload loan documents
-router.post('/:loanId/documents', authenticateToken, upload.array('documents', 5), async (req, res) => {
+// Get a foreclosure quote (payoff amount valid until a date)
+router.get('/:loanId/foreclosure-quote', authenticateToken, async (req, res) => {
   try {
     const { loanId } = req.params;
-    const { documentTypes } = req.body; // Array of document types corresponding to files
+    const config = getForeclosureConfig();
+
+    const today = new Date();
+    today.setHours(23, 59, 59, 999);
+
+    let validUntil = new Date(today);
+    if (req.query.validUntil) {
+      validUntil = new Date(req.query.validUntil);
+      if (isNaN(validUntil.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid validUntil date'
+        });
+      }
+      validUntil.setHours(23, 59, 59, 999);
+    } else {
+      validUntil.setDate(validUntil.getDate() + config.defaultValidityDays);
+    }
 
-    const loan = await Loan.findOne({ 
+    const maxValidUntil = new Date(today);
+    maxValidUntil.setDate(maxValidUntil.getDate() + config.maxValidityDays);
+
+    if (validUntil < today || validUntil > maxValidUntil) {
+      return res.status(400).json({
+        success: false,
+        message: `validUntil must be between today and ${config.maxValidityDays} days from now`
+      });
+    }
+
+    const loan = await Loan.findOne({
       loanId: loanId,
-      userId: req.user.userId 
+      userId: req.user.userId
     });
 
     if (!loan) {
@@ -282,70 +2666,60 @@ router.post('/:loanId/documents', authenticateToken, upload.array('documents', 5
       });
     }
 
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({
+    if (loan.status !== 'disbursed') {
+      return res.status(409).json({
         success: false,
-        message: 'No documents uploaded'
+        message: 'Foreclosure is only available on disbursed loans',
+        currentStatus: loan.status
       });
     }
 
-    const allowedTypes = ['aadhaar', 'pan', 'income_proof', 'bank_statement', 'photo'];
-    const uploadedDocs = [];
-
-    // Process each uploaded file
-    for (let i = 0; i < req.files.length; i++) {
-      const file = req.files[i];
-      const docType = documentTypes ? documentTypes[i] : 'other';
-
-      if (!allowedTypes.includes(docType)) {
-        continue;
-      }
-
-      // In production, save to cloud storage (AWS S3, Google Cloud Storage, etc.)
-      const filename = `${loanId}_${docType}_${Date.now()}.${file.originalname.split('.').pop()}`;
-      
-      // For now, just store metadata
-      const document = {
-        type: docType,
-        filename: filename,
-        uploadDate: new Date(),
-        verified: false
-      };
-
-      loan.documents.push(document);
-      uploadedDocs.push(document);
-    }
+    // Only the latest quote stays open
+    loan.foreclosureQuotes.forEach(quote => {
+      if (quote.status === 'open') quote.status = 'expired';
+    });
 
+    const quote = generateForeclosureQuote(loan, validUntil, config);
+    loan.foreclosureQuotes.push(quote);
     await loan.save();
 
     res.json({
       success: true,
-      message: 'Documents uploaded successfully',
       data: {
         loanId: loan.loanId,
-        uploadedDocuments: uploadedDocs,
-        totalDocuments: loan.documents.length
+        quote: quote
       }
     });
 
   } catch (error) {
-    console.error('Document upload error:', error);
+    console.error('Foreclosure quote error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to upload documents',
+      message: 'Failed to generate foreclosure quote',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// Get EMI schedule
-router.get('/:loanId/emi-schedule', authenticateToken, async (req, res) => {
+// Foreclose a loan by paying a valid quote in full. Creates a payment order for the quote;
+// the loan is closed when the payment is captured.
+router.post('/:loanId/foreclose', authenticateToken, async (req, res) => {
   try {
+    const { error, value } = foreclosureSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
     const { loanId } = req.params;
+    const { quoteId } = value;
 
-    const loan = await Loan.findOne({ 
+    const loan = await Loan.findOne({
       loanId: loanId,
-      userId: req.user.userId 
+      userId: req.user.userId
     });
 
     if (!loan) {
@@ -355,53 +2729,74 @@ router.get('/:loanId/emi-schedule', authenticateToken, async (req, res) => {
       });
     }
 
-    // Generate schedule if not exists
-    if (loan.repaymentSchedule.length === 0 && loan.status === 'disbursed') {
-      loan.generateRepaymentSchedule();
+    if (loan.status !== 'disbursed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Foreclosure is only available on disbursed loans',
+        currentStatus: loan.status
+      });
+    }
+
+    const quote = loan.foreclosureQuotes.find(q => q.quoteId === quoteId);
+    if (!quote || quote.status !== 'open') {
+      return res.status(404).json({
+        success: false,
+        message: 'No open foreclosure quote found'
+      });
+    }
+
+    if (quote.validUntil < new Date()) {
+      quote.status = 'expired';
       await loan.save();
+      return res.status(410).json({
+        success: false,
+        message: 'Foreclosure quote has expired. Please request a new quote.'
+      });
     }
 
-    const schedule = loan.repaymentSchedule.map(emi => ({
-      emiNumber: emi.emiNumber,
-      dueDate: emi.dueDate,
-      amount: emi.amount,
-      status: emi.status,
-      paidDate: emi.paidDate,
-      paidAmount: emi.paidAmount,
-      isOverdue: emi.status === 'pending' && emi.dueDate < new Date()
-    }));
+    const order = await createPaymentOrder(loan, req.user.userData, {
+      amount: quote.totalAmount,
+      purpose: 'foreclosure',
+      quoteId: quote.quoteId,
+      mode: value.mode,
+      payerVpa: value.payerVpa
+    });
 
-    res.json({
+    res.status(201).json({
       success: true,
-      data: {
-        loanId: loan.loanId,
-        totalEMIs: schedule.length,
-        paidEMIs: schedule.filter(emi => emi.status === 'paid').length,
-        pendingEMIs: schedule.filter(emi => emi.status === 'pending').length,
-        overdueEMIs: schedule.filter(emi => emi.isOverdue).length,
-        schedule: schedule
-      }
+      message: 'Payment order created. The loan is closed once the payment is confirmed.',
+      data: formatPaymentOrder(order)
     });
 
   } catch (error) {
-    console.error('EMI schedule error:', error);
+    console.error('Foreclosure error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch EMI schedule',
+      message: 'Failed to foreclose loan',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// Simulate EMI payment (in production, integrate with payment gateway)
-router.post('/:loanId/pay-emi', authenticateToken, async (req, res) => {
+// Part-prepay principal. Creates a payment order; the prepayment is applied and the remaining
+// schedule regenerated when the payment is captured.
+router.post('/:loanId/prepay', authenticateToken, async (req, res) => {
   try {
+    const { error, value } = prepaymentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
     const { loanId } = req.params;
-    const { emiNumber, amount, paymentMethod = 'upi' } = req.body;
+    const { amount, option } = value;
 
-    const loan = await Loan.findOne({ 
+    const loan = await Loan.findOne({
       loanId: loanId,
-      userId: req.user.userId 
+      userId: req.user.userId
     });
 
     if (!loan) {
@@ -411,70 +2806,245 @@ router.post('/:loanId/pay-emi', authenticateToken, async (req, res) => {
       });
     }
 
-    // Find the EMI to pay
-    const emiIndex = loan.repaymentSchedule.findIndex(emi => emi.emiNumber === emiNumber);
-    if (emiIndex === -1) {
-      return res.status(404).json({
+    if (loan.status !== 'disbursed') {
+      return res.status(409).json({
         success: false,
-        message: 'EMI not found'
+        message: 'Prepayment is only available on disbursed loans',
+        currentStatus: loan.status
       });
     }
 
-    const emi = loan.repaymentSchedule[emiIndex];
-    if (emi.status === 'paid') {
-      return res.status(400).json({
+    // Bullet loans and loans still in a moratorium (original or relief) can only be closed in full
+    if (loan.repaymentFrequency === 'bullet' || loan.getPendingCapitalization() > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Part-prepayment is not available on this loan right now. Please request a foreclosure quote instead.',
+        repaymentFrequency: loan.repaymentFrequency,
+        moratoriumEndDate: loan.getMoratoriumEndDate()
+      });
+    }
+
+    // Dues must be cleared through a payment order first
+    const overdueAmount = loan.getOverdueAmount();
+    if (overdueAmount > 0) {
+      return res.status(409).json({
         success: false,
-        message: 'EMI already paid'
+        message: 'Please clear overdue EMIs before prepaying',
+        overdueAmount: overdueAmount
       });
     }
 
-    // Validate payment amount
-    if (amount < emi.amount) {
+    const nextEMI = loan.getNextEMI();
+    if (nextEMI && nextEMI.paidAmount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Please complete the partially paid EMI before prepaying',
+        emiNumber: nextEMI.emiNumber
+      });
+    }
+
+    const outstandingPrincipal = (await getLoanBalances(loan)).principal;
+    if (amount >= outstandingPrincipal) {
       return res.status(400).json({
         success: false,
-        message: 'Insufficient payment amount',
-        requiredAmount: emi.amount,
+        message: 'Prepayment covers the full outstanding principal. Please request a foreclosure quote instead.',
+        outstandingPrincipal: outstandingPrincipal,
         providedAmount: amount
       });
     }
 
-    // Process payment
-    loan.repaymentSchedule[emiIndex].status = 'paid';
-    loan.repaymentSchedule[emiIndex].paidDate = new Date();
-    loan.repaymentSchedule[emiIndex].paidAmount = amount;
+    const order = await createPaymentOrder(loan, req.user.userData, {
+      amount: amount,
+      purpose: 'prepayment',
+      prepaymentOption: option,
+      mode: value.mode,
+      payerVpa: value.payerVpa
+    });
 
-    // Check if loan is fully paid
-    if (loan.canBeClosed()) {
-      loan.status = 'closed';
-      loan.addStatusHistory('closed', 'All EMIs paid successfully');
-      
-      // Update user's current loan amount
-      const user = await User.findById(req.user.userId);
-      user.currentLoanAmount = 0;
-      await user.save();
+    res.status(201).json({
+      success: true,
+      message: 'Payment order created. The prepayment is applied once the payment is confirmed.',
+      data: formatPaymentOrder(order)
+    });
+
+  } catch (error) {
+    console.error('Prepayment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process prepayment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Disburse an accepted loan (back-office)
+router.post('/:loanId/disburse', authenticateToken, requirePermission(PERMISSIONS.LOANS_DISBURSE), async (req, res) => {
+  try {
+    const { error, value } = disbursementSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
     }
 
-    await loan.save();
+    const { loanId } = req.params;
+    const { method, payoutReference, bankAccount, upiVpa } = value;
+    const disbursedBy = req.user.userId.toString();
+
+    const current = await Loan.findOne({ loanId: loanId });
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    // Fail before claiming the loan if it can't be disbursed
+    if (current.status !== 'disbursing') {
+      current.assertCanTransitionTo('disbursing');
+    }
+
+    const existingPayout = await Loan.findOne({ 'disbursement.payoutReference': payoutReference });
+    if (existingPayout) {
+      return res.status(409).json({
+        success: false,
+        message: 'Payout reference has already been used',
+        loanId: existingPayout.loanId
+      });
+    }
+
+    // A top-up pays off the running loan first; the borrower receives the rest. A settlement
+    // already recorded by an earlier attempt that failed afterwards is reused.
+    let settledLoan = null;
+    let settlementQuote = null;
+    let settlement = null;
+    if (current.preApprovedOffer && current.preApprovedOffer.type === 'top_up') {
+      settledLoan = await Loan.findOne({ loanId: current.preApprovedOffer.basedOnLoanId, userId: current.userId });
+      settlement = settledLoan && settledLoan.payments.find(payment =>
+        payment.method === 'top_up' && payment.reference === current.loanId) || null;
+
+      if (!settlement && settledLoan && settledLoan.status === 'disbursed') {
+        settlementQuote = generateTopUpSettlementQuote(settledLoan);
+        if (settlementQuote.totalAmount >= current.amount - current.getProcessingFee()) {
+          return res.status(409).json({
+            success: false,
+            message: `Top-up no longer covers the balance of loan ${settledLoan.loanId}`,
+            settlementAmount: settlementQuote.totalAmount
+          });
+        }
+      }
+    }
+
+    // Only one request may disburse the loan: it is claimed in a single conditional update,
+    // and a claim left by a request that died part-way can be taken over once it is stale
+    const loan = await Loan.findOneAndUpdate(
+      {
+        _id: current._id,
+        $or: [
+          { status: 'accepted' },
+          { status: 'disbursing', disbursingSince: { $lt: new Date(Date.now() - DISBURSAL_CLAIM_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { status: 'disbursing', disbursingSince: new Date() } },
+      { new: true }
+    );
+    if (!loan) {
+      return res.status(409).json({
+        success: false,
+        message: 'Loan is already being disbursed'
+      });
+    }
+
+    try {
+      loan.disbursalDate = new Date();
+      loan.disbursement = {
+        method: method,
+        payoutReference: payoutReference,
+        bankAccount: bankAccount ? {
+          accountHolderName: bankAccount.accountHolderName,
+          accountNumber: bankAccount.accountNumber.replace(/\d(?=\d{4})/g, 'X'),
+          ifscCode: bankAccount.ifscCode
+        } : undefined,
+        upiVpa: upiVpa,
+        // Processing fee is deducted from the payout, as stated in the KFS
+        processingFee: loan.getProcessingFee(),
+        disbursedAmount: Loan.roundCurrency(loan.amount - loan.getProcessingFee()),
+        disbursedBy: disbursedBy
+      };
+
+      // The running loan is closed first, and only if nothing was posted to it since it was
+      // read (its version is checked), so the settlement matches what was owed
+      if (settlementQuote) {
+        settlement = settleForeclosure(settledLoan, settlementQuote, {
+          method: 'top_up',
+          reference: loan.loanId,
+          recordedBy: disbursedBy,
+          paidAt: loan.disbursalDate
+        });
+        closeLoan(settledLoan, `Settled from top-up loan ${loan.loanId}`, disbursedBy);
+        await settledLoan.increment().save();
+      }
+
+      if (settlement) {
+        loan.disbursement.settledLoanId = settledLoan.loanId;
+        loan.disbursement.settlementAmount = settlement.amount;
+        loan.disbursement.settlementPaymentId = settlement.paymentId;
+        loan.disbursement.disbursedAmount = Loan.roundCurrency(loan.disbursement.disbursedAmount - settlement.amount);
+      }
+
+      // Schedule is generated exactly once, from the actual disbursal date
+      if (loan.repaymentSchedule.length === 0) {
+        loan.generateRepaymentSchedule();
+      }
+
+      loan.addStatusHistory('disbursed', `Disbursed via ${method} (ref: ${payoutReference})`, disbursedBy);
+      loan.disbursingSince = undefined;
+
+      await loan.save();
+    } catch (disbursalError) {
+      // Release the claim so the disbursal can be retried
+      await Loan.updateOne(
+        { _id: loan._id, status: 'disbursing' },
+        { $set: { status: 'accepted' }, $unset: { disbursingSince: 1 } }
+      );
+      throw disbursalError;
+    }
+
+    const user = await User.findById(loan.userId);
+
+    // Send SMS notification
+    await notifyLoanStatus(user, loan, 'disbursed');
 
     res.json({
       success: true,
-      message: 'EMI payment successful',
+      message: 'Loan disbursed successfully',
       data: {
         loanId: loan.loanId,
-        emiNumber: emiNumber,
-        paidAmount: amount,
-        paidDate: new Date(),
-        remainingEMIs: loan.repaymentSchedule.filter(e => e.status === 'pending').length,
-        loanStatus: loan.status,
-        nextEMI: loan.getNextEMI()
+        status: loan.status,
+        disbursalDate: loan.disbursalDate,
+        disbursement: loan.disbursement,
+        emiAmount: loan.emiAmount,
+        firstEMI: loan.getNextEMI(),
+        totalEMIs: loan.repaymentSchedule.length
       }
     });
 
   } catch (error) {
-    console.error('EMI payment error:', error);
+    if (error instanceof LoanStatusTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The loan settled by this top-up changed during disbursal, please try again'
+      });
+    }
+    console.error('Loan disbursement error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to process EMI payment',
+      message: 'Failed to disburse loan',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -504,9 +3074,14 @@ router.get('/eligibility', authenticateToken, requireVerifiedIdentity, async (re
       eligibility.recommendations.push('Complete PAN verification');
     }
 
-    if (user.currentLoanAmount > 0) {
+    // Good repayers can borrow more without clearing the running loan first
+    eligibility.preApprovedOffers = await getPreApprovedOffers(user);
+
+    if (user.currentLoanAmount > 0 || await hasOpenLoan(user._id)) {
       eligibility.reasons.push('Existing loan must be cleared');
-      eligibility.recommendations.push('Pay off current loan before applying for new loan');
+      eligibility.recommendations.push(eligibility.preApprovedOffers.length > 0
+        ? 'Take up your pre-approved top-up offer, or pay off the current loan before applying for a new one'
+        : 'Pay off current loan before applying for new loan');
     }
 
     if (!creditAnalysis) {
@@ -520,6 +3095,33 @@ router.get('/eligibility', authenticateToken, requireVerifiedIdentity, async (re
       eligibility.suggestedInterestRate = creditAnalysis.loanRecommendation.suggestedInterestRate;
     }
 
+    // Peer guarantee: an overdue member makes the whole group ineligible
+    const group = user.groupId ? await Group.findById(user.groupId) : null;
+    if (group) {
+      eligibility.group = await getGroupEligibility(group);
+      if (!eligibility.group.eligible) {
+        eligibility.isEligible = false;
+        eligibility.reasons.push('A member of your group has overdue EMIs');
+        eligibility.recommendations.push('Help your group members clear their overdue EMIs');
+      }
+    }
+
+    // Products the borrower can apply for, capped by their credit limit
+    const products = await LoanProduct.getActiveProducts();
+    eligibility.eligibleProducts = products
+      .filter(product => product.isEligibleOccupation(user.occupation))
+      .filter(product => !creditAnalysis || product.amount.min <= eligibility.maxLoanAmount)
+      .map(product => {
+        const summary = product.getSummary();
+        if (creditAnalysis) {
+          summary.amount.max = Math.min(summary.amount.max, eligibility.maxLoanAmount);
+          summary.indicativeInterestRate = product.getInterestRate(
+            creditAnalysis.alternativeCreditScore, summary.amount.min, summary.tenure.min
+          );
+        }
+        return summary;
+      });
+
     res.json({
       success: true,
       data: eligibility
@@ -0,0 +1,476 @@
+const express = require('express');
+const multer = require('multer');
+const Joi = require('joi');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const Loan = require('../models/Loan');
+const Mandate = require('../models/Mandate');
+const PresentationBatch = require('../models/PresentationBatch');
+const {
+  getMandateProvider,
+  registerMandate,
+  generatePresentationBatch,
+  processReturnFile
+} = require('../services/mandateService');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Return files are small CSVs kept in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  }
+});
+
+// Loan statuses a mandate can be registered against
+const MANDATE_LOAN_STATUSES = ['accepted', 'disbursing', 'disbursed'];
+
+// Status changes a borrower can make on their own mandate
+const BORROWER_MANDATE_STATUSES = ['paused', 'active', 'revoked'];
+
+// Validation schemas
+const mandateSchema = Joi.object({
+  loanId: Joi.string().required(),
+  type: Joi.string().valid(...Mandate.MANDATE_TYPES).required(),
+  bankAccount: Joi.when('type', {
+    is: 'nach',
+    then: Joi.object({
+      accountHolderName: Joi.string().required(),
+      accountNumber: Joi.string().pattern(/^\d{9,18}$/).required(),
+      ifscCode: Joi.string().pattern(/^[A-Z]{4}0[A-Z0-9]{6}$/).required()
+    }).required(),
+    otherwise: Joi.forbidden()
+  }),
+  upiVpa: Joi.when('type', {
+    is: 'upi_autopay',
+    then: Joi.string().pattern(/^[\w.-]{2,256}@[a-zA-Z]{2,64}$/).required(),
+    otherwise: Joi.forbidden()
+  }),
+  maxAmount: Joi.number().positive().precision(2).required(),
+  frequency: Joi.string().valid(...Mandate.MANDATE_FREQUENCIES).default('as_presented'),
+  startDate: Joi.date().optional(),
+  endDate: Joi.date().greater(Joi.ref('startDate')).optional()
+});
+
+const mandateStatusSchema = Joi.object({
+  status: Joi.string().valid('active', 'paused', 'revoked', 'rejected').required(),
+  reason: Joi.string().max(500).optional()
+});
+
+const batchSchema = Joi.object({
+  presentationDate: Joi.date().default(() => new Date())
+});
+
+const canManageMandates = (req) => req.user.permissions.includes(PERMISSIONS.MANDATES_MANAGE);
+
+// Borrowers see mandates on their own loans; staff with loan or mandate access see any
+const mandateReadQuery = (req, query) => {
+  if (canManageMandates(req) || req.user.permissions.includes(PERMISSIONS.LOANS_READ_ANY)) {
+    return query;
+  }
+  return { ...query, userId: req.user.userId };
+};
+
+const formatMandate = (mandate) => ({
+  mandateId: mandate.mandateId,
+  loanId: mandate.loanId,
+  type: mandate.type,
+  bankAccount: mandate.bankAccount && mandate.bankAccount.accountNumber ? mandate.bankAccount : undefined,
+  upiVpa: mandate.upiVpa,
+  maxAmount: mandate.maxAmount,
+  frequency: mandate.frequency,
+  startDate: mandate.startDate,
+  endDate: mandate.endDate,
+  provider: mandate.provider,
+  providerReference: mandate.providerReference,
+  status: mandate.status,
+  rejectionReason: mandate.rejectionReason,
+  statusHistory: mandate.statusHistory,
+  createdAt: mandate.createdAt
+});
+
+// Register a mandate on a loan (borrower for their own loan, or mandate staff)
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = mandateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const loanQuery = canManageMandates(req)
+      ? { loanId: value.loanId }
+      : { loanId: value.loanId, userId: req.user.userId };
+    const loan = await Loan.findOne(loanQuery);
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    if (!MANDATE_LOAN_STATUSES.includes(loan.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Mandates can only be registered on accepted or disbursed loans',
+        currentStatus: loan.status
+      });
+    }
+
+    const existing = await Mandate.findOne({
+      loan: loan._id,
+      status: { $in: Mandate.LIVE_MANDATE_STATUSES }
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Loan already has a mandate. Revoke it before registering a new one.',
+        mandateId: existing.mandateId,
+        mandateStatus: existing.status
+      });
+    }
+
+    // The limit has to cover the largest installment, or some debits would always fail
+    const schedule = loan.repaymentSchedule.length > 0
+      ? loan.repaymentSchedule
+      : loan.buildRepaymentSchedule(new Date());
+    const largestInstallment = Math.max(...schedule.map(emi => emi.amount));
+    if (value.maxAmount < largestInstallment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mandate limit must cover the largest installment',
+        largestInstallment: largestInstallment,
+        providedMaxAmount: value.maxAmount
+      });
+    }
+
+    const mandate = await registerMandate(loan, value, req.user.userId.toString());
+
+    res.status(201).json({
+      success: mandate.status !== 'rejected',
+      message: mandate.status === 'rejected'
+        ? 'Mandate registration was rejected by the bank'
+        : 'Mandate registered',
+      data: formatMandate(mandate)
+    });
+
+  } catch (error) {
+    console.error('Mandate registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register mandate',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Mandates on a loan, newest first
+router.get('/loan/:loanId', async (req, res) => {
+  try {
+    const mandates = await Mandate.find(mandateReadQuery(req, { loanId: req.params.loanId }))
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        loanId: req.params.loanId,
+        mandates: mandates.map(formatMandate)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get loan mandates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get mandates',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Presentation batches, newest first
+router.get('/batches', requirePermission(PERMISSIONS.MANDATES_MANAGE), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const query = req.query.status ? { status: req.query.status } : {};
+
+    const [batches, total] = await Promise.all([
+      PresentationBatch.find(query)
+        .select('-items')
+        .sort({ presentationDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PresentationBatch.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        batches: batches,
+        pagination: {
+          page: page,
+          limit: limit,
+          total: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('List presentation batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list presentation batches',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Generate and submit a presentation batch (the daily job does this automatically)
+router.post('/batches', requirePermission(PERMISSIONS.MANDATES_MANAGE), async (req, res) => {
+  try {
+    const { error, value } = batchSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const batch = await generatePresentationBatch(value.presentationDate, req.user.userId.toString());
+
+    if (!batch) {
+      return res.json({
+        success: true,
+        message: 'No installments due for presentation',
+        data: null
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Presentation batch submitted',
+      data: batch
+    });
+
+  } catch (error) {
+    console.error('Generate presentation batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate presentation batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+router.get('/batches/:batchId', requirePermission(PERMISSIONS.MANDATES_MANAGE), async (req, res) => {
+  try {
+    const batch = await PresentationBatch.findOne({ batchId: req.params.batchId });
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Presentation batch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: batch
+    });
+
+  } catch (error) {
+    console.error('Get presentation batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get presentation batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Ingest a return file, uploaded as `returnFile` or sent as `content`
+router.post('/batches/:batchId/returns', requirePermission(PERMISSIONS.MANDATES_MANAGE), upload.single('returnFile'), async (req, res) => {
+  try {
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Return file is required'
+      });
+    }
+
+    const batch = await PresentationBatch.findOne({ batchId: req.params.batchId });
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Presentation batch not found'
+      });
+    }
+
+    const { rows, errors } = getMandateProvider(batch.provider).parseReturnFile(content);
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Return file has no valid rows',
+        errors: errors
+      });
+    }
+
+    const summary = await processReturnFile(batch, rows, req.user.userId.toString());
+
+    res.json({
+      success: true,
+      message: 'Return file processed',
+      data: {
+        batchId: batch.batchId,
+        ...summary,
+        malformedRows: errors
+      }
+    });
+
+  } catch (error) {
+    console.error('Return file processing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process return file',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Build a return file from the mock provider for testing (?fail=PRESENTATION_ID:RETURN_CODE,...)
+router.get('/batches/:batchId/mock-return-file', requirePermission(PERMISSIONS.MANDATES_MANAGE), async (req, res) => {
+  try {
+    const batch = await PresentationBatch.findOne({ batchId: req.params.batchId });
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Presentation batch not found'
+      });
+    }
+
+    if (batch.provider !== 'mock') {
+      return res.status(409).json({
+        success: false,
+        message: 'Return files can only be simulated for the mock provider'
+      });
+    }
+
+    const failures = {};
+    String(req.query.fail || '').split(',').filter(Boolean).forEach(entry => {
+      const [presentationId, returnCode] = entry.split(':');
+      failures[presentationId] = returnCode || 'INSUFFICIENT_FUNDS';
+    });
+
+    res.type('text/csv').send(getMandateProvider('mock').buildReturnFile(batch, failures));
+
+  } catch (error) {
+    console.error('Mock return file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build return file',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+router.get('/:mandateId', async (req, res) => {
+  try {
+    const mandate = await Mandate.findOne(mandateReadQuery(req, { mandateId: req.params.mandateId }));
+    if (!mandate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mandate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatMandate(mandate)
+    });
+
+  } catch (error) {
+    console.error('Get mandate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get mandate',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Pause, resume or revoke a mandate. Borrowers manage their own mandates; confirming or
+// rejecting a pending registration is left to mandate staff (provider callbacks).
+router.put('/:mandateId/status', async (req, res) => {
+  try {
+    const { error, value } = mandateStatusSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const isStaff = canManageMandates(req);
+    const query = isStaff
+      ? { mandateId: req.params.mandateId }
+      : { mandateId: req.params.mandateId, userId: req.user.userId };
+    const mandate = await Mandate.findOne(query);
+
+    if (!mandate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mandate not found'
+      });
+    }
+
+    const { status, reason } = value;
+    const isResume = status === 'active' && mandate.status === 'paused';
+
+    if (!isStaff && (!BORROWER_MANDATE_STATUSES.includes(status) || (status === 'active' && !isResume))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the bank can confirm or reject a mandate registration'
+      });
+    }
+
+    if (!mandate.canTransitionTo(status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Mandate cannot move from '${mandate.status}' to '${status}'`,
+        allowedTransitions: Mandate.MANDATE_TRANSITIONS[mandate.status]
+      });
+    }
+
+    if (status === 'rejected') {
+      mandate.rejectionReason = reason;
+    }
+    mandate.addStatusHistory(status, reason || `Mandate ${isResume ? 'resumed' : status}`, req.user.userId.toString());
+    await mandate.save();
+
+    res.json({
+      success: true,
+      message: `Mandate ${isResume ? 'resumed' : status}`,
+      data: formatMandate(mandate)
+    });
+
+  } catch (error) {
+    console.error('Update mandate status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update mandate',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
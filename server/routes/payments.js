@@ -0,0 +1,232 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const PaymentOrder = require('../models/PaymentOrder');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const {
+  getPaymentGateway,
+  processWebhook,
+  reconcileSettlements
+} = require('../services/paymentService');
+
+const router = express.Router();
+
+// Validation schemas
+const simulateSchema = Joi.object({
+  outcome: Joi.string().valid('success', 'failure').default('success'),
+  settlementAmount: Joi.number().positive().precision(2).optional(),
+  deliverWebhook: Joi.boolean().default(true)
+});
+
+const reconciliationSchema = Joi.object({
+  settlementDate: Joi.date().max('now').required()
+});
+
+// Gateway webhooks (no login: authenticated by the gateway's signature over the raw body)
+router.post('/webhooks/:gateway', async (req, res) => {
+  try {
+    // The fake gateway's payments are never real money
+    if (req.params.gateway === 'fake' && process.env.NODE_ENV === 'production') {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown payment gateway'
+      });
+    }
+
+    try {
+      getPaymentGateway(req.params.gateway);
+    } catch (gatewayError) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown payment gateway'
+      });
+    }
+
+    const result = await processWebhook(req.params.gateway, req.rawBody, req.headers);
+
+    if (result.status === 'invalid_signature') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Pay an order through the fake gateway, as the borrower's UPI app would (not in production)
+router.post('/orders/:orderId/simulate', authenticateToken, async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const { error, value } = simulateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const query = req.user.permissions.includes(PERMISSIONS.PAYMENTS_RECONCILE)
+      ? { orderId: req.params.orderId }
+      : { orderId: req.params.orderId, userId: req.user.userId };
+    const order = await PaymentOrder.findOne(query);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment order not found'
+      });
+    }
+
+    if (order.provider !== 'fake') {
+      return res.status(409).json({
+        success: false,
+        message: 'Payments can only be simulated on the fake gateway'
+      });
+    }
+
+    const webhook = getPaymentGateway('fake').simulatePayment(order, {
+      outcome: value.outcome,
+      settlementAmount: value.settlementAmount
+    });
+
+    // Leaving the webhook undelivered reproduces a capture the gateway never confirmed
+    const result = value.deliverWebhook
+      ? await processWebhook('fake', webhook.rawBody, webhook.headers)
+      : null;
+
+    res.json({
+      success: true,
+      data: {
+        orderId: order.orderId,
+        webhook: webhook,
+        result: result
+      }
+    });
+
+  } catch (error) {
+    console.error('Simulate payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to simulate payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Reconciliation reports, newest first
+router.get('/reconciliation', authenticateToken, requirePermission(PERMISSIONS.PAYMENTS_RECONCILE), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const query = req.query.status ? { status: req.query.status } : {};
+
+    const [reports, total] = await Promise.all([
+      ReconciliationReport.find(query)
+        .select('-mismatches')
+        .sort({ settlementDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ReconciliationReport.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        reports: reports,
+        pagination: {
+          page: page,
+          limit: limit,
+          total: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('List reconciliation reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list reconciliation reports',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Reconcile a settlement date now (the daily job reconciles the previous day)
+router.post('/reconciliation', authenticateToken, requirePermission(PERMISSIONS.PAYMENTS_RECONCILE), async (req, res) => {
+  try {
+    const { error, value } = reconciliationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const report = await reconcileSettlements(value.settlementDate, req.user.userId.toString());
+
+    res.status(201).json({
+      success: true,
+      message: report.mismatches.length > 0
+        ? `${report.mismatches.length} mismatch(es) found`
+        : 'All settlements matched',
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile settlements',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+router.get('/reconciliation/:reportId', authenticateToken, requirePermission(PERMISSIONS.PAYMENTS_RECONCILE), async (req, res) => {
+  try {
+    const report = await ReconciliationReport.findOne({ reportId: req.params.reportId });
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Get reconciliation report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get reconciliation report',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,220 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const Loan = require('../models/Loan');
+const ReliefEvent = require('../models/ReliefEvent');
+const { findEligibleLoans, applyReliefEvent } = require('../services/reliefService');
+
+const router = express.Router();
+
+// A claim older than this was left by a request that died part-way and may be taken over
+const APPLY_CLAIM_TIMEOUT_MS = 30 * 60 * 1000;
+
+router.use(authenticateToken);
+router.use(requirePermission(PERMISSIONS.LOANS_RESTRUCTURE));
+
+// Validation schemas
+const reliefEventSchema = Joi.object({
+  name: Joi.string().trim().min(3).max(100).required(),
+  calamityType: Joi.string().valid(...ReliefEvent.CALAMITY_TYPES).required(),
+  description: Joi.string().max(1000).optional(),
+  districts: Joi.array().items(Joi.string().trim().max(100)).unique().default([]),
+  pincodes: Joi.array().items(Joi.string().pattern(/^\d{6}$/)).unique().default([]),
+  startDate: Joi.date().required(),
+  endDate: Joi.date().min(Joi.ref('startDate')).required(),
+  reliefType: Joi.string().valid(...Loan.RESTRUCTURE_MODES).required(),
+  reliefMonths: Joi.number().integer().min(1).max(24).required()
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map(detail => detail.message)
+});
+
+// Loans the event would cover, and the ones it would skip
+const toPreview = ({ eligible, ineligible }) => ({
+  eligibleCount: eligible.length,
+  eligibleLoans: eligible.map(loan => ({
+    loanId: loan.loanId,
+    daysPastDue: loan.daysPastDue,
+    outstandingPrincipal: loan.getOutstandingPrincipal(),
+    emiAmount: loan.emiAmount
+  })),
+  skipped: ineligible.map(({ loan, reason }) => ({ loanId: loan.loanId, reason }))
+});
+
+// Declare a relief event; the response previews the loans it covers
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = reliefEventSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    if (value.districts.length === 0 && value.pincodes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one district or pincode is required'
+      });
+    }
+
+    const event = new ReliefEvent({
+      ...value,
+      declaredBy: req.user.userId
+    });
+    await event.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Relief event declared',
+      data: {
+        event: event,
+        preview: toPreview(await findEligibleLoans(event))
+      }
+    });
+
+  } catch (error) {
+    console.error('Declare relief event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to declare relief event',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// List relief events
+router.get('/', async (req, res) => {
+  try {
+    const { status, limit = 20, page = 1 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+
+    const events = await ReliefEvent.find(query)
+      .select('-loans')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await ReliefEvent.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        events: events,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('List relief events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch relief events',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Event details; a declared event also shows the current eligibility preview
+router.get('/:eventId', async (req, res) => {
+  try {
+    const event = await ReliefEvent.findOne({ eventId: req.params.eventId });
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Relief event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        event: event,
+        preview: event.status === 'declared' ? toPreview(await findEligibleLoans(event)) : undefined
+      }
+    });
+
+  } catch (error) {
+    console.error('Get relief event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch relief event',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Restructure the eligible loans and notify the borrowers
+router.post('/:eventId/apply', async (req, res) => {
+  try {
+    // Atomic claim so the event can't be applied twice at once. A stale claim, or one made
+    // before claims were timed, can be taken over; loans already restructured are skipped.
+    const event = await ReliefEvent.findOneAndUpdate(
+      {
+        eventId: req.params.eventId,
+        $or: [
+          { status: 'declared' },
+          { status: 'applying', applyingSince: { $not: { $gte: new Date(Date.now() - APPLY_CLAIM_TIMEOUT_MS) } } }
+        ]
+      },
+      { $set: { status: 'applying', applyingSince: new Date() } },
+      { new: true }
+    );
+
+    if (!event) {
+      const existing = await ReliefEvent.findOne({ eventId: req.params.eventId }).select('status appliedAt');
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Relief event not found'
+        });
+      }
+      return res.status(409).json({
+        success: false,
+        message: existing.status === 'applying'
+          ? 'Relief event is being applied'
+          : 'Relief event has already been applied',
+        appliedAt: existing.appliedAt
+      });
+    }
+
+    try {
+      await applyReliefEvent(event, req.user.userId);
+    } catch (applyError) {
+      // Loans already restructured are skipped when the event is applied again
+      await ReliefEvent.updateOne(
+        { eventId: event.eventId, status: 'applying' },
+        { $set: { status: 'declared' }, $unset: { applyingSince: 1 } }
+      );
+      throw applyError;
+    }
+
+    res.json({
+      success: true,
+      message: `Relief applied to ${event.summary.applied} loans`,
+      data: {
+        eventId: event.eventId,
+        summary: event.summary,
+        loans: event.loans
+      }
+    });
+
+  } catch (error) {
+    console.error('Apply relief event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply relief event',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
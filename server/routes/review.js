@@ -0,0 +1,479 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { LoanStatusTransitionError } = require('../utils/errors');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const CreditAnalysis = require('../models/CreditAnalysis');
+const LoanProduct = require('../models/LoanProduct');
+const { approveLoan, rejectLoan, hasOpenLoan, notifyLoanStatus } = require('../services/loanService');
+const { getSignedFileUrl } = require('../services/storageService');
+
+const router = express.Router();
+
+// Every review route is restricted to staff who can review loans
+router.use(authenticateToken, requirePermission(PERMISSIONS.LOANS_REVIEW));
+
+// Validation schemas
+const queueFilterSchema = Joi.object({
+  minAgeDays: Joi.number().min(0).optional(),
+  maxAgeDays: Joi.number().min(0).optional(),
+  minAmount: Joi.number().min(0).optional(),
+  maxAmount: Joi.number().min(0).optional(),
+  purpose: Joi.string().valid(...LoanProduct.LOAN_PURPOSES).optional(),
+  productCode: Joi.string().uppercase().optional(),
+  pincode: Joi.string().pattern(/^\d{6}$/).optional(),
+  riskCategory: Joi.string().valid('low', 'medium', 'high').optional(),
+  assigned: Joi.string().valid('me', 'unassigned', 'any').default('any'),
+  limit: Joi.number().min(1).max(100).default(20),
+  page: Joi.number().min(1).default(1)
+});
+
+const decisionSchema = Joi.object({
+  decision: Joi.string().valid('approve', 'reject', 'request_info').required(),
+  reason: Joi.string().trim().min(5).max(500).required(),
+  infoRequested: Joi.when('decision', {
+    is: 'request_info',
+    then: Joi.array().items(Joi.string()).min(1).required(),
+    otherwise: Joi.forbidden()
+  }),
+  notes: Joi.string().max(1000).optional()
+});
+
+const documentVerificationSchema = Joi.object({
+  verified: Joi.boolean().required(),
+  remarks: Joi.string().max(500).optional()
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// List applications waiting for manual review
+router.get('/queue', async (req, res) => {
+  try {
+    const { error, value } = queueFilterSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const {
+      minAgeDays, maxAgeDays, minAmount, maxAmount,
+      purpose, productCode, pincode, riskCategory, assigned, limit, page
+    } = value;
+
+    const query = { status: 'under_review' };
+
+    if (minAgeDays !== undefined || maxAgeDays !== undefined) {
+      query.applicationDate = {};
+      if (minAgeDays !== undefined) query.applicationDate.$lte = new Date(Date.now() - minAgeDays * DAY_MS);
+      if (maxAgeDays !== undefined) query.applicationDate.$gte = new Date(Date.now() - maxAgeDays * DAY_MS);
+    }
+
+    if (minAmount !== undefined || maxAmount !== undefined) {
+      query.amount = {};
+      if (minAmount !== undefined) query.amount.$gte = minAmount;
+      if (maxAmount !== undefined) query.amount.$lte = maxAmount;
+    }
+
+    if (purpose) query.purpose = purpose;
+    if (productCode) query.productCode = productCode;
+    if (riskCategory) query.riskCategory = riskCategory;
+
+    if (assigned === 'me') {
+      query['review.assignedTo'] = req.user.userId;
+    } else if (assigned === 'unassigned') {
+      query['review.assignedTo'] = null;
+    }
+
+    if (pincode) {
+      const borrowers = await User.find({ 'address.pincode': pincode }).select('_id');
+      query.userId = { $in: borrowers.map(borrower => borrower._id) };
+    }
+
+    // Oldest applications first so nothing sits in the queue indefinitely
+    const loans = await Loan.find(query)
+      .sort({ applicationDate: 1 })
+      .limit(limit)
+      .skip((page - 1) * limit)
+      .populate('userId', 'name phoneNumber address occupation monthlyIncome')
+      .select('loanId userId amount purpose productCode groupLoanId tenure interestRate creditScore riskCategory applicationDate review documents coApplicants');
+
+    const total = await Loan.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        applications: loans.map(loan => ({
+          loanId: loan.loanId,
+          borrower: loan.userId,
+          amount: loan.amount,
+          purpose: loan.purpose,
+          productCode: loan.productCode,
+          groupLoanId: loan.groupLoanId,
+          tenure: loan.tenure,
+          interestRate: loan.interestRate,
+          creditScore: loan.creditScore,
+          riskCategory: loan.riskCategory,
+          applicationDate: loan.applicationDate,
+          ageDays: Math.floor((Date.now() - loan.applicationDate) / DAY_MS),
+          assignedTo: loan.review?.assignedTo || null,
+          documentsCount: loan.documents.length,
+          awaitingConsent: loan.hasPendingConsents()
+        })),
+        pagination: {
+          total: total,
+          page: page,
+          limit: limit,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Review queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch review queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Claim an application for review
+router.post('/:loanId/claim', async (req, res) => {
+  try {
+    const { loanId } = req.params;
+
+    // Atomic claim so two officers can't pick up the same application
+    const loan = await Loan.findOneAndUpdate(
+      {
+        loanId: loanId,
+        status: 'under_review',
+        'review.assignedTo': { $in: [null, req.user.userId] }
+      },
+      {
+        $set: {
+          'review.assignedTo': req.user.userId,
+          'review.claimedAt': new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!loan) {
+      const existing = await Loan.findOne({ loanId: loanId }).select('status review');
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Loan not found'
+        });
+      }
+
+      return res.status(409).json({
+        success: false,
+        message: existing.status !== 'under_review'
+          ? 'Application is not awaiting review'
+          : 'Application is already claimed by another reviewer',
+        currentStatus: existing.status
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Application claimed',
+      data: {
+        loanId: loan.loanId,
+        assignedTo: loan.review.assignedTo,
+        claimedAt: loan.review.claimedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Review claim error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to claim application',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Release a claimed application back to the queue
+router.post('/:loanId/release', async (req, res) => {
+  try {
+    const loan = await Loan.findOneAndUpdate(
+      {
+        loanId: req.params.loanId,
+        status: 'under_review',
+        'review.assignedTo': req.user.userId
+      },
+      { $set: { 'review.assignedTo': null, 'review.claimedAt': null } },
+      { new: true }
+    );
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'No claimed application found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Application released',
+      data: { loanId: loan.loanId }
+    });
+
+  } catch (error) {
+    console.error('Review release error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release application',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get full application details for review
+router.get('/:loanId', async (req, res) => {
+  try {
+    const loan = await Loan.findOne({ loanId: req.params.loanId });
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    const borrower = await User.findById(loan.userId)
+      .select('name phoneNumber preferredLanguage address occupation monthlyIncome creditScore riskCategory totalLoansApplied totalLoansApproved currentLoanAmount fraudFlags createdAt');
+
+    // Prefer the analysis the decision was based on, fall back to the latest one
+    const creditAnalysis = loan.creditAnalysisId
+      ? await CreditAnalysis.findById(loan.creditAnalysisId)
+      : await CreditAnalysis.findOne({ userId: loan.userId }).sort({ analysisDate: -1 });
+
+    const previousLoans = await Loan.find({ userId: loan.userId, _id: { $ne: loan._id } })
+      .sort({ applicationDate: -1 })
+      .select('loanId status amount applicationDate');
+
+    res.json({
+      success: true,
+      data: {
+        loan: {
+          loanId: loan.loanId,
+          status: loan.status,
+          amount: loan.amount,
+          purpose: loan.purpose,
+          productCode: loan.productCode,
+          productTerms: loan.productTerms,
+          tenure: loan.tenure,
+          interestRate: loan.interestRate,
+          emiAmount: loan.emiAmount,
+          creditScore: loan.creditScore,
+          combinedCreditScore: loan.combinedCreditScore,
+          riskCategory: loan.riskCategory,
+          aiDecisionConfidence: loan.aiDecisionConfidence,
+          applicationDate: loan.applicationDate,
+          review: loan.review,
+          statusHistory: loan.statusHistory
+        },
+        borrower: borrower,
+        coApplicants: loan.coApplicants.map(coApplicant => ({
+          name: coApplicant.name,
+          phoneNumber: coApplicant.phoneNumber,
+          role: coApplicant.role,
+          relationship: coApplicant.relationship,
+          consent: coApplicant.consent,
+          creditScore: coApplicant.creditScore,
+          confidenceLevel: coApplicant.confidenceLevel,
+          liabilityAmount: coApplicant.liabilityAmount
+        })),
+        // Links to the uploaded files expire after a few minutes
+        documents: loan.documents.map(doc => ({
+          ...doc.toObject(),
+          download: doc.fileId ? getSignedFileUrl(doc.fileId) : null
+        })),
+        creditAnalysis: creditAnalysis ? {
+          analysisId: creditAnalysis._id,
+          creditScore: creditAnalysis.alternativeCreditScore,
+          riskCategory: creditAnalysis.riskCategory,
+          confidenceLevel: creditAnalysis.confidenceLevel,
+          components: creditAnalysis.creditScoreComponents,
+          recommendation: creditAnalysis.loanRecommendation,
+          positiveIndicators: creditAnalysis.positiveIndicators,
+          analysisDate: creditAnalysis.analysisDate,
+          dataSourcesUsed: creditAnalysis.dataSourcesUsed
+        } : null,
+        redFlags: creditAnalysis ? creditAnalysis.redFlags : [],
+        previousLoans: previousLoans
+      }
+    });
+
+  } catch (error) {
+    console.error('Review detail error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch application details',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Record a review decision
+router.post('/:loanId/decision', async (req, res) => {
+  try {
+    const { error, value } = decisionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { decision, reason, infoRequested, notes } = value;
+
+    const loan = await Loan.findOne({ loanId: req.params.loanId });
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    if (loan.status !== 'under_review') {
+      return res.status(409).json({
+        success: false,
+        message: 'Application is not awaiting review',
+        currentStatus: loan.status
+      });
+    }
+
+    if (!loan.review?.assignedTo || loan.review.assignedTo.toString() !== req.user.userId.toString()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Claim the application before recording a decision'
+      });
+    }
+
+    const user = await User.findById(loan.userId);
+    const reviewerId = req.user.userId.toString();
+
+    if (decision === 'approve') {
+      if (user.currentLoanAmount > 0 || await hasOpenLoan(loan.userId, loan._id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Borrower already has an active loan'
+        });
+      }
+      approveLoan(loan, user, reason, reviewerId);
+    } else if (decision === 'reject') {
+      rejectLoan(loan, reason, reviewerId);
+    } else {
+      // Application stays in the queue until the borrower responds
+      loan.review.infoRequested = infoRequested;
+      loan.addStatusHistory('under_review', `More information requested: ${reason}`, reviewerId);
+    }
+
+    loan.review.decision = decision;
+    loan.review.reviewedBy = req.user.userId;
+    loan.review.reviewedAt = new Date();
+    if (notes) loan.review.notes = notes;
+
+    await loan.save();
+    if (decision === 'approve') {
+      await user.save();
+    }
+
+    await notifyLoanStatus(user, loan, decision === 'request_info' ? 'info_requested' : loan.status);
+
+    res.json({
+      success: true,
+      message: 'Review decision recorded',
+      data: {
+        loanId: loan.loanId,
+        status: loan.status,
+        decision: decision,
+        reason: reason,
+        infoRequested: loan.review.infoRequested,
+        reviewedAt: loan.review.reviewedAt
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof LoanStatusTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    console.error('Review decision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record review decision',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Mark an uploaded document as verified (or not) after inspection
+router.put('/:loanId/documents/:documentId/verify', async (req, res) => {
+  try {
+    const { error, value } = documentVerificationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const loan = await Loan.findOne({ loanId: req.params.loanId });
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    const document = loan.documents.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    document.verified = value.verified;
+    document.verifiedBy = req.user.userId;
+    document.verifiedAt = new Date();
+    if (value.remarks) document.remarks = value.remarks;
+
+    await loan.save();
+
+    res.json({
+      success: true,
+      message: value.verified ? 'Document verified' : 'Document marked as not verified',
+      data: {
+        loanId: loan.loanId,
+        document: document,
+        missingForDisbursal: loan.getRequiredDocuments().filter(type =>
+          !loan.documents.some(doc => doc.type === type && doc.verified)
+        )
+      }
+    });
+
+  } catch (error) {
+    console.error('Document verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update document verification',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
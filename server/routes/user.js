@@ -4,6 +4,9 @@ const Joi = require('joi');
 const { authenticateToken } = require('../middleware/auth');
 const User = require('../models/User');
 const { encryptData, decryptData } = require('../utils/encryption');
+const { getBorrowerBalances } = require('../services/ledgerService');
+const { getPreApprovedOffers } = require('../services/offerService');
+const { storeFile, getSignedFileUrl } = require('../services/storageService');
 
 const router = express.Router();
 
@@ -113,22 +116,23 @@ router.post('/profile-image', authenticateToken, upload.single('profileImage'),
       });
     }
 
-    // In production, upload to cloud storage (AWS S3, Google Cloud Storage, etc.)
-    const filename = `profile_${req.user.userId}_${Date.now()}.${req.file.originalname.split('.').pop()}`;
-    
-    // For now, just store the filename in user profile
-    const user = await User.findByIdAndUpdate(
-      req.user.userId,
-      { profileImage: filename },
-      { new: true }
-    ).select('-password');
+    const { file } = await storeFile(req.file.buffer, {
+      category: 'profile_image',
+      owner: req.user.userId,
+      uploadedBy: req.user.userId.toString(),
+      mimeType: req.file.mimetype,
+      originalName: req.file.originalname
+    });
+
+    await User.findByIdAndUpdate(req.user.userId, { profileImage: file.fileId });
 
     res.json({
       success: true,
       message: 'Profile image uploaded successfully',
       data: {
-        profileImage: filename,
-        uploadDate: new Date()
+        profileImage: file.fileId,
+        ...getSignedFileUrl(file.fileId),
+        uploadDate: file.createdAt
       }
     });
 
@@ -287,11 +291,17 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
       nextEMI = activeLoan.getNextEMI();
     }
 
+    // Amounts owed come from the ledger
+    const balances = await getBorrowerBalances(req.user.userId);
+    const activeLoanBalances = activeLoan && balances.loans.find(entry => entry.loanId === activeLoan.loanId);
+
     // Get credit analysis summary
     const CreditAnalysis = require('../models/CreditAnalysis');
     const latestAnalysis = await CreditAnalysis.findOne({ userId: req.user.userId })
       .sort({ analysisDate: -1 });
 
+    const offers = await getPreApprovedOffers(user);
+
     const dashboard = {
       user: {
         name: user.name,
@@ -312,15 +322,27 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
       loans: {
         totalApplied: user.totalLoansApplied,
         totalApproved: user.totalLoansApproved,
-        currentLoanAmount: user.currentLoanAmount,
+        currentLoanAmount: balances.total.outstanding,
         pendingApplications: pendingApplications,
         activeLoan: activeLoan ? {
           loanId: activeLoan.loanId,
           amount: activeLoan.amount,
           emiAmount: activeLoan.emiAmount,
-          nextEMI: nextEMI
+          nextEMI: nextEMI,
+          daysPastDue: activeLoan.getDaysPastDue(),
+          overdueAmount: activeLoan.getOverdueAmount(),
+          accruedPenalty: activeLoanBalances ? activeLoanBalances.charges : 0,
+          outstanding: activeLoanBalances ? activeLoanBalances.outstanding : 0
         } : null
       },
+      // Top-up or repeat loan the borrower can take without a new application
+      preApprovedOffers: offers.map(offer => ({
+        type: offer.type,
+        basedOnLoanId: offer.basedOnLoanId,
+        maxAmount: offer.maxAmount,
+        additionalAmount: offer.additionalAmount,
+        interestRate: offer.interestRate
+      })),
       creditAnalysis: latestAnalysis ? {
         score: latestAnalysis.alternativeCreditScore,
         riskCategory: latestAnalysis.riskCategory,
@@ -336,6 +358,12 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
           enabled: user.isEligibleForLoan(),
           icon: 'loan'
         },
+        {
+          id: 'accept_offer',
+          title: user.preferredLanguage === 'hindi' ? 'पूर्व-स्वीकृत ऑफर देखें' : 'View Pre-approved Offer',
+          enabled: offers.length > 0,
+          icon: 'offer'
+        },
         {
           id: 'check_eligibility',
           title: user.preferredLanguage === 'hindi' ? 'पात्रता जांचें' : 'Check Eligibility',
@@ -366,6 +394,26 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
   }
 });
 
+// Amounts owed across the user's loans, from the ledger
+router.get('/balances', authenticateToken, async (req, res) => {
+  try {
+    const balances = await getBorrowerBalances(req.user.userId);
+
+    res.json({
+      success: true,
+      data: balances
+    });
+
+  } catch (error) {
+    console.error('Balances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch balances',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Get user notifications
 router.get('/notifications', authenticateToken, async (req, res) => {
   try {
@@ -484,7 +532,7 @@ router.delete('/account', authenticateToken, async (req, res) => {
     const Loan = require('../models/Loan');
     const activeLoans = await Loan.find({ 
       userId: req.user.userId, 
-      status: { $in: ['approved', 'disbursed'] }
+      status: { $in: ['approved', 'accepted', 'disbursing', 'disbursed'] }
     });
 
     if (activeLoans.length > 0) {
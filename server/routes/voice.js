@@ -1,11 +1,32 @@
 const express = require('express');
 const multer = require('multer');
+const Joi = require('joi');
 const { authenticateToken } = require('../middleware/auth');
 const { processVoiceCommand, speechToText, textToSpeech } = require('../services/voiceService');
 const { getLoanAssistantResponse } = require('../services/llmService');
+const LoanProduct = require('../models/LoanProduct');
+const Loan = require('../models/Loan');
+const ApplicationDraft = require('../models/ApplicationDraft');
+const { generateCoolingOffQuote } = require('../services/foreclosureService');
+const { createPaymentOrder } = require('../services/paymentService');
+const { getPreApprovedOffers } = require('../services/offerService');
 
 const router = express.Router();
 
+// Validation schemas
+const coolingOffCancelSchema = Joi.object({
+  loanId: Joi.string().trim().required(),
+  step: Joi.string().valid('quote', 'confirm').default('quote'),
+  userResponse: Joi.string().trim().max(100).allow('').optional(),
+  mode: Joi.string().valid('intent', 'collect').default('intent'),
+  payerVpa: Joi.when('mode', {
+    is: 'collect',
+    then: Joi.string().pattern(/^[\w.-]{2,256}@[a-zA-Z]{2,64}$/).required(),
+    otherwise: Joi.forbidden()
+  }),
+  language: Joi.string().valid('hindi', 'english').default('hindi')
+});
+
 // Configure multer for audio file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -123,7 +144,11 @@ router.post('/loan-assistant', authenticateToken, upload.single('audio'), async
       currentLoanAmount: req.user.userData.currentLoanAmount,
       isEligibleForLoan: req.user.userData.isEligibleForLoan(),
       occupation: req.user.userData.occupation,
-      monthlyIncome: req.user.userData.monthlyIncome
+      monthlyIncome: req.user.userData.monthlyIncome,
+      products: (await LoanProduct.getActiveProducts())
+        .filter(product => product.isEligibleOccupation(req.user.userData.occupation))
+        .map(product => product.getSummary()),
+      offers: await getPreApprovedOffers(req.user.userData)
     };
 
     // Process the command with LLM
@@ -200,39 +225,110 @@ router.get('/audio-response', authenticateToken, (req, res) => {
   }
 });
 
-// Voice-guided loan application flow
+// Voice-guided loan application flow. Each userResponse answers the step prompted last;
+// answers are saved on an application draft so a dropped call can resume where it stopped.
 router.post('/guided-application', authenticateToken, async (req, res) => {
   try {
-    const { step, userResponse, language = 'hindi' } = req.body;
+    const { step, userResponse, productCode, draftId, language = 'hindi' } = req.body;
+    const answer = userResponse !== undefined && userResponse !== null ? String(userResponse).trim() : '';
+
+    // Resume the given draft, or the borrower's open one once answers start
+    let draft = null;
+    if (draftId) {
+      draft = await ApplicationDraft.findOne({ draftId: draftId, userId: req.user.userId, status: 'draft' });
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft not found'
+        });
+      }
+    } else if (step !== 'welcome') {
+      draft = await ApplicationDraft.findOne({ userId: req.user.userId, status: 'draft' })
+        || new ApplicationDraft({ userId: req.user.userId });
+    }
+    const answeredStep = draft && answer ? draft.voiceStep : null;
+
+    // Limits in the prompts come from the selected product, or span all products offered
+    const products = (await LoanProduct.getActiveProducts())
+      .filter(product => product.isEligibleOccupation(req.user.userData.occupation));
+
+    const fields = {};
+    if (answeredStep === 'loan_product') {
+      const chosen = products.find(candidate => [candidate.code, candidate.name, candidate.nameHindi]
+        .some(name => name && name.toLowerCase() === answer.toLowerCase()));
+      if (chosen) fields.productCode = chosen.code;
+    }
+
+    const selectedCode = productCode || fields.productCode || (draft && draft.productCode);
+    const product = selectedCode
+      ? products.find(candidate => candidate.code === String(selectedCode).toUpperCase())
+      : null;
+    const offered = product ? [product] : products;
+
+    if (offered.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No loan products are available'
+      });
+    }
+
+    const minAmount = Math.min(...offered.map(p => p.amount.min));
+    const maxAmount = Math.max(...offered.map(p => p.amount.max));
+    const minTenure = Math.min(...offered.map(p => p.tenure.min));
+    const maxTenure = Math.max(...offered.map(p => p.tenure.max));
+    const purposes = [...new Set(offered.flatMap(p => p.purposes))];
+    const formatAmount = (amount) => amount.toLocaleString('en-IN');
+
+    const purposeNames = {
+      agriculture: { hindi: 'कृषि', english: 'Agriculture' },
+      business: { hindi: 'व्यापार', english: 'Business' },
+      education: { hindi: 'शिक्षा', english: 'Education' },
+      medical: { hindi: 'चिकित्सा', english: 'Medical' },
+      personal: { hindi: 'व्यक्तिगत', english: 'Personal' },
+      emergency: { hindi: 'आपातकाल', english: 'Emergency' }
+    };
+    const purposeList = purposes
+      .map(purpose => purposeNames[purpose][language === 'hindi' ? 'hindi' : 'english'])
+      .join(', ');
+    const productList = products
+      .map(p => language === 'hindi' ? (p.nameHindi || p.name) : p.name)
+      .join(', ');
 
     const applicationSteps = {
       welcome: {
         prompt: language === 'hindi' 
           ? 'नमस्ते! GrameenCredit में आपका स्वागत है। क्या आप लोन के लिए आवेदन करना चाहते हैं?'
           : 'Hello! Welcome to GrameenCredit. Would you like to apply for a loan?',
-        nextStep: 'loan_amount',
+        nextStep: 'loan_product',
         options: ['हाँ', 'नहीं', 'yes', 'no']
       },
+      loan_product: {
+        prompt: language === 'hindi'
+          ? `आप कौन सा लोन लेना चाहते हैं? ${productList}?`
+          : `Which loan would you like? ${productList}?`,
+        nextStep: 'loan_amount',
+        options: products.map(p => p.code)
+      },
       loan_amount: {
         prompt: language === 'hindi'
-          ? 'आपको कितनी राशि की आवश्यकता है? कृपया 5,000 से 1,00,000 रुपये के बीच बताएं।'
-          : 'How much amount do you need? Please specify between Rs. 5,000 to Rs. 1,00,000.',
+          ? `आपको कितनी राशि की आवश्यकता है? कृपया ${formatAmount(minAmount)} से ${formatAmount(maxAmount)} रुपये के बीच बताएं।`
+          : `How much amount do you need? Please specify between Rs. ${formatAmount(minAmount)} to Rs. ${formatAmount(maxAmount)}.`,
         nextStep: 'loan_purpose',
-        validation: (amount) => amount >= 5000 && amount <= 100000
+        validation: (amount) => amount >= minAmount && amount <= maxAmount
       },
       loan_purpose: {
         prompt: language === 'hindi'
-          ? 'लोन का उद्देश्य क्या है? कृषि, व्यापार, शिक्षा, चिकित्सा, या व्यक्तिगत?'
-          : 'What is the purpose of the loan? Agriculture, Business, Education, Medical, or Personal?',
+          ? `लोन का उद्देश्य क्या है? ${purposeList}?`
+          : `What is the purpose of the loan? ${purposeList}?`,
         nextStep: 'tenure',
-        options: ['agriculture', 'business', 'education', 'medical', 'personal']
+        options: purposes
       },
       tenure: {
         prompt: language === 'hindi'
-          ? 'आप कितने महीनों में लोन चुकाना चाहते हैं? 3 से 24 महीने के बीच चुनें।'
-          : 'In how many months do you want to repay the loan? Choose between 3 to 24 months.',
+          ? `आप कितने महीनों में लोन चुकाना चाहते हैं? ${minTenure} से ${maxTenure} महीने के बीच चुनें।`
+          : `In how many months do you want to repay the loan? Choose between ${minTenure} to ${maxTenure} months.`,
         nextStep: 'confirmation',
-        validation: (months) => months >= 3 && months <= 24
+        validation: (months) => months >= minTenure && months <= maxTenure
       },
       confirmation: {
         prompt: language === 'hindi'
@@ -243,14 +339,46 @@ router.post('/guided-application', authenticateToken, async (req, res) => {
       }
     };
 
-    const currentStep = applicationSteps[step];
-    if (!currentStep) {
+    if (!applicationSteps[step]) {
       return res.status(400).json({
         success: false,
         message: 'Invalid application step'
       });
     }
 
+    // Read the answer to the last prompt into application fields
+    if (answeredStep === 'loan_amount') {
+      const amount = parseInt(answer.replace(/[^\d]/g, ''));
+      if (applicationSteps.loan_amount.validation(amount)) fields.amount = amount;
+    } else if (answeredStep === 'loan_purpose') {
+      const purpose = purposes.find(key => [key, purposeNames[key].hindi, purposeNames[key].english]
+        .some(name => name.toLowerCase() === answer.toLowerCase()));
+      if (purpose) fields.purpose = purpose;
+    } else if (answeredStep === 'tenure') {
+      const months = parseInt(answer.replace(/[^\d]/g, ''));
+      if (applicationSteps.tenure.validation(months)) fields.tenure = months;
+    }
+
+    // An answer that couldn't be understood asks the same question again
+    const retry = ['loan_product', 'loan_amount', 'loan_purpose', 'tenure'].includes(answeredStep)
+      && Object.keys(fields).length === 0;
+    const promptStep = retry ? answeredStep : step;
+    const currentStep = applicationSteps[promptStep];
+
+    if (draft) {
+      draft.applyUpdate(fields, 'voice', req.user.userId.toString());
+      draft.voiceStep = promptStep;
+      try {
+        await draft.save();
+      } catch (saveError) {
+        if (saveError.code !== 11000) throw saveError;
+        return res.status(409).json({
+          success: false,
+          message: 'An application draft was started at the same time, please try again'
+        });
+      }
+    }
+
     // Generate audio for the prompt
     let audioPrompt = null;
     if (req.user.userData.voiceEnabled) {
@@ -265,10 +393,14 @@ router.post('/guided-application', authenticateToken, async (req, res) => {
     res.json({
       success: true,
       data: {
-        step,
+        step: promptStep,
+        retry,
+        productCode: product ? product.code : null,
         prompt: currentStep.prompt,
         nextStep: currentStep.nextStep,
         options: currentStep.options,
+        draftId: draft ? draft.draftId : null,
+        missingFields: draft ? draft.missingFields : undefined,
         audioAvailable: !!audioPrompt,
         language
       }
@@ -290,6 +422,116 @@ router.post('/guided-application', authenticateToken, async (req, res) => {
   }
 });
 
+// Voice cancellation within the cooling-off period: 'quote' reads out the amount, 'confirm'
+// creates a payment order when the borrower says yes. The loan is cancelled when the payment is captured.
+router.post('/cooling-off-cancel', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = coolingOffCancelSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { loanId, step, userResponse, language } = value;
+
+    const loan = await Loan.findOne({ loanId: loanId, userId: req.user.userId });
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    const isHindi = language === 'hindi';
+    let prompt;
+    let nextStep = null;
+    let paymentOrder = null;
+
+    if (loan.status !== 'disbursed' || !loan.isInCoolingOff()) {
+      prompt = isHindi
+        ? `लोन ${loan.loanId} की कूलिंग-ऑफ अवधि समाप्त हो चुकी है, इसलिए इसे रद्द नहीं किया जा सकता।`
+        : `The cooling-off period for loan ${loan.loanId} has ended, so it cannot be cancelled.`;
+    } else {
+      const quote = generateCoolingOffQuote(loan);
+      const answer = (userResponse || '').toString().trim().toLowerCase();
+      const confirmed = ['हाँ', 'हां', 'haan', 'ha', 'yes'].includes(answer);
+
+      if (step === 'confirm' && confirmed) {
+        const order = await createPaymentOrder(loan, req.user.userData, {
+          amount: quote.totalAmount,
+          purpose: 'cooling_off_cancellation',
+          quoteId: quote.quoteId,
+          channel: 'voice',
+          mode: value.mode,
+          payerVpa: value.payerVpa
+        });
+
+        paymentOrder = {
+          orderId: order.orderId,
+          amount: order.amount,
+          upiPayload: order.upiPayload,
+          expiresAt: order.expiresAt
+        };
+        prompt = isHindi
+          ? `कृपया अपने UPI ऐप में ${quote.totalAmount} रुपये का भुगतान करें। भुगतान मिलते ही लोन ${loan.loanId} रद्द कर दिया जाएगा और आपको SMS मिलेगा।`
+          : `Please pay ${quote.totalAmount} rupees in your UPI app. Loan ${loan.loanId} will be cancelled as soon as the payment is received, and you will get an SMS.`;
+      } else if (step === 'confirm') {
+        prompt = isHindi
+          ? 'ठीक है, आपका लोन रद्द नहीं किया गया।'
+          : 'Okay, your loan has not been cancelled.';
+      } else {
+        nextStep = 'confirm';
+        prompt = isHindi
+          ? `आप लोन ${loan.loanId} को ${quote.coolingOffEndsAt.toLocaleDateString('en-IN')} तक रद्द कर सकते हैं। इसके लिए ${quote.totalAmount} रुपये चुकाने होंगे, जिसमें ${quote.accruedInterest} रुपये ब्याज है। प्रोसेसिंग शुल्क वापस किया जाता है और कोई अन्य शुल्क नहीं है। क्या आप लोन रद्द करना चाहते हैं? हाँ या नहीं कहें।`
+          : `You can cancel loan ${loan.loanId} until ${quote.coolingOffEndsAt.toLocaleDateString('en-IN')}. You need to pay ${quote.totalAmount} rupees, including ${quote.accruedInterest} rupees interest. The processing fee is refunded and there are no other charges. Do you want to cancel the loan? Say yes or no.`;
+      }
+    }
+
+    // Generate audio for the prompt
+    let audioPrompt = null;
+    if (req.user.userData.voiceEnabled) {
+      audioPrompt = await textToSpeech(prompt, {
+        language: isHindi ? 'hi-IN' : 'en-IN',
+        gender: 'FEMALE',
+        speed: req.user.userData.voiceSpeed || 1.0
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        loanId: loan.loanId,
+        step,
+        prompt,
+        nextStep,
+        options: nextStep ? ['हाँ', 'नहीं', 'yes', 'no'] : [],
+        paymentOrder,
+        loanStatus: loan.status,
+        audioAvailable: !!audioPrompt,
+        language
+      }
+    });
+
+    // Store audio temporarily
+    if (audioPrompt) {
+      req.session = req.session || {};
+      req.session.lastAudioResponse = audioPrompt;
+    }
+
+  } catch (error) {
+    console.error('Voice cooling-off cancellation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process cancellation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Voice settings update
 router.put('/settings', authenticateToken, async (req, res) => {
   try {
@@ -0,0 +1,257 @@
+const Loan = require('../models/Loan');
+const InterestAccrual = require('../models/InterestAccrual');
+const PortfolioSnapshot = require('../models/PortfolioSnapshot');
+const { getLoanBalances } = require('./ledgerService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const { roundCurrency } = Loan;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const endOfDay = (date) => new Date(startOfDay(date).getTime() + DAY_MS - 1);
+
+const isMonthEnd = (date) => new Date(startOfDay(date).getTime() + DAY_MS).getDate() === 1;
+
+const getPeriod = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// Last day of a YYYY-MM period
+const getPeriodEnd = (period) => {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(year, month, 0);
+};
+
+// Start of the interest period a day falls in: disbursal, the end of the moratorium
+// (when interest is capitalized) or the last installment due date, whichever is latest
+const getInterestPeriodStart = (loan, day) => {
+  const boundaries = [startOfDay(loan.disbursalDate)];
+  const moratoriumEnd = loan.getMoratoriumEndDate();
+  if (moratoriumEnd) {
+    boundaries.push(startOfDay(moratoriumEnd));
+  }
+  for (const emi of loan.repaymentSchedule) {
+    boundaries.push(startOfDay(emi.dueDate));
+  }
+  return boundaries
+    .filter(boundary => boundary <= day)
+    .reduce((latest, boundary) => (boundary > latest ? boundary : latest));
+};
+
+const DPD_BUCKET_LIMITS = [
+  { bucket: 'current', max: 0 },
+  { bucket: '1-30', max: 30 },
+  { bucket: '31-60', max: 60 },
+  { bucket: '61-90', max: 90 }
+];
+
+const getDpdBucket = (daysPastDue) => {
+  const match = DPD_BUCKET_LIMITS.find(limit => daysPastDue <= limit.max);
+  return match ? match.bucket : '90+';
+};
+
+// Record one day's interest on a loan: ledger principal at the end of the day at the loan's
+// daily rate (actual/365). Returns the existing record if the day was already accrued.
+const accrueLoanInterest = async (loan, date, previous) => {
+  const day = startOfDay(date);
+  const existing = await InterestAccrual.findOne({ loan: loan._id, accrualDate: day });
+  if (existing) {
+    return existing;
+  }
+
+  const { principal } = await getLoanBalances(loan, endOfDay(day));
+  const amount = roundCurrency(Math.max(0, principal) * loan.interestRate / 100 / 365);
+  const periodStart = getInterestPeriodStart(loan, day);
+  const carried = previous && previous.periodStart && previous.periodStart.getTime() === periodStart.getTime()
+    ? previous.periodAccrued || 0
+    : 0;
+
+  const accrual = new InterestAccrual({
+    loan: loan._id,
+    loanId: loan.loanId,
+    userId: loan.userId && loan.userId._id ? loan.userId._id : loan.userId,
+    productCode: loan.productCode,
+    accrualDate: day,
+    principal: principal,
+    interestRate: loan.interestRate,
+    amount: amount,
+    periodStart: periodStart,
+    periodAccrued: roundCurrency(carried + amount)
+  });
+
+  try {
+    await accrual.save();
+  } catch (error) {
+    // Accrued concurrently by another run
+    if (error.code === 11000) {
+      return InterestAccrual.findOne({ loan: loan._id, accrualDate: day });
+    }
+    throw error;
+  }
+  return accrual;
+};
+
+// Accrue every day from the last accrued day (or disbursal) up to and including throughDate
+const accrueLoanThrough = async (loan, throughDate) => {
+  const through = startOfDay(throughDate);
+  let previous = await InterestAccrual.findOne({ loan: loan._id, accrualDate: { $lte: through } })
+    .sort({ accrualDate: -1 });
+
+  let day = previous
+    ? new Date(previous.accrualDate.getTime() + DAY_MS)
+    : startOfDay(loan.disbursalDate);
+  const accruals = [];
+
+  while (day <= through) {
+    previous = await accrueLoanInterest(loan, day, previous);
+    accruals.push(previous);
+    day = new Date(day.getTime() + DAY_MS);
+  }
+
+  return accruals;
+};
+
+// Loans that were open at the end of a day, including ones closed since
+const findLoansOpenOn = (date) => Loan.find({
+  disbursalDate: { $lte: date },
+  $or: [
+    { status: 'disbursed' },
+    {
+      statusHistory: {
+        $elemMatch: {
+          status: { $in: ['closed', 'written_off', 'cancelled'] },
+          timestamp: { $gt: date }
+        }
+      }
+    }
+  ]
+}).populate('userId', 'address occupation');
+
+const addToSlice = (slices, key, values) => {
+  const sliceKey = key || 'unknown';
+  const slice = slices.get(sliceKey) || { key: sliceKey, loanCount: 0, outstandingPrincipal: 0, accruedInterest: 0 };
+  slice.loanCount += 1;
+  slice.outstandingPrincipal = roundCurrency(slice.outstandingPrincipal + values.outstandingPrincipal);
+  slice.accruedInterest = roundCurrency(slice.accruedInterest + values.accruedInterest);
+  slices.set(sliceKey, slice);
+};
+
+const sortSlices = (slices) => [...slices.values()].sort((a, b) => b.outstandingPrincipal - a.outstandingPrincipal);
+
+// Portfolio at the end of a month: balances from the ledger, accrued interest from the
+// accrual records, DPD buckets and breakdowns by product, state and occupation.
+// Generating a month again replaces its snapshot.
+const generatePortfolioSnapshot = async (date, generatedBy = 'system') => {
+  const snapshotDate = startOfDay(date);
+  const asOf = endOfDay(snapshotDate);
+
+  const loans = await findLoansOpenOn(asOf);
+  const accruals = await InterestAccrual.find({ accrualDate: snapshotDate });
+  const accruedByLoan = new Map(accruals.map(accrual => [accrual.loanId, accrual.periodAccrued || 0]));
+
+  const totals = {
+    loanCount: 0,
+    outstandingPrincipal: 0,
+    interestReceivable: 0,
+    accruedInterest: 0,
+    chargesReceivable: 0,
+    overdueAmount: 0
+  };
+  const buckets = new Map(PortfolioSnapshot.DPD_BUCKETS.map(bucket => [bucket, { bucket, loanCount: 0, outstandingPrincipal: 0 }]));
+  const byProduct = new Map();
+  const byState = new Map();
+  const byOccupation = new Map();
+
+  for (const loan of loans) {
+    const balances = await getLoanBalances(loan, asOf);
+    if (balances.principal <= 0 && balances.interest <= 0 && balances.charges <= 0) continue;
+
+    const values = {
+      outstandingPrincipal: balances.principal,
+      accruedInterest: accruedByLoan.get(loan.loanId) || 0
+    };
+    const borrower = loan.userId || {};
+
+    totals.loanCount += 1;
+    totals.outstandingPrincipal = roundCurrency(totals.outstandingPrincipal + balances.principal);
+    totals.interestReceivable = roundCurrency(totals.interestReceivable + balances.interest);
+    totals.chargesReceivable = roundCurrency(totals.chargesReceivable + balances.charges);
+    totals.accruedInterest = roundCurrency(totals.accruedInterest + values.accruedInterest);
+    totals.overdueAmount = roundCurrency(totals.overdueAmount + loan.getOverdueAmount(asOf));
+
+    const bucket = buckets.get(getDpdBucket(loan.getDaysPastDue(asOf)));
+    bucket.loanCount += 1;
+    bucket.outstandingPrincipal = roundCurrency(bucket.outstandingPrincipal + balances.principal);
+
+    addToSlice(byProduct, loan.productCode, values);
+    addToSlice(byState, borrower.address && borrower.address.state, values);
+    addToSlice(byOccupation, borrower.occupation, values);
+  }
+
+  const period = getPeriod(snapshotDate);
+  return PortfolioSnapshot.findOneAndUpdate(
+    { period: period },
+    {
+      period: period,
+      snapshotDate: snapshotDate,
+      totals: totals,
+      dpdBuckets: [...buckets.values()],
+      byProduct: sortSlices(byProduct),
+      byState: sortSlices(byState),
+      byOccupation: sortSlices(byOccupation),
+      generatedAt: new Date(),
+      generatedBy: generatedBy
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Daily job: accrue interest on every disbursed loan for the day that just ended (catching up
+// any missed days), and write the portfolio snapshot when that day closed a month
+const runDailyAccrualJob = async (asOf = new Date()) => {
+  const accrualDate = new Date(startOfDay(asOf).getTime() - DAY_MS);
+  const summary = {
+    accrualDate: accrualDate,
+    loansProcessed: 0,
+    accrualsCreated: 0,
+    interestAccrued: 0,
+    failures: 0,
+    snapshotPeriod: null
+  };
+
+  const cursor = Loan.find({ status: 'disbursed', disbursalDate: { $lte: endOfDay(accrualDate) } }).cursor();
+
+  for (let loan = await cursor.next(); loan != null; loan = await cursor.next()) {
+    try {
+      const accruals = await accrueLoanThrough(loan, accrualDate);
+      summary.loansProcessed += 1;
+      summary.accrualsCreated += accruals.length;
+      summary.interestAccrued = roundCurrency(summary.interestAccrued +
+        accruals.reduce((sum, accrual) => sum + accrual.amount, 0));
+    } catch (error) {
+      summary.failures += 1;
+      console.error(`Interest accrual failed for loan ${loan.loanId}:`, error);
+    }
+  }
+
+  if (isMonthEnd(accrualDate)) {
+    const snapshot = await generatePortfolioSnapshot(accrualDate);
+    summary.snapshotPeriod = snapshot.period;
+  }
+
+  console.log('Daily interest accrual job completed:', summary);
+  return summary;
+};
+
+module.exports = {
+  getPeriod,
+  getPeriodEnd,
+  getDpdBucket,
+  getInterestPeriodStart,
+  accrueLoanInterest,
+  accrueLoanThrough,
+  generatePortfolioSnapshot,
+  runDailyAccrualJob
+};
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { getFrequencyName, describeLatePaymentPenalty } = require('./kfsService');
+
+// Standard agreement used when the loan product has no template for the language. An agreement
+// is only offered in a language with a template: a borrower who prefers another one gets English,
+// and the agreement route rejects a request for one.
+// A clause is left out when any of its placeholders has no value (e.g. no co-applicants).
+const STANDARD_TEMPLATES = {
+  english: {
+    version: 'STD-1',
+    title: 'Loan Agreement',
+    clauses: [
+      'This agreement is made on {{date}} between {{lender}} (the Lender) and {{borrowerName}} (the Borrower) for loan {{loanId}}.',
+      'The Lender agrees to lend Rs. {{amount}} to the Borrower. A processing fee of Rs. {{processingFee}} is deducted at disbursal and Rs. {{netDisbursedAmount}} is paid to the Borrower.',
+      'Interest is charged at {{interestRate}}% per year. The Annual Percentage Rate, including fees, is {{apr}}%.',
+      'The Borrower will repay Rs. {{totalAmountPayable}} in {{installmentCount}} installment(s) of Rs. {{installmentAmount}} ({{frequency}}) as per the repayment schedule in Key Fact Statement {{kfsReference}}, which forms part of this agreement.',
+      '{{coApplicants}} have consented to be liable for repayment of this loan as co-applicant or guarantor.',
+      'Late payment: {{latePaymentPenalty}}. A bounce charge of Rs. {{bounceCharge}} applies to each failed payment.',
+      'The Borrower may repay the loan early at any time. A foreclosure charge of {{foreclosureFeePercent}}% of the outstanding principal applies.',
+      'The Borrower may cancel this loan within {{coolingOffDays}} days of disbursal by repaying the principal and the interest for the days used, with no other charge.',
+      'Complaints may be raised with {{grievanceContact}}. If a complaint is not resolved within 30 days, the Borrower may approach the RBI Ombudsman at https://cms.rbi.org.in.',
+      'The Borrower confirms having read the Key Fact Statement and this agreement, and signs it electronically with a one-time password sent to {{borrowerPhone}}.'
+    ]
+  },
+  hindi: {
+    version: 'STD-1',
+    title: 'लोन अनुबंध',
+    clauses: [
+      'यह अनुबंध {{date}} को {{lender}} (ऋणदाता) और {{borrowerName}} (उधारकर्ता) के बीच लोन {{loanId}} के लिए किया गया है।',
+      'ऋणदाता उधारकर्ता को Rs. {{amount}} का लोन देने के लिए सहमत है। राशि भेजते समय Rs. {{processingFee}} प्रोसेसिंग शुल्क काटा जाएगा और उधारकर्ता को Rs. {{netDisbursedAmount}} मिलेंगे।',
+      'ब्याज {{interestRate}}% प्रति वर्ष की दर से लिया जाएगा। शुल्क सहित वार्षिक प्रतिशत दर (APR) {{apr}}% है।',
+      'उधारकर्ता मुख्य तथ्य विवरण {{kfsReference}} की भुगतान अनुसूची के अनुसार Rs. {{installmentAmount}} की {{installmentCount}} किस्तों ({{frequency}}) में कुल Rs. {{totalAmountPayable}} चुकाएगा। मुख्य तथ्य विवरण इस अनुबंध का हिस्सा है।',
+      '{{coApplicants}} ने सह-आवेदक या गारंटर के रूप में इस लोन के भुगतान की जिम्मेदारी लेने की सहमति दी है।',
+      'देर से भुगतान: {{latePaymentPenalty}}। हर असफल भुगतान पर Rs. {{bounceCharge}} बाउंस शुल्क लगेगा।',
+      'उधारकर्ता कभी भी लोन जल्दी चुका सकता है। बकाया मूलधन का {{foreclosureFeePercent}}% शुल्क लगेगा।',
+      'उधारकर्ता राशि मिलने के {{coolingOffDays}} दिनों के भीतर मूलधन और उपयोग किए गए दिनों का ब्याज चुकाकर, बिना किसी अन्य शुल्क के, यह लोन रद्द कर सकता है।',
+      'शिकायत {{grievanceContact}} से की जा सकती है। यदि शिकायत 30 दिनों में हल नहीं होती है, तो उधारकर्ता https://cms.rbi.org.in पर RBI लोकपाल से संपर्क कर सकता है।',
+      'उधारकर्ता पुष्टि करता है कि उसने मुख्य तथ्य विवरण और यह अनुबंध पढ़ लिया है, और {{borrowerPhone}} पर भेजे गए OTP से इस पर इलेक्ट्रॉनिक हस्ताक्षर करता है।'
+    ]
+  }
+};
+
+const formatAmount = (value) => Number(value || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 });
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Product template for the language, then the standard one
+const resolveTemplate = (product, language) => {
+  return (product && product.getAgreementTemplate(language)) || STANDARD_TEMPLATES[language] || null;
+};
+
+// Languages the agreement for a loan on this product can be generated in
+const getAgreementLanguages = (product) => [...new Set([
+  ...Object.keys(STANDARD_TEMPLATES),
+  ...(product ? product.agreementTemplates.map(template => template.language) : [])
+])];
+
+// Placeholder values, taken from the KFS the borrower accepted so both documents agree
+const getAgreementValues = (loan, borrower, language, asOf) => {
+  const kfs = loan.kfs.statement;
+  const grievance = kfs.grievance || {};
+  const liable = loan.getLiableCoApplicants();
+
+  return {
+    date: asOf.toLocaleDateString('en-IN'),
+    lender: kfs.lender,
+    loanId: loan.loanId,
+    borrowerName: borrower.name,
+    borrowerPhone: borrower.phoneNumber,
+    amount: formatAmount(kfs.amounts.sanctionedAmount),
+    processingFee: formatAmount(kfs.amounts.processingFee),
+    netDisbursedAmount: formatAmount(kfs.amounts.netDisbursedAmount),
+    interestRate: kfs.rate.interestRate,
+    apr: kfs.rate.apr,
+    totalAmountPayable: formatAmount(kfs.amounts.totalAmountPayable),
+    installmentCount: kfs.repayment.installmentCount,
+    installmentAmount: formatAmount(kfs.repayment.installmentAmount),
+    frequency: getFrequencyName(kfs.repayment.frequency, language),
+    kfsReference: kfs.reference,
+    coApplicants: liable.map(coApplicant => coApplicant.name || coApplicant.phoneNumber).join(', '),
+    latePaymentPenalty: describeLatePaymentPenalty(kfs.charges.latePayment, language),
+    bounceCharge: formatAmount(kfs.charges.bounceCharge),
+    foreclosureFeePercent: kfs.charges.foreclosureFeePercent,
+    coolingOffDays: kfs.coolingOffDays,
+    grievanceContact: [grievance.name, grievance.phone, grievance.email].filter(Boolean).join(', ')
+  };
+};
+
+const fillClause = (clause, values) => {
+  let missing = false;
+  const text = clause.replace(/{{\s*(\w+)\s*}}/g, (match, key) => {
+    const value = values[key];
+    if (value === undefined || value === null || value === '') {
+      missing = true;
+      return '';
+    }
+    return value;
+  });
+  return missing ? null : text;
+};
+
+const hashDocument = (document) => crypto.createHash('sha256').update(document, 'utf8').digest('hex');
+
+// Render the agreement for an accepted loan. The HTML string is the exact document
+// that gets signed, so it must not be altered once generated.
+const generateAgreement = (loan, borrower, product, { language, asOf = new Date() } = {}) => {
+  const preferredLanguage = borrower.preferredLanguage;
+  const agreementLanguage = language || (resolveTemplate(product, preferredLanguage) ? preferredLanguage : 'english');
+  const template = resolveTemplate(product, agreementLanguage);
+  if (!template) {
+    throw new Error(`No loan agreement template for ${agreementLanguage}`);
+  }
+  const values = getAgreementValues(loan, borrower, agreementLanguage, asOf);
+
+  const clauses = template.clauses
+    .map(clause => fillClause(clause, values))
+    .filter(Boolean);
+
+  const title = template.title || STANDARD_TEMPLATES.english.title;
+  const document = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} - ${escapeHtml(loan.loanId)}</title>
+  <style>
+    @page { size: A4; margin: 20mm; }
+    body { font-family: 'Noto Sans', 'Noto Sans Devanagari', Arial, sans-serif; font-size: 12px; line-height: 1.5; color: #222; }
+    h1 { font-size: 18px; }
+    .meta { color: #555; font-size: 11px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="meta">${escapeHtml(loan.loanId)} &middot; ${escapeHtml(values.date)} &middot; ${escapeHtml(template.version)}</p>
+  <ol>${clauses.map(clause => `
+    <li>${escapeHtml(clause)}</li>`).join('')}
+  </ol>
+</body>
+</html>`;
+
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 5);
+
+  return {
+    agreementId: `AGR${timestamp}${random}`.toUpperCase(),
+    templateVersion: template.version,
+    language: agreementLanguage,
+    document: document,
+    documentHash: hashDocument(document),
+    generatedAt: asOf,
+    status: 'generated'
+  };
+};
+
+module.exports = {
+  STANDARD_TEMPLATES,
+  getAgreementLanguages,
+  generateAgreement,
+  hashDocument
+};
@@ -0,0 +1,93 @@
+const Loan = require('../models/Loan');
+const { getPrincipalByLoan } = require('./ledgerService');
+
+const { roundCurrency } = Loan;
+
+const ratio = (part, whole) => (whole > 0 ? roundCurrency(part / whole * 100) : 0);
+
+const emptySlice = (key, name) => ({
+  key: key,
+  ...(name ? { name: name } : {}),
+  loanCount: 0,
+  outstandingPrincipal: 0,
+  par30Principal: 0,
+  par90Principal: 0,
+  npaPrincipal: 0,
+  classification: Object.fromEntries(Loan.ASSET_CLASSES.map(assetClass => [assetClass, 0]))
+});
+
+const addLoan = (slice, loan, principal) => {
+  const assetClass = loan.assetClassification || 'standard';
+  slice.loanCount += 1;
+  slice.classification[assetClass] += 1;
+  slice.outstandingPrincipal = roundCurrency(slice.outstandingPrincipal + principal);
+  if (loan.daysPastDue > 30) slice.par30Principal = roundCurrency(slice.par30Principal + principal);
+  if (loan.daysPastDue > 90) slice.par90Principal = roundCurrency(slice.par90Principal + principal);
+  if (assetClass === 'NPA') slice.npaPrincipal = roundCurrency(slice.npaPrincipal + principal);
+};
+
+// Portfolio at risk (principal of loans more than 30 / 90 days past due) and NPA share,
+// as percentages of outstanding principal
+const withRatios = (slice) => ({
+  ...slice,
+  par30: ratio(slice.par30Principal, slice.outstandingPrincipal),
+  par90: ratio(slice.par90Principal, slice.outstandingPrincipal),
+  npaRatio: ratio(slice.npaPrincipal, slice.outstandingPrincipal)
+});
+
+const addToSlices = (slices, key, loan, principal, name) => {
+  const sliceKey = key || 'unknown';
+  if (!slices.has(sliceKey)) slices.set(sliceKey, emptySlice(sliceKey, name));
+  addLoan(slices.get(sliceKey), loan, principal);
+};
+
+const toList = (slices) => [...slices.values()]
+  .map(withRatios)
+  .sort((a, b) => b.outstandingPrincipal - a.outstandingPrincipal);
+
+// The officer answerable for a loan is the one who reviewed it (or has it assigned);
+// loans decided automatically are reported as unassigned
+const getLoanOfficer = (loan) => {
+  const officer = loan.review && (loan.review.reviewedBy || loan.review.assignedTo);
+  return officer ? { key: String(officer._id), name: officer.name } : { key: 'unassigned' };
+};
+
+// Asset quality of the disbursed portfolio, using the classification and days past due from
+// the last overdue run and principal from the ledger
+const getPortfolioQuality = async () => {
+  const loans = await Loan.find({ status: 'disbursed' })
+    .select('loanId userId productCode daysPastDue assetClassification review.reviewedBy review.assignedTo')
+    .populate('userId', 'address.district')
+    .populate('review.reviewedBy', 'name')
+    .populate('review.assignedTo', 'name');
+
+  const principalByLoan = await getPrincipalByLoan(loans.map(loan => loan._id));
+
+  const total = emptySlice('total');
+  const byDistrict = new Map();
+  const byProduct = new Map();
+  const byLoanOfficer = new Map();
+
+  for (const loan of loans) {
+    const principal = principalByLoan.get(loan.loanId) || 0;
+    const district = loan.userId && loan.userId.address && loan.userId.address.district;
+
+    addLoan(total, loan, principal);
+    addToSlices(byDistrict, district, loan, principal);
+    addToSlices(byProduct, loan.productCode, loan, principal);
+    const officer = getLoanOfficer(loan);
+    addToSlices(byLoanOfficer, officer.key, loan, principal, officer.name);
+  }
+
+  return {
+    generatedAt: new Date(),
+    total: withRatios(total),
+    byDistrict: toList(byDistrict),
+    byProduct: toList(byProduct),
+    byLoanOfficer: toList(byLoanOfficer)
+  };
+};
+
+module.exports = {
+  getPortfolioQuality
+};
@@ -0,0 +1,376 @@
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const CollectionCase = require('../models/CollectionCase');
+const { closeLoan } = require('./loanService');
+const { sendBrokenPromiseSMS, sendLiabilityNoticeSMS } = require('./smsService');
+
+const { roundCurrency } = Loan;
+const { ESCALATION_LEVELS } = CollectionCase;
+
+// Days past due at which a loan is handed to the field collections team
+const getCollectionsMinDPD = () => parseInt(process.env.COLLECTIONS_MIN_DPD) || 1;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const isSameDay = (a, b) => startOfDay(a).getTime() === startOfDay(b).getTime();
+
+// Field agents with a collections territory
+const getCollectionAgents = () => User.find({
+  role: 'field_agent',
+  isActive: true,
+  $or: [
+    { 'collectionTerritory.pincodes.0': { $exists: true } },
+    { 'collectionTerritory.villages.0': { $exists: true } }
+  ]
+}).select('name collectionTerritory');
+
+const sameVillage = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Agent whose territory covers an address: a pincode match wins over a village match
+const findAgentForAddress = (agents, { pincode, village }) => {
+  return agents.find(agent => pincode && agent.collectionTerritory.pincodes.includes(pincode)) ||
+    agents.find(agent => agent.collectionTerritory.villages.some(name => sameVillage(name, village)));
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const assignCase = (collectionCase, agentId, assignedBy = 'system', asOf = new Date()) => {
+  collectionCase.assignedTo = agentId;
+  collectionCase.assignedAt = asOf;
+  collectionCase.assignedBy = assignedBy;
+  return collectionCase;
+};
+
+// Assign a territory's open cases to an agent. Cases already with another agent are left
+// alone unless reassign is set.
+const assignTerritoryCases = async (agent, territory, { reassign = false, assignedBy = 'system' } = {}) => {
+  const query = {
+    status: 'open',
+    $or: [
+      { pincode: { $in: territory.pincodes || [] } },
+      { village: { $in: (territory.villages || []).map(name => new RegExp(`^${escapeRegex(name.trim())}$`, 'i')) } }
+    ]
+  };
+  if (!reassign) {
+    query.assignedTo = { $exists: false };
+  }
+
+  const cases = await CollectionCase.find(query);
+  const assigned = [];
+
+  for (const collectionCase of cases) {
+    if (collectionCase.assignedTo && collectionCase.assignedTo.equals(agent._id)) continue;
+    assignCase(collectionCase, agent._id, assignedBy);
+    await collectionCase.save();
+    assigned.push(collectionCase.caseId);
+  }
+
+  return assigned;
+};
+
+// Open a case for every loan that has gone overdue and doesn't have one yet
+const openCollectionCases = async (asOf = new Date(), agents = []) => {
+  const loans = await Loan.find({ status: 'disbursed', daysPastDue: { $gte: getCollectionsMinDPD() } })
+    .select('loanId userId daysPastDue')
+    .populate('userId', 'address');
+  const withOpenCase = new Set(await CollectionCase.find({ status: 'open' }).distinct('loanId'));
+
+  const opened = [];
+  for (const loan of loans) {
+    if (withOpenCase.has(loan.loanId) || !loan.userId) continue;
+
+    const address = loan.userId.address || {};
+    const collectionCase = new CollectionCase({
+      loan: loan._id,
+      loanId: loan.loanId,
+      userId: loan.userId._id,
+      pincode: address.pincode,
+      village: address.village,
+      district: address.district,
+      openedAt: asOf,
+      daysPastDueAtOpen: loan.daysPastDue
+    });
+
+    const agent = findAgentForAddress(agents, address);
+    if (agent) {
+      assignCase(collectionCase, agent._id, 'system', asOf);
+    }
+
+    await collectionCase.save();
+    opened.push(collectionCase);
+  }
+
+  return opened;
+};
+
+// Payments received on a loan between two dates, however they were made
+const getPaidBetween = (loan, from, to) => {
+  return roundCurrency(loan.payments
+    .filter(payment => payment.paidAt >= from && payment.paidAt <= to)
+    .reduce((sum, payment) => sum + payment.amount, 0));
+};
+
+// Settle the pending promise if it has been paid, or mark it broken once its day has passed.
+// Returns the promise when its status changed.
+const reviewPromise = (collectionCase, loan, asOf = new Date()) => {
+  const promise = collectionCase.getPendingPromise();
+  if (!promise) return null;
+
+  const amountPaid = getPaidBetween(loan, promise.createdAt, asOf);
+  const promiseDayOver = startOfDay(asOf) > startOfDay(promise.promisedDate);
+
+  if (amountPaid >= promise.amount) {
+    promise.status = 'kept';
+  } else if (promiseDayOver) {
+    promise.status = 'broken';
+  } else {
+    return null;
+  }
+
+  promise.amountPaid = amountPaid;
+  promise.resolvedAt = asOf;
+  return promise;
+};
+
+// Raise a case one escalation level and send the notices that go with it.
+// Notification failures are logged; the escalation itself always stands.
+const escalateCase = async (collectionCase, loan, borrower, { reason, promise, asOf = new Date() } = {}) => {
+  const current = ESCALATION_LEVELS.indexOf(collectionCase.escalationLevel);
+  const level = ESCALATION_LEVELS[Math.min(current + 1, ESCALATION_LEVELS.length - 1)];
+
+  collectionCase.escalationLevel = level;
+  collectionCase.escalations.push({
+    level: level,
+    reason: reason,
+    promiseId: promise && promise.promiseId,
+    escalatedAt: asOf
+  });
+
+  if (!borrower) return level;
+
+  const overdueAmount = loan.getOverdueAmount(asOf);
+  const language = borrower.preferredLanguage;
+
+  try {
+    if (promise) {
+      await sendBrokenPromiseSMS(borrower.phoneNumber, {
+        loanId: loan.loanId,
+        amount: promise.amount,
+        promisedDate: promise.promisedDate.toLocaleDateString('en-IN'),
+        overdueAmount: overdueAmount
+      }, language);
+    }
+
+    if (level !== 'borrower_notice') {
+      const oldestOverdue = loan.getOverdueEMIs().sort((a, b) => a.dueDate - b.dueDate)[0];
+      for (const coApplicant of loan.getLiableCoApplicants()) {
+        await sendLiabilityNoticeSMS(coApplicant.phoneNumber, {
+          borrowerName: borrower.name,
+          loanId: loan.loanId,
+          amount: overdueAmount,
+          dueDate: oldestOverdue ? oldestOverdue.dueDate.toLocaleDateString('en-IN') : '',
+          overdue: true
+        }, language);
+      }
+    }
+  } catch (error) {
+    console.error(`Escalation notice failed for case ${collectionCase.caseId}:`, error);
+  }
+
+  return level;
+};
+
+// Close a case once the loan is no longer overdue
+const resolveIfCleared = (collectionCase, loan, asOf = new Date()) => {
+  if (loan.status === 'disbursed' && loan.getDaysPastDue(asOf) > 0) {
+    return false;
+  }
+
+  collectionCase.status = 'resolved';
+  collectionCase.resolvedAt = asOf;
+  collectionCase.resolution = loan.status === 'disbursed' ? 'Arrears cleared' : `Loan ${loan.status}`;
+
+  const pending = collectionCase.getPendingPromise();
+  if (pending) {
+    pending.status = loan.status === 'written_off' ? 'cancelled' : 'kept';
+    pending.amountPaid = getPaidBetween(loan, pending.createdAt, asOf);
+    pending.resolvedAt = asOf;
+  }
+  return true;
+};
+
+// The payment already posted for a collection on this case with the same paper receipt
+// number or Idempotency-Key, or null
+const findCashCollection = (collectionCase, loan, { receiptBookNumber, idempotencyKey }) => {
+  const collection = collectionCase.collections.find(entry =>
+    (receiptBookNumber && entry.receiptBookNumber === receiptBookNumber) ||
+    (idempotencyKey && entry.idempotencyKey === idempotencyKey));
+  return collection ? loan.payments.find(payment => payment.paymentId === collection.paymentId) || null : null;
+};
+
+// Record cash collected by an agent as a payment on the loan. The caller saves the case.
+// The loan is saved with a version check, so of two collections recorded at once the
+// second fails with a VersionError and its retry finds the first.
+const recordCashCollection = async (collectionCase, loan, { amount, receiptBookNumber, idempotencyKey, location, collectedBy, collectedAt = new Date() }) => {
+  const payment = loan.allocatePayment(amount, {
+    method: 'cash',
+    reference: receiptBookNumber || collectionCase.caseId,
+    paidAt: collectedAt,
+    recordedBy: collectedBy.toString()
+  });
+
+  if (loan.canBeClosed()) {
+    closeLoan(loan, 'All EMIs paid successfully', collectedBy.toString());
+  }
+
+  await loan.increment().save();
+
+  collectionCase.collections.push({
+    paymentId: payment.paymentId,
+    receiptNumber: payment.receiptNumber,
+    receiptBookNumber: receiptBookNumber,
+    idempotencyKey: idempotencyKey,
+    amount: payment.amount,
+    collectedAt: collectedAt,
+    collectedBy: collectedBy,
+    location: location
+  });
+  collectionCase.totalCollected = roundCurrency((collectionCase.totalCollected || 0) + payment.amount);
+
+  reviewPromise(collectionCase, loan, collectedAt);
+  resolveIfCleared(collectionCase, loan, collectedAt);
+
+  return payment;
+};
+
+// An agent's visits for the day: open cases assigned to them, promises falling due that day
+// first, then grouped by pincode and village with the most overdue borrowers first
+const getRouteList = async (agentId, date = new Date()) => {
+  const cases = await CollectionCase.find({ status: 'open', assignedTo: agentId })
+    .populate('userId', 'name phoneNumber address preferredLanguage');
+  const loans = await Loan.find({ _id: { $in: cases.map(collectionCase => collectionCase.loan) } });
+
+  const stops = [];
+  for (const collectionCase of cases) {
+    const loan = loans.find(entry => entry._id.equals(collectionCase.loan));
+    if (!loan) continue;
+
+    const borrower = collectionCase.userId || {};
+    const promise = collectionCase.getPendingPromise();
+
+    stops.push({
+      caseId: collectionCase.caseId,
+      loanId: collectionCase.loanId,
+      borrower: {
+        name: borrower.name,
+        phoneNumber: borrower.phoneNumber,
+        preferredLanguage: borrower.preferredLanguage,
+        address: borrower.address
+      },
+      pincode: collectionCase.pincode,
+      village: collectionCase.village,
+      daysPastDue: loan.getDaysPastDue(date),
+      overdueAmount: loan.getOverdueAmount(date),
+      promise: promise ? { promiseId: promise.promiseId, promisedDate: promise.promisedDate, amount: promise.amount } : null,
+      promiseDueToday: Boolean(promise && isSameDay(promise.promisedDate, date)),
+      escalationLevel: collectionCase.escalationLevel,
+      lastVisitAt: collectionCase.lastVisitAt,
+      visitedToday: Boolean(collectionCase.lastVisitAt && isSameDay(collectionCase.lastVisitAt, date))
+    });
+  }
+
+  stops.sort((a, b) =>
+    Number(b.promiseDueToday) - Number(a.promiseDueToday) ||
+    String(a.pincode || '').localeCompare(String(b.pincode || '')) ||
+    String(a.village || '').localeCompare(String(b.village || '')) ||
+    b.daysPastDue - a.daysPastDue
+  );
+
+  return {
+    date: startOfDay(date),
+    stops: stops,
+    totalOverdue: roundCurrency(stops.reduce((sum, stop) => sum + stop.overdueAmount, 0)),
+    pendingVisits: stops.filter(stop => !stop.visitedToday).length
+  };
+};
+
+// Daily job: open cases for newly overdue loans, assign unassigned cases by territory, settle or
+// break promises (escalating broken ones) and resolve cases whose arrears have been cleared
+const runDailyCollectionsJob = async (asOf = new Date()) => {
+  const summary = {
+    casesOpened: 0,
+    casesAssigned: 0,
+    casesResolved: 0,
+    promisesKept: 0,
+    promisesBroken: 0,
+    escalations: 0,
+    failures: 0
+  };
+
+  const agents = await getCollectionAgents();
+  const opened = await openCollectionCases(asOf, agents);
+  summary.casesOpened = opened.length;
+  summary.casesAssigned = opened.filter(collectionCase => collectionCase.assignedTo).length;
+
+  const cursor = CollectionCase.find({ status: 'open' }).cursor();
+
+  for (let collectionCase = await cursor.next(); collectionCase != null; collectionCase = await cursor.next()) {
+    try {
+      const loan = await Loan.findById(collectionCase.loan)
+        .populate('userId', 'name phoneNumber preferredLanguage');
+      if (!loan) continue;
+
+      const promise = reviewPromise(collectionCase, loan, asOf);
+      if (promise && promise.status === 'kept') summary.promisesKept += 1;
+
+      if (resolveIfCleared(collectionCase, loan, asOf)) {
+        summary.casesResolved += 1;
+      } else if (promise && promise.status === 'broken') {
+        summary.promisesBroken += 1;
+        await escalateCase(collectionCase, loan, loan.userId, {
+          reason: `Promise to pay Rs. ${promise.amount} by ${promise.promisedDate.toLocaleDateString('en-IN')} not kept`,
+          promise: promise,
+          asOf: asOf
+        });
+        summary.escalations += 1;
+      }
+
+      if (collectionCase.status === 'open' && !collectionCase.assignedTo) {
+        const agent = findAgentForAddress(agents, collectionCase);
+        if (agent) {
+          assignCase(collectionCase, agent._id, 'system', asOf);
+          summary.casesAssigned += 1;
+        }
+      }
+
+      if (collectionCase.isModified()) {
+        await collectionCase.save();
+      }
+    } catch (error) {
+      summary.failures += 1;
+      console.error(`Collections job failed for case ${collectionCase.caseId}:`, error);
+    }
+  }
+
+  console.log('Daily collections job completed:', summary);
+  return summary;
+};
+
+module.exports = {
+  getCollectionsMinDPD,
+  findAgentForAddress,
+  assignCase,
+  assignTerritoryCases,
+  openCollectionCases,
+  reviewPromise,
+  escalateCase,
+  resolveIfCleared,
+  findCashCollection,
+  recordCashCollection,
+  getRouteList,
+  runDailyCollectionsJob
+};
@@ -0,0 +1,156 @@
+const Loan = require('../models/Loan');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A number from the environment, or the default when unset or not a number. Zero is kept.
+const envNumber = (name, defaultValue, parse = parseFloat) => {
+  const value = parse(process.env[name]);
+  return isNaN(value) ? defaultValue : value;
+};
+
+// Late payment penalty configuration
+const getPenaltyConfig = () => ({
+  type: process.env.PENALTY_TYPE || 'flat', // 'flat' or 'per_day'
+  flatAmount: envNumber('PENALTY_FLAT_AMOUNT', 200),
+  perDayAmount: envNumber('PENALTY_PER_DAY_AMOUNT', 10),
+  cap: envNumber('PENALTY_CAP_PER_EMI', 500),
+  graceDays: envNumber('PENALTY_GRACE_DAYS', 0, parseInt)
+});
+
+// Apply the loan product's penalty terms over the global configuration
+const getLoanPenaltyConfig = (loan, config = getPenaltyConfig()) => {
+  const fees = (loan.productTerms && loan.productTerms.fees) || {};
+  return {
+    ...config,
+    flatAmount: typeof fees.latePaymentPenaltyFlat === 'number' ? fees.latePaymentPenaltyFlat : config.flatAmount,
+    cap: typeof fees.latePaymentPenaltyCap === 'number' ? fees.latePaymentPenaltyCap : config.cap
+  };
+};
+
+// Penalty owed on a single EMI as of a date (never more than the cap)
+const calculateEMIPenalty = (emi, asOf = new Date(), config = getPenaltyConfig()) => {
+  const daysLate = Math.floor((asOf - emi.dueDate) / DAY_MS);
+  if (daysLate <= config.graceDays) {
+    return 0;
+  }
+
+  const penalty = config.type === 'per_day'
+    ? (daysLate - config.graceDays) * config.perDayAmount
+    : config.flatAmount;
+
+  return Math.min(penalty, config.cap);
+};
+
+// Mark overdue EMIs, charge penalties and refresh DPD for one loan.
+// Safe to run repeatedly: penalties only ever grow to the amount owed for the current DPD.
+const refreshLoanDelinquency = (loan, asOf = new Date(), globalConfig = getPenaltyConfig()) => {
+  const config = getLoanPenaltyConfig(loan, globalConfig);
+
+  // Money paid in advance is used before anything is marked overdue
+  loan.applyAdvanceCredit(asOf);
+
+  let newPenalty = 0;
+
+  for (const emi of loan.repaymentSchedule) {
+    if (emi.status === 'paid' || emi.dueDate >= asOf) continue;
+
+    if (emi.status === 'pending') {
+      emi.status = 'overdue';
+    }
+
+    // Bounce charges share the penalty bucket but don't count towards the late payment cap
+    const bounceCharges = emi.bounceCharges || 0;
+    const penalty = calculateEMIPenalty(emi, asOf, config);
+    const increase = Math.round((penalty - ((emi.penaltyAmount || 0) - bounceCharges)) * 100) / 100;
+
+    if (increase > 0) {
+      emi.penaltyAmount = penalty + bounceCharges;
+      loan.charges.push({
+        type: 'late_payment_penalty',
+        emiNumber: emi.emiNumber,
+        amount: increase,
+        appliedAt: asOf,
+        description: config.type === 'per_day'
+          ? `Late payment penalty for EMI ${emi.emiNumber} (per day)`
+          : `Late payment penalty for EMI ${emi.emiNumber}`
+      });
+      newPenalty += increase;
+    }
+  }
+
+  loan.daysPastDue = loan.getDaysPastDue(asOf);
+  loan.accruedPenalty = loan.getAccruedPenalty();
+  loan.delinquencyUpdatedAt = asOf;
+  const classificationChange = loan.refreshAssetClassification(asOf);
+
+  return {
+    loanId: loan.loanId,
+    daysPastDue: loan.daysPastDue,
+    accruedPenalty: loan.accruedPenalty,
+    assetClassification: loan.assetClassification,
+    classificationChange: classificationChange,
+    newPenalty: newPenalty
+  };
+};
+
+// Refresh and save one loan. The save is versioned, so a payment posted while the job was
+// refreshing the loan is never overwritten: the loan is read again and refreshed on top of it.
+// Returns null if the loan is no longer disbursed by then.
+const saveLoanDelinquency = async (loan, asOf, config, attempts = 3) => {
+  for (let attempt = 1; ; attempt++) {
+    const result = refreshLoanDelinquency(loan, asOf, config);
+    try {
+      await loan.increment().save();
+      return result;
+    } catch (error) {
+      if (error.name !== 'VersionError' || attempt >= attempts) throw error;
+    }
+
+    loan = await Loan.findById(loan._id);
+    if (!loan || loan.status !== 'disbursed') {
+      return null;
+    }
+  }
+};
+
+// Daily job: refresh delinquency for every disbursed loan
+const runDailyOverdueJob = async (asOf = new Date()) => {
+  const config = getPenaltyConfig();
+  const summary = {
+    loansProcessed: 0,
+    loansOverdue: 0,
+    penaltiesApplied: 0,
+    reclassified: 0,
+    npa: 0,
+    failures: 0
+  };
+
+  const cursor = Loan.find({ status: 'disbursed' }).cursor();
+
+  for (let loan = await cursor.next(); loan != null; loan = await cursor.next()) {
+    try {
+      const result = await saveLoanDelinquency(loan, asOf, config);
+      if (!result) continue;
+
+      summary.loansProcessed += 1;
+      if (result.daysPastDue > 0) summary.loansOverdue += 1;
+      summary.penaltiesApplied += result.newPenalty;
+      if (result.classificationChange) summary.reclassified += 1;
+      if (result.assetClassification === 'NPA') summary.npa += 1;
+    } catch (error) {
+      summary.failures += 1;
+      console.error(`Overdue job failed for loan ${loan.loanId}:`, error);
+    }
+  }
+
+  console.log('Daily overdue job completed:', summary);
+  return summary;
+};
+
+module.exports = {
+  getPenaltyConfig,
+  getLoanPenaltyConfig,
+  calculateEMIPenalty,
+  refreshLoanDelinquency,
+  runDailyOverdueJob
+};
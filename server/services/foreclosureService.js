@@ -0,0 +1,309 @@
+const Loan = require('../models/Loan');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const { roundCurrency } = Loan;
+
+// Foreclosure configuration
+const getForeclosureConfig = () => ({
+  feePercent: parseFloat(process.env.FORECLOSURE_FEE_PERCENT) || 0,
+  defaultValidityDays: parseInt(process.env.FORECLOSURE_QUOTE_VALIDITY_DAYS) || 7,
+  maxValidityDays: 30
+});
+
+// The loan product's foreclosure fee wins over the global default
+const getForeclosureFeePercent = (loan, config) => {
+  const productFee = loan.productTerms && loan.productTerms.fees && loan.productTerms.fees.foreclosureFeePercent;
+  return typeof productFee === 'number' ? productFee : config.feePercent;
+};
+
+// Interest accrued on the not-yet-due principal from the start of the running period
+const calculateAccruedInterest = (loan, asOf) => {
+  const upcoming = loan.repaymentSchedule
+    .filter(emi => emi.status !== 'paid' && emi.dueDate > asOf)
+    .sort((a, b) => a.emiNumber - b.emiNumber);
+
+  if (upcoming.length === 0) {
+    return 0;
+  }
+
+  const previous = loan.repaymentSchedule
+    .filter(emi => emi.dueDate <= asOf)
+    .sort((a, b) => b.dueDate - a.dueDate)[0];
+
+  // Interest up to the end of a moratorium is already in the capitalized principal
+  const moratoriumEnd = loan.getMoratoriumEndDate();
+  let periodStart = previous ? previous.dueDate : loan.disbursalDate;
+  if (!previous && moratoriumEnd && asOf >= moratoriumEnd) {
+    periodStart = moratoriumEnd;
+  }
+
+  let principal = upcoming.reduce((sum, emi) => sum + (emi.principal || 0) - (emi.paidPrincipal || 0), 0);
+  principal -= loan.getPendingCapitalization(asOf);
+  const days = Math.max(0, Math.ceil((asOf - periodStart) / DAY_MS));
+  const accrued = principal * (loan.interestRate / 100 / 365) * days;
+
+  // Interest already collected on the running EMI counts towards the accrual
+  const alreadyPaid = upcoming[0].paidInterest || 0;
+  return roundCurrency(Math.max(0, accrued - alreadyPaid));
+};
+
+// Build a foreclosure quote of what is owed as of today, payable until validUntil. The quote
+// is expired if a payment or charge is posted to the loan before it is paid.
+const generateForeclosureQuote = (loan, validUntil, config = getForeclosureConfig(), asOf = new Date()) => {
+  const outstandingPrincipal = loan.getOutstandingPrincipal(asOf);
+  const overdueInterest = roundCurrency(loan.repaymentSchedule
+    .filter(emi => emi.status !== 'paid' && emi.dueDate <= asOf)
+    .reduce((sum, emi) => sum + (emi.interest || 0) - (emi.paidInterest || 0), 0));
+  const accruedInterest = calculateAccruedInterest(loan, asOf);
+  const penalty = loan.getAccruedPenalty();
+  const foreclosureFee = roundCurrency(outstandingPrincipal * getForeclosureFeePercent(loan, config) / 100);
+  const advanceCredit = loan.advanceCredit || 0;
+
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 5);
+
+  return {
+    quoteId: `FQ${timestamp}${random}`.toUpperCase(),
+    generatedAt: asOf,
+    validUntil: validUntil,
+    outstandingPrincipal: outstandingPrincipal,
+    overdueInterest: overdueInterest,
+    accruedInterest: accruedInterest,
+    penalty: penalty,
+    foreclosureFee: foreclosureFee,
+    advanceCredit: advanceCredit,
+    totalAmount: roundCurrency(Math.max(0,
+      outstandingPrincipal + overdueInterest + accruedInterest + penalty + foreclosureFee - advanceCredit
+    )),
+    status: 'open'
+  };
+};
+
+// Cooling-off exit: principal plus interest for the days used, with no fee or penalty.
+// The processing fee kept back at disbursal is refunded, so the borrower repays what they received.
+const generateCoolingOffQuote = (loan, asOf = new Date()) => {
+  const outstandingPrincipal = loan.getOutstandingPrincipal(asOf);
+  const accruedInterest = calculateAccruedInterest(loan, asOf);
+  const processingFeeRefund = (loan.disbursement && loan.disbursement.processingFee) || 0;
+  const advanceCredit = loan.advanceCredit || 0;
+
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 5);
+
+  return {
+    quoteId: `FQ${timestamp}${random}`.toUpperCase(),
+    type: 'cooling_off_cancellation',
+    generatedAt: asOf,
+    validUntil: asOf,
+    coolingOffEndsAt: loan.getCoolingOffEndDate(),
+    outstandingPrincipal: outstandingPrincipal,
+    overdueInterest: 0,
+    accruedInterest: accruedInterest,
+    penalty: 0,
+    foreclosureFee: 0,
+    processingFeeRefund: processingFeeRefund,
+    advanceCredit: advanceCredit,
+    totalAmount: roundCurrency(Math.max(0, outstandingPrincipal + accruedInterest - processingFeeRefund - advanceCredit)),
+    status: 'open'
+  };
+};
+
+// Settlement of a running loan out of a top-up disbursement: everything owed today,
+// with no foreclosure fee
+const generateTopUpSettlementQuote = (loan, asOf = new Date()) => {
+  const outstandingPrincipal = loan.getOutstandingPrincipal(asOf);
+  const overdueInterest = roundCurrency(loan.repaymentSchedule
+    .filter(emi => emi.status !== 'paid' && emi.dueDate <= asOf)
+    .reduce((sum, emi) => sum + (emi.interest || 0) - (emi.paidInterest || 0), 0));
+  const accruedInterest = calculateAccruedInterest(loan, asOf);
+  const penalty = loan.getAccruedPenalty();
+  const advanceCredit = loan.advanceCredit || 0;
+
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 5);
+
+  return {
+    quoteId: `FQ${timestamp}${random}`.toUpperCase(),
+    type: 'top_up_settlement',
+    generatedAt: asOf,
+    validUntil: asOf,
+    outstandingPrincipal: outstandingPrincipal,
+    overdueInterest: overdueInterest,
+    accruedInterest: accruedInterest,
+    penalty: penalty,
+    foreclosureFee: 0,
+    advanceCredit: advanceCredit,
+    totalAmount: roundCurrency(Math.max(0,
+      outstandingPrincipal + overdueInterest + accruedInterest + penalty - advanceCredit
+    )),
+    status: 'open'
+  };
+};
+
+// Settle every unpaid EMI against an accepted quote. Future EMIs carry no interest
+// beyond what the quote charged, so the schedule reflects what was actually collected.
+const settleForeclosure = (loan, quote, { method, reference, recordedBy = 'system', paidAt = new Date() } = {}) => {
+  const allocations = [];
+  const quotedAt = quote.generatedAt;
+  const unpaid = loan.repaymentSchedule
+    .filter(emi => emi.status !== 'paid')
+    .sort((a, b) => a.emiNumber - b.emiNumber);
+  const runningEMI = unpaid.find(emi => emi.dueDate > quotedAt);
+
+  // Interest that was never capitalized (foreclosed during the moratorium) drops out of the principal
+  if (loan.isInMoratorium(quotedAt)) {
+    loan.capitalizedInterest = 0;
+  }
+  for (const restructuring of loan.restructurings) {
+    if (restructuring.moratoriumEndsAt && restructuring.moratoriumEndsAt > quotedAt) {
+      restructuring.moratoriumInterest = 0;
+    }
+  }
+  let principalLeft = quote.outstandingPrincipal;
+
+  for (const emi of unpaid) {
+    const principalDue = Math.min((emi.principal || 0) - (emi.paidPrincipal || 0), principalLeft);
+    emi.principal = roundCurrency((emi.paidPrincipal || 0) + principalDue);
+    principalLeft = roundCurrency(principalLeft - principalDue);
+
+    if (emi.dueDate > quotedAt) {
+      emi.interest = emi === runningEMI
+        ? roundCurrency((emi.paidInterest || 0) + quote.accruedInterest)
+        : 0;
+    }
+    emi.amount = roundCurrency((emi.principal || 0) + (emi.interest || 0));
+
+    const allocation = {
+      emiNumber: emi.emiNumber,
+      penalty: roundCurrency((emi.penaltyAmount || 0) - (emi.paidPenalty || 0)),
+      interest: roundCurrency((emi.interest || 0) - (emi.paidInterest || 0)),
+      principal: roundCurrency((emi.principal || 0) - (emi.paidPrincipal || 0))
+    };
+    allocation.total = roundCurrency(allocation.penalty + allocation.interest + allocation.principal);
+    allocation.statusAfter = 'paid';
+
+    emi.paidPenalty = emi.penaltyAmount || 0;
+    emi.paidInterest = emi.interest || 0;
+    emi.paidPrincipal = emi.principal || 0;
+    emi.paidAmount = roundCurrency((emi.paidAmount || 0) + allocation.total);
+    emi.status = 'paid';
+    emi.paidDate = paidAt;
+
+    allocations.push(allocation);
+  }
+
+  if (quote.foreclosureFee > 0) {
+    loan.charges.push({
+      type: 'foreclosure_fee',
+      amount: quote.foreclosureFee,
+      appliedAt: paidAt,
+      description: `Foreclosure fee (quote ${quote.quoteId})`
+    });
+  }
+
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 5);
+  const payment = {
+    paymentId: `PAY${timestamp}${random}`.toUpperCase(),
+    receiptNumber: `RCT${timestamp}${random}`.toUpperCase(),
+    type: quote.type || 'foreclosure',
+    amount: quote.totalAmount,
+    method: method,
+    reference: reference,
+    paidAt: paidAt,
+    recordedBy: recordedBy,
+    allocations: allocations,
+    feesPaid: quote.foreclosureFee,
+    feeRefund: quote.processingFeeRefund || 0,
+    advanceCreditBefore: loan.advanceCredit || 0,
+    advanceCreditAfter: 0
+  };
+
+  loan.advanceCredit = 0;
+  loan.payments.push(payment);
+  loan.totalInterest = roundCurrency(loan.getCapitalizedInterest() +
+    loan.repaymentSchedule.reduce((sum, emi) => sum + (emi.interest || 0), 0));
+  loan.totalAmount = roundCurrency(loan.amount + loan.totalInterest);
+
+  quote.status = 'settled';
+  return payment;
+};
+
+// Why a part-prepayment can't be applied to the loan right now, or null if it can
+const getPrepaymentBlocker = (loan, amount, asOf = new Date()) => {
+  if (loan.status !== 'disbursed') {
+    return `Loan is ${loan.status}`;
+  }
+  if (loan.repaymentFrequency === 'bullet' || loan.getPendingCapitalization(asOf) > 0) {
+    return 'Part-prepayment is not available on this loan';
+  }
+  if (loan.getOverdueAmount(asOf) > 0) {
+    return 'Loan has overdue EMIs';
+  }
+  const nextEMI = loan.getNextEMI();
+  if (nextEMI && nextEMI.paidAmount > 0) {
+    return `EMI ${nextEMI.emiNumber} is partly paid`;
+  }
+  if (amount >= loan.getOutstandingPrincipal(asOf)) {
+    return 'Prepayment covers the full outstanding principal';
+  }
+  return null;
+};
+
+// Apply a part-prepayment to principal and regenerate the remaining schedule
+const applyPartPrepayment = (loan, amount, option, { method, reference, recordedBy = 'system', paidAt = new Date() } = {}) => {
+  const outstandingBefore = loan.getOutstandingPrincipal();
+  const newPrincipal = roundCurrency(outstandingBefore - amount);
+
+  const emiAmountBefore = loan.emiAmount;
+  const remainingBefore = loan.repaymentSchedule.filter(emi => emi.status !== 'paid').length;
+
+  loan.rescheduleRemaining(newPrincipal, option);
+
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 5);
+  const payment = {
+    paymentId: `PAY${timestamp}${random}`.toUpperCase(),
+    receiptNumber: `RCT${timestamp}${random}`.toUpperCase(),
+    type: 'prepayment',
+    amount: roundCurrency(amount),
+    method: method,
+    reference: reference,
+    paidAt: paidAt,
+    recordedBy: recordedBy,
+    allocations: [{
+      emiNumber: null,
+      penalty: 0,
+      interest: 0,
+      principal: roundCurrency(amount),
+      total: roundCurrency(amount),
+      statusAfter: 'prepaid'
+    }],
+    advanceCreditBefore: loan.advanceCredit || 0,
+    advanceCreditAfter: loan.advanceCredit || 0
+  };
+  loan.payments.push(payment);
+
+  return {
+    payment: payment,
+    option: option,
+    outstandingPrincipalBefore: outstandingBefore,
+    outstandingPrincipalAfter: newPrincipal,
+    emiAmountBefore: emiAmountBefore,
+    emiAmountAfter: loan.emiAmount,
+    remainingEMIsBefore: remainingBefore,
+    remainingEMIsAfter: loan.repaymentSchedule.filter(emi => emi.status !== 'paid').length
+  };
+};
+
+module.exports = {
+  getForeclosureConfig,
+  getForeclosureFeePercent,
+  calculateAccruedInterest,
+  generateForeclosureQuote,
+  generateCoolingOffQuote,
+  generateTopUpSettlementQuote,
+  settleForeclosure,
+  getPrepaymentBlocker,
+  applyPartPrepayment
+};
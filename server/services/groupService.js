@@ -0,0 +1,35 @@
+const Loan = require('../models/Loan');
+
+// Days past due on any member's loan before the whole group loses eligibility
+const getGroupOverdueThreshold = () => parseInt(process.env.GROUP_OVERDUE_DPD_THRESHOLD) || 0;
+
+// Peer guarantee: one member's overdue loan blocks new loans for the whole group
+const getGroupEligibility = async (group, asOf = new Date()) => {
+  const threshold = getGroupOverdueThreshold();
+  const memberIds = group.getActiveMembers().map(member => member.userId);
+
+  const loans = await Loan.find({ userId: { $in: memberIds }, status: 'disbursed' })
+    .populate('userId', 'name phoneNumber');
+
+  const overdueMembers = loans
+    .map(loan => ({
+      userId: loan.userId._id,
+      name: loan.userId.name,
+      loanId: loan.loanId,
+      daysPastDue: loan.getDaysPastDue(asOf),
+      overdueAmount: loan.getOverdueAmount(asOf)
+    }))
+    .filter(member => member.daysPastDue > threshold);
+
+  return {
+    groupId: group.groupId,
+    name: group.name,
+    eligible: group.isActive && overdueMembers.length === 0,
+    overdueMembers: overdueMembers
+  };
+};
+
+module.exports = {
+  getGroupOverdueThreshold,
+  getGroupEligibility
+};
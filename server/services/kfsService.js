@@ -0,0 +1,434 @@
+const crypto = require('crypto');
+const Loan = require('../models/Loan');
+const { getLoanPenaltyConfig } = require('./delinquencyService');
+const { getForeclosureConfig, getForeclosureFeePercent } = require('./foreclosureService');
+
+const { roundCurrency, INSTALLMENTS_PER_YEAR } = Loan;
+
+const LENDER_NAME = 'GrameenCredit';
+
+// Grievance redressal contact printed on every KFS
+const getGrievanceContact = () => ({
+  name: process.env.GRIEVANCE_OFFICER_NAME || 'Grievance Redressal Officer',
+  phone: process.env.GRIEVANCE_OFFICER_PHONE || '',
+  email: process.env.GRIEVANCE_OFFICER_EMAIL || '',
+  escalation: 'https://cms.rbi.org.in'
+});
+
+// KFS text per language. Only these languages are offered: a borrower who prefers another
+// one gets the KFS in English, and the routes reject a request for one.
+const TRANSLATIONS = {
+  english: {
+    languageCode: 'en-IN',
+    labels: {
+      title: 'Key Fact Statement',
+      loanId: 'Loan ID',
+      product: 'Loan product',
+      borrower: 'Borrower',
+      coApplicants: 'Co-applicants / guarantors',
+      sanctionedAmount: 'Loan amount sanctioned',
+      processingFee: 'Processing fee (deducted at disbursal)',
+      netDisbursedAmount: 'Net amount you will receive',
+      interestRate: 'Interest rate (per year)',
+      apr: 'Annual Percentage Rate (APR, including fees)',
+      tenure: 'Tenure',
+      moratorium: 'Moratorium (no installments)',
+      repaymentFrequency: 'Repayment frequency',
+      installmentCount: 'Number of installments',
+      installmentAmount: 'Installment amount',
+      totalInterest: 'Total interest',
+      totalCostOfCredit: 'Total cost of credit (interest + fees)',
+      totalAmountPayable: 'Total amount payable',
+      schedule: 'Repayment schedule',
+      scheduleIndicative: 'Due dates are indicative and are fixed on the date of disbursal.',
+      emiNumber: 'No.',
+      dueDate: 'Due date',
+      principal: 'Principal',
+      interest: 'Interest',
+      installment: 'Installment',
+      outstanding: 'Outstanding after payment',
+      latePaymentPenalty: 'Late payment penalty',
+      bounceCharge: 'Payment bounce charge',
+      foreclosure: 'Foreclosure (early closure) charge',
+      coolingOff: 'Cooling-off period',
+      grievance: 'Grievance redressal',
+      escalation: 'If your complaint is not resolved within 30 days, you may approach the RBI Ombudsman',
+      months: 'months',
+      days: 'days',
+      none: 'None'
+    },
+    frequencies: {
+      weekly: 'Weekly',
+      fortnightly: 'Fortnightly',
+      monthly: 'Monthly',
+      quarterly: 'Quarterly',
+      bullet: 'Single payment at the end of the tenure'
+    },
+    penalty: (charges) => charges.type === 'per_day'
+      ? `Rs. ${formatAmount(charges.perDayAmount)} per day after ${charges.graceDays} grace days, up to Rs. ${formatAmount(charges.cap)} per installment`
+      : `Rs. ${formatAmount(charges.flatAmount)} per late installment (maximum Rs. ${formatAmount(charges.cap)})`,
+    coolingOff: (days) => `You may cancel the loan within ${days} days of disbursal by repaying the principal and the interest for the days used, without any penalty.`,
+    script: (kfs, frequencyName, penalty) => [
+      `Key Fact Statement for your loan ${kfs.loanId}.`,
+      `Loan amount: ${formatAmount(kfs.amounts.sanctionedAmount)} rupees.`,
+      kfs.amounts.processingFee > 0
+        ? `A processing fee of ${formatAmount(kfs.amounts.processingFee)} rupees is deducted, so you will receive ${formatAmount(kfs.amounts.netDisbursedAmount)} rupees.`
+        : 'There is no processing fee.',
+      `Interest rate: ${kfs.rate.interestRate} percent per year. Annual percentage rate including all fees: ${kfs.rate.apr} percent.`,
+      kfs.repayment.frequency === 'bullet'
+        ? `You will repay ${formatAmount(kfs.repayment.installmentAmount)} rupees in one payment after ${kfs.repayment.tenureMonths} months.`
+        : `You will pay ${kfs.repayment.installmentCount} installments of ${formatAmount(kfs.repayment.installmentAmount)} rupees, ${frequencyName.toLowerCase()}.`,
+      kfs.repayment.moratoriumMonths > 0
+        ? `The first ${kfs.repayment.moratoriumMonths} months have no installments; interest for this period is added to the loan.`
+        : null,
+      `Total interest: ${formatAmount(kfs.amounts.totalInterest)} rupees. Total amount you will repay: ${formatAmount(kfs.amounts.totalAmountPayable)} rupees.`,
+      `If you pay late: ${penalty}.`,
+      `You may cancel the loan within ${kfs.coolingOffDays} days of disbursal without any penalty.`,
+      kfs.grievance.phone ? `For complaints, call ${kfs.grievance.phone}.` : null
+    ]
+  },
+  hindi: {
+    languageCode: 'hi-IN',
+    labels: {
+      title: 'मुख्य तथ्य विवरण (KFS)',
+      loanId: 'लोन आईडी',
+      product: 'लोन उत्पाद',
+      borrower: 'उधारकर्ता',
+      coApplicants: 'सह-आवेदक / गारंटर',
+      sanctionedAmount: 'स्वीकृत लोन राशि',
+      processingFee: 'प्रोसेसिंग शुल्क (राशि भेजते समय काटा जाएगा)',
+      netDisbursedAmount: 'आपको मिलने वाली शुद्ध राशि',
+      interestRate: 'ब्याज दर (प्रति वर्ष)',
+      apr: 'वार्षिक प्रतिशत दर (APR, शुल्क सहित)',
+      tenure: 'अवधि',
+      moratorium: 'मोहलत अवधि (कोई किस्त नहीं)',
+      repaymentFrequency: 'किस्त का अंतराल',
+      installmentCount: 'किस्तों की संख्या',
+      installmentAmount: 'किस्त की राशि',
+      totalInterest: 'कुल ब्याज',
+      totalCostOfCredit: 'लोन की कुल लागत (ब्याज + शुल्क)',
+      totalAmountPayable: 'कुल देय राशि',
+      schedule: 'भुगतान अनुसूची',
+      scheduleIndicative: 'देय तिथियां अनुमानित हैं और राशि भेजे जाने की तिथि पर तय होंगी।',
+      emiNumber: 'क्र.',
+      dueDate: 'देय तिथि',
+      principal: 'मूलधन',
+      interest: 'ब्याज',
+      installment: 'किस्त',
+      outstanding: 'भुगतान के बाद बकाया',
+      latePaymentPenalty: 'देर से भुगतान पर जुर्माना',
+      bounceCharge: 'भुगतान बाउंस शुल्क',
+      foreclosure: 'लोन जल्दी बंद करने का शुल्क',
+      coolingOff: 'कूलिंग-ऑफ अवधि',
+      grievance: 'शिकायत निवारण',
+      escalation: 'यदि आपकी शिकायत 30 दिनों में हल नहीं होती है, तो आप RBI लोकपाल से संपर्क कर सकते हैं',
+      months: 'महीने',
+      days: 'दिन',
+      none: 'कोई नहीं'
+    },
+    frequencies: {
+      weekly: 'साप्ताहिक',
+      fortnightly: 'पाक्षिक',
+      monthly: 'मासिक',
+      quarterly: 'तिमाही',
+      bullet: 'अवधि के अंत में एकमुश्त भुगतान'
+    },
+    penalty: (charges) => charges.type === 'per_day'
+      ? `${charges.graceDays} दिन की छूट के बाद प्रति दिन Rs. ${formatAmount(charges.perDayAmount)}, प्रति किस्त अधिकतम Rs. ${formatAmount(charges.cap)}`
+      : `हर देर से चुकाई गई किस्त पर Rs. ${formatAmount(charges.flatAmount)} (अधिकतम Rs. ${formatAmount(charges.cap)})`,
+    coolingOff: (days) => `राशि मिलने के ${days} दिनों के भीतर आप मूलधन और उपयोग किए गए दिनों का ब्याज चुकाकर बिना किसी जुर्माने के लोन रद्द कर सकते हैं।`,
+    script: (kfs, frequencyName, penalty) => [
+      `आपके लोन ${kfs.loanId} का मुख्य तथ्य विवरण।`,
+      `लोन राशि: ${formatAmount(kfs.amounts.sanctionedAmount)} रुपये।`,
+      kfs.amounts.processingFee > 0
+        ? `${formatAmount(kfs.amounts.processingFee)} रुपये प्रोसेसिंग शुल्क काटा जाएगा, इसलिए आपको ${formatAmount(kfs.amounts.netDisbursedAmount)} रुपये मिलेंगे।`
+        : 'कोई प्रोसेसिंग शुल्क नहीं है।',
+      `ब्याज दर: ${kfs.rate.interestRate} प्रतिशत प्रति वर्ष। सभी शुल्क सहित वार्षिक प्रतिशत दर: ${kfs.rate.apr} प्रतिशत।`,
+      kfs.repayment.frequency === 'bullet'
+        ? `आप ${kfs.repayment.tenureMonths} महीने बाद एक बार में ${formatAmount(kfs.repayment.installmentAmount)} रुपये चुकाएंगे।`
+        : `आप ${formatAmount(kfs.repayment.installmentAmount)} रुपये की ${kfs.repayment.installmentCount} ${frequencyName} किस्तें चुकाएंगे।`,
+      kfs.repayment.moratoriumMonths > 0
+        ? `पहले ${kfs.repayment.moratoriumMonths} महीने कोई किस्त नहीं है; इस अवधि का ब्याज लोन में जोड़ दिया जाएगा।`
+        : null,
+      `कुल ब्याज: ${formatAmount(kfs.amounts.totalInterest)} रुपये। कुल चुकाई जाने वाली राशि: ${formatAmount(kfs.amounts.totalAmountPayable)} रुपये।`,
+      `देर से भुगतान पर: ${penalty}।`,
+      `राशि मिलने के ${kfs.coolingOffDays} दिनों के भीतर आप बिना जुर्माने के लोन रद्द कर सकते हैं।`,
+      kfs.grievance.phone ? `शिकायत के लिए ${kfs.grievance.phone} पर कॉल करें।` : null
+    ]
+  }
+};
+
+const formatAmount = (value) => Number(value || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 });
+
+const KFS_LANGUAGES = Object.keys(TRANSLATIONS);
+
+const getTranslation = (language) => TRANSLATIONS[language] || TRANSLATIONS.english;
+
+// Wording shared with the loan agreement
+const getFrequencyName = (frequency, language) => getTranslation(language).frequencies[frequency] || frequency;
+
+const describeLatePaymentPenalty = (charges, language) => getTranslation(language).penalty(charges);
+
+// Annualised rate at which the installments are worth exactly the net amount disbursed.
+// Solved by bisection on the rate per period, then multiplied by periods per year.
+const calculateAPR = (netDisbursedAmount, cashflows, periodsPerYear) => {
+  const presentValue = (rate) => cashflows.reduce(
+    (sum, cashflow) => sum + cashflow.amount / Math.pow(1 + rate, cashflow.period), 0
+  );
+
+  if (netDisbursedAmount <= 0 || presentValue(0) <= netDisbursedAmount) {
+    return 0;
+  }
+
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (presentValue(mid) > netDisbursedAmount) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return Math.round((low + high) / 2 * periodsPerYear * 10000) / 100;
+};
+
+// Installments as cash flows measured in repayment periods from disbursal
+const getScheduleCashflows = (loan, schedule) => {
+  const plan = loan.getRepaymentPlan();
+
+  // A bullet loan is a single period as long as the tenure, matching its simple interest
+  if (plan.frequency === 'bullet') {
+    return {
+      periodsPerYear: 12 / loan.tenure,
+      cashflows: schedule.map(row => ({ amount: row.amount, period: 1 }))
+    };
+  }
+
+  const periodsPerYear = INSTALLMENTS_PER_YEAR[plan.frequency];
+  const moratoriumPeriods = plan.moratoriumMonths * periodsPerYear / 12;
+  return {
+    periodsPerYear: periodsPerYear,
+    cashflows: schedule.map(row => ({ amount: row.amount, period: moratoriumPeriods + row.emiNumber }))
+  };
+};
+
+// Short fingerprint of the terms, so acceptance can be tied to the exact KFS the borrower saw
+const getKFSReference = (kfs) => {
+  const terms = JSON.stringify({
+    loanId: kfs.loanId,
+    amounts: kfs.amounts,
+    rate: kfs.rate,
+    repayment: { ...kfs.repayment, schedule: undefined },
+    charges: kfs.charges,
+    coolingOffDays: kfs.coolingOffDays
+  });
+  return crypto.createHash('sha256').update(terms).digest('hex').substr(0, 16).toUpperCase();
+};
+
+// Build the Key Fact Statement for a loan from its own terms.
+// Before disbursal the schedule is projected from asOf.
+const generateKFS = (loan, borrower, { language, asOf = new Date() } = {}) => {
+  const preferredLanguage = borrower && borrower.preferredLanguage;
+  const kfsLanguage = language || (TRANSLATIONS[preferredLanguage] ? preferredLanguage : 'english');
+  const translation = getTranslation(kfsLanguage);
+
+  const scheduleIsIndicative = loan.repaymentSchedule.length === 0;
+  const schedule = scheduleIsIndicative ? loan.buildRepaymentSchedule(asOf) : loan.repaymentSchedule;
+
+  const processingFee = loan.getProcessingFee();
+  const netDisbursedAmount = roundCurrency(loan.amount - processingFee);
+  const totalAmountPayable = roundCurrency(schedule.reduce((sum, row) => sum + row.amount, 0));
+  const totalInterest = roundCurrency(totalAmountPayable - loan.amount);
+
+  const { cashflows, periodsPerYear } = getScheduleCashflows(loan, schedule);
+  const penaltyConfig = getLoanPenaltyConfig(loan);
+  const fees = (loan.productTerms && loan.productTerms.fees) || {};
+
+  const kfs = {
+    loanId: loan.loanId,
+    language: kfsLanguage,
+    languageCode: translation.languageCode,
+    generatedAt: asOf,
+    lender: LENDER_NAME,
+    product: {
+      code: loan.productCode,
+      name: loan.productTerms && loan.productTerms.name
+    },
+    borrower: {
+      name: borrower && borrower.name,
+      phoneNumber: borrower && borrower.phoneNumber
+    },
+    coApplicants: loan.coApplicants.map(coApplicant => ({
+      name: coApplicant.name,
+      role: coApplicant.role,
+      liabilityAmount: coApplicant.liabilityAmount
+    })),
+    amounts: {
+      sanctionedAmount: loan.amount,
+      processingFee: processingFee,
+      netDisbursedAmount: netDisbursedAmount,
+      totalInterest: totalInterest,
+      totalCostOfCredit: roundCurrency(totalInterest + processingFee),
+      totalAmountPayable: totalAmountPayable
+    },
+    rate: {
+      interestRate: loan.interestRate,
+      interestType: loan.repaymentFrequency === 'bullet' ? 'simple' : 'reducing_balance',
+      apr: calculateAPR(netDisbursedAmount, cashflows, periodsPerYear)
+    },
+    repayment: {
+      frequency: loan.repaymentFrequency,
+      tenureMonths: loan.tenure,
+      moratoriumMonths: loan.repaymentFrequency === 'bullet' ? 0 : (loan.moratoriumMonths || 0),
+      installmentCount: schedule.length,
+      installmentAmount: loan.emiAmount,
+      scheduleIsIndicative: scheduleIsIndicative,
+      schedule: schedule.map(row => ({
+        emiNumber: row.emiNumber,
+        dueDate: row.dueDate,
+        principal: row.principal,
+        interest: row.interest,
+        amount: row.amount,
+        closingBalance: row.closingBalance
+      }))
+    },
+    charges: {
+      latePayment: {
+        type: penaltyConfig.type,
+        flatAmount: penaltyConfig.flatAmount,
+        perDayAmount: penaltyConfig.perDayAmount,
+        cap: penaltyConfig.cap,
+        graceDays: penaltyConfig.graceDays
+      },
+      bounceCharge: fees.bounceCharge || 0,
+      foreclosureFeePercent: getForeclosureFeePercent(loan, getForeclosureConfig())
+    },
+    coolingOffDays: loan.getCoolingOffDays(),
+    grievance: getGrievanceContact()
+  };
+
+  kfs.reference = getKFSReference(kfs);
+  return kfs;
+};
+
+// Plain sentences in the KFS language, ready for text-to-speech
+const renderKFSScript = (kfs) => {
+  const translation = getTranslation(kfs.language);
+  const frequencyName = translation.frequencies[kfs.repayment.frequency] || kfs.repayment.frequency;
+  const penalty = translation.penalty(kfs.charges.latePayment);
+
+  return translation.script(kfs, frequencyName, penalty).filter(Boolean).join(' ');
+};
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Printable HTML (A4); browsers can save it as PDF from the print dialog
+const renderKFSHtml = (kfs) => {
+  const translation = getTranslation(kfs.language);
+  const labels = translation.labels;
+  const rupees = (value) => `Rs. ${formatAmount(value)}`;
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+
+  const rows = [
+    [labels.loanId, kfs.loanId],
+    [labels.product, kfs.product.name || kfs.product.code],
+    [labels.borrower, kfs.borrower.name],
+    kfs.coApplicants.length > 0
+      ? [labels.coApplicants, kfs.coApplicants.map(c => `${c.name || ''} (${c.role})`).join(', ')]
+      : null,
+    [labels.sanctionedAmount, rupees(kfs.amounts.sanctionedAmount)],
+    [labels.processingFee, rupees(kfs.amounts.processingFee)],
+    [labels.netDisbursedAmount, rupees(kfs.amounts.netDisbursedAmount)],
+    [labels.interestRate, `${kfs.rate.interestRate}%`],
+    [labels.apr, `${kfs.rate.apr}%`],
+    [labels.tenure, `${kfs.repayment.tenureMonths} ${labels.months}`],
+    [labels.moratorium, kfs.repayment.moratoriumMonths > 0 ? `${kfs.repayment.moratoriumMonths} ${labels.months}` : labels.none],
+    [labels.repaymentFrequency, translation.frequencies[kfs.repayment.frequency] || kfs.repayment.frequency],
+    [labels.installmentCount, kfs.repayment.installmentCount],
+    [labels.installmentAmount, rupees(kfs.repayment.installmentAmount)],
+    [labels.totalInterest, rupees(kfs.amounts.totalInterest)],
+    [labels.totalCostOfCredit, rupees(kfs.amounts.totalCostOfCredit)],
+    [labels.totalAmountPayable, rupees(kfs.amounts.totalAmountPayable)],
+    [labels.latePaymentPenalty, translation.penalty(kfs.charges.latePayment)],
+    [labels.bounceCharge, rupees(kfs.charges.bounceCharge)],
+    [labels.foreclosure, `${kfs.charges.foreclosureFeePercent}%`],
+    [labels.coolingOff, translation.coolingOff(kfs.coolingOffDays)]
+  ].filter(Boolean);
+
+  const scheduleRows = kfs.repayment.schedule.map(row => `
+        <tr>
+          <td>${row.emiNumber}</td>
+          <td>${formatDate(row.dueDate)}</td>
+          <td>${rupees(row.principal)}</td>
+          <td>${rupees(row.interest)}</td>
+          <td>${rupees(row.amount)}</td>
+          <td>${rupees(row.closingBalance)}</td>
+        </tr>`).join('');
+
+  const grievance = [kfs.grievance.name, kfs.grievance.phone, kfs.grievance.email].filter(Boolean).join(', ');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(kfs.languageCode)}">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(labels.title)} - ${escapeHtml(kfs.loanId)}</title>
+  <style>
+    @page { size: A4; margin: 15mm; }
+    body { font-family: 'Noto Sans', 'Noto Sans Devanagari', Arial, sans-serif; font-size: 12px; color: #222; }
+    h1 { font-size: 18px; margin-bottom: 4px; }
+    h2 { font-size: 14px; margin-top: 20px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #eee; }
+    .terms th { width: 40%; }
+    .meta, .note { color: #555; font-size: 11px; }
+    tr { page-break-inside: avoid; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(labels.title)}</h1>
+  <p class="meta">${escapeHtml(kfs.lender)} &middot; ${escapeHtml(formatDate(kfs.generatedAt))} &middot; Ref. ${escapeHtml(kfs.reference)}</p>
+  <table class="terms">
+    <tbody>${rows.map(([label, value]) => `
+      <tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+    </tbody>
+  </table>
+  <h2>${escapeHtml(labels.schedule)}</h2>
+  ${kfs.repayment.scheduleIsIndicative ? `<p class="note">${escapeHtml(labels.scheduleIndicative)}</p>` : ''}
+  <table>
+    <thead>
+      <tr>
+        <th>${escapeHtml(labels.emiNumber)}</th>
+        <th>${escapeHtml(labels.dueDate)}</th>
+        <th>${escapeHtml(labels.principal)}</th>
+        <th>${escapeHtml(labels.interest)}</th>
+        <th>${escapeHtml(labels.installment)}</th>
+        <th>${escapeHtml(labels.outstanding)}</th>
+      </tr>
+    </thead>
+    <tbody>${scheduleRows}
+    </tbody>
+  </table>
+  <h2>${escapeHtml(labels.grievance)}</h2>
+  <p>${escapeHtml(grievance)}</p>
+  <p class="note">${escapeHtml(labels.escalation)}: ${escapeHtml(kfs.grievance.escalation)}</p>
+</body>
+</html>`;
+};
+
+module.exports = {
+  KFS_LANGUAGES,
+  getGrievanceContact,
+  getFrequencyName,
+  describeLatePaymentPenalty,
+  calculateAPR,
+  generateKFS,
+  renderKFSScript,
+  renderKFSHtml
+};
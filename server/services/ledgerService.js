@@ -0,0 +1,448 @@
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const LedgerEntry = require('../models/LedgerEntry');
+
+const { roundCurrency } = Loan;
+
+// Receivable account a waiver is written against
+const WAIVER_ACCOUNTS = {
+  penalty: 'charges_receivable',
+  interest: 'interest_receivable'
+};
+
+// Journal lines for each ledger event. Amounts are in rupees; zero lines are dropped.
+const POSTING_RULES = {
+  // Full principal is owed; the processing fee is kept back from the payout
+  disbursement: ({ amount, processingFee = 0 }) => [
+    { account: 'loan_principal', debit: amount },
+    { account: 'cash', credit: roundCurrency(amount - processingFee) },
+    { account: 'fee_income', credit: processingFee }
+  ],
+  // Moratorium interest becomes principal when the moratorium ends
+  interest_capitalization: ({ amount }) => [
+    { account: 'loan_principal', debit: amount },
+    { account: 'interest_income', credit: amount }
+  ],
+  // A negative amount reverses interest booked earlier (e.g. the schedule was regenerated)
+  interest_accrual: ({ amount }) => amount >= 0
+    ? [
+      { account: 'interest_receivable', debit: amount },
+      { account: 'interest_income', credit: amount }
+    ]
+    : [
+      { account: 'interest_income', debit: -amount },
+      { account: 'interest_receivable', credit: -amount }
+    ],
+  fee: ({ amount }) => [
+    { account: 'charges_receivable', debit: amount },
+    { account: 'fee_income', credit: amount }
+  ],
+  penalty: ({ amount }) => [
+    { account: 'charges_receivable', debit: amount },
+    { account: 'penalty_income', credit: amount }
+  ],
+  // Whatever is not applied to dues is held as an advance (or comes out of one). A refunded
+  // processing fee settles dues alongside the cash.
+  payment: ({ amount, charges, interest, principal, feeRefund = 0 }) => {
+    const advance = roundCurrency(amount + feeRefund - charges - interest - principal);
+    return [
+      { account: 'cash', debit: amount },
+      { account: 'fee_income', debit: feeRefund },
+      { account: 'charges_receivable', credit: charges },
+      { account: 'interest_receivable', credit: interest },
+      { account: 'loan_principal', credit: principal },
+      advance >= 0
+        ? { account: 'borrower_advance', credit: advance }
+        : { account: 'borrower_advance', debit: -advance }
+    ];
+  },
+  advance_applied: ({ charges, interest, principal }) => [
+    { account: 'borrower_advance', debit: roundCurrency(charges + interest + principal) },
+    { account: 'charges_receivable', credit: charges },
+    { account: 'interest_receivable', credit: interest },
+    { account: 'loan_principal', credit: principal }
+  ],
+  waiver: ({ component, amount }) => [
+    { account: 'waiver_expense', debit: amount },
+    { account: WAIVER_ACCOUNTS[component], credit: amount }
+  ],
+  write_off: ({ principal, interest, charges }) => [
+    { account: 'write_off_expense', debit: roundCurrency(principal + interest + charges) },
+    { account: 'loan_principal', credit: principal },
+    { account: 'interest_receivable', credit: interest },
+    { account: 'charges_receivable', credit: charges }
+  ]
+};
+
+const buildLines = (event, amounts) => POSTING_RULES[event](amounts)
+  .map(line => ({
+    account: line.account,
+    debit: roundCurrency(line.debit || 0),
+    credit: roundCurrency(line.credit || 0)
+  }))
+  .filter(line => line.debit !== 0 || line.credit !== 0);
+
+// Sum allocation components across a payment or advance application
+const sumAllocations = (allocations) => allocations.reduce((totals, allocation) => ({
+  charges: roundCurrency(totals.charges + (allocation.penalty || 0)),
+  interest: roundCurrency(totals.interest + (allocation.interest || 0)),
+  principal: roundCurrency(totals.principal + (allocation.principal || 0))
+}), { charges: 0, interest: 0, principal: 0 });
+
+// Interest booked on an installment so far: all of it once due, and whatever was paid before that
+const getBilledInterest = (emi, asOf) => {
+  if (emi.dueDate <= asOf || emi.status === 'paid') {
+    return emi.interest || 0;
+  }
+  return emi.paidInterest || 0;
+};
+
+// Postings a loan's records call for as of a date, apart from interest (see getInterestPostings)
+const getRecordPostings = (loan, asOf) => {
+  const postings = [];
+  const key = (suffix) => `${loan.loanId}:${suffix}`;
+
+  postings.push({
+    sourceKey: key('disbursement'),
+    event: 'disbursement',
+    postedAt: loan.disbursalDate,
+    description: `Loan disbursed (ref: ${loan.disbursement && loan.disbursement.payoutReference})`,
+    amounts: {
+      amount: loan.amount,
+      processingFee: (loan.disbursement && loan.disbursement.processingFee) || 0
+    },
+    postedBy: loan.disbursement && loan.disbursement.disbursedBy
+  });
+
+  const moratoriumEnd = loan.getMoratoriumEndDate();
+  if (loan.capitalizedInterest > 0 && moratoriumEnd && moratoriumEnd <= asOf) {
+    postings.push({
+      sourceKey: key('interest_capitalization'),
+      event: 'interest_capitalization',
+      postedAt: moratoriumEnd,
+      description: 'Moratorium interest capitalized',
+      amounts: { amount: loan.capitalizedInterest }
+    });
+  }
+
+  // Relief restructuring: unpaid billed interest is capitalized when the loan is restructured,
+  // interest for a relief moratorium when the moratorium ends
+  for (const restructuring of loan.restructurings || []) {
+    if (restructuring.arrearsInterestCapitalized > 0 && restructuring.appliedAt <= asOf) {
+      postings.push({
+        sourceKey: key(`restructure:${restructuring.restructureId}:arrears`),
+        event: 'interest_capitalization',
+        postedAt: restructuring.appliedAt,
+        description: `Overdue interest capitalized on restructuring ${restructuring.restructureId}`,
+        amounts: { amount: restructuring.arrearsInterestCapitalized },
+        postedBy: restructuring.appliedBy
+      });
+    }
+    if (restructuring.moratoriumInterest > 0 && restructuring.moratoriumEndsAt <= asOf) {
+      postings.push({
+        sourceKey: key(`restructure:${restructuring.restructureId}:moratorium`),
+        event: 'interest_capitalization',
+        postedAt: restructuring.moratoriumEndsAt,
+        description: `Relief moratorium interest capitalized (${restructuring.restructureId})`,
+        amounts: { amount: restructuring.moratoriumInterest }
+      });
+    }
+  }
+
+  for (const charge of loan.charges) {
+    postings.push({
+      sourceKey: key(`charge:${charge._id}`),
+      event: charge.type === 'foreclosure_fee' ? 'fee' : 'penalty',
+      emiNumber: charge.emiNumber,
+      postedAt: charge.appliedAt,
+      description: charge.description,
+      amounts: { amount: charge.amount }
+    });
+  }
+
+  for (const payment of loan.payments) {
+    const totals = sumAllocations(payment.allocations);
+    postings.push({
+      sourceKey: key(`payment:${payment.paymentId}`),
+      event: 'payment',
+      postedAt: payment.paidAt,
+      description: `Payment ${payment.receiptNumber || payment.paymentId} (${payment.method || '-'})`,
+      amounts: {
+        amount: payment.amount,
+        charges: roundCurrency(totals.charges + (payment.feesPaid || 0)),
+        interest: totals.interest,
+        principal: totals.principal,
+        feeRefund: payment.feeRefund || 0
+      },
+      postedBy: payment.recordedBy
+    });
+  }
+
+  for (const application of loan.advanceApplications || []) {
+    postings.push({
+      sourceKey: key(`advance:${application._id}`),
+      event: 'advance_applied',
+      postedAt: application.appliedAt,
+      description: 'Advance applied to installments that fell due',
+      amounts: sumAllocations(application.allocations)
+    });
+  }
+
+  for (const waiver of loan.waivers || []) {
+    postings.push({
+      sourceKey: key(`waiver:${waiver.waiverId}`),
+      event: 'waiver',
+      emiNumber: waiver.emiNumber,
+      postedAt: waiver.waivedAt,
+      description: `Waiver of ${waiver.component}: ${waiver.reason}`,
+      amounts: { component: waiver.component, amount: waiver.amount },
+      postedBy: waiver.approvedBy
+    });
+  }
+
+  if (loan.writeOff && loan.writeOff.writtenOffAt) {
+    postings.push({
+      sourceKey: key('write_off'),
+      event: 'write_off',
+      postedAt: loan.writeOff.writtenOffAt,
+      description: `Written off: ${loan.writeOff.reason}`,
+      amounts: {
+        principal: loan.writeOff.principal || 0,
+        interest: loan.writeOff.interest || 0,
+        charges: loan.writeOff.charges || 0
+      },
+      postedBy: loan.writeOff.writtenOffBy
+    });
+  }
+
+  return postings.filter(posting => posting.postedAt && posting.postedAt <= asOf);
+};
+
+// Interest postings needed to bring each installment's booked interest in line with the
+// schedule. Earlier entries are never changed: a difference is posted as a new entry.
+const getInterestPostings = (loan, existing, asOf) => {
+  const booked = new Map();
+  for (const entry of existing.filter(entry => entry.event === 'interest_accrual')) {
+    const receivable = entry.lines.find(line => line.account === 'interest_receivable');
+    const current = booked.get(entry.emiNumber) || { amount: 0, count: 0 };
+    booked.set(entry.emiNumber, {
+      amount: roundCurrency(current.amount + receivable.debit - receivable.credit),
+      count: current.count + 1
+    });
+  }
+
+  // Installments dropped from the schedule (e.g. a shorter tenure after prepayment) bill nothing
+  const emiNumbers = new Set([...loan.repaymentSchedule.map(emi => emi.emiNumber), ...booked.keys()]);
+  const postings = [];
+
+  for (const emiNumber of emiNumbers) {
+    const emi = loan.repaymentSchedule.find(entry => entry.emiNumber === emiNumber);
+    const billed = emi ? getBilledInterest(emi, asOf) : 0;
+    const current = booked.get(emiNumber) || { amount: 0, count: 0 };
+    const difference = roundCurrency(billed - current.amount);
+    if (difference === 0) continue;
+
+    postings.push({
+      sourceKey: `${loan.loanId}:interest:${emiNumber}:${current.count + 1}`,
+      event: 'interest_accrual',
+      emiNumber: emiNumber,
+      postedAt: current.count === 0 && emi && emi.dueDate <= asOf ? emi.dueDate : asOf,
+      description: current.count === 0
+        ? `Interest for installment ${emiNumber}`
+        : `Interest adjustment for installment ${emiNumber}`,
+      amounts: { amount: difference }
+    });
+  }
+
+  return postings;
+};
+
+// Entries the loan's records call for that are not on the ledger yet, given its existing entries
+const getUnpostedEntries = (loan, existing, asOf = new Date()) => {
+  if (!loan.disbursalDate) {
+    return [];
+  }
+
+  const postedKeys = new Set(existing.map(entry => entry.sourceKey));
+  const userId = loan.userId && loan.userId._id ? loan.userId._id : loan.userId;
+
+  // A written-off loan stops accruing interest
+  const writtenOffAt = loan.writeOff && loan.writeOff.writtenOffAt;
+  const interestAsOf = writtenOffAt && writtenOffAt < asOf ? writtenOffAt : asOf;
+
+  // Interest before payments, so interest paid early is booked before it is collected
+  return [...getInterestPostings(loan, existing, interestAsOf), ...getRecordPostings(loan, asOf)]
+    .filter(posting => !postedKeys.has(posting.sourceKey))
+    .map(posting => ({
+      loan: loan._id,
+      loanId: loan.loanId,
+      userId: userId,
+      event: posting.event,
+      sourceKey: posting.sourceKey,
+      emiNumber: posting.emiNumber,
+      postedAt: posting.postedAt,
+      description: posting.description,
+      lines: buildLines(posting.event, posting.amounts),
+      postedBy: posting.postedBy || 'system'
+    }))
+    .filter(entry => entry.lines.length > 0);
+};
+
+// Post every loan record that isn't on the ledger yet. Safe to run any number of times:
+// each record has a unique source key, so a record already posted (or posted concurrently) is skipped.
+const syncLoanLedger = async (loan, asOf = new Date()) => {
+  if (!loan.disbursalDate) {
+    return [];
+  }
+
+  const existing = await LedgerEntry.find({ loan: loan._id }).select('sourceKey event emiNumber lines');
+  const userId = loan.userId && loan.userId._id ? loan.userId._id : loan.userId;
+
+  const created = [];
+  for (const unposted of getUnpostedEntries(loan, existing, asOf)) {
+    try {
+      created.push(await LedgerEntry.create(unposted));
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  if (created.length > 0) {
+    await refreshBorrowerOutstanding(userId);
+  }
+
+  return created;
+};
+
+// A loan's ledger entries up to a date, oldest first, together with the entries the next
+// save or the daily overdue job will post for its records. Nothing is written.
+const getAccountEntries = async (loan, asOf = new Date()) => {
+  const existing = await LedgerEntry.find({ loan: loan._id }).sort({ postedAt: 1, createdAt: 1 });
+
+  return [...existing, ...getUnpostedEntries(loan, existing)]
+    .filter(entry => entry.postedAt <= asOf)
+    .sort((a, b) => a.postedAt - b.postedAt);
+};
+
+// Net balance of every account over a set of entries
+const getAccountBalances = (entries) => {
+  const balances = {};
+  for (const line of entries.flatMap(entry => entry.lines)) {
+    balances[line.account] = roundCurrency((balances[line.account] || 0) + line.debit - line.credit);
+  }
+  return balances;
+};
+
+// What the borrower owes, from the account balances
+const toOutstanding = (balances) => {
+  const principal = balances.loan_principal || 0;
+  const interest = balances.interest_receivable || 0;
+  const charges = balances.charges_receivable || 0;
+  const advance = balances.borrower_advance ? -balances.borrower_advance : 0;
+
+  return {
+    principal: principal,
+    interest: interest,
+    charges: charges,
+    advance: advance,
+    outstanding: roundCurrency(Math.max(0, principal + interest + charges - advance))
+  };
+};
+
+// Interest on the schedule that hasn't been booked yet, including moratorium interest
+// still to be capitalized. Needed on top of the ledger balance to pay a loan off in full.
+const getUnbilledInterest = (loan, asOf = new Date()) => {
+  const scheduled = loan.repaymentSchedule
+    .filter(emi => emi.status !== 'paid')
+    .reduce((sum, emi) => sum + (emi.interest || 0) - getBilledInterest(emi, asOf), 0);
+  return roundCurrency(scheduled + loan.getPendingCapitalization(asOf));
+};
+
+// Balances on one loan (see getAccountEntries). totalOutstanding is everything still
+// to be repaid over the life of the loan, net of advance credit.
+const getLoanBalances = async (loan, asOf = new Date()) => {
+  const balances = toOutstanding(getAccountBalances(await getAccountEntries(loan, asOf)));
+  const unbilledInterest = loan.status === 'disbursed' ? getUnbilledInterest(loan, asOf) : 0;
+
+  return {
+    ...balances,
+    unbilledInterest: unbilledInterest,
+    totalOutstanding: roundCurrency(Math.max(0, balances.principal + balances.interest +
+      balances.charges + unbilledInterest - balances.advance))
+  };
+};
+
+// Balances across all of a borrower's loans, per loan and in total
+const getBorrowerBalances = async (userId, asOf = new Date()) => {
+  const rows = await LedgerEntry.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId), postedAt: { $lte: asOf } } },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: { loanId: '$loanId', account: '$lines.account' },
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' }
+      }
+    }
+  ]);
+
+  const byLoan = {};
+  const total = {};
+  for (const row of rows) {
+    const balance = roundCurrency(row.debit - row.credit);
+    byLoan[row._id.loanId] = byLoan[row._id.loanId] || {};
+    byLoan[row._id.loanId][row._id.account] = balance;
+    total[row._id.account] = roundCurrency((total[row._id.account] || 0) + balance);
+  }
+
+  return {
+    userId: userId,
+    asOf: asOf,
+    loans: Object.keys(byLoan).map(loanId => ({ loanId, ...toOutstanding(byLoan[loanId]) })),
+    total: toOutstanding(total)
+  };
+};
+
+// Principal outstanding for many loans at once, keyed by loanId
+const getPrincipalByLoan = async (loanIds, asOf = new Date()) => {
+  const rows = await LedgerEntry.aggregate([
+    { $match: { loan: { $in: loanIds }, postedAt: { $lte: asOf } } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': 'loan_principal' } },
+    {
+      $group: {
+        _id: '$loanId',
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id, roundCurrency(row.debit - row.credit)]));
+};
+
+// Keep User.currentLoanAmount in step with the ledger
+const refreshBorrowerOutstanding = async (userId) => {
+  const { total } = await getBorrowerBalances(userId);
+  await User.updateOne({ _id: userId }, { $set: { currentLoanAmount: total.outstanding } });
+  return total.outstanding;
+};
+
+// Ledger entries of a loan, oldest first
+const getLoanEntries = (loan) => {
+  return LedgerEntry.find({ loan: loan._id }).sort({ postedAt: 1, createdAt: 1 });
+};
+
+module.exports = {
+  POSTING_RULES,
+  buildLines,
+  syncLoanLedger,
+  getAccountEntries,
+  getUnbilledInterest,
+  getLoanBalances,
+  getBorrowerBalances,
+  getPrincipalByLoan,
+  refreshBorrowerOutstanding,
+  getLoanEntries
+};
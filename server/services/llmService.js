@@ -7,6 +7,20 @@ const openai = new OpenAI({
 // Get loan assistant response using LLM
 const getLoanAssistantResponse = async (userInput, userContext, context = 'general') => {
   try {
+    const products = userContext.products || [];
+    const productLines = products.length > 0
+      ? products.map(product =>
+        `- ${product.name} (${product.code}): purposes ${product.purposes.join('/')}, Rs. ${product.amount.min.toLocaleString('en-IN')} to Rs. ${product.amount.max.toLocaleString('en-IN')}, ${product.tenure.min}-${product.tenure.max} months, ${product.interestRate.min}-${product.interestRate.max}% interest, ${product.processingFeePercent}% processing fee`
+      ).join('\n')
+      : '- No loan products are currently available for this user';
+    const offers = userContext.offers || [];
+    const offerLines = offers.length > 0
+      ? offers.map(offer => offer.type === 'top_up'
+        ? `- Top-up on loan ${offer.basedOnLoanId}: new loan up to Rs. ${offer.maxAmount.toLocaleString('en-IN')} at ${offer.interestRate}%, of which Rs. ${offer.outstandingToSettle.toLocaleString('en-IN')} closes the current loan`
+        : `- Repeat loan after ${offer.basedOnLoanId}: up to Rs. ${offer.maxAmount.toLocaleString('en-IN')} at ${offer.interestRate}% (was ${offer.previousInterestRate}%)`
+      ).join('\n')
+      : '- None';
+
     const systemPrompt = `You are a helpful loan assistant for GrameenCredit, an AI-enabled lending app for rural India. 
 
 User Context:
@@ -20,6 +34,12 @@ User Context:
 - Monthly Income: Rs. ${userContext.monthlyIncome}
 - Loan Eligible: ${userContext.isEligibleForLoan}
 
+Loan Products Available:
+${productLines}
+
+Pre-approved Offers (no new application needed, accepted from the Offers screen):
+${offerLines}
+
 Guidelines:
 1. Respond in ${userContext.preferredLanguage === 'hindi' ? 'Hindi (Devanagari script)' : 'English'}
 2. Use simple, clear language suitable for low digital literacy users
@@ -27,7 +47,7 @@ Guidelines:
 4. Provide step-by-step guidance
 5. Always prioritize user's financial wellbeing
 6. If user needs verification, guide them through the process
-7. For loan amounts, stay within Rs. 5,000 to Rs. 1,00,000 range
+7. Only suggest the loan products listed above and stay within their amount and tenure limits
 8. Explain terms clearly and get confirmation
 
 Context: ${context}`;
@@ -0,0 +1,252 @@
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const CreditAnalysis = require('../models/CreditAnalysis');
+const { sendLoanStatusSMS, sendConsentOTP } = require('./smsService');
+const { settleForeclosure } = require('./foreclosureService');
+
+// Auto-decision thresholds
+const AUTO_APPROVE_SCORE = 650;
+const AUTO_APPROVE_CONFIDENCE = 0.7;
+const AUTO_REJECT_SCORE = 500;
+
+// Confidence added by each consenting guarantor with a strong profile
+const GUARANTOR_CONFIDENCE_BOOST = 0.1;
+
+// A borrower may hold only one loan in these statuses at a time
+const OPEN_LOAN_STATUSES = ['approved', 'accepted', 'disbursing', 'disbursed'];
+
+// Build a loan application priced from the product and the borrower's latest credit analysis.
+// The loan is returned unsaved and already under review.
+const buildLoanApplication = (user, product, creditAnalysis, { amount, purpose, tenure }, options = {}) => {
+  const loan = new Loan({
+    userId: user._id,
+    amount: amount,
+    interestRate: product.getInterestRate(creditAnalysis.alternativeCreditScore, amount, tenure),
+    tenure: tenure,
+    purpose: purpose,
+    productId: product._id,
+    productCode: product.code,
+    productTerms: product.getLoanTerms(),
+    repaymentFrequency: product.repaymentFrequency,
+    moratoriumMonths: product.moratoriumMonths,
+    creditScore: creditAnalysis.alternativeCreditScore,
+    riskScore: (100 - creditAnalysis.alternativeCreditScore) / 10, // Convert to 0-10 scale
+    alternativeCreditData: {
+      smsAnalysis: creditAnalysis.smsAnalysis,
+      upiAnalysis: creditAnalysis.upiAnalysis,
+      mobileUsage: creditAnalysis.mobileUsage
+    },
+    aiDecisionConfidence: creditAnalysis.confidenceLevel,
+    creditAnalysisId: creditAnalysis._id,
+    riskCategory: creditAnalysis.riskCategory,
+    ...options.fields
+  });
+
+  // Calculate EMI
+  loan.calculateEMI();
+
+  loan.addStatusHistory('under_review', options.reason || 'Application submitted', options.updatedBy);
+
+  return loan;
+};
+
+// Attach co-applicants/guarantors to a new loan. Registered users are linked and
+// their latest credit analysis is recorded; everyone starts with consent pending.
+const attachCoApplicants = async (loan, coApplicants) => {
+  for (const { phoneNumber, name, role, relationship } of coApplicants) {
+    const existingUser = await User.findOne({ phoneNumber: phoneNumber });
+
+    const entry = {
+      phoneNumber: phoneNumber,
+      name: name || (existingUser && existingUser.name),
+      role: role,
+      relationship: relationship,
+      consent: { status: 'pending' },
+      liabilityAmount: loan.totalAmount
+    };
+
+    if (existingUser) {
+      entry.userId = existingUser._id;
+      Object.assign(entry, await getCoApplicantCredit(existingUser._id));
+    }
+
+    loan.coApplicants.push(entry);
+  }
+
+  return loan;
+};
+
+// Latest credit analysis of a co-applicant, in the shape stored on the loan
+const getCoApplicantCredit = async (userId) => {
+  const creditAnalysis = await CreditAnalysis.findOne({ userId: userId })
+    .sort({ analysisDate: -1 });
+
+  if (!creditAnalysis) {
+    return {};
+  }
+
+  return {
+    creditAnalysisId: creditAnalysis._id,
+    creditScore: creditAnalysis.alternativeCreditScore,
+    confidenceLevel: creditAnalysis.confidenceLevel
+  };
+};
+
+// Send the consent OTP to a co-applicant; SMS failures never block the flow
+const requestCoApplicantConsent = async (loan, coApplicant, borrower) => {
+  coApplicant.consent.requestedAt = new Date();
+
+  try {
+    await sendConsentOTP(coApplicant.phoneNumber, {
+      loanId: loan.loanId,
+      borrowerName: borrower.name,
+      amount: loan.amount,
+      role: coApplicant.role
+    }, borrower.preferredLanguage);
+  } catch (smsError) {
+    console.error('Consent SMS failed:', smsError);
+  }
+};
+
+// Combine the borrower's profile with the consenting co-applicants'.
+// Co-applicant scores are averaged in, weighted by confidence; a strong guarantor
+// raises confidence in the decision without changing the score.
+const getCombinedCreditProfile = (loan) => {
+  let weightedScore = loan.creditScore * loan.aiDecisionConfidence;
+  let totalWeight = loan.aiDecisionConfidence;
+  let confidence = loan.aiDecisionConfidence;
+
+  for (const coApplicant of loan.getLiableCoApplicants()) {
+    if (coApplicant.creditScore == null) continue;
+
+    if (coApplicant.role === 'co_applicant') {
+      weightedScore += coApplicant.creditScore * coApplicant.confidenceLevel;
+      totalWeight += coApplicant.confidenceLevel;
+    } else if (coApplicant.creditScore >= AUTO_APPROVE_SCORE) {
+      confidence += GUARANTOR_CONFIDENCE_BOOST;
+    }
+  }
+
+  return {
+    score: totalWeight > 0 ? Math.round(weightedScore / totalWeight) : loan.creditScore,
+    confidence: Math.min(1, Math.round(confidence * 100) / 100)
+  };
+};
+
+// Approve or reject on the credit profile; anything in between stays under review
+const autoDecideLoan = (loan, user, profile) => {
+  if (profile.score >= AUTO_APPROVE_SCORE && profile.confidence >= AUTO_APPROVE_CONFIDENCE) {
+    approveLoan(loan, user, 'Auto-approved based on strong credit profile');
+  } else if (profile.score < AUTO_REJECT_SCORE) {
+    rejectLoan(loan, 'Credit score below minimum threshold');
+  }
+
+  return loan;
+};
+
+// Approve a loan and update the borrower's loan counters. The amount owed (currentLoanAmount)
+// is kept by the ledger from disbursement onwards.
+// Mutates both documents; the caller is responsible for saving them.
+const approveLoan = (loan, user, reason, updatedBy = 'system') => {
+  loan.approvalDate = new Date();
+  loan.approvalReason = reason;
+  loan.addStatusHistory('approved', reason, updatedBy);
+
+  user.totalLoansApproved += 1;
+
+  return loan;
+};
+
+// Reject a loan with the given reason
+const rejectLoan = (loan, reason, updatedBy = 'system') => {
+  loan.rejectionReason = reason;
+  loan.addStatusHistory('rejected', reason, updatedBy);
+
+  return loan;
+};
+
+// Close a fully repaid loan. The borrower's loan limit is freed when the ledger
+// sees the final payment. The caller is responsible for saving the loan.
+const closeLoan = (loan, reason, updatedBy = 'system') => {
+  loan.addStatusHistory('closed', reason, updatedBy);
+
+  return loan;
+};
+
+// Applications the borrower can still withdraw: no decision has been made yet
+const WITHDRAWABLE_STATUSES = ['pending', 'under_review'];
+
+// Withdraw an application at the borrower's request.
+// The caller is responsible for saving the loan.
+const withdrawApplication = (loan, reason, updatedBy = 'system') => {
+  loan.addStatusHistory('cancelled', `Withdrawn by borrower${reason ? `: ${reason}` : ''}`, updatedBy);
+
+  return loan;
+};
+
+// Cancel a disbursed loan within the cooling-off period against a cooling-off quote.
+// The caller is responsible for saving the loan.
+const cancelInCoolingOff = (loan, quote, { method, reference, recordedBy = 'system', channel = 'app', paidAt = new Date() } = {}) => {
+  const payment = settleForeclosure(loan, quote, { method, reference, recordedBy, paidAt });
+  loan.addStatusHistory('cancelled', `Cancelled within cooling-off period (${channel})`, recordedBy);
+
+  return payment;
+};
+
+// Write off what is still owed on a disbursed loan, as given by its ledger balances.
+// The caller is responsible for saving the loan.
+const writeOffLoan = (loan, balances, reason, updatedBy = 'system') => {
+  loan.addStatusHistory('written_off', reason, updatedBy);
+  loan.writeOff = {
+    writtenOffAt: new Date(),
+    reason: reason,
+    principal: balances.principal,
+    interest: balances.interest,
+    charges: balances.charges,
+    writtenOffBy: updatedBy
+  };
+
+  return loan;
+};
+
+// Whether the borrower has a loan between approval and closure (other than the given one)
+const hasOpenLoan = (userId, exceptLoanId) => {
+  const query = { userId: userId, status: { $in: OPEN_LOAN_STATUSES } };
+  if (exceptLoanId) {
+    query._id = { $ne: exceptLoanId };
+  }
+  return Loan.exists(query);
+};
+
+// Notify borrower of a loan status change; SMS failures never block the flow
+const notifyLoanStatus = async (user, loan, status = loan.status) => {
+  try {
+    await sendLoanStatusSMS(
+      user.phoneNumber,
+      loan.loanId,
+      status,
+      user.preferredLanguage
+    );
+  } catch (smsError) {
+    console.error('SMS notification failed:', smsError);
+  }
+};
+
+module.exports = {
+  buildLoanApplication,
+  attachCoApplicants,
+  getCoApplicantCredit,
+  requestCoApplicantConsent,
+  getCombinedCreditProfile,
+  autoDecideLoan,
+  approveLoan,
+  rejectLoan,
+  closeLoan,
+  WITHDRAWABLE_STATUSES,
+  withdrawApplication,
+  cancelInCoolingOff,
+  writeOffLoan,
+  OPEN_LOAN_STATUSES,
+  hasOpenLoan,
+  notifyLoanStatus
+};
@@ -0,0 +1,345 @@
+const Loan = require('../models/Loan');
+const Mandate = require('../models/Mandate');
+const PresentationBatch = require('../models/PresentationBatch');
+const { closeLoan } = require('./loanService');
+
+const PROVIDERS = {
+  mock: require('./providers/mockMandateProvider')
+};
+
+// Return codes after which the mandate can't be debited again
+const TERMINAL_RETURN_CODES = ['ACCOUNT_CLOSED', 'MANDATE_CANCELLED'];
+
+const getMandateConfig = () => ({
+  provider: process.env.MANDATE_PROVIDER || 'mock',
+  maxPresentations: parseInt(process.env.MANDATE_MAX_PRESENTATIONS) || 2 // per installment
+});
+
+const getMandateProvider = (name = getMandateConfig().provider) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown mandate provider '${name}'`);
+  }
+  return provider;
+};
+
+const getBounceCharge = (loan) => {
+  const fees = (loan.productTerms && loan.productTerms.fees) || {};
+  return fees.bounceCharge || 0;
+};
+
+const endOfDay = (date) => {
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+// Register a mandate with the provider; the mandate is saved whatever the outcome
+const registerMandate = async (loan, details, registeredBy = 'system') => {
+  const provider = getMandateProvider();
+
+  const mandate = new Mandate({
+    loan: loan._id,
+    loanId: loan.loanId,
+    userId: loan.userId,
+    type: details.type,
+    bankAccount: details.bankAccount ? {
+      accountHolderName: details.bankAccount.accountHolderName,
+      accountNumber: details.bankAccount.accountNumber.replace(/\d(?=\d{4})/g, 'X'),
+      ifscCode: details.bankAccount.ifscCode
+    } : undefined,
+    upiVpa: details.upiVpa,
+    maxAmount: details.maxAmount,
+    frequency: details.frequency,
+    startDate: details.startDate,
+    endDate: details.endDate,
+    provider: provider.name,
+    registeredBy: registeredBy,
+    statusHistory: [{
+      status: 'pending',
+      timestamp: new Date(),
+      reason: 'Mandate registration requested',
+      updatedBy: registeredBy
+    }]
+  });
+
+  // The provider needs the full account number, which is never stored
+  const result = await provider.registerMandate(mandate, details);
+
+  if (result.status === 'active') {
+    mandate.providerReference = result.providerReference;
+    mandate.addStatusHistory('active', 'Registration confirmed by provider', provider.name);
+  } else if (result.status === 'rejected') {
+    mandate.rejectionReason = result.reason;
+    mandate.addStatusHistory('rejected', result.reason, provider.name);
+  }
+
+  await mandate.save();
+  return mandate;
+};
+
+// Installments to debit for one loan on a date: unpaid, due by the end of the day,
+// not already in flight and presented fewer than the allowed number of times
+const getPresentations = (loan, mandate, presentationDate, previousItems, config) => {
+  const cutoff = endOfDay(presentationDate);
+  const presentations = [];
+
+  for (const emi of loan.repaymentSchedule) {
+    if (emi.status === 'paid' || emi.dueDate > cutoff) continue;
+
+    const attempts = previousItems.filter(item => item.emiNumber === emi.emiNumber);
+    if (attempts.some(item => item.status !== 'failed')) continue;
+    if (attempts.length >= config.maxPresentations) continue;
+
+    const dues = Loan.roundCurrency((emi.amount || 0) + (emi.penaltyAmount || 0) -
+      (emi.paidPrincipal || 0) - (emi.paidInterest || 0) - (emi.paidPenalty || 0));
+    const amount = Math.min(dues, mandate.maxAmount);
+    if (amount <= 0) continue;
+
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+
+    presentations.push({
+      presentationId: `PRS${timestamp}${random}`.toUpperCase(),
+      mandate: mandate._id,
+      mandateId: mandate.mandateId,
+      loan: loan._id,
+      loanId: loan.loanId,
+      emiNumber: emi.emiNumber,
+      amount: amount,
+      status: 'pending'
+    });
+  }
+
+  return presentations;
+};
+
+// Build and submit one batch of debits for every active mandate; returns null when
+// nothing is due
+const generatePresentationBatch = async (presentationDate = new Date(), generatedBy = 'system') => {
+  const config = getMandateConfig();
+  const provider = getMandateProvider(config.provider);
+  const items = [];
+
+  const mandates = await Mandate.find({ status: 'active', provider: provider.name });
+
+  for (const mandate of mandates) {
+    if (!mandate.isPresentableOn(presentationDate)) continue;
+
+    const loan = await Loan.findById(mandate.loan);
+    if (!loan || loan.status !== 'disbursed') continue;
+
+    const previousBatches = await PresentationBatch.find({ 'items.loan': loan._id }).select('items');
+    const previousItems = previousBatches
+      .reduce((all, batch) => all.concat(batch.items), [])
+      .filter(item => item.loan.equals(loan._id));
+
+    items.push(...getPresentations(loan, mandate, presentationDate, previousItems, config));
+  }
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  const batch = new PresentationBatch({
+    provider: provider.name,
+    presentationDate: presentationDate,
+    items: items,
+    generatedBy: generatedBy
+  });
+  batch.refreshTotals();
+
+  const submission = await provider.submitBatch(batch);
+  batch.submissionReference = submission.submissionReference;
+
+  await batch.save();
+  return batch;
+};
+
+// Charge the product's bounce fee on a dishonoured installment. The fee is carried in the
+// installment's penalty so it is collected with it; paid installments are not charged.
+const applyBounceCharge = (loan, emiNumber, { returnCode, asOf = new Date() } = {}) => {
+  const amount = getBounceCharge(loan);
+  const emi = loan.repaymentSchedule.find(entry => entry.emiNumber === emiNumber);
+
+  if (amount <= 0 || !emi || emi.status === 'paid') {
+    return 0;
+  }
+
+  emi.bounceCharges = Loan.roundCurrency((emi.bounceCharges || 0) + amount);
+  emi.penaltyAmount = Loan.roundCurrency((emi.penaltyAmount || 0) + amount);
+  if (emi.status === 'pending' && emi.dueDate < asOf) {
+    emi.status = 'overdue';
+  }
+
+  loan.charges.push({
+    type: 'bounce_charge',
+    emiNumber: emiNumber,
+    amount: amount,
+    appliedAt: asOf,
+    description: `Mandate debit for EMI ${emiNumber} returned${returnCode ? ` (${returnCode})` : ''}`
+  });
+  loan.accruedPenalty = loan.getAccruedPenalty();
+
+  return amount;
+};
+
+// Post a successful debit to the loan, closing it (and its mandate) when fully repaid
+const postPresentation = async (loan, mandate, item, batch, processedAt) => {
+  const payment = loan.allocatePayment(item.amount, {
+    method: mandate.type,
+    reference: `${batch.batchId}/${item.presentationId}`,
+    paidAt: processedAt,
+    recordedBy: 'mandate'
+  });
+
+  if (loan.canBeClosed()) {
+    closeLoan(loan, 'All EMIs paid successfully');
+
+    if (mandate.canTransitionTo('revoked')) {
+      mandate.addStatusHistory('revoked', `Loan ${loan.loanId} closed`);
+    }
+  }
+
+  return payment;
+};
+
+// Claim a pending presentation for this return file. The status is set in one conditional
+// update, so when the same file is processed twice at once only one run posts the item.
+const claimPresentation = async (batch, presentationId, status, processedAt) => {
+  const result = await PresentationBatch.updateOne(
+    { _id: batch._id, items: { $elemMatch: { presentationId: presentationId, status: 'pending' } } },
+    { $set: { 'items.$.status': status, 'items.$.processedAt': processedAt } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Apply a provider return file to a batch. Each presentation is settled once: rows for
+// presentations that are already settled, unknown or don't match are skipped. Items are
+// claimed before anything is posted; a claimed success item without a paymentId was
+// interrupted before posting and needs manual review.
+const processReturnFile = async (batch, rows, processedBy = 'system') => {
+  const summary = {
+    rows: rows.length,
+    succeeded: 0,
+    failed: 0,
+    skipped: [],
+    collectedAmount: 0,
+    bounceCharges: 0
+  };
+  const processedAt = new Date();
+
+  for (const row of rows) {
+    const item = batch.items.find(entry => entry.presentationId === row.presentationId);
+
+    if (!item) {
+      summary.skipped.push({ presentationId: row.presentationId, reason: 'Presentation not in batch' });
+      continue;
+    }
+    if (item.status !== 'pending') {
+      summary.skipped.push({ presentationId: row.presentationId, reason: `Already ${item.status}` });
+      continue;
+    }
+    if (Loan.roundCurrency(row.amount) !== item.amount) {
+      summary.skipped.push({ presentationId: row.presentationId, reason: 'Amount does not match presentation' });
+      continue;
+    }
+
+    const loan = await Loan.findById(item.loan);
+    const mandate = await Mandate.findById(item.mandate);
+
+    if (row.status === 'success' && (!loan || !mandate || loan.status !== 'disbursed')) {
+      summary.skipped.push({ presentationId: row.presentationId, reason: 'Loan is not disbursed' });
+      continue;
+    }
+
+    if (!await claimPresentation(batch, row.presentationId, row.status, processedAt)) {
+      summary.skipped.push({ presentationId: row.presentationId, reason: 'Already processed' });
+      continue;
+    }
+
+    const result = {};
+    if (row.status === 'success') {
+      const payment = await postPresentation(loan, mandate, item, batch, processedAt);
+      result.paymentId = payment.paymentId;
+      summary.succeeded += 1;
+      summary.collectedAmount = Loan.roundCurrency(summary.collectedAmount + item.amount);
+    } else {
+      if (loan) {
+        result.bounceCharge = applyBounceCharge(loan, item.emiNumber, {
+          returnCode: row.returnCode,
+          asOf: processedAt
+        });
+        summary.bounceCharges = Loan.roundCurrency(summary.bounceCharges + result.bounceCharge);
+      }
+
+      if (mandate && TERMINAL_RETURN_CODES.includes(row.returnCode) && mandate.canTransitionTo('revoked')) {
+        mandate.addStatusHistory('revoked', `Debit returned: ${row.returnReason || row.returnCode}`, batch.provider);
+      }
+
+      result.returnCode = row.returnCode;
+      result.returnReason = row.returnReason;
+      summary.failed += 1;
+    }
+
+    if (loan) await loan.save();
+    if (mandate) await mandate.save();
+
+    const fields = {};
+    Object.keys(result).forEach(field => {
+      fields[`items.$.${field}`] = result[field];
+    });
+    if (Object.keys(fields).length > 0) {
+      await PresentationBatch.updateOne(
+        { _id: batch._id, 'items.presentationId': row.presentationId },
+        { $set: fields }
+      );
+    }
+    Object.assign(item, result, { status: row.status, processedAt: processedAt });
+  }
+
+  // Totals come from the stored items, which include any processed concurrently
+  const current = await PresentationBatch.findById(batch._id);
+  current.returnFiles.push({
+    receivedAt: processedAt,
+    processedBy: processedBy,
+    rows: rows.length,
+    applied: summary.succeeded + summary.failed,
+    skipped: summary.skipped.length
+  });
+  current.refreshTotals();
+  await current.save();
+
+  summary.batchStatus = current.status;
+  return summary;
+};
+
+// Daily job: present installments due today (and earlier returned ones) against active mandates
+const runDailyPresentationJob = async (asOf = new Date()) => {
+  const batch = await generatePresentationBatch(asOf);
+
+  const summary = batch ? {
+    batchId: batch.batchId,
+    presentations: batch.items.length,
+    totalAmount: batch.totalAmount
+  } : {
+    batchId: null,
+    presentations: 0,
+    totalAmount: 0
+  };
+
+  console.log('Daily mandate presentation job completed:', summary);
+  return summary;
+};
+
+module.exports = {
+  TERMINAL_RETURN_CODES,
+  getMandateConfig,
+  getMandateProvider,
+  getBounceCharge,
+  registerMandate,
+  generatePresentationBatch,
+  applyBounceCharge,
+  processReturnFile,
+  runDailyPresentationJob
+};
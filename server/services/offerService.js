@@ -0,0 +1,170 @@
+const Loan = require('../models/Loan');
+const LoanProduct = require('../models/LoanProduct');
+const { generateTopUpSettlementQuote } = require('./foreclosureService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const { roundCurrency } = Loan;
+
+// Offer configuration
+const getOfferConfig = () => ({
+  // Share of installments that must be repaid before a running loan can be topped up
+  topUpMinRepaidPercent: parseFloat(process.env.TOPUP_MIN_REPAID_PERCENT) || 50,
+  // Smallest amount worth offering on top of what is still owed
+  topUpMinAdditional: parseFloat(process.env.TOPUP_MIN_ADDITIONAL_AMOUNT) || 2000,
+  // How long after closing a loan the borrower keeps a repeat-loan offer
+  repeatOfferDays: parseInt(process.env.REPEAT_OFFER_DAYS) || 180,
+  // An installment paid within this many days of its due date counts as on time
+  onTimeGraceDays: 3
+});
+
+// Next limit and rate for each repayment grade: the limit grows by limitStep of the
+// last loan amount and the rate drops by rateCut percentage points
+const GRADUATION = {
+  excellent: { limitStep: 0.5, rateCut: 2 },
+  good: { limitStep: 0.25, rateCut: 1 }
+};
+
+// Offers are made in round thousands
+const roundDownToThousand = (value) => Math.floor(value / 1000) * 1000;
+
+// How the borrower has repaid a loan so far
+const getRepaymentBehaviour = (loan, asOf = new Date(), config = getOfferConfig()) => {
+  const due = loan.repaymentSchedule.filter(emi => emi.dueDate <= asOf);
+  const paid = loan.repaymentSchedule.filter(emi => emi.status === 'paid');
+
+  let paidOnTime = 0;
+  let maxDaysLate = 0;
+  for (const emi of due) {
+    const settledOn = emi.status === 'paid' && emi.paidDate ? emi.paidDate : asOf;
+    const daysLate = Math.max(0, Math.floor((settledOn - emi.dueDate) / DAY_MS));
+    maxDaysLate = Math.max(maxDaysLate, daysLate);
+    if (emi.status === 'paid' && daysLate <= config.onTimeGraceDays) {
+      paidOnTime += 1;
+    }
+  }
+
+  return {
+    totalInstallments: loan.repaymentSchedule.length,
+    installmentsDue: due.length,
+    installmentsPaid: paid.length,
+    paidOnTime: paidOnTime,
+    onTimePercent: due.length > 0 ? Math.round(paidOnTime / due.length * 100) : 0,
+    maxDaysLate: maxDaysLate,
+    daysPastDue: loan.status === 'disbursed' ? loan.getDaysPastDue(asOf) : 0,
+    restructured: loan.restructurings.length > 0
+  };
+};
+
+// 'excellent' for every installment on time, 'good' for nearly all and never badly late
+const getRepaymentGrade = (behaviour) => {
+  if (behaviour.installmentsDue === 0 || behaviour.restructured || behaviour.daysPastDue > 0) {
+    return null;
+  }
+  if (behaviour.onTimePercent === 100) {
+    return 'excellent';
+  }
+  if (behaviour.onTimePercent >= 90 && behaviour.maxDaysLate <= 30) {
+    return 'good';
+  }
+  return null;
+};
+
+const buildOffer = (type, loan, product, grade, behaviour, asOf) => {
+  const step = GRADUATION[grade];
+  const maxAmount = Math.min(product.amount.max, roundDownToThousand(loan.amount * (1 + step.limitStep)));
+  const interestRate = Math.max(product.interestRate.min, roundCurrency(loan.interestRate - step.rateCut));
+
+  return {
+    type: type,
+    basedOnLoanId: loan.loanId,
+    productCode: product.code,
+    productName: product.name,
+    grade: grade,
+    maxAmount: maxAmount,
+    minAmount: product.amount.min,
+    interestRate: interestRate,
+    previousInterestRate: loan.interestRate,
+    tenure: { min: product.tenure.min, max: product.tenure.max },
+    purposes: product.purposes,
+    behaviour: behaviour,
+    generatedAt: asOf
+  };
+};
+
+// Top-up on a running loan: the new loan pays off what is still owed and the borrower
+// receives the rest
+const getTopUpOffer = (loan, product, asOf, config) => {
+  if (loan.assetClassification && loan.assetClassification !== 'standard') {
+    return null;
+  }
+
+  const behaviour = getRepaymentBehaviour(loan, asOf, config);
+  const grade = getRepaymentGrade(behaviour);
+  if (!grade || behaviour.installmentsPaid < behaviour.totalInstallments * config.topUpMinRepaidPercent / 100) {
+    return null;
+  }
+
+  const offer = buildOffer('top_up', loan, product, grade, behaviour, asOf);
+  offer.outstandingToSettle = generateTopUpSettlementQuote(loan, asOf).totalAmount;
+  offer.additionalAmount = roundCurrency(offer.maxAmount - offer.outstandingToSettle);
+  offer.minAmount = Math.max(product.amount.min, Math.ceil(offer.outstandingToSettle + config.topUpMinAdditional));
+
+  return offer.minAmount <= offer.maxAmount ? offer : null;
+};
+
+// Next-cycle loan after a loan closed in good standing
+const getRepeatOffer = (loan, product, asOf, config) => {
+  const closure = [...loan.statusHistory].reverse().find(entry => entry.status === 'closed');
+  const closedAt = closure && closure.timestamp;
+  if (!closedAt || asOf - closedAt > config.repeatOfferDays * DAY_MS) {
+    return null;
+  }
+
+  // Judge the whole schedule, including installments settled early by foreclosure
+  const behaviour = getRepaymentBehaviour(loan, closedAt, config);
+  const grade = getRepaymentGrade(behaviour);
+  if (!grade) {
+    return null;
+  }
+
+  const offer = buildOffer('repeat', loan, product, grade, behaviour, asOf);
+  offer.validUntil = new Date(closedAt.getTime() + config.repeatOfferDays * DAY_MS);
+  return offer.minAmount <= offer.maxAmount ? offer : null;
+};
+
+// Pre-approved offers for a borrower, from the repayment record of their latest loan.
+// Borrowers with fraud flags, an inactive account or another loan in progress get none.
+const getPreApprovedOffers = async (user, asOf = new Date(), config = getOfferConfig()) => {
+  if (!user.isActive || !user.aadhaarVerified || !user.panVerified || user.fraudFlags.length > 0) {
+    return [];
+  }
+
+  const loans = await Loan.find({ userId: user._id }).sort({ applicationDate: -1 });
+  // An application or approved loan in progress takes priority over any offer
+  if (loans.some(loan => ['pending', 'under_review', 'approved', 'accepted', 'disbursing'].includes(loan.status))) {
+    return [];
+  }
+
+  const latest = loans.find(loan => ['disbursed', 'closed', 'written_off'].includes(loan.status));
+  if (!latest || latest.status === 'written_off' || !latest.productCode) {
+    return [];
+  }
+
+  const product = await LoanProduct.findOne({ code: latest.productCode, isActive: true });
+  if (!product || !product.isEligibleOccupation(user.occupation)) {
+    return [];
+  }
+
+  const offer = latest.status === 'disbursed'
+    ? getTopUpOffer(latest, product, asOf, config)
+    : getRepeatOffer(latest, product, asOf, config);
+
+  return offer ? [offer] : [];
+};
+
+module.exports = {
+  getOfferConfig,
+  getRepaymentBehaviour,
+  getRepaymentGrade,
+  getPreApprovedOffers
+};
@@ -0,0 +1,430 @@
+const Loan = require('../models/Loan');
+const PaymentOrder = require('../models/PaymentOrder');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const User = require('../models/User');
+const { closeLoan, cancelInCoolingOff, notifyLoanStatus } = require('./loanService');
+const {
+  generateCoolingOffQuote,
+  settleForeclosure,
+  getPrepaymentBlocker,
+  applyPartPrepayment
+} = require('./foreclosureService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const GATEWAYS = {
+  fake: require('./providers/fakePaymentGateway')
+};
+
+const getPaymentConfig = () => ({
+  gateway: process.env.PAYMENT_GATEWAY || 'fake',
+  orderExpiryMinutes: parseInt(process.env.PAYMENT_ORDER_EXPIRY_MINUTES) || 30
+});
+
+const getPaymentGateway = (name = getPaymentConfig().gateway) => {
+  const gateway = GATEWAYS[name];
+  if (!gateway) {
+    throw new Error(`Unknown payment gateway '${name}'`);
+  }
+  return gateway;
+};
+
+// Amount owed on an installment (oldest unpaid one by default), including penalty
+const getInstallmentDue = (loan, emiNumber) => {
+  const emi = emiNumber
+    ? loan.repaymentSchedule.find(entry => entry.emiNumber === emiNumber)
+    : loan.repaymentSchedule
+      .filter(entry => entry.status !== 'paid')
+      .sort((a, b) => a.emiNumber - b.emiNumber)[0];
+
+  if (!emi || emi.status === 'paid') {
+    return null;
+  }
+
+  return {
+    emiNumber: emi.emiNumber,
+    amount: Loan.roundCurrency((emi.amount || 0) + (emi.penaltyAmount || 0) -
+      (emi.paidPrincipal || 0) - (emi.paidInterest || 0) - (emi.paidPenalty || 0))
+  };
+};
+
+// Create a gateway order and the UPI payload for the client. Retrying with the same
+// idempotency key returns the order created the first time.
+// Foreclosures, prepayments and cooling-off cancellations are settled only on capture.
+const createPaymentOrder = async (loan, payer, {
+  amount,
+  emiNumber,
+  purpose = 'emi',
+  quoteId,
+  prepaymentOption,
+  channel = 'app',
+  mode = 'intent',
+  payerVpa,
+  idempotencyKey
+}) => {
+  const config = getPaymentConfig();
+  const gateway = getPaymentGateway(config.gateway);
+
+  const order = new PaymentOrder({
+    loan: loan._id,
+    loanId: loan.loanId,
+    userId: payer._id,
+    emiNumber: emiNumber,
+    purpose: purpose,
+    quoteId: quoteId,
+    prepaymentOption: prepaymentOption,
+    channel: channel,
+    amount: Loan.roundCurrency(amount),
+    idempotencyKey: idempotencyKey,
+    provider: gateway.name,
+    mode: mode,
+    payerVpa: payerVpa,
+    expiresAt: new Date(Date.now() + config.orderExpiryMinutes * 60 * 1000)
+  });
+
+  const created = await gateway.createOrder(order);
+  order.providerOrderId = created.providerOrderId;
+  order.upiPayload = created.upiPayload;
+
+  try {
+    await order.save();
+  } catch (error) {
+    // Lost a race with a concurrent request using the same key
+    if (error.code === 11000 && idempotencyKey) {
+      return PaymentOrder.findOne({ userId: payer._id, idempotencyKey: idempotencyKey });
+    }
+    throw error;
+  }
+
+  return order;
+};
+
+// Settle what the order was for. A foreclosure, prepayment or cancellation that no longer
+// applies (quote gone, loan changed since the order) is allocated to dues like any other
+// payment and flagged for follow-up.
+const applyCapture = (loan, order, event, exceptions) => {
+  const details = {
+    method: event.method || 'upi',
+    reference: event.providerPaymentId,
+    paidAt: event.occurredAt,
+    recordedBy: 'gateway'
+  };
+
+  if (order.purpose === 'foreclosure') {
+    const quote = loan.foreclosureQuotes.find(entry => entry.quoteId === order.quoteId);
+    if (quote && quote.status === 'open' && quote.validUntil >= event.occurredAt && event.amount === quote.totalAmount) {
+      const payment = settleForeclosure(loan, quote, details);
+      closeLoan(loan, `Loan foreclosed (quote ${quote.quoteId})`, 'gateway');
+      return payment;
+    }
+    exceptions.push(`Foreclosure quote ${order.quoteId} is no longer payable; allocated to dues`);
+  }
+
+  if (order.purpose === 'prepayment') {
+    const blocker = getPrepaymentBlocker(loan, event.amount, event.occurredAt);
+    if (!blocker) {
+      return applyPartPrepayment(loan, event.amount, order.prepaymentOption, details).payment;
+    }
+    exceptions.push(`Prepayment not applied (${blocker}); allocated to dues`);
+  }
+
+  if (order.purpose === 'cooling_off_cancellation') {
+    // The quote the borrower was shown, as of when the order was created
+    const quote = generateCoolingOffQuote(loan, order.createdAt);
+    if (loan.isInCoolingOff() && event.amount === quote.totalAmount) {
+      return cancelInCoolingOff(loan, quote, { ...details, channel: order.channel });
+    }
+    exceptions.push('Cooling-off cancellation no longer payable at this amount; allocated to dues');
+  }
+
+  const payment = loan.allocatePayment(event.amount, details);
+  if (loan.canBeClosed()) {
+    closeLoan(loan, 'All EMIs paid successfully');
+  }
+  return payment;
+};
+
+// Post a captured order to its loan. The order has already been marked captured, so this
+// runs at most once per order.
+const postCapture = async (order, event) => {
+  const loan = await Loan.findById(order.loan);
+  const exceptions = [];
+  let paymentId;
+
+  if (event.amount !== order.amount) {
+    exceptions.push(`Captured Rs. ${event.amount} against an order for Rs. ${order.amount}`);
+  }
+
+  if (!loan || loan.status !== 'disbursed') {
+    exceptions.push('Loan is not open for payments; refund required');
+  } else {
+    const payment = applyCapture(loan, order, event, exceptions);
+    paymentId = payment.paymentId;
+
+    await loan.save();
+
+    if (loan.status === 'cancelled') {
+      const user = await User.findById(loan.userId);
+      await notifyLoanStatus(user, loan);
+    }
+  }
+
+  await PaymentOrder.updateOne({ _id: order._id }, {
+    $set: {
+      paymentId: paymentId,
+      exception: exceptions.length > 0 ? exceptions.join('; ') : undefined
+    }
+  });
+
+  return { paymentId, exceptions };
+};
+
+// Verify and apply a gateway webhook. Returns the outcome; only a bad signature is an error
+// for the caller, everything else is acknowledged so the gateway stops retrying.
+const processWebhook = async (gatewayName, rawBody, headers) => {
+  const gateway = getPaymentGateway(gatewayName);
+
+  if (!gateway.verifyWebhookSignature(rawBody, headers)) {
+    return { status: 'invalid_signature' };
+  }
+
+  const event = gateway.parseWebhookEvent(JSON.parse(rawBody));
+  if (!['captured', 'failed'].includes(event.type)) {
+    return { status: 'ignored', reason: `Unhandled event '${event.type}'` };
+  }
+
+  // Record the event id atomically, so a redelivered event is applied only once
+  const order = await PaymentOrder.findOneAndUpdate(
+    {
+      provider: gateway.name,
+      providerOrderId: event.providerOrderId,
+      'webhookEvents.eventId': { $ne: event.eventId }
+    },
+    { $push: { webhookEvents: { eventId: event.eventId, type: event.type, receivedAt: new Date() } } },
+    { new: true }
+  );
+
+  if (!order) {
+    const exists = await PaymentOrder.exists({ provider: gateway.name, providerOrderId: event.providerOrderId });
+    return exists
+      ? { status: 'duplicate', eventId: event.eventId }
+      : { status: 'ignored', reason: 'Unknown order' };
+  }
+
+  if (event.type === 'failed') {
+    if (order.status === 'created') {
+      order.status = 'failed';
+      order.failureReason = event.failureReason;
+      await order.save();
+    }
+    return { status: 'processed', orderId: order.orderId, orderStatus: order.status };
+  }
+
+  // Claim the capture atomically; a second capture event for the same order is ignored.
+  // A failed order can still be captured when the borrower's UPI app retries the payment.
+  const captured = await PaymentOrder.findOneAndUpdate(
+    { _id: order._id, status: { $in: ['created', 'expired', 'failed'] } },
+    {
+      $set: {
+        status: 'captured',
+        capture: {
+          providerPaymentId: event.providerPaymentId,
+          amount: event.amount,
+          method: event.method,
+          capturedAt: event.occurredAt
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!captured) {
+    // A different payment captured on an order already paid is money received twice
+    const current = await PaymentOrder.findById(order._id);
+    if (current.capture && current.capture.providerPaymentId !== event.providerPaymentId) {
+      const exception = `Second capture ${event.providerPaymentId} of Rs. ${event.amount}; refund required`;
+      await PaymentOrder.updateOne({ _id: order._id }, {
+        $set: { exception: current.exception ? `${current.exception}; ${exception}` : exception }
+      });
+      return { status: 'processed', orderId: order.orderId, orderStatus: current.status, exceptions: [exception] };
+    }
+    return { status: 'ignored', reason: `Order is already ${current.status}`, orderId: order.orderId };
+  }
+
+  const { paymentId, exceptions } = await postCapture(captured, event);
+
+  return {
+    status: 'processed',
+    orderId: captured.orderId,
+    orderStatus: 'captured',
+    paymentId: paymentId,
+    exceptions: exceptions
+  };
+};
+
+// Check that a captured order was posted to the loan in full and allocated to installments
+// that exist on its schedule
+const getPostingProblem = (loan, order) => {
+  const payment = loan && loan.payments.find(entry => entry.paymentId === order.paymentId);
+  if (!payment) {
+    return { actualAmount: 0, description: 'No payment on the loan for this capture' };
+  }
+
+  const allocated = Loan.roundCurrency(payment.allocations.reduce((sum, allocation) => sum + allocation.total, 0) +
+    (payment.feesPaid || 0) - (payment.feeRefund || 0) +
+    (payment.advanceCreditAfter || 0) - (payment.advanceCreditBefore || 0));
+  const unknownEMI = payment.allocations.find(allocation =>
+    !loan.repaymentSchedule.some(emi => emi.emiNumber === allocation.emiNumber));
+
+  if (payment.amount !== order.capture.amount || allocated !== payment.amount) {
+    return { actualAmount: allocated, description: 'Payment allocation does not add up to the captured amount' };
+  }
+  if (unknownEMI) {
+    return { actualAmount: allocated, description: `Allocated to EMI ${unknownEMI.emiNumber}, which is not on the schedule` };
+  }
+  return null;
+};
+
+// Match one day's settlement report against captured orders and record every mismatch
+const reconcileSettlements = async (settlementDate, runBy = 'system') => {
+  const gateway = getPaymentGateway();
+  const start = new Date(settlementDate);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start.getTime() + DAY_MS);
+
+  const rows = await gateway.fetchSettlementReport(start);
+  const mismatches = [];
+  const matchedOrders = [];
+  const mismatchedOrders = [];
+  let matchedAmount = 0;
+
+  for (const row of rows) {
+    const order = await PaymentOrder.findOne({ provider: gateway.name, providerOrderId: row.providerOrderId });
+    const base = {
+      orderId: order && order.orderId,
+      providerOrderId: row.providerOrderId,
+      providerPaymentId: row.providerPaymentId,
+      loanId: order && order.loanId,
+      emiNumber: order && order.emiNumber,
+      actualAmount: row.amount
+    };
+
+    if (!order) {
+      mismatches.push({ ...base, type: 'unknown_payment', description: 'Settled payment has no matching order' });
+      continue;
+    }
+
+    if (order.status !== 'captured') {
+      mismatches.push({ ...base, type: 'not_captured', expectedAmount: order.amount, description: `Order is ${order.status}` });
+      mismatchedOrders.push(order._id);
+      continue;
+    }
+
+    if (row.providerPaymentId !== order.capture.providerPaymentId) {
+      mismatches.push({ ...base, type: 'duplicate_payment', description: `Order was captured by ${order.capture.providerPaymentId}; refund required` });
+      mismatchedOrders.push(order._id);
+      continue;
+    }
+
+    if (Loan.roundCurrency(row.amount) !== order.capture.amount) {
+      mismatches.push({ ...base, type: 'amount_mismatch', expectedAmount: order.capture.amount, description: 'Settled amount differs from the amount captured' });
+      mismatchedOrders.push(order._id);
+      continue;
+    }
+
+    const loan = await Loan.findById(order.loan);
+    const problem = getPostingProblem(loan, order);
+    if (problem) {
+      mismatches.push({ ...base, type: 'not_posted', expectedAmount: order.capture.amount, ...problem });
+      mismatchedOrders.push(order._id);
+      continue;
+    }
+
+    matchedOrders.push(order._id);
+    matchedAmount = Loan.roundCurrency(matchedAmount + row.amount);
+  }
+
+  // Captures the gateway should have settled but didn't report
+  const settledPaymentIds = rows.map(row => row.providerPaymentId);
+  const unsettled = await PaymentOrder.find({
+    provider: gateway.name,
+    status: 'captured',
+    'capture.capturedAt': { $gte: start, $lt: end },
+    'capture.providerPaymentId': { $nin: settledPaymentIds }
+  });
+
+  for (const order of unsettled) {
+    mismatches.push({
+      type: 'missing_settlement',
+      orderId: order.orderId,
+      providerOrderId: order.providerOrderId,
+      providerPaymentId: order.capture.providerPaymentId,
+      loanId: order.loanId,
+      emiNumber: order.emiNumber,
+      expectedAmount: order.capture.amount,
+      actualAmount: 0,
+      description: 'Captured payment missing from the settlement report'
+    });
+    mismatchedOrders.push(order._id);
+  }
+
+  const report = new ReconciliationReport({
+    provider: gateway.name,
+    settlementDate: start,
+    settlementRows: rows.length,
+    settledAmount: Loan.roundCurrency(rows.reduce((sum, row) => sum + row.amount, 0)),
+    matchedCount: matchedOrders.length,
+    matchedAmount: matchedAmount,
+    mismatches: mismatches,
+    status: mismatches.length > 0 ? 'mismatches_found' : 'matched',
+    runBy: runBy
+  });
+  await report.save();
+
+  const reconciledAt = new Date();
+  await PaymentOrder.updateMany({ _id: { $in: matchedOrders } }, {
+    $set: { reconciliation: { status: 'matched', reportId: report.reportId, reconciledAt } }
+  });
+  await PaymentOrder.updateMany({ _id: { $in: mismatchedOrders } }, {
+    $set: { reconciliation: { status: 'mismatch', reportId: report.reportId, reconciledAt } }
+  });
+
+  return report;
+};
+
+// Orders nobody paid before they expired
+const expireStaleOrders = async (asOf = new Date()) => {
+  const result = await PaymentOrder.updateMany(
+    { status: 'created', expiresAt: { $lt: asOf } },
+    { $set: { status: 'expired' } }
+  );
+  return result.modifiedCount || result.nModified || 0;
+};
+
+// Daily job: expire unpaid orders and reconcile the previous day's settlements
+const runDailyReconciliationJob = async (asOf = new Date()) => {
+  const ordersExpired = await expireStaleOrders(asOf);
+  const report = await reconcileSettlements(new Date(asOf.getTime() - DAY_MS));
+
+  const summary = {
+    ordersExpired: ordersExpired,
+    reportId: report.reportId,
+    settlementRows: report.settlementRows,
+    matchedCount: report.matchedCount,
+    mismatches: report.mismatches.length
+  };
+
+  console.log('Daily payment reconciliation job completed:', summary);
+  return summary;
+};
+
+module.exports = {
+  getPaymentConfig,
+  getPaymentGateway,
+  getInstallmentDue,
+  createPaymentOrder,
+  processWebhook,
+  reconcileSettlements,
+  expireStaleOrders,
+  runDailyReconciliationJob
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+
+// Local payment gateway for development and testing. Payments are made with simulatePayment,
+// which returns a signed webhook exactly as a real gateway would deliver it, and captured
+// payments are kept in memory so settlement reports can be produced for reconciliation.
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+// providerPaymentId -> settlement row
+const settlements = new Map();
+
+// No default: a known secret would let anyone sign a webhook
+const getWebhookSecret = () => {
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+  }
+  return process.env.PAYMENT_WEBHOOK_SECRET;
+};
+
+const generateReference = (prefix) => {
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 5);
+  return `${prefix}_${timestamp}${random}`;
+};
+
+const sign = (rawBody) => crypto
+  .createHmac('sha256', getWebhookSecret())
+  .update(rawBody)
+  .digest('hex');
+
+const createOrder = async (order) => {
+  const providerOrderId = generateReference('fakeorder');
+  const merchantVpa = process.env.PAYMENT_MERCHANT_VPA || 'grameencredit@fakebank';
+  const merchantName = process.env.PAYMENT_MERCHANT_NAME || 'GrameenCredit';
+
+  if (order.mode === 'collect') {
+    return {
+      providerOrderId: providerOrderId,
+      upiPayload: {
+        type: 'collect',
+        payerVpa: order.payerVpa,
+        message: `Approve the collect request from ${merchantVpa} in your UPI app`
+      }
+    };
+  }
+
+  const params = new URLSearchParams({
+    pa: merchantVpa,
+    pn: merchantName,
+    tr: providerOrderId,
+    am: order.amount.toFixed(2),
+    cu: order.currency || 'INR',
+    tn: `EMI ${order.loanId}`
+  });
+
+  return {
+    providerOrderId: providerOrderId,
+    upiPayload: {
+      type: 'intent',
+      intentUrl: `upi://pay?${params.toString()}`
+    }
+  };
+};
+
+const verifyWebhookSignature = (rawBody, headers = {}) => {
+  const signature = headers[SIGNATURE_HEADER];
+  if (!rawBody || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(rawBody), 'utf8');
+  const received = Buffer.from(signature, 'utf8');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Normalise a webhook body into a gateway-independent event
+const parseWebhookEvent = (body) => ({
+  eventId: body.id,
+  type: body.event === 'payment.captured' ? 'captured' : body.event === 'payment.failed' ? 'failed' : body.event,
+  providerOrderId: body.payload && body.payload.order_id,
+  providerPaymentId: body.payload && body.payload.payment_id,
+  amount: body.payload && body.payload.amount / 100, // paise
+  method: body.payload && body.payload.method,
+  occurredAt: new Date(body.created_at * 1000),
+  failureReason: body.payload && body.payload.error_description
+});
+
+// Pay (or fail) an order. `settlementAmount` lets tests settle a different amount than was
+// captured, to exercise reconciliation.
+const simulatePayment = (order, { outcome = 'success', settlementAmount, at = new Date() } = {}) => {
+  const providerPaymentId = generateReference('fakepay');
+  const captured = outcome === 'success';
+
+  const body = JSON.stringify({
+    id: generateReference('evt'),
+    event: captured ? 'payment.captured' : 'payment.failed',
+    created_at: Math.floor(at.getTime() / 1000),
+    payload: {
+      order_id: order.providerOrderId,
+      payment_id: providerPaymentId,
+      amount: Math.round(order.amount * 100),
+      method: 'upi',
+      error_description: captured ? undefined : 'Payment declined by payer'
+    }
+  });
+
+  if (captured) {
+    settlements.set(providerPaymentId, {
+      providerPaymentId: providerPaymentId,
+      providerOrderId: order.providerOrderId,
+      amount: settlementAmount != null ? settlementAmount : order.amount,
+      capturedAt: at
+    });
+  }
+
+  return {
+    rawBody: body,
+    headers: { [SIGNATURE_HEADER]: sign(body) }
+  };
+};
+
+// Payments captured on a date, as the gateway would report them the next day
+const fetchSettlementReport = async (settlementDate) => {
+  const start = new Date(settlementDate);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+
+  return Array.from(settlements.values())
+    .filter(row => row.capturedAt >= start && row.capturedAt < end);
+};
+
+module.exports = {
+  name: 'fake',
+  SIGNATURE_HEADER,
+  createOrder,
+  verifyWebhookSignature,
+  parseWebhookEvent,
+  simulatePayment,
+  fetchSettlementReport
+};
@@ -0,0 +1,44 @@
+// Stores objects as files under STORAGE_LOCAL_PATH, for development and single-server setups.
+const fs = require('fs').promises;
+const path = require('path');
+
+const getBasePath = () => path.resolve(process.env.STORAGE_LOCAL_PATH || process.env.UPLOAD_PATH || './uploads');
+
+// Keys are generated by the storage service, but never let one point outside the base path
+const resolveKey = (key) => {
+  const basePath = getBasePath();
+  const filePath = path.resolve(basePath, key);
+  if (!filePath.startsWith(basePath + path.sep)) {
+    throw new Error(`Invalid storage key '${key}'`);
+  }
+  return filePath;
+};
+
+const putObject = async (key, body) => {
+  const filePath = resolveKey(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  // Write to a temporary file first so a failed upload never leaves a partial object
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, body);
+  await fs.rename(tempPath, filePath);
+};
+
+const getObject = async (key) => {
+  return fs.readFile(resolveKey(key));
+};
+
+const deleteObject = async (key) => {
+  try {
+    await fs.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+module.exports = {
+  name: 'local',
+  putObject,
+  getObject,
+  deleteObject
+};
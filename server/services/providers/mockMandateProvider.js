@@ -0,0 +1,102 @@
+// Local stand-in for a NACH / UPI AutoPay sponsor bank, for development and testing.
+// Registrations are confirmed straight away, except bank accounts ending in 0000 which
+// are rejected. Debits succeed unless the return file is built with failures.
+
+const RETURN_FILE_HEADER = 'presentation_id,status,amount,return_code,return_reason';
+
+// NPCI-style return reasons the mock can produce
+const RETURN_REASONS = {
+  INSUFFICIENT_FUNDS: 'Balance insufficient',
+  ACCOUNT_CLOSED: 'Account closed or transferred',
+  MANDATE_CANCELLED: 'Mandate cancelled by customer',
+  PAYMENT_STOPPED: 'Payment stopped by drawer',
+  TECHNICAL_FAILURE: 'Technical failure at destination bank'
+};
+
+const generateReference = (prefix) => {
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 5);
+  return `${prefix}${timestamp}${random}`.toUpperCase();
+};
+
+const registerMandate = async (mandate, details = {}) => {
+  const accountNumber = details.bankAccount && details.bankAccount.accountNumber;
+
+  if (accountNumber && accountNumber.endsWith('0000')) {
+    return {
+      status: 'rejected',
+      reason: 'Account not found at destination bank'
+    };
+  }
+
+  return {
+    status: 'active',
+    providerReference: generateReference(mandate.type === 'nach' ? 'MOCKUMRN' : 'MOCKUPI')
+  };
+};
+
+const submitBatch = async (batch) => {
+  return {
+    submissionReference: generateReference('MOCKSUB'),
+    itemCount: batch.items.length
+  };
+};
+
+// Return file for a submitted batch; `failures` maps presentation ids to return codes
+const buildReturnFile = (batch, failures = {}) => {
+  const rows = batch.items.map(item => {
+    const returnCode = failures[item.presentationId];
+    if (returnCode) {
+      return [item.presentationId, 'FAILED', item.amount, returnCode, RETURN_REASONS[returnCode] || 'Debit failed'].join(',');
+    }
+    return [item.presentationId, 'SUCCESS', item.amount, '', ''].join(',');
+  });
+
+  return [RETURN_FILE_HEADER, ...rows].join('\n');
+};
+
+// Parse a CSV return file into rows; malformed lines are reported, not thrown
+const parseReturnFile = (content) => {
+  const lines = String(content || '').split(/\r?\n/).map(line => line.trim());
+  const rows = [];
+  const errors = [];
+
+  if (lines[0] !== RETURN_FILE_HEADER) {
+    errors.push({ line: 1, message: `Expected header '${RETURN_FILE_HEADER}'` });
+    return { rows, errors };
+  }
+
+  lines.slice(1).forEach((line, index) => {
+    if (!line) return;
+
+    const [presentationId, status, amount, returnCode, returnReason] = line.split(',').map(field => field.trim());
+    const lineNumber = index + 2;
+    const parsedAmount = parseFloat(amount);
+
+    if (!presentationId || !['SUCCESS', 'FAILED'].includes((status || '').toUpperCase()) || isNaN(parsedAmount)) {
+      errors.push({ line: lineNumber, message: 'Malformed row' });
+      return;
+    }
+
+    rows.push({
+      line: lineNumber,
+      presentationId: presentationId,
+      status: status.toUpperCase() === 'SUCCESS' ? 'success' : 'failed',
+      amount: parsedAmount,
+      returnCode: returnCode || undefined,
+      returnReason: returnReason || undefined
+    });
+  });
+
+  return { rows, errors };
+};
+
+module.exports = {
+  name: 'mock',
+  RETURN_FILE_HEADER,
+  RETURN_REASONS,
+  registerMandate,
+  submitBatch,
+  buildReturnFile,
+  parseReturnFile
+};
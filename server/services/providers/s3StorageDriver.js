@@ -0,0 +1,100 @@
+// Stores objects in an S3-compatible bucket (AWS S3, MinIO and the like) using path-style
+// URLs and Signature Version 4.
+const crypto = require('crypto');
+const axios = require('axios');
+
+const getS3Config = () => {
+  const region = process.env.S3_REGION || 'ap-south-1';
+  return {
+    endpoint: (process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, ''),
+    region: region,
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  };
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+const getObjectUrl = (config, key) => {
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+  return new URL(`${config.endpoint}/${encodeURIComponent(config.bucket)}/${encodedKey}`);
+};
+
+// Headers for a request signed with AWS Signature Version 4
+const signRequest = (config, method, url, body, headers = {}, now = new Date()) => {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256(body || '');
+
+  const signed = {
+    ...headers,
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const names = Object.keys(signed).sort();
+  const canonicalHeaders = names.map(name => `${name}:${String(signed[name]).trim()}\n`).join('');
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [method, url.pathname, url.search.slice(1), canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${config.secretAccessKey}`, dateStamp), config.region)
+  );
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  const { host, ...requestHeaders } = signed;
+  return {
+    ...requestHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+};
+
+const request = async (method, key, body, headers) => {
+  const config = getS3Config();
+  if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+    throw new Error('S3 storage is not configured');
+  }
+
+  const url = getObjectUrl(config, key);
+  const response = await axios({
+    method: method,
+    url: url.toString(),
+    data: body,
+    headers: signRequest(config, method, url, body, headers),
+    responseType: 'arraybuffer',
+    maxBodyLength: Infinity,
+    validateStatus: () => true
+  });
+
+  if (response.status >= 300 && !(method === 'DELETE' && response.status === 404)) {
+    throw new Error(`S3 ${method} ${key} failed with status ${response.status}`);
+  }
+  return response;
+};
+
+const putObject = async (key, body, { contentType = 'application/octet-stream' } = {}) => {
+  await request('PUT', key, body, { 'content-type': contentType });
+};
+
+const getObject = async (key) => {
+  const response = await request('GET', key);
+  return Buffer.from(response.data);
+};
+
+const deleteObject = async (key) => {
+  await request('DELETE', key);
+};
+
+module.exports = {
+  name: 's3',
+  signRequest,
+  putObject,
+  getObject,
+  deleteObject
+};
@@ -0,0 +1,183 @@
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const CollectionCase = require('../models/CollectionCase');
+const { sendReliefNoticeSMS, sendReliefNoticeCall } = require('./smsService');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+
+// Borrowers whose address falls in the event's districts or pincodes
+const findAffectedBorrowers = (event) => {
+  const area = [];
+  if (event.districts.length > 0) {
+    area.push({ 'address.district': { $in: event.districts.map(name => new RegExp(`^${escapeRegex(name.trim())}$`, 'i')) } });
+  }
+  if (event.pincodes.length > 0) {
+    area.push({ 'address.pincode': { $in: event.pincodes } });
+  }
+  if (area.length === 0) {
+    return [];
+  }
+  return User.find({ $or: area }).select('name phoneNumber preferredLanguage address');
+};
+
+// Why a loan in the affected area can't be restructured, if it can't
+const getIneligibleReason = (loan, event, asOf) => {
+  if (loan.assetClassification === 'NPA') {
+    return 'Loan is classified NPA';
+  }
+  if (loan.restructurings.some(restructuring => restructuring.reliefEventId === event.eventId)) {
+    return 'Already restructured under this event';
+  }
+  if (loan.getPendingCapitalization(asOf) > 0) {
+    return 'Loan is in a moratorium';
+  }
+  if (!loan.repaymentSchedule.some(emi => emi.status !== 'paid')) {
+    return 'No unpaid installments';
+  }
+  return null;
+};
+
+// Disbursed loans of borrowers in the affected area that were running during the event
+const findEligibleLoans = async (event, asOf = new Date()) => {
+  const borrowers = await findAffectedBorrowers(event);
+  const loans = await Loan.find({
+    userId: { $in: borrowers.map(borrower => borrower._id) },
+    status: 'disbursed',
+    disbursalDate: { $lte: event.endDate }
+  });
+
+  const eligible = [];
+  const ineligible = [];
+  for (const loan of loans) {
+    const reason = getIneligibleReason(loan, event, asOf);
+    if (reason) {
+      ineligible.push({ loan, reason });
+    } else {
+      eligible.push(loan);
+    }
+  }
+
+  return { borrowers, eligible, ineligible };
+};
+
+// Text and voice notice in the borrower's language. Failures are recorded, not thrown.
+const notifyBorrower = async (borrower, loan, event, restructuring) => {
+  const notified = { sms: false, voice: false };
+  if (!borrower || !borrower.phoneNumber) {
+    return notified;
+  }
+
+  const nextEMI = loan.repaymentSchedule
+    .filter(emi => emi.status !== 'paid')
+    .sort((a, b) => a.dueDate - b.dueDate)[0];
+  const details = {
+    loanId: loan.loanId,
+    eventName: event.name,
+    mode: restructuring.mode,
+    months: restructuring.months,
+    emiAmount: nextEMI ? nextEMI.amount : loan.emiAmount,
+    firstDueDate: nextEMI ? formatDate(nextEMI.dueDate) : '-'
+  };
+
+  try {
+    await sendReliefNoticeSMS(borrower.phoneNumber, details, borrower.preferredLanguage);
+    notified.sms = true;
+  } catch (error) {
+    console.error(`Relief SMS failed for loan ${loan.loanId}:`, error);
+  }
+
+  try {
+    await sendReliefNoticeCall(borrower.phoneNumber, details, borrower.preferredLanguage);
+    notified.voice = true;
+  } catch (error) {
+    console.error(`Relief call failed for loan ${loan.loanId}:`, error);
+  }
+
+  return notified;
+};
+
+// Collections follow-up stops once the arrears are restructured
+const closeCollectionCase = async (loan, event, asOf) => {
+  const collectionCase = await CollectionCase.findOne({ loan: loan._id, status: 'open' });
+  if (!collectionCase) {
+    return;
+  }
+
+  collectionCase.status = 'resolved';
+  collectionCase.resolvedAt = asOf;
+  collectionCase.resolution = `Restructured under relief event ${event.eventId}`;
+
+  const pending = collectionCase.getPendingPromise();
+  if (pending) {
+    pending.status = 'cancelled';
+    pending.resolvedAt = asOf;
+  }
+  await collectionCase.save();
+};
+
+// Restructure every eligible loan for the event and notify the borrowers. Each loan is
+// saved on its own so one failure doesn't hold up the rest; the outcome per loan is kept
+// on the event.
+const applyReliefEvent = async (event, appliedBy = 'system', asOf = new Date()) => {
+  const { borrowers, eligible, ineligible } = await findEligibleLoans(event, asOf);
+  const borrowerById = new Map(borrowers.map(borrower => [borrower._id.toString(), borrower]));
+  const reason = `${event.name} (${event.calamityType}) relief`;
+
+  for (const { loan, reason: skipReason } of ineligible) {
+    event.loans.push({
+      loan: loan._id,
+      loanId: loan.loanId,
+      userId: loan.userId,
+      status: 'skipped',
+      reason: skipReason,
+      processedAt: asOf
+    });
+  }
+
+  for (const loan of eligible) {
+    const outcome = { loan: loan._id, loanId: loan.loanId, userId: loan.userId, processedAt: asOf };
+
+    try {
+      const restructuring = loan.restructureForRelief({
+        mode: event.reliefType,
+        months: event.reliefMonths,
+        reliefEventId: event.eventId,
+        reason: reason,
+        appliedBy: appliedBy,
+        asOf: asOf
+      });
+      await loan.save();
+      await closeCollectionCase(loan, event, asOf);
+
+      outcome.status = 'applied';
+      outcome.restructureId = restructuring.restructureId;
+      outcome.notified = await notifyBorrower(borrowerById.get(loan.userId.toString()), loan, event, restructuring);
+    } catch (error) {
+      console.error(`Relief restructuring failed for loan ${loan.loanId}:`, error);
+      outcome.status = 'failed';
+      outcome.reason = error.message;
+    }
+
+    event.loans.push(outcome);
+  }
+
+  event.status = 'applied';
+  event.applyingSince = undefined;
+  event.appliedAt = asOf;
+  event.appliedBy = appliedBy;
+  event.summary = {
+    applied: event.loans.filter(entry => entry.status === 'applied').length,
+    skipped: event.loans.filter(entry => entry.status === 'skipped').length,
+    failed: event.loans.filter(entry => entry.status === 'failed').length
+  };
+  await event.save();
+
+  return event;
+};
+
+module.exports = {
+  findEligibleLoans,
+  applyReliefEvent
+};
@@ -0,0 +1,138 @@
+const Loan = require('../models/Loan');
+const { sendEMIReminderSMS, sendLiabilityNoticeSMS } = require('./smsService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Short cycles get a short lead time so reminders don't overlap the previous installment;
+// harvest repayments get an early notice so the borrower can plan the sale of the crop
+const FREQUENCY_LEAD_DAYS = {
+  weekly: 1,
+  fortnightly: 2,
+  bullet: 15
+};
+
+// Days before the due date to remind the borrower
+const getReminderLeadDays = (loan) => {
+  const preferred = loan.reminderPreferences && loan.reminderPreferences.daysBefore != null
+    ? loan.reminderPreferences.daysBefore
+    : 3;
+  const frequencyLead = FREQUENCY_LEAD_DAYS[loan.repaymentFrequency];
+
+  if (loan.repaymentFrequency === 'bullet') {
+    return Math.max(preferred, frequencyLead);
+  }
+  return frequencyLead !== undefined ? Math.min(preferred, frequencyLead) : preferred;
+};
+
+// Installment that needs a reminder today, if any: the first unpaid one not yet due.
+// Overdue installments don't hold back the reminder for the next one.
+const getInstallmentToRemind = (loan, asOf = new Date()) => {
+  const nextEMI = loan.repaymentSchedule
+    .filter(emi => emi.status !== 'paid' && emi.dueDate >= asOf)
+    .sort((a, b) => a.dueDate - b.dueDate)[0];
+  if (!nextEMI || nextEMI.reminderSentAt) {
+    return null;
+  }
+
+  const daysUntilDue = Math.ceil((nextEMI.dueDate - asOf) / DAY_MS);
+  return daysUntilDue <= getReminderLeadDays(loan) ? nextEMI : null;
+};
+
+// Overdue installments whose co-applicants/guarantors have not been told yet
+const getInstallmentsForLiabilityNotice = (loan, asOf = new Date()) => {
+  if (loan.getLiableCoApplicants().length === 0) {
+    return [];
+  }
+
+  return loan.repaymentSchedule.filter(emi =>
+    emi.status !== 'paid' && emi.dueDate < asOf && !emi.liabilityNoticeSentAt
+  );
+};
+
+// Amount still due on an installment, including penalty
+const getInstallmentDues = (emi) => {
+  return Loan.roundCurrency((emi.amount || 0) + (emi.penaltyAmount || 0) -
+    (emi.paidPrincipal || 0) - (emi.paidInterest || 0) - (emi.paidPenalty || 0));
+};
+
+// Daily job: send one reminder per upcoming installment to the borrower and co-applicants,
+// and one overdue notice per missed installment to everyone liable for the loan
+const runDailyReminderJob = async (asOf = new Date()) => {
+  const summary = {
+    loansChecked: 0,
+    remindersSent: 0,
+    liabilityNoticesSent: 0,
+    failures: 0
+  };
+
+  const cursor = Loan.find({ status: 'disbursed' })
+    .populate('userId', 'name phoneNumber preferredLanguage')
+    .cursor();
+
+  for (let loan = await cursor.next(); loan != null; loan = await cursor.next()) {
+    summary.loansChecked += 1;
+    if (!loan.userId) continue;
+
+    const emi = loan.reminderPreferences.sms ? getInstallmentToRemind(loan, asOf) : null;
+    const overdueEMIs = getInstallmentsForLiabilityNotice(loan, asOf);
+    if (!emi && overdueEMIs.length === 0) continue;
+
+    const liable = loan.getLiableCoApplicants();
+    const language = loan.userId.preferredLanguage;
+
+    try {
+      if (emi) {
+        await sendEMIReminderSMS(loan.userId.phoneNumber, {
+          amount: getInstallmentDues(emi),
+          dueDate: emi.dueDate.toLocaleDateString('en-IN'),
+          loanId: loan.loanId,
+          frequency: loan.repaymentFrequency
+        }, language);
+
+        // Co-applicants share the repayment, so they hear about every installment
+        for (const coApplicant of liable.filter(c => c.role === 'co_applicant')) {
+          await sendLiabilityNoticeSMS(coApplicant.phoneNumber, {
+            borrowerName: loan.userId.name,
+            loanId: loan.loanId,
+            amount: getInstallmentDues(emi),
+            dueDate: emi.dueDate.toLocaleDateString('en-IN'),
+            overdue: false
+          }, language);
+        }
+
+        emi.reminderSentAt = asOf;
+        summary.remindersSent += 1;
+      }
+
+      for (const overdueEMI of overdueEMIs) {
+        for (const coApplicant of liable) {
+          await sendLiabilityNoticeSMS(coApplicant.phoneNumber, {
+            borrowerName: loan.userId.name,
+            loanId: loan.loanId,
+            amount: getInstallmentDues(overdueEMI),
+            dueDate: overdueEMI.dueDate.toLocaleDateString('en-IN'),
+            overdue: true
+          }, language);
+        }
+
+        overdueEMI.liabilityNoticeSentAt = asOf;
+        summary.liabilityNoticesSent += 1;
+      }
+
+      await loan.save();
+    } catch (error) {
+      summary.failures += 1;
+      console.error(`Reminder job failed for loan ${loan.loanId}:`, error);
+    }
+  }
+
+  console.log('Daily reminder job completed:', summary);
+  return summary;
+};
+
+module.exports = {
+  getReminderLeadDays,
+  getInstallmentToRemind,
+  getInstallmentsForLiabilityNotice,
+  runDailyReminderJob
+};
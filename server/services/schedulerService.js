@@ -0,0 +1,106 @@
+// Minimal in-process scheduler for daily back-office jobs
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.timers = new Map();
+  }
+
+  // Register a job to run once a day at the given local time
+  registerDailyJob(name, handler, { hour = 1, minute = 0 } = {}) {
+    this.jobs.set(name, {
+      name,
+      handler,
+      hour,
+      minute,
+      running: false,
+      lastRunAt: null,
+      lastResult: null,
+      lastError: null
+    });
+  }
+
+  // Milliseconds until the next occurrence of hour:minute
+  getDelayUntil(hour, minute) {
+    const now = new Date();
+    const next = new Date(now);
+    next.setHours(hour, minute, 0, 0);
+    if (next <= now) {
+      next.setDate(next.getDate() + 1);
+    }
+    return next - now;
+  }
+
+  // Start all registered jobs
+  start() {
+    for (const job of this.jobs.values()) {
+      this.scheduleNext(job);
+    }
+    console.log(`Job scheduler started with ${this.jobs.size} daily jobs`);
+  }
+
+  scheduleNext(job) {
+    const timer = setTimeout(async () => {
+      await this.runJob(job.name);
+      this.scheduleNext(job);
+    }, this.getDelayUntil(job.hour, job.minute));
+
+    // Don't keep the process alive just for scheduled jobs
+    if (timer.unref) timer.unref();
+    this.timers.set(job.name, timer);
+  }
+
+  // Stop all scheduled jobs
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    console.log('Job scheduler stopped');
+  }
+
+  // Run a job immediately (also used for manual triggers)
+  async runJob(name, ...args) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    if (job.running) {
+      return { skipped: true, reason: 'Job is already running' };
+    }
+
+    job.running = true;
+    try {
+      const result = await job.handler(...args);
+      job.lastResult = result;
+      job.lastError = null;
+      return result;
+    } catch (error) {
+      job.lastError = error.message;
+      console.error(`Job ${name} failed:`, error);
+      throw error;
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date();
+    }
+  }
+
+  // Get status of all jobs
+  getStatus() {
+    return [...this.jobs.values()].map(job => ({
+      name: job.name,
+      schedule: `${String(job.hour).padStart(2, '0')}:${String(job.minute).padStart(2, '0')} daily`,
+      running: job.running,
+      lastRunAt: job.lastRunAt,
+      lastResult: job.lastResult,
+      lastError: job.lastError
+    }));
+  }
+}
+
+const jobScheduler = new JobScheduler();
+
+module.exports = {
+  jobScheduler,
+  JobScheduler
+};
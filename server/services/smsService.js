@@ -7,23 +7,35 @@ const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TO
 // Cache for OTPs (TTL: 10 minutes)
 const otpCache = new NodeCache({ stdTTL: 600 });
 
+// Wrong guesses allowed per OTP; after that it is discarded and a new one must be sent
+const MAX_OTP_ATTEMPTS = 5;
+
 // Generate 6-digit OTP
 const generateOTP = () => {
   return Math.floor(100000 + Math.random() * 900000).toString();
 };
 
-// Send OTP via SMS
-const sendOTP = async (phoneNumber) => {
+// OTPs for other purposes (e.g. consent) are kept apart from login OTPs
+const getOTPKey = (phoneNumber, purpose) => {
+  return purpose ? `${purpose}:${phoneNumber}` : phoneNumber;
+};
+
+// Send OTP via SMS (options.purpose scopes the OTP, options.body builds a custom message)
+const sendOTP = async (phoneNumber, options = {}) => {
+  const otpKey = getOTPKey(phoneNumber, options.purpose);
+
   try {
     const otp = generateOTP();
     const formattedPhone = `+91${phoneNumber}`;
     
     // Store OTP in cache
-    otpCache.set(phoneNumber, otp);
+    otpCache.set(otpKey, { otp: otp, attempts: 0 });
     
     // Send SMS
     const message = await client.messages.create({
-      body: `Your GrameenCredit verification code is: ${otp}. Valid for 10 minutes. Do not share this code with anyone.`,
+      body: options.body
+        ? options.body(otp)
+        : `Your GrameenCredit verification code is: ${otp}. Valid for 10 minutes. Do not share this code with anyone.`,
       from: process.env.TWILIO_PHONE_NUMBER,
       to: formattedPhone
     });
@@ -37,7 +49,7 @@ const sendOTP = async (phoneNumber) => {
     // For development, store OTP anyway
     if (process.env.NODE_ENV === 'development') {
       const otp = generateOTP();
-      otpCache.set(phoneNumber, otp);
+      otpCache.set(otpKey, { otp: otp, attempts: 0 });
       console.log(`Development OTP for ${phoneNumber}: ${otp}`);
       return { success: true, developmentOTP: otp };
     }
@@ -46,20 +58,31 @@ const sendOTP = async (phoneNumber) => {
   }
 };
 
-// Verify OTP
-const verifyOTP = async (phoneNumber, providedOTP) => {
+// Verify OTP. Each wrong guess counts against the OTP, which is discarded after
+// MAX_OTP_ATTEMPTS so it can't be found by trying every code.
+const verifyOTP = async (phoneNumber, providedOTP, purpose) => {
   try {
-    const storedOTP = otpCache.get(phoneNumber);
+    const otpKey = getOTPKey(phoneNumber, purpose);
+    const stored = otpCache.get(otpKey);
     
-    if (!storedOTP) {
+    if (!stored) {
       return false; // OTP expired or not found
     }
     
-    if (storedOTP === providedOTP) {
+    if (stored.otp === providedOTP) {
       // Remove OTP from cache after successful verification
-      otpCache.del(phoneNumber);
+      otpCache.del(otpKey);
       return true;
     }
+
+    const attempts = stored.attempts + 1;
+    if (attempts >= MAX_OTP_ATTEMPTS) {
+      otpCache.del(otpKey);
+    } else {
+      // Keep the original expiry
+      const ttlSeconds = Math.max(1, Math.ceil((otpCache.getTtl(otpKey) - Date.now()) / 1000));
+      otpCache.set(otpKey, { otp: stored.otp, attempts: attempts }, ttlSeconds);
+    }
     
     return false;
     
@@ -76,14 +99,22 @@ const sendLoanStatusSMS = async (phoneNumber, loanId, status, language = 'englis
     
     const messages = {
       english: {
-        approved: `Good news! Your loan application ${loanId} has been approved. Amount will be disbursed soon. - GrameenCredit`,
+        approved: `Good news! Your loan application ${loanId} has been approved. Please review the Key Fact Statement and accept the offer in the app. - GrameenCredit`,
+        accepted: `You have accepted the loan offer ${loanId}. Please sign the loan agreement in the app to receive the amount. - GrameenCredit`,
+        cancelled: `Your loan ${loanId} has been cancelled and closed. No further payments are due. - GrameenCredit`,
+        withdrawn: `Your loan application ${loanId} has been withdrawn as requested. You can apply again anytime. - GrameenCredit`,
         rejected: `Your loan application ${loanId} has been rejected. Please contact support for details. - GrameenCredit`,
-        disbursed: `Your loan amount for application ${loanId} has been disbursed to your account. - GrameenCredit`
+        disbursed: `Your loan amount for application ${loanId} has been disbursed to your account. - GrameenCredit`,
+        info_requested: `We need more information for your loan application ${loanId}. Please open the app or contact support. - GrameenCredit`
       },
       hindi: {
-        approved: `खुशखबरी! आपका लोन आवेदन ${loanId} स्वीकृत हो गया है। राशि जल्द ही भेजी जाएगी। - GrameenCredit`,
+        approved: `खुशखबरी! आपका लोन आवेदन ${loanId} स्वीकृत हो गया है। कृपया ऐप में मुख्य तथ्य विवरण (KFS) देखें और ऑफर स्वीकार करें। - GrameenCredit`,
+        accepted: `आपने लोन ऑफर ${loanId} स्वीकार कर लिया है। राशि पाने के लिए कृपया ऐप में लोन अनुबंध पर हस्ताक्षर करें। - GrameenCredit`,
+        cancelled: `आपका लोन ${loanId} रद्द करके बंद कर दिया गया है। अब कोई भुगतान बाकी नहीं है। - GrameenCredit`,
+        withdrawn: `आपके अनुरोध पर आपका लोन आवेदन ${loanId} वापस ले लिया गया है। आप कभी भी फिर से आवेदन कर सकते हैं। - GrameenCredit`,
         rejected: `आपका लोन आवेदन ${loanId} अस्वीकार कर दिया गया है। विवरण के लिए सहायता से संपर्क करें। - GrameenCredit`,
-        disbursed: `आपके लोन आवेदन ${loanId} की राशि आपके खाते में भेज दी गई है। - GrameenCredit`
+        disbursed: `आपके लोन आवेदन ${loanId} की राशि आपके खाते में भेज दी गई है। - GrameenCredit`,
+        info_requested: `आपके लोन आवेदन ${loanId} के लिए अधिक जानकारी चाहिए। कृपया ऐप खोलें या सहायता से संपर्क करें। - GrameenCredit`
       }
     };
     
@@ -112,11 +143,20 @@ const sendLoanStatusSMS = async (phoneNumber, loanId, status, language = 'englis
 const sendEMIReminderSMS = async (phoneNumber, emiDetails, language = 'english') => {
   try {
     const formattedPhone = `+91${phoneNumber}`;
-    const { amount, dueDate, loanId } = emiDetails;
+    const { amount, dueDate, loanId, frequency = 'monthly' } = emiDetails;
+
+    // Name the installment the way the borrower knows it
+    const installmentNames = {
+      weekly: { english: 'weekly installment', hindi: 'साप्ताहिक किस्त' },
+      fortnightly: { english: 'fortnightly installment', hindi: 'पाक्षिक किस्त' },
+      quarterly: { english: 'quarterly installment', hindi: 'तिमाही किस्त' },
+      bullet: { english: 'harvest repayment', hindi: 'फसल पर एकमुश्त भुगतान' }
+    };
+    const installment = installmentNames[frequency] || { english: 'EMI', hindi: 'EMI' };
     
     const messages = {
-      english: `Reminder: Your EMI of Rs.${amount} for loan ${loanId} is due on ${dueDate}. Please pay on time to avoid charges. - GrameenCredit`,
-      hindi: `अनुस्मारक: आपकी लोन ${loanId} की EMI Rs.${amount} की ${dueDate} को देय है। शुल्क से बचने के लिए समय पर भुगतान करें। - GrameenCredit`
+      english: `Reminder: Your ${installment.english} of Rs.${amount} for loan ${loanId} is due on ${dueDate}. Please pay on time to avoid charges. - GrameenCredit`,
+      hindi: `अनुस्मारक: आपकी लोन ${loanId} की ${installment.hindi} Rs.${amount} की ${dueDate} को देय है। शुल्क से बचने के लिए समय पर भुगतान करें। - GrameenCredit`
     };
     
     const messageText = messages[language] || messages.english;
@@ -136,6 +176,165 @@ const sendEMIReminderSMS = async (phoneNumber, emiDetails, language = 'english')
   }
 };
 
+// Send a consent OTP to a co-applicant or guarantor, stating the liability they take on
+const sendConsentOTP = async (phoneNumber, consentDetails, language = 'english') => {
+  const { loanId, borrowerName, amount, role } = consentDetails;
+  const roleNames = {
+    co_applicant: { english: 'co-applicant', hindi: 'सह-आवेदक' },
+    guarantor: { english: 'guarantor', hindi: 'गारंटर' }
+  };
+  const roleName = roleNames[role] || roleNames.co_applicant;
+
+  return sendOTP(phoneNumber, {
+    purpose: `consent:${loanId}`,
+    body: (otp) => {
+      const messages = {
+        english: `${borrowerName} has added you as ${roleName.english} on GrameenCredit loan ${loanId} of Rs.${amount}. You will be liable to repay if the borrower does not. Share code ${otp} only if you agree. Valid for 10 minutes.`,
+        hindi: `${borrowerName} ने आपको GrameenCredit लोन ${loanId} (Rs.${amount}) में ${roleName.hindi} जोड़ा है। उधारकर्ता के भुगतान न करने पर चुकाने की जिम्मेदारी आपकी होगी। सहमत हों तभी कोड ${otp} साझा करें। 10 मिनट के लिए मान्य।`
+      };
+      return messages[language] || messages.english;
+    }
+  });
+};
+
+// Send the OTP used to e-sign a loan agreement, naming the document being signed
+const sendSigningOTP = async (phoneNumber, signingDetails, language = 'english') => {
+  const { loanId, documentHash } = signingDetails;
+  const documentRef = documentHash.substr(0, 8).toUpperCase();
+
+  return sendOTP(phoneNumber, {
+    purpose: `esign:${loanId}`,
+    body: (otp) => {
+      const messages = {
+        english: `Your code to sign the GrameenCredit loan agreement ${loanId} (document ${documentRef}) is ${otp}. Entering it means you agree to its terms. Valid for 10 minutes.`,
+        hindi: `GrameenCredit लोन अनुबंध ${loanId} (दस्तावेज़ ${documentRef}) पर हस्ताक्षर का कोड ${otp} है। इसे दर्ज करने का अर्थ है कि आप इसकी शर्तों से सहमत हैं। 10 मिनट के लिए मान्य।`
+      };
+      return messages[language] || messages.english;
+    }
+  });
+};
+
+// Notify a co-applicant or guarantor about an installment on a loan they are liable for
+const sendLiabilityNoticeSMS = async (phoneNumber, noticeDetails, language = 'english') => {
+  try {
+    const formattedPhone = `+91${phoneNumber}`;
+    const { borrowerName, loanId, amount, dueDate, overdue } = noticeDetails;
+
+    const messages = overdue
+      ? {
+        english: `Notice: Rs.${amount} on loan ${loanId} of ${borrowerName}, due on ${dueDate}, is overdue. As co-applicant/guarantor you are liable for this payment. Please ensure it is paid. - GrameenCredit`,
+        hindi: `सूचना: ${borrowerName} के लोन ${loanId} की Rs.${amount} की किस्त (${dueDate} को देय) बकाया है। सह-आवेदक/गारंटर के रूप में इस भुगतान की जिम्मेदारी आपकी भी है। कृपया भुगतान सुनिश्चित करें। - GrameenCredit`
+      }
+      : {
+        english: `Reminder: Rs.${amount} on loan ${loanId} of ${borrowerName}, where you are co-applicant, is due on ${dueDate}. - GrameenCredit`,
+        hindi: `अनुस्मारक: ${borrowerName} के लोन ${loanId}, जिसमें आप सह-आवेदक हैं, की Rs.${amount} की किस्त ${dueDate} को देय है। - GrameenCredit`
+      };
+
+    const messageText = messages[language] || messages.english;
+
+    const message = await client.messages.create({
+      body: messageText,
+      from: process.env.TWILIO_PHONE_NUMBER,
+      to: formattedPhone
+    });
+
+    console.log(`Liability notice SMS sent to ${phoneNumber}: ${message.sid}`);
+    return { success: true, messageSid: message.sid };
+
+  } catch (error) {
+    console.error('Liability notice SMS error:', error);
+    throw new Error('Failed to send liability notice SMS');
+  }
+};
+
+// Tell a borrower that a promise to pay made to our field agent was not kept
+const sendBrokenPromiseSMS = async (phoneNumber, promiseDetails, language = 'english') => {
+  try {
+    const formattedPhone = `+91${phoneNumber}`;
+    const { loanId, amount, promisedDate, overdueAmount } = promiseDetails;
+
+    const messages = {
+      english: `You promised to pay Rs.${amount} on loan ${loanId} by ${promisedDate}, but the payment has not been received. Rs.${overdueAmount} is now overdue. Please pay immediately to avoid further action. - GrameenCredit`,
+      hindi: `आपने लोन ${loanId} पर ${promisedDate} तक Rs.${amount} चुकाने का वादा किया था, लेकिन भुगतान प्राप्त नहीं हुआ। अब Rs.${overdueAmount} बकाया है। आगे की कार्रवाई से बचने के लिए तुरंत भुगतान करें। - GrameenCredit`
+    };
+
+    const messageText = messages[language] || messages.english;
+
+    const message = await client.messages.create({
+      body: messageText,
+      from: process.env.TWILIO_PHONE_NUMBER,
+      to: formattedPhone
+    });
+
+    console.log(`Broken promise SMS sent to ${phoneNumber}: ${message.sid}`);
+    return { success: true, messageSid: message.sid };
+
+  } catch (error) {
+    console.error('Broken promise SMS error:', error);
+    throw new Error('Failed to send broken promise SMS');
+  }
+};
+
+// Relief notice text: what changed on the loan after a calamity relief restructuring
+const getReliefNoticeText = (reliefDetails, language = 'english') => {
+  const { loanId, eventName, mode, months, emiAmount, firstDueDate } = reliefDetails;
+
+  const messages = {
+    english: mode === 'moratorium'
+      ? `Relief for ${eventName}: installments on loan ${loanId} are paused for ${months} months and late fees have been waived. Your next EMI of Rs.${emiAmount} is due on ${firstDueDate}. - GrameenCredit`
+      : `Relief for ${eventName}: loan ${loanId} now runs ${months} months longer and late fees have been waived. Your new EMI is Rs.${emiAmount}, next due on ${firstDueDate}. - GrameenCredit`,
+    hindi: mode === 'moratorium'
+      ? `${eventName} राहत: लोन ${loanId} की किस्तें ${months} महीने के लिए रोक दी गई हैं और विलंब शुल्क माफ कर दिया गया है। आपकी अगली EMI Rs.${emiAmount} ${firstDueDate} को देय है। - GrameenCredit`
+      : `${eventName} राहत: लोन ${loanId} की अवधि ${months} महीने बढ़ा दी गई है और विलंब शुल्क माफ कर दिया गया है। आपकी नई EMI Rs.${emiAmount} है, अगली किस्त ${firstDueDate} को देय है। - GrameenCredit`
+  };
+
+  return messages[language] || messages.english;
+};
+
+// Tell a borrower their loan was restructured under a calamity relief event
+const sendReliefNoticeSMS = async (phoneNumber, reliefDetails, language = 'english') => {
+  try {
+    const formattedPhone = `+91${phoneNumber}`;
+
+    const message = await client.messages.create({
+      body: getReliefNoticeText(reliefDetails, language),
+      from: process.env.TWILIO_PHONE_NUMBER,
+      to: formattedPhone
+    });
+
+    console.log(`Relief notice SMS sent to ${phoneNumber}: ${message.sid}`);
+    return { success: true, messageSid: message.sid };
+
+  } catch (error) {
+    console.error('Relief notice SMS error:', error);
+    throw new Error('Failed to send relief notice SMS');
+  }
+};
+
+// Same notice as a voice call, for borrowers who may not read SMS
+const sendReliefNoticeCall = async (phoneNumber, reliefDetails, language = 'english') => {
+  try {
+    const formattedPhone = `+91${phoneNumber}`;
+    const isHindi = language === 'hindi';
+
+    const response = new twilio.twiml.VoiceResponse();
+    response.say({ language: isHindi ? 'hi-IN' : 'en-IN' }, getReliefNoticeText(reliefDetails, isHindi ? 'hindi' : 'english'));
+
+    const call = await client.calls.create({
+      twiml: response.toString(),
+      from: process.env.TWILIO_PHONE_NUMBER,
+      to: formattedPhone
+    });
+
+    console.log(`Relief notice call placed to ${phoneNumber}: ${call.sid}`);
+    return { success: true, callSid: call.sid };
+
+  } catch (error) {
+    console.error('Relief notice call error:', error);
+    throw new Error('Failed to place relief notice call');
+  }
+};
+
 // Send welcome SMS
 const sendWelcomeSMS = async (phoneNumber, userName, language = 'english') => {
   try {
@@ -164,10 +363,37 @@ const sendWelcomeSMS = async (phoneNumber, userName, language = 'english') => {
   }
 };
 
+// Send an account statement or receipt summary (text already in the borrower's language)
+const sendAccountSummarySMS = async (phoneNumber, messageText) => {
+  try {
+    const formattedPhone = `+91${phoneNumber}`;
+
+    const message = await client.messages.create({
+      body: messageText,
+      from: process.env.TWILIO_PHONE_NUMBER,
+      to: formattedPhone
+    });
+
+    console.log(`Account summary SMS sent to ${phoneNumber}: ${message.sid}`);
+    return { success: true, messageSid: message.sid };
+
+  } catch (error) {
+    console.error('Account summary SMS error:', error);
+    throw new Error('Failed to send account summary SMS');
+  }
+};
+
 module.exports = {
   sendOTP,
   verifyOTP,
   sendLoanStatusSMS,
   sendEMIReminderSMS,
+  sendConsentOTP,
+  sendSigningOTP,
+  sendLiabilityNoticeSMS,
+  sendBrokenPromiseSMS,
+  sendReliefNoticeSMS,
+  sendReliefNoticeCall,
+  sendAccountSummarySMS,
   sendWelcomeSMS
 };
@@ -0,0 +1,530 @@
+const Loan = require('../models/Loan');
+
+const { roundCurrency } = Loan;
+
+const LENDER_NAME = 'GrameenCredit';
+
+const formatAmount = (value) => Number(value || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 });
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+
+// Statement and receipt text per language. Only these languages are offered: a borrower who
+// prefers another one gets English, and the routes reject a request for one.
+const TRANSLATIONS = {
+  english: {
+    languageCode: 'en-IN',
+    labels: {
+      statementTitle: 'Loan Account Statement',
+      receiptTitle: 'Payment Receipt',
+      loanId: 'Loan ID',
+      borrower: 'Borrower',
+      period: 'Period',
+      generatedOn: 'Generated on',
+      date: 'Date',
+      description: 'Description',
+      debit: 'Debit',
+      credit: 'Credit',
+      balance: 'Balance',
+      reference: 'Reference',
+      openingBalance: 'Opening balance',
+      closingBalance: 'Closing balance',
+      totalDebits: 'Total debits',
+      totalCredits: 'Total credits',
+      principalOutstanding: 'Principal outstanding',
+      overdueAmount: 'Overdue amount',
+      nextInstallment: 'Next installment',
+      receiptNumber: 'Receipt number',
+      paymentDate: 'Payment date',
+      amountPaid: 'Amount paid',
+      method: 'Payment method',
+      allocation: 'How the payment was applied',
+      installment: 'Installment',
+      penalty: 'Penalty and charges',
+      interest: 'Interest',
+      principal: 'Principal',
+      fees: 'Fees',
+      feeRefund: 'Processing fee refunded',
+      advance: 'Held as advance for future installments',
+      balanceNote: 'Balance is the principal outstanding plus interest and charges that have fallen due, less payments received.',
+      computerGenerated: 'This is a computer-generated document and does not need a signature.'
+    },
+    lines: {
+      disbursement: (line) => line.processingFee > 0
+        ? `Loan disbursed (Rs. ${formatAmount(line.processingFee)} processing fee deducted from payout)`
+        : 'Loan disbursed',
+      capitalized_interest: () => 'Moratorium interest added to principal',
+      interest: (line) => `Interest for installment ${line.emiNumber}`,
+      interest_adjustment: (line) => `Interest adjustment, installment ${line.emiNumber}`,
+      late_payment_penalty: (line) => `Late payment penalty, installment ${line.emiNumber}`,
+      bounce_charge: (line) => `Payment bounce charge, installment ${line.emiNumber}`,
+      foreclosure_fee: () => 'Foreclosure charge',
+      fee_refund: () => 'Processing fee refunded (cooling-off cancellation)',
+      payment: (line) => `${{
+        emi: 'Payment received',
+        prepayment: 'Part-prepayment',
+        foreclosure: 'Foreclosure payment',
+        cooling_off_cancellation: 'Cancellation payment (cooling-off)',
+        top_up_settlement: 'Closed from top-up loan'
+      }[line.paymentType] || 'Payment received'} (${line.method || '-'})`,
+      waiver: (line) => line.component === 'interest'
+        ? `Interest waived, installment ${line.emiNumber}`
+        : `Penalty waived, installment ${line.emiNumber}`,
+      write_off: () => 'Balance written off'
+    },
+    statementSms: (statement) => [
+      `${LENDER_NAME} ${statement.loanId}`,
+      `${formatDate(statement.period.from)}-${formatDate(statement.period.to)}`,
+      `Paid Rs.${formatAmount(statement.totals.credits)}`,
+      `Balance Rs.${formatAmount(statement.closingBalance)}`,
+      statement.account.nextInstallment
+        ? `Next Rs.${formatAmount(statement.account.nextInstallment.amount)} on ${formatDate(statement.account.nextInstallment.dueDate)}`
+        : 'No installments due'
+    ].join('. ') + '.',
+    receiptSms: (receipt) => `${LENDER_NAME} receipt ${receipt.receiptNumber}: Rs.${formatAmount(receipt.amount)} received for loan ${receipt.loanId} on ${formatDate(receipt.paidAt)}. Thank you.`
+  },
+  hindi: {
+    languageCode: 'hi-IN',
+    labels: {
+      statementTitle: 'लोन खाता विवरण',
+      receiptTitle: 'भुगतान रसीद',
+      loanId: 'लोन आईडी',
+      borrower: 'उधारकर्ता',
+      period: 'अवधि',
+      generatedOn: 'बनाने की तारीख',
+      date: 'तारीख',
+      description: 'विवरण',
+      debit: 'नामे',
+      credit: 'जमा',
+      balance: 'बकाया',
+      reference: 'संदर्भ',
+      openingBalance: 'प्रारंभिक बकाया',
+      closingBalance: 'अंतिम बकाया',
+      totalDebits: 'कुल नामे',
+      totalCredits: 'कुल जमा',
+      principalOutstanding: 'बकाया मूलधन',
+      overdueAmount: 'अतिदेय राशि',
+      nextInstallment: 'अगली किस्त',
+      receiptNumber: 'रसीद संख्या',
+      paymentDate: 'भुगतान की तारीख',
+      amountPaid: 'भुगतान राशि',
+      method: 'भुगतान का तरीका',
+      allocation: 'भुगतान कैसे लगाया गया',
+      installment: 'किस्त',
+      penalty: 'जुर्माना और शुल्क',
+      interest: 'ब्याज',
+      principal: 'मूलधन',
+      fees: 'शुल्क',
+      feeRefund: 'प्रोसेसिंग शुल्क वापस',
+      advance: 'आगामी किस्तों के लिए अग्रिम',
+      balanceNote: 'बकाया = बकाया मूलधन + देय ब्याज और शुल्क - प्राप्त भुगतान।',
+      computerGenerated: 'यह कंप्यूटर से बना दस्तावेज़ है, इस पर हस्ताक्षर की आवश्यकता नहीं है।'
+    },
+    lines: {
+      disbursement: (line) => line.processingFee > 0
+        ? `लोन राशि भेजी गई (Rs. ${formatAmount(line.processingFee)} प्रोसेसिंग शुल्क काटा गया)`
+        : 'लोन राशि भेजी गई',
+      capitalized_interest: () => 'मोरेटोरियम का ब्याज मूलधन में जोड़ा गया',
+      interest: (line) => `किस्त ${line.emiNumber} का ब्याज`,
+      interest_adjustment: (line) => `ब्याज में समायोजन, किस्त ${line.emiNumber}`,
+      late_payment_penalty: (line) => `देर से भुगतान जुर्माना, किस्त ${line.emiNumber}`,
+      bounce_charge: (line) => `भुगतान बाउंस शुल्क, किस्त ${line.emiNumber}`,
+      foreclosure_fee: () => 'फोरक्लोज़र शुल्क',
+      fee_refund: () => 'प्रोसेसिंग शुल्क वापस (लोन रद्द)',
+      payment: (line) => `${{
+        emi: 'भुगतान प्राप्त',
+        prepayment: 'आंशिक अग्रिम भुगतान',
+        foreclosure: 'फोरक्लोज़र भुगतान',
+        cooling_off_cancellation: 'लोन रद्द करने का भुगतान',
+        top_up_settlement: 'टॉप-अप लोन से बंद किया गया'
+      }[line.paymentType] || 'भुगतान प्राप्त'} (${line.method || '-'})`,
+      waiver: (line) => line.component === 'interest'
+        ? `ब्याज माफ़, किस्त ${line.emiNumber}`
+        : `जुर्माना माफ़, किस्त ${line.emiNumber}`,
+      write_off: () => 'बकाया राशि बट्टे खाते में डाली गई'
+    },
+    statementSms: (statement) => [
+      `${LENDER_NAME} ${statement.loanId}`,
+      `${formatDate(statement.period.from)}-${formatDate(statement.period.to)}`,
+      `जमा Rs.${formatAmount(statement.totals.credits)}`,
+      `बकाया Rs.${formatAmount(statement.closingBalance)}`,
+      statement.account.nextInstallment
+        ? `अगली किस्त Rs.${formatAmount(statement.account.nextInstallment.amount)} ${formatDate(statement.account.nextInstallment.dueDate)} को`
+        : 'कोई किस्त बाकी नहीं'
+    ].join('। ') + '।',
+    receiptSms: (receipt) => `${LENDER_NAME} रसीद ${receipt.receiptNumber}: लोन ${receipt.loanId} के लिए Rs.${formatAmount(receipt.amount)} ${formatDate(receipt.paidAt)} को प्राप्त हुए। धन्यवाद।`
+  }
+};
+
+const STATEMENT_LANGUAGES = Object.keys(TRANSLATIONS);
+
+const getTranslation = (language) => TRANSLATIONS[language] || TRANSLATIONS.english;
+
+// The language asked for, else the borrower's own if it is offered, else English
+const getDocumentLanguage = (language, borrower) => {
+  const preferredLanguage = borrower && borrower.preferredLanguage;
+  return language || (TRANSLATIONS[preferredLanguage] ? preferredLanguage : 'english');
+};
+
+// Payments made before receipt numbers existed are identified by their payment ID
+const getReceiptNumber = (payment) => payment.receiptNumber || payment.paymentId;
+
+// Accounts that make up what the borrower owes: principal, interest and charges due, less advance
+const BORROWER_ACCOUNTS = ['loan_principal', 'interest_receivable', 'charges_receivable', 'borrower_advance'];
+
+// Total of an entry's lines on the given accounts, debits less credits
+const sumLines = (entry, accounts) => roundCurrency(entry.lines
+  .filter(line => accounts.includes(line.account))
+  .reduce((total, line) => total + line.debit - line.credit, 0));
+
+// Every movement on the loan account up to a date, oldest first, from the loan's ledger entries
+// (see ledgerService.getAccountEntries). The loan's records add what the entries don't carry,
+// such as the charge type and the payment's receipt number. Entries that only move money
+// between what the borrower owes (advance applied to installments) are left out.
+const getAccountLines = (loan, entries, asOf = new Date()) => {
+  const lines = [];
+  const recordOf = (entry) => entry.sourceKey.slice(loan.loanId.length + 1);
+
+  for (const entry of entries) {
+    const amount = sumLines(entry, BORROWER_ACCOUNTS);
+    const date = entry.postedAt;
+
+    if (entry.event === 'disbursement') {
+      lines.push({ date, type: 'disbursement', debit: amount, processingFee: -sumLines(entry, ['fee_income']) });
+    } else if (entry.event === 'interest_capitalization') {
+      lines.push({ date, type: 'capitalized_interest', debit: amount });
+    } else if (entry.event === 'interest_accrual') {
+      // The first entry for an installment books its interest; later ones adjust it
+      const adjustment = !recordOf(entry).endsWith(':1');
+      lines.push({
+        date,
+        type: adjustment ? 'interest_adjustment' : 'interest',
+        emiNumber: entry.emiNumber,
+        debit: amount > 0 ? amount : 0,
+        credit: amount < 0 ? -amount : 0
+      });
+    } else if (entry.event === 'fee' || entry.event === 'penalty') {
+      const charge = loan.charges.find(record => recordOf(entry) === `charge:${record._id}`);
+      const type = charge ? charge.type : (entry.event === 'fee' ? 'foreclosure_fee' : 'late_payment_penalty');
+      lines.push({ date, type, emiNumber: entry.emiNumber, debit: amount });
+    } else if (entry.event === 'payment') {
+      const payment = loan.payments.find(record => recordOf(entry) === `payment:${record.paymentId}`) || {};
+      const reference = payment.paymentId ? getReceiptNumber(payment) : undefined;
+      const feeRefund = sumLines(entry, ['fee_income']);
+      lines.push({
+        date,
+        type: 'payment',
+        paymentType: payment.type,
+        method: payment.method,
+        reference: reference,
+        credit: sumLines(entry, ['cash'])
+      });
+      if (feeRefund > 0) {
+        lines.push({ date, type: 'fee_refund', reference: reference, credit: feeRefund });
+      }
+    } else if (entry.event === 'waiver') {
+      lines.push({
+        date,
+        type: 'waiver',
+        component: sumLines(entry, ['interest_receivable']) < 0 ? 'interest' : 'penalty',
+        emiNumber: entry.emiNumber,
+        credit: -amount
+      });
+    } else if (entry.event === 'write_off') {
+      lines.push({ date, type: 'write_off', credit: -amount });
+    }
+  }
+
+  // Debits before credits on the same day, so a same-day payment never shows a negative balance
+  return lines
+    .filter(line => line.date && line.date <= asOf)
+    .sort((a, b) => (a.date - b.date) || ((a.credit ? 1 : 0) - (b.credit ? 1 : 0)));
+};
+
+// Statement of account for a date range: opening balance, every line in the range with a
+// running balance, and the closing balance. Lines come from the loan's ledger entries and
+// the account summary from its current ledger balances (see ledgerService.getLoanBalances).
+const buildStatement = (loan, borrower, { from, to, language, entries, balances, asOf = new Date() } = {}) => {
+  const statementLanguage = getDocumentLanguage(language, borrower);
+  const translation = getTranslation(statementLanguage);
+  const periodTo = to && to < asOf ? to : asOf;
+  const periodFrom = from || loan.disbursalDate || loan.createdAt;
+
+  const lines = getAccountLines(loan, entries, periodTo);
+  let balance = 0;
+  const statementLines = [];
+  const totals = { debits: 0, credits: 0 };
+
+  for (const line of lines) {
+    balance = roundCurrency(balance + (line.debit || 0) - (line.credit || 0));
+    if (line.date < periodFrom) continue;
+
+    totals.debits = roundCurrency(totals.debits + (line.debit || 0));
+    totals.credits = roundCurrency(totals.credits + (line.credit || 0));
+    statementLines.push({
+      date: line.date,
+      type: line.type,
+      description: translation.lines[line.type](line),
+      debit: line.debit || 0,
+      credit: line.credit || 0,
+      balance: balance,
+      reference: line.reference
+    });
+  }
+
+  const nextEMI = loan.getNextEMI();
+
+  return {
+    loanId: loan.loanId,
+    borrower: {
+      name: borrower && borrower.name,
+      phoneNumber: borrower && borrower.phoneNumber
+    },
+    language: statementLanguage,
+    languageCode: translation.languageCode,
+    period: { from: periodFrom, to: periodTo },
+    generatedAt: asOf,
+    openingBalance: roundCurrency(balance - totals.debits + totals.credits),
+    closingBalance: balance,
+    totals: totals,
+    lines: statementLines,
+    account: {
+      status: loan.status,
+      principalOutstanding: balances ? balances.principal : 0,
+      overdueAmount: loan.status === 'disbursed' ? loan.getOverdueAmount(asOf) : 0,
+      advanceCredit: balances ? balances.advance : 0,
+      nextInstallment: loan.status === 'disbursed' && nextEMI
+        ? { emiNumber: nextEMI.emiNumber, dueDate: nextEMI.dueDate, amount: nextEMI.amount }
+        : null
+    }
+  };
+};
+
+// Receipt for one payment, with where every rupee went
+const buildReceipt = (loan, payment, borrower, { language } = {}) => {
+  const receiptLanguage = getDocumentLanguage(language, borrower);
+  const sum = (component) => roundCurrency(payment.allocations.reduce((total, allocation) => total + (allocation[component] || 0), 0));
+
+  return {
+    receiptNumber: getReceiptNumber(payment),
+    paymentId: payment.paymentId,
+    loanId: loan.loanId,
+    borrower: {
+      name: borrower && borrower.name,
+      phoneNumber: borrower && borrower.phoneNumber
+    },
+    language: receiptLanguage,
+    languageCode: getTranslation(receiptLanguage).languageCode,
+    type: payment.type,
+    amount: payment.amount,
+    method: payment.method,
+    reference: payment.reference,
+    paidAt: payment.paidAt,
+    breakdown: {
+      penalty: sum('penalty'),
+      interest: sum('interest'),
+      principal: sum('principal'),
+      fees: payment.feesPaid || 0,
+      feeRefund: payment.feeRefund || 0,
+      advanceCredit: roundCurrency((payment.advanceCreditAfter || 0) - (payment.advanceCreditBefore || 0))
+    },
+    allocations: payment.allocations.map(allocation => ({
+      emiNumber: allocation.emiNumber,
+      penalty: allocation.penalty,
+      interest: allocation.interest,
+      principal: allocation.principal,
+      total: allocation.total
+    }))
+  };
+};
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeCsv = (value) => {
+  const text = String(value == null ? '' : value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const renderStatementCsv = (statement) => {
+  const labels = getTranslation(statement.language).labels;
+  const rows = [
+    [labels.date, labels.description, labels.reference, labels.debit, labels.credit, labels.balance],
+    [formatDate(statement.period.from), labels.openingBalance, '', '', '', statement.openingBalance],
+    ...statement.lines.map(line => [
+      formatDate(line.date),
+      line.description,
+      line.reference || '',
+      line.debit || '',
+      line.credit || '',
+      line.balance
+    ]),
+    [formatDate(statement.period.to), labels.closingBalance, '', statement.totals.debits, statement.totals.credits, statement.closingBalance]
+  ];
+
+  // BOM so spreadsheet apps read Hindi text as UTF-8
+  return '\uFEFF' + rows.map(row => row.map(escapeCsv).join(',')).join('\n');
+};
+
+const HTML_STYLE = `
+    @page { size: A4; margin: 15mm; }
+    body { font-family: 'Noto Sans', 'Noto Sans Devanagari', Arial, sans-serif; font-size: 12px; color: #222; }
+    h1 { font-size: 18px; margin-bottom: 4px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 12px; }
+    th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #eee; }
+    td.amount { text-align: right; }
+    .meta, .note { color: #555; font-size: 11px; }
+    tr { page-break-inside: avoid; }`;
+
+const renderStatementHtml = (statement) => {
+  const labels = getTranslation(statement.language).labels;
+  const rupees = (value) => value ? `Rs. ${formatAmount(value)}` : '';
+
+  const lineRows = statement.lines.map(line => `
+      <tr>
+        <td>${formatDate(line.date)}</td>
+        <td>${escapeHtml(line.description)}</td>
+        <td>${escapeHtml(line.reference || '')}</td>
+        <td class="amount">${rupees(line.debit)}</td>
+        <td class="amount">${rupees(line.credit)}</td>
+        <td class="amount">Rs. ${formatAmount(line.balance)}</td>
+      </tr>`).join('');
+
+  const account = statement.account;
+  const summaryRows = [
+    [labels.principalOutstanding, `Rs. ${formatAmount(account.principalOutstanding)}`],
+    [labels.overdueAmount, `Rs. ${formatAmount(account.overdueAmount)}`],
+    account.nextInstallment
+      ? [labels.nextInstallment, `Rs. ${formatAmount(account.nextInstallment.amount)} (${formatDate(account.nextInstallment.dueDate)})`]
+      : null
+  ].filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(statement.languageCode)}">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(labels.statementTitle)} - ${escapeHtml(statement.loanId)}</title>
+  <style>${HTML_STYLE}
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(labels.statementTitle)}</h1>
+  <p class="meta">
+    ${escapeHtml(labels.loanId)}: ${escapeHtml(statement.loanId)} &middot;
+    ${escapeHtml(labels.borrower)}: ${escapeHtml(statement.borrower.name || '')} &middot;
+    ${escapeHtml(labels.period)}: ${formatDate(statement.period.from)} - ${formatDate(statement.period.to)}
+  </p>
+  <table>
+    <thead>
+      <tr>
+        <th>${escapeHtml(labels.date)}</th>
+        <th>${escapeHtml(labels.description)}</th>
+        <th>${escapeHtml(labels.reference)}</th>
+        <th>${escapeHtml(labels.debit)}</th>
+        <th>${escapeHtml(labels.credit)}</th>
+        <th>${escapeHtml(labels.balance)}</th>
+      </tr>
+    </thead>
+    <tbody>
+      <tr>
+        <td>${formatDate(statement.period.from)}</td>
+        <td colspan="4">${escapeHtml(labels.openingBalance)}</td>
+        <td class="amount">Rs. ${formatAmount(statement.openingBalance)}</td>
+      </tr>${lineRows}
+      <tr>
+        <th colspan="3">${escapeHtml(labels.closingBalance)}</th>
+        <th class="amount">Rs. ${formatAmount(statement.totals.debits)}</th>
+        <th class="amount">Rs. ${formatAmount(statement.totals.credits)}</th>
+        <th class="amount">Rs. ${formatAmount(statement.closingBalance)}</th>
+      </tr>
+    </tbody>
+  </table>
+  <table>${summaryRows.map(([label, value]) => `
+    <tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+  </table>
+  <p class="note">${escapeHtml(labels.balanceNote)}</p>
+  <p class="note">${escapeHtml(labels.generatedOn)}: ${formatDate(statement.generatedAt)}. ${escapeHtml(labels.computerGenerated)}</p>
+</body>
+</html>`;
+};
+
+const renderReceiptHtml = (receipt) => {
+  const labels = getTranslation(receipt.language).labels;
+  const rupees = (value) => `Rs. ${formatAmount(value)}`;
+
+  const rows = [
+    [labels.receiptNumber, receipt.receiptNumber],
+    [labels.loanId, receipt.loanId],
+    [labels.borrower, receipt.borrower.name || ''],
+    [labels.paymentDate, formatDate(receipt.paidAt)],
+    [labels.amountPaid, rupees(receipt.amount)],
+    [labels.method, receipt.method || '-'],
+    receipt.reference ? [labels.reference, receipt.reference] : null
+  ].filter(Boolean);
+
+  const allocationRows = receipt.allocations.map(allocation => `
+      <tr>
+        <td>${allocation.emiNumber != null ? allocation.emiNumber : '-'}</td>
+        <td class="amount">${rupees(allocation.penalty)}</td>
+        <td class="amount">${rupees(allocation.interest)}</td>
+        <td class="amount">${rupees(allocation.principal)}</td>
+      </tr>`).join('');
+
+  const extraRows = [
+    receipt.breakdown.fees > 0 ? [labels.fees, rupees(receipt.breakdown.fees)] : null,
+    receipt.breakdown.feeRefund > 0 ? [labels.feeRefund, rupees(receipt.breakdown.feeRefund)] : null,
+    receipt.breakdown.advanceCredit > 0 ? [labels.advance, rupees(receipt.breakdown.advanceCredit)] : null
+  ].filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(receipt.languageCode)}">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(labels.receiptTitle)} - ${escapeHtml(receipt.receiptNumber)}</title>
+  <style>${HTML_STYLE}
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(LENDER_NAME)} - ${escapeHtml(labels.receiptTitle)}</h1>
+  <table>${rows.map(([label, value]) => `
+    <tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+  </table>
+  <h2>${escapeHtml(labels.allocation)}</h2>
+  <table>
+    <thead>
+      <tr>
+        <th>${escapeHtml(labels.installment)}</th>
+        <th>${escapeHtml(labels.penalty)}</th>
+        <th>${escapeHtml(labels.interest)}</th>
+        <th>${escapeHtml(labels.principal)}</th>
+      </tr>
+    </thead>
+    <tbody>${allocationRows}
+    </tbody>
+  </table>${extraRows.length > 0 ? `
+  <table>${extraRows.map(([label, value]) => `
+    <tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+  </table>` : ''}
+  <p class="note">${escapeHtml(labels.computerGenerated)}</p>
+</body>
+</html>`;
+};
+
+// Short text for feature phones, sized for a single SMS in English
+const renderStatementSms = (statement) => getTranslation(statement.language).statementSms(statement);
+const renderReceiptSms = (receipt) => getTranslation(receipt.language).receiptSms(receipt);
+
+module.exports = {
+  STATEMENT_LANGUAGES,
+  getReceiptNumber,
+  getAccountLines,
+  buildStatement,
+  buildReceipt,
+  renderStatementCsv,
+  renderStatementHtml,
+  renderStatementSms,
+  renderReceiptHtml,
+  renderReceiptSms
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const StoredFile = require('../models/StoredFile');
+const { encryptBuffer, decryptBuffer, hashData } = require('../utils/encryption');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const DRIVERS = {
+  local: require('./providers/localStorageDriver'),
+  s3: require('./providers/s3StorageDriver')
+};
+
+// Categories whose content is encrypted before it reaches the storage driver
+const ENCRYPTED_CATEGORIES = ['kyc_document'];
+
+// Staff who may read other users' files, by category
+const READ_PERMISSIONS = {
+  kyc_document: PERMISSIONS.LOANS_READ_ANY,
+  profile_image: PERMISSIONS.USERS_READ,
+  visit_photo: PERMISSIONS.COLLECTIONS_VISIT
+};
+
+const getStorageConfig = () => ({
+  driver: process.env.STORAGE_DRIVER || 'local',
+  urlSecret: process.env.STORAGE_URL_SECRET || process.env.JWT_SECRET,
+  urlTtlSeconds: parseInt(process.env.STORAGE_URL_TTL_SECONDS) || 300
+});
+
+const getStorageDriver = (name = getStorageConfig().driver) => {
+  const driver = DRIVERS[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver '${name}'`);
+  }
+  return driver;
+};
+
+// Store an uploaded file. Content already stored for the owner in the same category is
+// not written again; the existing file is returned with duplicate set.
+const storeFile = async (buffer, { category, owner, uploadedBy, mimeType, originalName }) => {
+  const contentHash = hashData(buffer);
+  const existing = await StoredFile.findOne({ owner: owner, category: category, contentHash: contentHash });
+  if (existing) {
+    return { file: existing, duplicate: true };
+  }
+
+  const driver = getStorageDriver();
+  const file = new StoredFile({
+    category: category,
+    owner: owner,
+    uploadedBy: uploadedBy,
+    driver: driver.name,
+    contentHash: contentHash,
+    size: buffer.length,
+    mimeType: mimeType,
+    originalName: originalName
+  });
+  // Keyed by file id, so a concurrent upload of the same content never overwrites this object
+  file.fileId = StoredFile.generateFileId();
+  file.key = `${category}/${owner}/${file.fileId}`;
+
+  let body = buffer;
+  if (ENCRYPTED_CATEGORIES.includes(category)) {
+    const { encrypted, iv, authTag } = encryptBuffer(buffer);
+    body = encrypted;
+    file.encrypted = true;
+    file.encryption = { iv, authTag };
+  }
+
+  await driver.putObject(file.key, body, { contentType: file.encrypted ? 'application/octet-stream' : mimeType });
+
+  try {
+    await file.save();
+  } catch (error) {
+    // Lost a race with a concurrent upload of the same content
+    if (error.code === 11000) {
+      await driver.deleteObject(file.key);
+      const stored = await StoredFile.findOne({ owner: owner, category: category, contentHash: contentHash });
+      return { file: stored, duplicate: true };
+    }
+    throw error;
+  }
+
+  return { file, duplicate: false };
+};
+
+// Original content of a stored file, decrypted if needed
+const readFile = async (file) => {
+  const body = await getStorageDriver(file.driver).getObject(file.key);
+  return file.encrypted ? decryptBuffer(body, file.encryption) : body;
+};
+
+// Owners can always read their files; staff need the category's permission
+const canReadFile = (file, user) => {
+  if (file.owner.toString() === user.userId.toString()) {
+    return true;
+  }
+  const permission = READ_PERMISSIONS[file.category];
+  return !!permission && user.permissions.includes(permission);
+};
+
+const signFileId = (fileId, expires, secret) => crypto
+  .createHmac('sha256', secret)
+  .update(`${fileId}:${expires}`)
+  .digest('hex');
+
+// Short-lived download link for a stored file
+const getSignedFileUrl = (fileId, config = getStorageConfig()) => {
+  const expires = Math.floor(Date.now() / 1000) + config.urlTtlSeconds;
+  return {
+    url: `/api/files/${fileId}?expires=${expires}&signature=${signFileId(fileId, expires, config.urlSecret)}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+const verifyFileSignature = (fileId, expires, signature, config = getStorageConfig()) => {
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || expiresAt * 1000 < Date.now() || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signFileId(fileId, expiresAt, config.urlSecret), 'utf8');
+  const received = Buffer.from(signature, 'utf8');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+  getStorageConfig,
+  getStorageDriver,
+  storeFile,
+  readFile,
+  canReadFile,
+  getSignedFileUrl,
+  verifyFileSignature
+};
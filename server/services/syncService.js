@@ -282,6 +282,7 @@ class SMSFallbackService {
       'loan_rejected',
       'emi_due',
       'emi_overdue',
+      'promise_to_pay_broken',
       'account_locked'
     ];
   }
@@ -293,7 +294,7 @@ class SMSFallbackService {
 
   // Send SMS notification as fallback
   async sendSMSFallback(phoneNumber, action, data, language = 'english') {
-    const { sendLoanStatusSMS, sendEMIReminderSMS } = require('./smsService');
+    const { sendLoanStatusSMS, sendEMIReminderSMS, sendBrokenPromiseSMS } = require('./smsService');
 
     try {
       switch (action) {
@@ -304,6 +305,9 @@ class SMSFallbackService {
         case 'emi_due':
         case 'emi_overdue':
           return await sendEMIReminderSMS(phoneNumber, data, language);
+
+        case 'promise_to_pay_broken':
+          return await sendBrokenPromiseSMS(phoneNumber, data, language);
         
         default:
           console.log(`No SMS fallback configured for action: ${action}`);
@@ -0,0 +1,144 @@
+const request = require('supertest');
+const { query, buildApp, loginAs } = require('./support/http');
+const Loan = require('../models/Loan');
+const AuditEvent = require('../models/AuditEvent');
+const LedgerEntry = require('../models/LedgerEntry');
+
+const app = buildApp('/api/admin', require('../routes/admin'));
+app.use('/api/loans', require('../routes/loans'));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('role based access', () => {
+  let auditEvents;
+
+  beforeEach(() => {
+    auditEvents = [];
+    jest.spyOn(AuditEvent, 'create').mockImplementation(async (event) => {
+      auditEvents.push(event);
+      return event;
+    });
+    jest.spyOn(AuditEvent, 'find').mockImplementation(() => query(auditEvents));
+    jest.spyOn(AuditEvent, 'countDocuments').mockImplementation(async () => auditEvents.length);
+  });
+
+  test('requests without a token are refused', async () => {
+    const response = await request(app).get('/api/admin/audit/events');
+
+    expect(response.status).toBe(401);
+  });
+
+  test('borrowers cannot reach back-office routes', async () => {
+    const { auth } = loginAs('borrower');
+
+    const response = await request(app)
+      .get('/api/admin/audit/events')
+      .set('Authorization', auth);
+
+    expect(response.status).toBe(403);
+    expect(response.body.missingPermissions).toEqual(['audit:read']);
+  });
+
+  test('auditors can read the audit trail but not change roles', async () => {
+    const { auth } = loginAs('auditor');
+    const { user: borrower } = loginAs('borrower');
+
+    const events = await request(app)
+      .get('/api/admin/audit/events')
+      .set('Authorization', auth);
+    const roleChange = await request(app)
+      .put(`/api/admin/users/${borrower._id}/role`)
+      .set('Authorization', auth)
+      .send({ role: 'loan_officer' });
+
+    expect(events.status).toBe(200);
+    expect(roleChange.status).toBe(403);
+    expect(borrower.role).toBe('borrower');
+  });
+
+  test('admins change roles, and the change is audited', async () => {
+    const admin = loginAs('admin');
+    const { user: borrower } = loginAs('borrower');
+
+    const response = await request(app)
+      .put(`/api/admin/users/${borrower._id}/role`)
+      .set('Authorization', admin.auth)
+      .send({ role: 'field_agent', reason: 'Joined the Sitapur branch' });
+
+    expect(response.status).toBe(200);
+    expect(borrower.role).toBe('field_agent');
+    expect(auditEvents).toEqual([expect.objectContaining({
+      action: 'user.role_changed',
+      actor: admin.user._id.toString(),
+      targetId: borrower._id.toString(),
+      details: { previousRole: 'borrower', role: 'field_agent' }
+    })]);
+  });
+
+  test('admins cannot change their own role', async () => {
+    const admin = loginAs('admin');
+
+    const response = await request(app)
+      .put(`/api/admin/users/${admin.user._id}/role`)
+      .set('Authorization', admin.auth)
+      .send({ role: 'borrower' });
+
+    expect(response.status).toBe(400);
+    expect(admin.user.role).toBe('admin');
+  });
+
+  test('a token issued before a role change no longer works', async () => {
+    const officer = loginAs('loan_officer');
+    officer.user.role = 'borrower';
+
+    const response = await request(app)
+      .get('/api/admin/users')
+      .set('Authorization', officer.auth);
+
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe('Role has changed, please log in again');
+  });
+});
+
+describe('loan visibility', () => {
+  let owner;
+  let loan;
+
+  beforeEach(() => {
+    owner = loginAs('borrower');
+    loan = new Loan({ userId: owner.user._id, amount: 12000, tenure: 12, interestRate: 18, purpose: 'business' });
+    loan.loanId = 'LNTEST0004';
+
+    // Finds the loan only when the filter would match it: by loanId, and by owner unless
+    // the filter is unscoped
+    jest.spyOn(Loan, 'findOne').mockImplementation((filter) => {
+      const ownerScope = filter.$or && filter.$or.find(condition => condition.userId);
+      const visible = filter.loanId === loan.loanId &&
+        (!filter.$or || String(ownerScope.userId) === String(loan.userId));
+      return query(visible ? loan : null);
+    });
+
+    // The loan has not been disbursed, so the ledger is empty
+    jest.spyOn(LedgerEntry, 'find').mockReturnValue(query([]));
+  });
+
+  const getSchedule = (auth) => request(app)
+    .get(`/api/loans/${loan.loanId}/emi-schedule`)
+    .set('Authorization', auth);
+
+  test('borrowers see their own loans only', async () => {
+    const own = await getSchedule(owner.auth);
+    const other = await getSchedule(loginAs('borrower').auth);
+
+    expect(own.status).toBe(200);
+    expect(other.status).toBe(404);
+  });
+
+  test('staff with loans:read_any see any loan', async () => {
+    const response = await getSchedule(loginAs('field_agent').auth);
+
+    expect(response.status).toBe(200);
+  });
+});
@@ -0,0 +1,216 @@
+const request = require('supertest');
+const { query, buildApp, loginAs } = require('./support/http');
+const { stubPaymentOrders, deliverCapture } = require('./support/paymentOrders');
+const Loan = require('../models/Loan');
+const { generateKFS } = require('../services/kfsService');
+
+// Text messages are captured instead of sent, so tests can read the OTP
+const mockMessages = [];
+jest.mock('twilio', () => {
+  const twilio = () => ({
+    messages: {
+      create: async (message) => {
+        mockMessages.push(message);
+        return { sid: 'SMtest' };
+      }
+    }
+  });
+  twilio.twiml = { VoiceResponse: function() {} };
+  return twilio;
+});
+
+// Speech is not synthesised in tests
+jest.mock('../services/voiceService', () => ({
+  processVoiceCommand: jest.fn(),
+  speechToText: jest.fn(),
+  textToSpeech: jest.fn()
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const app = buildApp('/api/loans', require('../routes/loans'));
+app.use('/api/voice', require('../routes/voice'));
+app.use('/api/payments', require('../routes/payments'));
+
+const lastOTP = () => mockMessages[mockMessages.length - 1].body.match(/\b(\d{6})\b/)[1];
+
+const buildLoan = (borrower, fields = {}) => {
+  const loan = new Loan({
+    userId: borrower._id,
+    amount: 12000,
+    tenure: 12,
+    interestRate: 18,
+    purpose: 'business',
+    productTerms: { fees: { processingFeePercent: 2 } },
+    ...fields
+  });
+  loan.loanId = 'LNTEST0002';
+  loan.calculateEMI();
+  loan.save = jest.fn().mockResolvedValue(loan);
+  jest.spyOn(Loan, 'findOne').mockImplementation(() => query(loan));
+  jest.spyOn(Loan, 'findById').mockImplementation(() => query(loan));
+  return loan;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  mockMessages.length = 0;
+});
+
+describe('agreement e-sign', () => {
+  let borrower;
+  let loan;
+
+  beforeEach(async () => {
+    borrower = loginAs('borrower', { preferredLanguage: 'english' });
+    loan = buildLoan(borrower.user, { status: 'accepted' });
+    loan.kfs = { statement: generateKFS(loan, borrower.user), acceptedAt: new Date() };
+
+    await request(app)
+      .post(`/api/loans/${loan.loanId}/agreement`)
+      .set('Authorization', borrower.auth)
+      .send({});
+  });
+
+  const sign = (fields = {}) => request(app)
+    .post(`/api/loans/${loan.loanId}/agreement/sign`)
+    .set('Authorization', borrower.auth)
+    .set('User-Agent', 'test-agent')
+    .send({ otp: lastOTP(), documentHash: loan.agreement.documentHash, deviceId: 'device-1', ...fields });
+
+  test('the signing OTP is texted with a reference to the document', () => {
+    expect(loan.agreement.status).toBe('generated');
+    expect(mockMessages[0].to).toBe(`+91${borrower.user.phoneNumber}`);
+    expect(mockMessages[0].body).toContain(loan.agreement.documentHash.substr(0, 8).toUpperCase());
+  });
+
+  test('signs the agreement with the texted OTP and records how it was signed', async () => {
+    const response = await sign();
+
+    expect(response.status).toBe(200);
+    expect(loan.agreement.status).toBe('signed');
+    expect(loan.agreement.signerPhone).toBe(borrower.user.phoneNumber);
+    expect(loan.agreement.deviceId).toBe('device-1');
+    expect(loan.agreement.userAgent).toBe('test-agent');
+  });
+
+  test('a wrong OTP does not sign', async () => {
+    const otp = lastOTP() === '111111' ? '222222' : '111111';
+    const response = await sign({ otp });
+
+    expect(response.status).toBe(400);
+    expect(loan.agreement.status).toBe('generated');
+  });
+
+  test('an OTP can only be used once', async () => {
+    const otp = lastOTP();
+    await sign({ otp });
+    loan.agreement.status = 'generated';
+
+    const response = await sign({ otp });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('a document other than the one generated is not signed', async () => {
+    const response = await sign({ documentHash: 'a'.repeat(64) });
+
+    expect(response.status).toBe(409);
+    expect(loan.agreement.status).toBe('generated');
+  });
+
+  test('an agreement is not generated in a language without a template', async () => {
+    const documentHash = loan.agreement.documentHash;
+
+    const response = await request(app)
+      .post(`/api/loans/${loan.loanId}/agreement`)
+      .set('Authorization', borrower.auth)
+      .send({ language: 'tamil' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.availableLanguages).toEqual(['english', 'hindi']);
+    expect(loan.agreement.documentHash).toBe(documentHash);
+  });
+});
+
+describe('cooling-off cancellation', () => {
+  let orders;
+  let borrower;
+  let loan;
+
+  beforeEach(() => {
+    orders = stubPaymentOrders();
+    borrower = loginAs('borrower', { preferredLanguage: 'english' });
+    loan = buildLoan(borrower.user, { status: 'disbursed' });
+    loan.disbursalDate = new Date(Date.now() - DAY_MS);
+    loan.disbursement = { processingFee: 240, disbursedAmount: 11760 };
+    loan.generateRepaymentSchedule();
+  });
+
+  test('asks for the amount received plus interest, with the processing fee refunded', async () => {
+    const response = await request(app)
+      .get(`/api/loans/${loan.loanId}/cooling-off`)
+      .set('Authorization', borrower.auth);
+    const { quote } = response.body.data;
+
+    expect(quote.processingFeeRefund).toBe(240);
+    expect(quote.totalAmount).toBe(Loan.roundCurrency(11760 + quote.accruedInterest));
+  });
+
+  test('the loan is cancelled when the payment is captured, not when it is requested', async () => {
+    const response = await request(app)
+      .post(`/api/loans/${loan.loanId}/cooling-off/cancel`)
+      .set('Authorization', borrower.auth)
+      .send({});
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.paymentOrder.purpose).toBe('cooling_off_cancellation');
+    expect(loan.status).toBe('disbursed');
+
+    await deliverCapture(app, orders[0]);
+
+    expect(loan.status).toBe('cancelled');
+    expect(loan.payments[0].type).toBe('cooling_off_cancellation');
+    expect(loan.payments[0].feeRefund).toBe(240);
+    expect(mockMessages.some(message => message.body.includes('cancelled'))).toBe(true);
+  });
+
+  test('the voice flow reads out the quote and asks for confirmation', async () => {
+    const response = await request(app)
+      .post('/api/voice/cooling-off-cancel')
+      .set('Authorization', borrower.auth)
+      .send({ loanId: loan.loanId, language: 'english' });
+
+    expect(response.body.data.nextStep).toBe('confirm');
+    expect(response.body.data.prompt).toContain('processing fee is refunded');
+    expect(orders).toHaveLength(0);
+  });
+
+  test('a voice confirmation starts a payment instead of cancelling the loan', async () => {
+    const response = await request(app)
+      .post('/api/voice/cooling-off-cancel')
+      .set('Authorization', borrower.auth)
+      .send({ loanId: loan.loanId, step: 'confirm', userResponse: 'yes', language: 'english' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.paymentOrder.orderId).toBe(orders[0].orderId);
+    expect(orders[0].channel).toBe('voice');
+    expect(loan.status).toBe('disbursed');
+    expect(loan.payments).toHaveLength(0);
+
+    await deliverCapture(app, orders[0]);
+
+    expect(loan.status).toBe('cancelled');
+    expect(loan.statusHistory[loan.statusHistory.length - 1].reason).toContain('voice');
+  });
+
+  test('the voice flow validates its input', async () => {
+    const response = await request(app)
+      .post('/api/voice/cooling-off-cancel')
+      .set('Authorization', borrower.auth)
+      .send({ step: 'confirm', userResponse: 'yes', paymentMethod: 'cash', reference: 'made-up' });
+
+    expect(response.status).toBe(400);
+    expect(orders).toHaveLength(0);
+  });
+});
@@ -0,0 +1,144 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { query, buildApp, loginAs } = require('./support/http');
+const Loan = require('../models/Loan');
+const CollectionCase = require('../models/CollectionCase');
+const LedgerEntry = require('../models/LedgerEntry');
+
+// Receipt SMS are not sent
+jest.mock('twilio', () => () => ({
+  messages: { create: async () => ({ sid: 'SMtest' }) }
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const app = buildApp('/api/collections', require('../routes/collections'));
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// The loan and its case as the database holds them. Reads get their own copy, loan saves
+// are checked against the stored version, and loan reads can be held until `count`
+// requests have made one.
+const stubStore = (loan, collectionCase) => {
+  const store = { loan: clone(loan.toObject()), collectionCase: clone(collectionCase.toObject()) };
+  const held = [];
+  let releaseAt = 1;
+
+  jest.spyOn(Loan, 'findById').mockImplementation(() => {
+    const result = new Promise(resolve => held.push(() => resolve(Loan.hydrate(clone(store.loan)))));
+    if (held.length >= releaseAt) {
+      held.splice(0).forEach(resolve => resolve());
+    }
+    return query(result);
+  });
+  jest.spyOn(Loan.prototype, 'save').mockImplementation(async function() {
+    if (this.__v !== store.loan.__v) {
+      throw new mongoose.Error.VersionError(this, this.__v, []);
+    }
+    this.__v += 1;
+    store.loan = clone(this.toObject());
+    return this;
+  });
+  jest.spyOn(CollectionCase, 'findOne').mockImplementation(() => query(CollectionCase.hydrate(clone(store.collectionCase))));
+  jest.spyOn(CollectionCase.prototype, 'save').mockImplementation(async function() {
+    store.collectionCase = clone(this.toObject());
+    return this;
+  });
+
+  store.holdReadsUntil = (count) => {
+    releaseAt = count;
+  };
+  return store;
+};
+
+describe('cash collections', () => {
+  let agent;
+  let store;
+  let emiAmount;
+
+  // EMIs 1 and 2 are overdue; the agent collects one of them
+  beforeEach(() => {
+    agent = loginAs('field_agent');
+    const borrower = loginAs('borrower');
+
+    const loan = new Loan({
+      userId: borrower.user._id,
+      amount: 12000,
+      tenure: 12,
+      interestRate: 18,
+      purpose: 'business',
+      status: 'disbursed'
+    });
+    loan.loanId = 'LNTEST0011';
+    loan.disbursalDate = new Date(Date.now() - 70 * DAY_MS);
+    loan.generateRepaymentSchedule();
+    loan.__v = 0;
+    emiAmount = loan.repaymentSchedule[0].amount;
+
+    const collectionCase = new CollectionCase({
+      caseId: 'CCTEST0001',
+      loan: loan._id,
+      loanId: loan.loanId,
+      userId: borrower.user._id,
+      assignedTo: agent.user._id
+    });
+    store = stubStore(loan, collectionCase);
+
+    // Nothing is posted to the ledger yet, so balances come from the loan's records
+    jest.spyOn(LedgerEntry, 'find').mockReturnValue(query([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const collect = (body, idempotencyKey) => {
+    const call = request(app)
+      .post('/api/collections/cases/CCTEST0001/collections')
+      .set('Authorization', agent.auth);
+    return (idempotencyKey ? call.set('Idempotency-Key', idempotencyKey) : call)
+      .send({ amount: emiAmount, latitude: 26.85, longitude: 80.95, ...body });
+  };
+
+  test('posts the cash to the loan and records it on the case', async () => {
+    const response = await collect({ receiptBookNumber: 'RB-101' });
+
+    expect(response.status).toBe(201);
+    expect(store.loan.payments).toHaveLength(1);
+    expect(store.loan.payments[0]).toMatchObject({ method: 'cash', reference: 'RB-101' });
+    expect(store.collectionCase.collections).toEqual([
+      expect.objectContaining({ receiptBookNumber: 'RB-101', paymentId: store.loan.payments[0].paymentId })
+    ]);
+  });
+
+  test('a collection sent again with the same receipt book number returns the first receipt', async () => {
+    const first = await collect({ receiptBookNumber: 'RB-102' });
+    const again = await collect({ receiptBookNumber: 'RB-102' });
+
+    expect(again.status).toBe(200);
+    expect(again.body.message).toBe('Cash collection already recorded');
+    expect(again.body.data.receipt.receiptNumber).toBe(first.body.data.receipt.receiptNumber);
+    expect(store.loan.payments).toHaveLength(1);
+    expect(store.collectionCase.collections).toHaveLength(1);
+  });
+
+  test('a collection retried with the same Idempotency-Key is posted once', async () => {
+    await collect({}, 'visit-7-cash');
+    const again = await collect({}, 'visit-7-cash');
+    const another = await collect({}, 'visit-8-cash');
+
+    expect(again.status).toBe(200);
+    expect(another.status).toBe(201);
+    expect(store.loan.payments).toHaveLength(2);
+  });
+
+  test('the same collection sent twice at once is posted once', async () => {
+    store.holdReadsUntil(2);
+
+    const responses = await Promise.all([collect({ receiptBookNumber: 'RB-103' }), collect({ receiptBookNumber: 'RB-103' })]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+    expect(store.loan.payments).toHaveLength(1);
+    expect(store.collectionCase.collections).toHaveLength(1);
+  });
+});
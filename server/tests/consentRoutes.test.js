@@ -0,0 +1,173 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { query, buildApp, loginAs } = require('./support/http');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const { sendConsentOTP } = require('../services/smsService');
+
+// Text messages are captured instead of sent, so tests can read the OTP
+const mockMessages = [];
+jest.mock('twilio', () => () => ({
+  messages: {
+    create: async (message) => {
+      mockMessages.push(message);
+      return { sid: 'SMtest' };
+    }
+  }
+}));
+
+const app = buildApp('/api/loans', require('../routes/loans'));
+
+const CO_APPLICANT_PHONE = '9876500001';
+const GUARANTOR_PHONE = '9876500002';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// The loan as the database holds it. Reads get their own copy, consent updates apply only
+// while the consent is pending, and saves are checked against the stored version. Reads
+// of updated loans are held until `count` updates have been made.
+const stubLoanStore = (loan) => {
+  const store = { loan: clone(loan.toObject()) };
+  const held = [];
+  let releaseAt = 1;
+
+  const read = () => Loan.hydrate(clone(store.loan));
+  const setPath = (target, path, value) => {
+    const parts = path.split('.');
+    const last = parts.pop();
+    parts.reduce((node, part) => node[part] = node[part] || {}, target)[last] = value;
+  };
+
+  jest.spyOn(Loan, 'findOne').mockImplementation(() => query(read()));
+  jest.spyOn(Loan, 'findOneAndUpdate').mockImplementation((filter, update) => {
+    const criteria = filter.coApplicants.$elemMatch;
+    const coApplicant = store.loan.status === filter.status && store.loan.coApplicants.find(entry =>
+      entry.phoneNumber === criteria.phoneNumber && entry.consent.status === criteria['consent.status']);
+
+    if (coApplicant) {
+      Object.entries(update.$set).forEach(([path, value]) => {
+        setPath(coApplicant, path.replace('coApplicants.$.', ''), value && value.toString ? clone(value) : value);
+      });
+    }
+
+    const result = new Promise(resolve => held.push(() => resolve(coApplicant ? read() : null)));
+    if (held.length >= releaseAt) {
+      held.splice(0).forEach(resolve => resolve());
+    }
+    return query(result);
+  });
+  jest.spyOn(Loan.prototype, 'save').mockImplementation(async function() {
+    if (this.__v !== store.loan.__v) {
+      throw new mongoose.Error.VersionError(this, this.__v, []);
+    }
+    this.__v += 1;
+    store.loan = clone(this.toObject());
+    return this;
+  });
+
+  store.holdUpdatesUntil = (count) => {
+    releaseAt = count;
+  };
+  return store;
+};
+
+describe('co-applicant consent', () => {
+  let borrower;
+  let store;
+
+  beforeEach(async () => {
+    borrower = loginAs('borrower');
+
+    // Strong enough to be approved on the borrower's own profile once everyone consents
+    const loan = new Loan({
+      userId: borrower.user._id,
+      amount: 20000,
+      tenure: 12,
+      interestRate: 18,
+      purpose: 'agriculture',
+      status: 'under_review',
+      creditScore: 700,
+      aiDecisionConfidence: 0.8,
+      coApplicants: [
+        { phoneNumber: CO_APPLICANT_PHONE, name: 'Sunita', role: 'co_applicant', consent: { status: 'pending' } },
+        { phoneNumber: GUARANTOR_PHONE, name: 'Ramesh', role: 'guarantor', consent: { status: 'pending' } }
+      ]
+    });
+    loan.loanId = 'LNTEST0007';
+    loan.__v = 0;
+    store = stubLoanStore(loan);
+
+    jest.spyOn(User, 'findOne').mockImplementation(() => query(null));
+
+    await sendConsentOTP(CO_APPLICANT_PHONE, { loanId: loan.loanId, borrowerName: 'Test', amount: 20000, role: 'co_applicant' });
+    await sendConsentOTP(GUARANTOR_PHONE, { loanId: loan.loanId, borrowerName: 'Test', amount: 20000, role: 'guarantor' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    mockMessages.length = 0;
+  });
+
+  const otpFor = (phoneNumber) => mockMessages
+    .filter(message => message.to === `+91${phoneNumber}`)
+    .pop().body.match(/code (\d{6})/)[1];
+
+  const respond = (phoneNumber, fields = {}) => request(app)
+    .post('/api/loans/LNTEST0007/consent')
+    .send({ phoneNumber: phoneNumber, otp: otpFor(phoneNumber), decision: 'give', ...fields });
+
+  test('records consent and keeps the loan under review while others have not responded', async () => {
+    const response = await respond(CO_APPLICANT_PHONE);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ consentStatus: 'given', awaitingConsent: true });
+    expect(store.loan.status).toBe('under_review');
+    expect(store.loan.coApplicants[0].consent.status).toBe('given');
+  });
+
+  test('a response already recorded cannot be changed', async () => {
+    await respond(CO_APPLICANT_PHONE);
+    await sendConsentOTP(CO_APPLICANT_PHONE, { loanId: 'LNTEST0007', borrowerName: 'Test', amount: 20000, role: 'co_applicant' });
+
+    const response = await respond(CO_APPLICANT_PHONE, { decision: 'decline' });
+
+    expect(response.status).toBe(409);
+    expect(store.loan.coApplicants[0].consent.status).toBe('given');
+  });
+
+  test('the loan is decided once when the last responses arrive together', async () => {
+    store.holdUpdatesUntil(2);
+
+    const responses = await Promise.all([respond(CO_APPLICANT_PHONE), respond(GUARANTOR_PHONE)]);
+
+    expect(responses.map(response => response.status)).toEqual([200, 200]);
+    expect(responses.map(response => response.body.data.awaitingConsent)).toEqual([false, false]);
+    expect(store.loan.status).toBe('approved');
+    expect(store.loan.statusHistory.filter(entry => entry.status === 'approved')).toHaveLength(1);
+    expect(borrower.user.save).toHaveBeenCalledTimes(1);
+    expect(mockMessages.filter(message => message.to === `+91${borrower.user.phoneNumber}`)).toHaveLength(1);
+  });
+
+  test('an OTP is discarded after five wrong guesses', async () => {
+    const otp = otpFor(CO_APPLICANT_PHONE);
+    const wrong = otp === '111111' ? '222222' : '111111';
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const guess = await respond(CO_APPLICANT_PHONE, { otp: wrong });
+      expect(guess.status).toBe(400);
+    }
+    const response = await respond(CO_APPLICANT_PHONE, { otp: otp });
+
+    expect(response.status).toBe(400);
+    expect(store.loan.coApplicants[0].consent.status).toBe('pending');
+  });
+
+  test('a wrong guess does not use up the OTP', async () => {
+    const otp = otpFor(CO_APPLICANT_PHONE);
+    await respond(CO_APPLICANT_PHONE, { otp: otp === '111111' ? '222222' : '111111' });
+
+    const response = await respond(CO_APPLICANT_PHONE, { otp: otp });
+
+    expect(response.status).toBe(200);
+  });
+});
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { query } = require('./support/http');
+const Loan = require('../models/Loan');
+const { getPenaltyConfig, runDailyOverdueJob } = require('../services/delinquencyService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+describe('penalty configuration', () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...saved };
+  });
+
+  test('a setting of zero is used rather than the default', () => {
+    process.env.PENALTY_FLAT_AMOUNT = '0';
+    process.env.PENALTY_CAP_PER_EMI = '0';
+
+    expect(getPenaltyConfig()).toMatchObject({ flatAmount: 0, cap: 0 });
+  });
+
+  test('a missing or unreadable setting falls back to the default', () => {
+    delete process.env.PENALTY_FLAT_AMOUNT;
+    process.env.PENALTY_CAP_PER_EMI = 'none';
+
+    expect(getPenaltyConfig()).toMatchObject({ flatAmount: 200, cap: 500 });
+  });
+});
+
+describe('daily overdue job', () => {
+  let store;
+
+  // EMI 1 fell due 10 days ago and is unpaid
+  beforeEach(() => {
+    const loan = new Loan({
+      userId: new mongoose.Types.ObjectId(),
+      amount: 12000,
+      tenure: 12,
+      interestRate: 18,
+      purpose: 'business',
+      status: 'disbursed'
+    });
+    loan.loanId = 'LNTEST0013';
+    loan.disbursalDate = new Date(Date.now() - 40 * DAY_MS);
+    loan.generateRepaymentSchedule();
+    loan.__v = 0;
+
+    // The loan as the database holds it; saves are checked against the stored version
+    store = { loan: clone(loan.toObject()) };
+    const read = () => Loan.hydrate(clone(store.loan));
+
+    jest.spyOn(Loan, 'find').mockImplementation(() => {
+      const loans = [read()];
+      return { cursor: () => ({ next: async () => loans.shift() || null }) };
+    });
+    jest.spyOn(Loan, 'findById').mockImplementation(() => query(read()));
+    jest.spyOn(Loan.prototype, 'save').mockImplementation(async function() {
+      if (this.__v !== store.loan.__v) {
+        throw new mongoose.Error.VersionError(this, this.__v, []);
+      }
+      this.__v += 1;
+      store.loan = clone(this.toObject());
+      return this;
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('marks the installment overdue and charges the penalty', async () => {
+    const summary = await runDailyOverdueJob();
+
+    expect(summary).toMatchObject({ loansProcessed: 1, loansOverdue: 1, failures: 0 });
+    expect(store.loan.repaymentSchedule[0].status).toBe('overdue');
+    expect(store.loan.charges).toHaveLength(1);
+  });
+
+  test('a payment saved while the job runs is kept', async () => {
+    // The borrower pays EMI 1 after the job has read the loan
+    const next = Loan.find.getMockImplementation()().cursor().next;
+    Loan.find.mockImplementationOnce(() => ({
+      cursor: () => ({
+        next: async () => {
+          const loan = await next();
+          if (loan) {
+            store.loan.repaymentSchedule[0].status = 'paid';
+            store.loan.payments.push({ paymentId: 'PAYTEST0001', amount: store.loan.repaymentSchedule[0].amount, method: 'upi' });
+            store.loan.__v += 1;
+          }
+          return loan;
+        }
+      })
+    }));
+
+    const summary = await runDailyOverdueJob();
+
+    expect(summary).toMatchObject({ loansProcessed: 1, loansOverdue: 0, failures: 0 });
+    expect(store.loan.payments).toHaveLength(1);
+    expect(store.loan.repaymentSchedule[0].status).toBe('paid');
+    expect(store.loan.charges).toHaveLength(0);
+  });
+});
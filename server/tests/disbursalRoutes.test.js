@@ -0,0 +1,267 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { query, buildApp, loginAs } = require('./support/http');
+const Loan = require('../models/Loan');
+
+// Status SMS are not sent
+jest.mock('twilio', () => () => ({
+  messages: { create: async () => ({ sid: 'SMtest' }) }
+}));
+
+const MINUTE_MS = 60 * 1000;
+
+const app = buildApp('/api/loans', require('../routes/loans'));
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Loans as the database holds them. Reads get their own copy, updates only apply to loans
+// matching the filter and saves are checked against the stored version, so concurrent
+// requests behave as they would on MongoDB. Reads by loanId can be held until `count`
+// requests have made one.
+const stubLoanStore = (loans) => {
+  const store = {
+    loans: new Map(loans.map(loan => [loan._id.toString(), clone(loan.toObject())])),
+    failNextSaveOf: null
+  };
+  const held = [];
+  let releaseAt = 1;
+
+  const valueAt = (doc, path) => path.split('.').reduce((value, part) => value == null ? value : value[part], doc);
+  const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') {
+      return condition.some(option => matches(doc, option));
+    }
+    const actual = valueAt(doc, field);
+    if (condition && condition.$lt) {
+      return actual != null && new Date(actual) < condition.$lt;
+    }
+    return String(actual) === String(condition);
+  });
+  const find = (filter) => [...store.loans.values()].find(doc => matches(doc, filter));
+  const read = (doc) => doc ? Loan.hydrate(clone(doc)) : null;
+  const apply = (doc, update) => {
+    Object.assign(doc, clone(update.$set || {}));
+    Object.keys(update.$unset || {}).forEach(field => delete doc[field]);
+  };
+
+  store.get = (loanId) => find({ loanId: loanId });
+
+  jest.spyOn(Loan, 'findOne').mockImplementation((filter) => {
+    if (!filter.loanId) {
+      return query(read(find(filter)));
+    }
+    const result = new Promise(resolve => held.push(() => resolve(read(find(filter)))));
+    if (held.length >= releaseAt) {
+      held.splice(0).forEach(resolve => resolve());
+    }
+    return query(result);
+  });
+  jest.spyOn(Loan, 'findOneAndUpdate').mockImplementation((filter, update) => {
+    const doc = find(filter);
+    if (doc) apply(doc, update);
+    return query(read(doc));
+  });
+  jest.spyOn(Loan, 'updateOne').mockImplementation(async (filter, update) => {
+    const doc = find(filter);
+    if (doc) apply(doc, update);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  jest.spyOn(Loan.prototype, 'save').mockImplementation(async function() {
+    if (store.failNextSaveOf === this.loanId) {
+      store.failNextSaveOf = null;
+      throw new Error('Write conflict');
+    }
+    const stored = store.loans.get(this._id.toString());
+    if (stored && stored.__v !== this.__v) {
+      throw new mongoose.Error.VersionError(this, this.__v, []);
+    }
+    this.__v = (this.__v || 0) + 1;
+    store.loans.set(this._id.toString(), clone(this.toObject()));
+    return this;
+  });
+
+  store.holdReadsUntil = (count) => {
+    releaseAt = count;
+  };
+  return store;
+};
+
+// An accepted loan with verified documents and a signed agreement
+const buildAcceptedLoan = (userId, loanId) => {
+  const loan = new Loan({
+    userId: userId,
+    amount: 12000,
+    tenure: 12,
+    interestRate: 18,
+    purpose: 'business',
+    status: 'accepted',
+    kfs: { acceptedAt: new Date() },
+    agreement: { status: 'signed' },
+    documents: ['aadhaar', 'pan'].map(type => ({ type: type, filename: `${type}.pdf`, verified: true }))
+  });
+  loan.loanId = loanId;
+  loan.calculateEMI();
+  return loan;
+};
+
+describe('loan disbursal', () => {
+  let officer;
+  let store;
+
+  beforeEach(() => {
+    officer = loginAs('admin');
+    const borrower = loginAs('borrower');
+    store = stubLoanStore([buildAcceptedLoan(borrower.user._id, 'LNTEST0008')]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const disburse = (payoutReference) => request(app)
+    .post('/api/loans/LNTEST0008/disburse')
+    .set('Authorization', officer.auth)
+    .send({ method: 'upi', payoutReference: payoutReference, upiVpa: 'ravi@upi' });
+
+  test('disburses an accepted loan and clears the claim', async () => {
+    const response = await disburse('UTR0001');
+    const loan = store.get('LNTEST0008');
+
+    expect(response.status).toBe(200);
+    expect(loan.status).toBe('disbursed');
+    expect(loan.disbursingSince).toBeUndefined();
+    expect(loan.disbursement.payoutReference).toBe('UTR0001');
+    expect(loan.repaymentSchedule).toHaveLength(12);
+  });
+
+  test('two disbursal requests at once disburse the loan once', async () => {
+    store.holdReadsUntil(2);
+    const responses = await Promise.all([disburse('UTR0002'), disburse('UTR0003')]);
+    const loan = store.get('LNTEST0008');
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+    expect(responses.find(response => response.status === 409).body.message).toBe('Loan is already being disbursed');
+    expect(loan.statusHistory.filter(entry => entry.status === 'disbursed')).toHaveLength(1);
+  });
+
+  test('a disbursal that fails releases the loan for a retry', async () => {
+    store.failNextSaveOf = 'LNTEST0008';
+
+    const failed = await disburse('UTR0004');
+
+    expect(failed.status).toBe(500);
+    expect(store.get('LNTEST0008').status).toBe('accepted');
+    expect(store.get('LNTEST0008').disbursingSince).toBeUndefined();
+
+    const retried = await disburse('UTR0004');
+
+    expect(retried.status).toBe(200);
+    expect(store.get('LNTEST0008').status).toBe('disbursed');
+  });
+
+  test('a claim left by a request that died is taken over once stale', async () => {
+    const loan = store.get('LNTEST0008');
+    loan.status = 'disbursing';
+    loan.disbursingSince = new Date(Date.now() - 2 * MINUTE_MS).toISOString();
+
+    const recent = await disburse('UTR0005');
+
+    expect(recent.status).toBe(409);
+
+    loan.disbursingSince = new Date(Date.now() - 11 * MINUTE_MS).toISOString();
+    const stale = await disburse('UTR0005');
+
+    expect(stale.status).toBe(200);
+    expect(store.get('LNTEST0008').status).toBe('disbursed');
+  });
+});
+
+describe('top-up disbursal', () => {
+  let officer;
+  let store;
+
+  // The running loan has been repaid for two months; the top-up pays it off
+  beforeEach(() => {
+    officer = loginAs('admin');
+    const borrower = loginAs('borrower');
+
+    const running = new Loan({
+      userId: borrower.user._id,
+      amount: 12000,
+      tenure: 12,
+      interestRate: 18,
+      purpose: 'business',
+      status: 'disbursed'
+    });
+    running.loanId = 'LNTEST0009';
+    running.disbursalDate = new Date(Date.now() - 70 * 24 * 60 * MINUTE_MS);
+    running.generateRepaymentSchedule();
+    running.__v = 0;
+
+    const topUp = buildAcceptedLoan(borrower.user._id, 'LNTEST0010');
+    topUp.amount = 30000;
+    topUp.calculateEMI();
+    topUp.preApprovedOffer = { type: 'top_up', basedOnLoanId: running.loanId };
+    topUp.__v = 0;
+
+    store = stubLoanStore([running, topUp]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const disburse = () => request(app)
+    .post('/api/loans/LNTEST0010/disburse')
+    .set('Authorization', officer.auth)
+    .send({ method: 'upi', payoutReference: 'UTR0010', upiVpa: 'ravi@upi' });
+
+  test('closes the running loan and pays the borrower the rest', async () => {
+    const response = await disburse();
+    const running = store.get('LNTEST0009');
+    const topUp = store.get('LNTEST0010');
+
+    expect(response.status).toBe(200);
+    expect(running.status).toBe('closed');
+    expect(running.payments).toHaveLength(1);
+    expect(topUp.status).toBe('disbursed');
+    expect(topUp.disbursement.settlementPaymentId).toBe(running.payments[0].paymentId);
+    expect(topUp.disbursement.disbursedAmount).toBeCloseTo(
+      30000 - topUp.disbursement.processingFee - running.payments[0].amount, 2);
+  });
+
+  test('a retry after a failed save reuses the settlement already recorded', async () => {
+    store.failNextSaveOf = 'LNTEST0010';
+
+    const failed = await disburse();
+
+    expect(failed.status).toBe(500);
+    expect(store.get('LNTEST0009').status).toBe('closed');
+    expect(store.get('LNTEST0010').status).toBe('accepted');
+
+    const retried = await disburse();
+    const running = store.get('LNTEST0009');
+    const topUp = store.get('LNTEST0010');
+
+    expect(retried.status).toBe(200);
+    expect(running.payments).toHaveLength(1);
+    expect(topUp.disbursement.settlementPaymentId).toBe(running.payments[0].paymentId);
+    expect(topUp.disbursement.settlementAmount).toBe(running.payments[0].amount);
+  });
+
+  test('a payment posted to the running loan during disbursal stops the top-up', async () => {
+    // Another request saves the running loan between the top-up's read and its claim
+    const claim = Loan.findOneAndUpdate.getMockImplementation();
+    Loan.findOneAndUpdate.mockImplementationOnce((...args) => {
+      store.get('LNTEST0009').__v += 1;
+      return claim(...args);
+    });
+
+    const response = await disburse();
+
+    expect(response.status).toBe(409);
+    expect(store.get('LNTEST0009').status).toBe('disbursed');
+    expect(store.get('LNTEST0009').payments).toHaveLength(0);
+    expect(store.get('LNTEST0010').status).toBe('accepted');
+  });
+});
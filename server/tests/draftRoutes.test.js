@@ -0,0 +1,134 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { query, buildApp, loginAs } = require('./support/http');
+const Loan = require('../models/Loan');
+const LoanProduct = require('../models/LoanProduct');
+const CreditAnalysis = require('../models/CreditAnalysis');
+const ApplicationDraft = require('../models/ApplicationDraft');
+
+// Status SMS are not sent
+jest.mock('twilio', () => () => ({
+  messages: { create: async () => ({ sid: 'SMtest' }) }
+}));
+
+const app = buildApp('/api/loans', require('../routes/loans'));
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// The draft as the database holds it. Reads get their own copy and are held until `count`
+// requests have made one; conditional updates only apply while the status matches.
+const stubDraftStore = (draft) => {
+  const store = { draft: clone(draft.toObject()) };
+  const held = [];
+  let releaseAt = 1;
+
+  const read = () => ApplicationDraft.hydrate(clone(store.draft));
+  const update = (filter, changes) => {
+    if (store.draft.status !== filter.status) {
+      return false;
+    }
+    Object.assign(store.draft, changes.$set);
+    return true;
+  };
+
+  jest.spyOn(ApplicationDraft, 'findOne').mockImplementation(() => {
+    const result = new Promise(resolve => held.push(() => resolve(read())));
+    if (held.length >= releaseAt) {
+      held.splice(0).forEach(resolve => resolve());
+    }
+    return query(result);
+  });
+  jest.spyOn(ApplicationDraft, 'findOneAndUpdate').mockImplementation((filter, changes) => (
+    query(update(filter, changes) ? read() : null)
+  ));
+  jest.spyOn(ApplicationDraft, 'updateOne').mockImplementation(async (filter, changes) => (
+    { modifiedCount: update(filter, changes) ? 1 : 0 }
+  ));
+  jest.spyOn(ApplicationDraft.prototype, 'save').mockImplementation(async function() {
+    store.draft = clone(this.toObject());
+    return this;
+  });
+
+  store.holdReadsUntil = (count) => {
+    releaseAt = count;
+  };
+  return store;
+};
+
+describe('application draft submission', () => {
+  let borrower;
+  let store;
+  let loans;
+
+  beforeEach(() => {
+    borrower = loginAs('borrower', { aadhaarVerified: true, panVerified: true });
+
+    const draft = new ApplicationDraft({ userId: borrower.user._id, amount: 20000, purpose: 'business', tenure: 12 });
+    draft.draftId = 'DRFTEST0001';
+    store = stubDraftStore(draft);
+
+    const product = new LoanProduct({
+      code: 'DUKAAN',
+      name: 'Dukaan Loan',
+      purposes: ['business'],
+      amount: { min: 5000, max: 50000 },
+      tenure: { min: 6, max: 24 },
+      interestRate: { min: 12, max: 24 },
+      pricingGrid: [{ minScore: 0, interestRate: 18 }]
+    });
+    jest.spyOn(LoanProduct, 'findDefaultForPurpose').mockResolvedValue(product);
+    jest.spyOn(CreditAnalysis, 'findOne').mockImplementation(() => query({
+      _id: new mongoose.Types.ObjectId(),
+      alternativeCreditScore: 720,
+      confidenceLevel: 0.8,
+      riskCategory: 'low',
+      loanRecommendation: { maxLoanAmount: 30000, recommendedAmount: 20000 }
+    }));
+
+    // The borrower has no other loans
+    loans = [];
+    jest.spyOn(Loan, 'exists').mockResolvedValue(null);
+    jest.spyOn(Loan.prototype, 'save').mockImplementation(async function() {
+      if (!loans.includes(this)) loans.push(this);
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const submit = () => request(app)
+    .post('/api/loans/drafts/DRFTEST0001/submit')
+    .set('Authorization', borrower.auth);
+
+  test('submits a complete draft as a loan application', async () => {
+    const response = await submit();
+
+    expect(response.status).toBe(201);
+    expect(loans).toHaveLength(1);
+    expect(store.draft.status).toBe('submitted');
+    expect(store.draft.loanId).toBe(loans[0].loanId);
+  });
+
+  test('two submits at once create one application', async () => {
+    store.holdReadsUntil(2);
+
+    const responses = await Promise.all([submit(), submit()]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+    expect(loans).toHaveLength(1);
+    expect(store.draft.status).toBe('submitted');
+  });
+
+  test('a refused submission leaves the draft open', async () => {
+    store.draft.amount = 40000;
+
+    const refused = await submit();
+
+    expect(refused.status).toBe(400);
+    expect(refused.body.maxAllowedAmount).toBe(30000);
+    expect(loans).toHaveLength(0);
+    expect(store.draft.status).toBe('draft');
+  });
+});
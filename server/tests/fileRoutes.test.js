@@ -0,0 +1,138 @@
+const request = require('supertest');
+const { query, buildApp, loginAs } = require('./support/http');
+const { startS3Server, useS3Server } = require('./support/s3Server');
+const Loan = require('../models/Loan');
+const StoredFile = require('../models/StoredFile');
+
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'test-encryption-key';
+process.env.ENCRYPTION_SALT = process.env.ENCRYPTION_SALT || 'test-encryption-salt';
+
+const S3_ENV = ['STORAGE_DRIVER', 'S3_ENDPOINT', 'S3_REGION', 'S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY'];
+const AADHAAR_SCAN = Buffer.from('%PDF-1.4 aadhaar card scan');
+
+const app = buildApp('/api/loans', require('../routes/loans'));
+app.use('/api/files', require('../routes/files'));
+
+// Stored file records kept in memory, found by fileId or by owner, category and content
+const stubStoredFiles = () => {
+  const files = [];
+  const matches = (file, filter) => Object.entries(filter).every(([field, value]) => String(file[field]) === String(value));
+
+  jest.spyOn(StoredFile.prototype, 'save').mockImplementation(async function() {
+    files.push(this);
+    return this;
+  });
+  jest.spyOn(StoredFile, 'findOne').mockImplementation((filter) => query(files.find(file => matches(file, filter)) || null));
+  return files;
+};
+
+describe('document storage routes', () => {
+  let server;
+  let files;
+  let borrower;
+  let loan;
+
+  beforeAll(async () => {
+    server = await startS3Server();
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    useS3Server(server);
+    server.objects.clear();
+    files = stubStoredFiles();
+    borrower = loginAs('borrower');
+
+    loan = new Loan({ userId: borrower.user._id, amount: 12000, tenure: 12, interestRate: 18, purpose: 'business' });
+    loan.loanId = 'LNTEST0003';
+    loan.save = jest.fn().mockResolvedValue(loan);
+    jest.spyOn(Loan, 'findOne').mockImplementation(() => query(loan));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    S3_ENV.forEach(name => delete process.env[name]);
+  });
+
+  const upload = () => request(app)
+    .post(`/api/loans/${loan.loanId}/documents`)
+    .set('Authorization', borrower.auth)
+    .field('documentTypes[0]', 'aadhaar')
+    .attach('documents', AADHAAR_SCAN, { filename: 'aadhaar.pdf', contentType: 'application/pdf' });
+
+  const linkFor = (fileId, auth) => request(app)
+    .get(`/api/files/${fileId}/url`)
+    .set('Authorization', auth);
+
+  test('KYC documents reach the store encrypted and download decrypted through a signed link', async () => {
+    const response = await upload();
+    const { fileId } = response.body.data.uploadedDocuments[0];
+
+    expect(response.status).toBe(200);
+    expect(files[0].encrypted).toBe(true);
+    const stored = server.objects.get(files[0].key).body;
+    expect(stored.equals(AADHAAR_SCAN)).toBe(false);
+    expect(stored.includes('aadhaar')).toBe(false);
+
+    const link = await linkFor(fileId, borrower.auth);
+    const download = await request(app).get(link.body.data.url).buffer(true).parse((res, done) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => done(null, Buffer.concat(chunks)));
+    });
+
+    expect(download.status).toBe(200);
+    expect(download.headers['content-type']).toBe('application/pdf');
+    expect(download.body.equals(AADHAAR_SCAN)).toBe(true);
+  });
+
+  test('the same document uploaded twice is stored once', async () => {
+    await upload();
+    const again = await upload();
+
+    expect(again.body.data.uploadedDocuments[0].duplicate).toBe(true);
+    expect(server.objects.size).toBe(1);
+    expect(loan.documents).toHaveLength(1);
+  });
+
+  test('a link with a changed signature or past its expiry is refused', async () => {
+    const { fileId } = (await upload()).body.data.uploadedDocuments[0];
+    const { url } = (await linkFor(fileId, borrower.auth)).body.data;
+    const signature = url.match(/signature=([0-9a-f]+)/)[1];
+    const forged = signature.replace(/^./, signature[0] === 'a' ? 'b' : 'a');
+    const expired = Math.floor(Date.now() / 1000) - 1;
+
+    const tampered = await request(app).get(url.replace(signature, forged));
+    const stale = await request(app).get(url.replace(/expires=\d+/, `expires=${expired}`));
+
+    expect(tampered.status).toBe(403);
+    expect(stale.status).toBe(403);
+  });
+
+  test('other borrowers get no link; staff with loans:read_any do', async () => {
+    const { fileId } = (await upload()).body.data.uploadedDocuments[0];
+
+    const otherBorrower = await linkFor(fileId, loginAs('borrower').auth);
+    const officer = await linkFor(fileId, loginAs('loan_officer').auth);
+
+    expect(otherBorrower.status).toBe(404);
+    expect(officer.status).toBe(200);
+    expect(officer.body.data.url).toContain(`/api/files/${fileId}?expires=`);
+  });
+
+  test('uploads fail rather than store KYC documents unencrypted when no key is set', async () => {
+    const key = process.env.ENCRYPTION_KEY;
+    delete process.env.ENCRYPTION_KEY;
+
+    try {
+      const response = await upload();
+
+      expect(response.status).toBe(500);
+      expect(server.objects.size).toBe(0);
+      expect(files).toHaveLength(0);
+    } finally {
+      process.env.ENCRYPTION_KEY = key;
+    }
+  });
+});
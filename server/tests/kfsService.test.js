@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const { calculateAPR, generateKFS } = require('../services/kfsService');
+
+const buildLoan = (fields = {}) => {
+  const loan = new Loan({
+    userId: new mongoose.Types.ObjectId(),
+    amount: 12000,
+    tenure: 12,
+    interestRate: 18,
+    purpose: 'business',
+    ...fields
+  });
+  loan.calculateEMI();
+  return loan;
+};
+
+describe('calculateAPR', () => {
+  test('one repayment after a year is the simple yearly rate', () => {
+    expect(calculateAPR(1000, [{ amount: 1100, period: 1 }], 1)).toBe(10);
+  });
+
+  test('level monthly repayments give the nominal rate', () => {
+    const rate = 0.12 / 12;
+    const emi = 100000 * rate * Math.pow(1 + rate, 12) / (Math.pow(1 + rate, 12) - 1);
+    const cashflows = Array.from({ length: 12 }, (value, index) => ({ amount: emi, period: index + 1 }));
+
+    expect(calculateAPR(100000, cashflows, 12)).toBe(12);
+  });
+
+  test('is zero when nothing more than the amount is repaid', () => {
+    expect(calculateAPR(1000, [{ amount: 500, period: 1 }, { amount: 500, period: 2 }], 12)).toBe(0);
+  });
+});
+
+describe('KFS annual percentage rate', () => {
+  const asOf = new Date(2024, 0, 15);
+
+  test('equals the interest rate for a loan without fees', () => {
+    const kfs = generateKFS(buildLoan(), null, { asOf });
+
+    expect(kfs.amounts.processingFee).toBe(0);
+    expect(kfs.rate.apr).toBeCloseTo(18, 1);
+  });
+
+  test('is above the interest rate once a processing fee is charged', () => {
+    const loan = buildLoan({ productTerms: { fees: { processingFeePercent: 2 } } });
+    const kfs = generateKFS(loan, null, { asOf });
+
+    expect(kfs.amounts.processingFee).toBe(240);
+    expect(kfs.amounts.netDisbursedAmount).toBe(11760);
+    expect(kfs.rate.apr).toBeGreaterThan(21);
+  });
+});
+
+describe('KFS language', () => {
+  test('is the borrower\'s preferred language when the KFS is written in it', () => {
+    const kfs = generateKFS(buildLoan(), { preferredLanguage: 'hindi' });
+
+    expect(kfs.language).toBe('hindi');
+    expect(kfs.languageCode).toBe('hi-IN');
+  });
+
+  test('is English for a preferred language the KFS is not written in', () => {
+    const kfs = generateKFS(buildLoan(), { preferredLanguage: 'tamil' });
+
+    expect(kfs.language).toBe('english');
+    expect(kfs.languageCode).toBe('en-IN');
+  });
+});
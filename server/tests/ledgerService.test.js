@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const { query } = require('./support/http');
+const Loan = require('../models/Loan');
+const LedgerEntry = require('../models/LedgerEntry');
+const { POSTING_RULES, buildLines, getAccountEntries, getLoanBalances } = require('../services/ledgerService');
+const { buildStatement } = require('../services/statementService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const totals = (lines) => lines.reduce((sum, line) => ({
+  debit: Math.round((sum.debit + line.debit) * 100) / 100,
+  credit: Math.round((sum.credit + line.credit) * 100) / 100
+}), { debit: 0, credit: 0 });
+
+// Sample amounts for every ledger event
+const EVENTS = {
+  disbursement: { amount: 12000, processingFee: 240 },
+  interest_capitalization: { amount: 540 },
+  interest_accrual: { amount: 180.37 },
+  fee: { amount: 250 },
+  penalty: { amount: 200 },
+  payment: { amount: 1500, charges: 200, interest: 180, principal: 920.15 },
+  advance_applied: { charges: 0, interest: 165.2, principal: 934.8 },
+  waiver: { component: 'penalty', amount: 200 },
+  write_off: { principal: 8000, interest: 300.5, charges: 200 }
+};
+
+describe('ledger posting rules', () => {
+  test('cover every event', () => {
+    expect(Object.keys(EVENTS).sort()).toEqual(Object.keys(POSTING_RULES).sort());
+  });
+
+  test.each(Object.entries(EVENTS))('%s balances', (event, amounts) => {
+    const lines = buildLines(event, amounts);
+    const { debit, credit } = totals(lines);
+
+    expect(lines.length).toBeGreaterThan(1);
+    expect(debit).toBe(credit);
+  });
+
+  test('drop zero lines', () => {
+    const lines = buildLines('disbursement', { amount: 12000 });
+
+    expect(lines).toEqual([
+      { account: 'loan_principal', debit: 12000, credit: 0 },
+      { account: 'cash', debit: 0, credit: 12000 }
+    ]);
+  });
+
+  test('hold an overpayment as borrower advance', () => {
+    const lines = buildLines('payment', { amount: 1500, charges: 0, interest: 180, principal: 820 });
+
+    expect(lines).toContainEqual({ account: 'borrower_advance', debit: 0, credit: 500 });
+  });
+
+  test('take a payment short of its allocations out of the advance', () => {
+    const lines = buildLines('payment', { amount: 1000, charges: 0, interest: 180, principal: 920 });
+
+    expect(lines).toContainEqual({ account: 'borrower_advance', debit: 100, credit: 0 });
+    expect(totals(lines).debit).toBe(totals(lines).credit);
+  });
+
+  test('settle dues with a refunded processing fee alongside the cash', () => {
+    const lines = buildLines('payment', { amount: 11760, charges: 0, interest: 30, principal: 12000, feeRefund: 270 });
+
+    expect(lines).toContainEqual({ account: 'fee_income', debit: 270, credit: 0 });
+    expect(lines.some(line => line.account === 'borrower_advance')).toBe(false);
+    expect(totals(lines).debit).toBe(totals(lines).credit);
+  });
+
+  test('reverse interest with a negative accrual', () => {
+    expect(buildLines('interest_accrual', { amount: -50 })).toEqual([
+      { account: 'interest_income', debit: 50, credit: 0 },
+      { account: 'interest_receivable', debit: 0, credit: 50 }
+    ]);
+  });
+
+  test('write an interest waiver against interest receivable', () => {
+    expect(buildLines('waiver', { component: 'interest', amount: 75 })).toContainEqual(
+      { account: 'interest_receivable', debit: 0, credit: 75 }
+    );
+  });
+});
+
+describe('reading a loan from the ledger', () => {
+  let loan;
+
+  // Disbursed 70 days ago with nothing posted yet: EMIs 1 and 2 have fallen due
+  beforeEach(() => {
+    loan = new Loan({
+      userId: new mongoose.Types.ObjectId(),
+      amount: 12000,
+      tenure: 12,
+      interestRate: 18,
+      purpose: 'business',
+      status: 'disbursed'
+    });
+    loan.loanId = 'LNTEST0012';
+    loan.disbursalDate = new Date(Date.now() - 70 * DAY_MS);
+    loan.generateRepaymentSchedule();
+
+    jest.spyOn(LedgerEntry, 'find').mockReturnValue(query([]));
+    jest.spyOn(LedgerEntry, 'create');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('balances include what is not posted yet without posting it', async () => {
+    const interestDue = loan.repaymentSchedule[0].interest + loan.repaymentSchedule[1].interest;
+
+    const balances = await getLoanBalances(loan);
+
+    expect(balances.principal).toBe(12000);
+    expect(balances.interest).toBeCloseTo(interestDue, 2);
+    expect(LedgerEntry.create).not.toHaveBeenCalled();
+  });
+
+  test('statement lines come from the ledger entries', async () => {
+    const entries = await getAccountEntries(loan);
+    const balances = await getLoanBalances(loan);
+
+    const statement = buildStatement(loan, null, { entries, balances });
+
+    expect(statement.lines.map(line => line.type)).toEqual(['disbursement', 'interest', 'interest']);
+    expect(statement.closingBalance).toBeCloseTo(balances.outstanding, 2);
+  });
+});
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+
+const { roundCurrency } = Loan;
+
+const DISBURSAL_DATE = new Date(2024, 0, 15);
+
+const buildLoan = (fields = {}) => {
+  const loan = new Loan({
+    userId: new mongoose.Types.ObjectId(),
+    amount: 12000,
+    tenure: 12,
+    interestRate: 18,
+    purpose: 'business',
+    status: 'disbursed',
+    ...fields
+  });
+  loan.disbursalDate = DISBURSAL_DATE;
+  loan.calculateEMI();
+  loan.generateRepaymentSchedule();
+  return loan;
+};
+
+const sum = (rows, field) => roundCurrency(rows.reduce((total, row) => total + row[field], 0));
+
+describe('repayment schedule', () => {
+  const cases = [
+    ['weekly', 0],
+    ['weekly', 3],
+    ['fortnightly', 0],
+    ['fortnightly', 3],
+    ['monthly', 0],
+    ['monthly', 3],
+    ['quarterly', 0],
+    ['quarterly', 3],
+    ['bullet', 0]
+  ];
+
+  test.each(cases)('%s with %i months moratorium reconciles to the paisa', (frequency, moratoriumMonths) => {
+    const loan = buildLoan({ repaymentFrequency: frequency, moratoriumMonths: moratoriumMonths });
+    const plan = loan.getRepaymentPlan();
+    const schedule = loan.repaymentSchedule;
+
+    expect(schedule).toHaveLength(plan.installments);
+    expect(loan.installmentCount).toBe(plan.installments);
+
+    // Principal repaid is what was lent plus the capitalized moratorium interest
+    expect(sum(schedule, 'principal')).toBe(roundCurrency(loan.amount + plan.capitalizedInterest));
+    expect(schedule[schedule.length - 1].closingBalance).toBe(0);
+
+    // Totals on the loan match the installments (capitalized interest is repaid within them)
+    expect(roundCurrency(plan.capitalizedInterest + sum(schedule, 'interest'))).toBe(loan.totalInterest);
+    expect(sum(schedule, 'amount')).toBe(loan.totalAmount);
+
+    for (const row of schedule) {
+      expect(row.amount).toBe(roundCurrency(row.principal + row.interest));
+      expect(row.closingBalance).toBe(roundCurrency(row.openingBalance - row.principal));
+    }
+  });
+
+  test.each(cases)('%s with %i months moratorium falls due in order after the moratorium', (frequency, moratoriumMonths) => {
+    const loan = buildLoan({ repaymentFrequency: frequency, moratoriumMonths: moratoriumMonths });
+    const schedule = loan.repaymentSchedule;
+
+    const moratoriumEnd = new Date(DISBURSAL_DATE);
+    moratoriumEnd.setMonth(moratoriumEnd.getMonth() + moratoriumMonths);
+    expect(schedule[0].dueDate > moratoriumEnd).toBe(true);
+
+    for (let i = 1; i < schedule.length; i++) {
+      expect(schedule[i].dueDate > schedule[i - 1].dueDate).toBe(true);
+    }
+  });
+
+  test('monthly installments match the reducing-balance EMI formula', () => {
+    const loan = buildLoan();
+    const rate = 0.18 / 12;
+    const expected = 12000 * rate * Math.pow(1 + rate, 12) / (Math.pow(1 + rate, 12) - 1);
+
+    expect(loan.emiAmount).toBe(Math.round(expected));
+    expect(loan.repaymentSchedule[0].interest).toBe(180);
+  });
+
+  test('a zero-interest loan is repaid in equal parts', () => {
+    const loan = buildLoan({ interestRate: 0 });
+
+    expect(loan.emiAmount).toBe(1000);
+    expect(loan.totalInterest).toBe(0);
+    expect(loan.repaymentSchedule.every(row => row.amount === 1000)).toBe(true);
+  });
+
+  test('a bullet loan falls due once at the end of the tenure with simple interest', () => {
+    const loan = buildLoan({ repaymentFrequency: 'bullet', tenure: 6 });
+    const [row] = loan.repaymentSchedule;
+
+    expect(loan.repaymentSchedule).toHaveLength(1);
+    expect(row.principal).toBe(12000);
+    expect(row.interest).toBe(1080);
+
+    const dueDate = new Date(DISBURSAL_DATE);
+    dueDate.setMonth(dueDate.getMonth() + 6);
+    expect(row.dueDate).toEqual(dueDate);
+  });
+});
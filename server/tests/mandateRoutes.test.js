@@ -0,0 +1,197 @@
+const request = require('supertest');
+const { query, buildApp, loginAs } = require('./support/http');
+const Loan = require('../models/Loan');
+const Mandate = require('../models/Mandate');
+const PresentationBatch = require('../models/PresentationBatch');
+const { RETURN_FILE_HEADER } = require('../services/providers/mockMandateProvider');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const app = buildApp('/api/mandates', require('../routes/mandates'));
+
+const buildLoan = (userId, loanId) => {
+  const loan = new Loan({
+    userId: userId,
+    amount: 12000,
+    tenure: 12,
+    interestRate: 18,
+    purpose: 'business',
+    status: 'disbursed',
+    productTerms: { fees: { bounceCharge: 350 } }
+  });
+  loan.loanId = loanId;
+  loan.disbursalDate = new Date(Date.now() - 35 * DAY_MS);
+  loan.generateRepaymentSchedule();
+  loan.save = jest.fn().mockResolvedValue(loan);
+  return loan;
+};
+
+const buildMandate = (loan) => {
+  const mandate = new Mandate({
+    mandateId: `MND${loan.loanId}`,
+    loan: loan._id,
+    loanId: loan.loanId,
+    userId: loan.userId,
+    type: 'nach',
+    maxAmount: 5000,
+    provider: 'mock',
+    status: 'active'
+  });
+  mandate.save = jest.fn().mockResolvedValue(mandate);
+  return mandate;
+};
+
+// The batch as the database holds it. Every read gets its own copy, and the conditional
+// updates apply to the stored items, so concurrent requests behave as they would on MongoDB.
+const stubBatchStore = (batch) => {
+  const store = { batch: batch.toObject() };
+  const readers = [];
+
+  const findItem = (filter) => {
+    const criteria = filter.items ? filter.items.$elemMatch : { presentationId: filter['items.presentationId'] };
+    return store.batch.items.find(item => Object.entries(criteria).every(([field, value]) => item[field] === value));
+  };
+
+  jest.spyOn(PresentationBatch, 'findOne').mockImplementation(() => {
+    const copy = PresentationBatch.hydrate(JSON.parse(JSON.stringify(store.batch)));
+    return query(new Promise(resolve => readers.push(() => resolve(copy))));
+  });
+  jest.spyOn(PresentationBatch, 'findById').mockImplementation(() => query(
+    PresentationBatch.hydrate(JSON.parse(JSON.stringify(store.batch)))
+  ));
+  jest.spyOn(PresentationBatch, 'updateOne').mockImplementation(async (filter, update) => {
+    const item = findItem(filter);
+    if (!item) {
+      return { modifiedCount: 0 };
+    }
+    Object.entries(update.$set).forEach(([path, value]) => {
+      item[path.replace('items.$.', '')] = value;
+    });
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(PresentationBatch.prototype, 'save').mockImplementation(async function() {
+    store.batch = JSON.parse(JSON.stringify(this.toObject()));
+    return this;
+  });
+
+  // Batch reads are held until `count` requests have made one, so they all start from
+  // the same stored batch
+  store.releaseReadsAt = (count) => {
+    const release = () => {
+      if (readers.length >= count) {
+        readers.splice(0).forEach(resolve => resolve());
+      } else {
+        setImmediate(release);
+      }
+    };
+    release();
+  };
+  return store;
+};
+
+describe('mandate return files', () => {
+  let staff;
+  let loans;
+  let mandates;
+  let batch;
+  let store;
+
+  // Two borrowers with a mandate each, both presented for EMI 1
+  beforeEach(() => {
+    staff = loginAs('admin');
+    loans = [buildLoan(loginAs('borrower').user._id, 'LNTEST0005'), buildLoan(loginAs('borrower').user._id, 'LNTEST0006')];
+    mandates = loans.map(buildMandate);
+
+    batch = new PresentationBatch({
+      batchId: 'PBTEST0001',
+      provider: 'mock',
+      presentationDate: new Date(),
+      items: loans.map((loan, index) => ({
+        presentationId: `PRSTEST000${index + 1}`,
+        mandate: mandates[index]._id,
+        mandateId: mandates[index].mandateId,
+        loan: loan._id,
+        loanId: loan.loanId,
+        emiNumber: 1,
+        amount: loan.repaymentSchedule[0].amount,
+        status: 'pending'
+      }))
+    });
+    batch.refreshTotals();
+    store = stubBatchStore(batch);
+
+    jest.spyOn(Loan, 'findById').mockImplementation((id) => query(loans.find(loan => loan._id.equals(id)) || null));
+    jest.spyOn(Mandate, 'findById').mockImplementation((id) => query(mandates.find(mandate => mandate._id.equals(id)) || null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // The first presentation is debited; the second is returned because the account is closed
+  const returnFile = () => [
+    RETURN_FILE_HEADER,
+    `PRSTEST0001,SUCCESS,${batch.items[0].amount},,`,
+    `PRSTEST0002,FAILED,${batch.items[1].amount},ACCOUNT_CLOSED,Account closed or transferred`
+  ].join('\n');
+
+  const upload = (auth = staff.auth) => request(app)
+    .post(`/api/mandates/batches/${batch.batchId}/returns`)
+    .set('Authorization', auth)
+    .send({ content: returnFile() });
+
+  test('posts debits, charges bounces and revokes mandates the bank has closed', async () => {
+    store.releaseReadsAt(1);
+    const response = await upload();
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ succeeded: 1, failed: 1, bounceCharges: 350, batchStatus: 'processed' });
+    expect(loans[0].payments).toHaveLength(1);
+    expect(loans[0].payments[0].reference).toBe('PBTEST0001/PRSTEST0001');
+    expect(loans[0].repaymentSchedule[0].status).toBe('paid');
+    expect(loans[1].repaymentSchedule[0].bounceCharges).toBe(350);
+    expect(mandates[1].status).toBe('revoked');
+
+    const [debited, returned] = store.batch.items;
+    expect(debited).toMatchObject({ status: 'success', paymentId: loans[0].payments[0].paymentId });
+    expect(returned).toMatchObject({ status: 'failed', returnCode: 'ACCOUNT_CLOSED', bounceCharge: 350 });
+    expect(store.batch.returnFiles).toHaveLength(1);
+  });
+
+  test('a return file uploaded again changes nothing', async () => {
+    store.releaseReadsAt(1);
+    await upload();
+    store.releaseReadsAt(1);
+    const again = await upload();
+
+    expect(again.body.data.succeeded).toBe(0);
+    expect(again.body.data.skipped).toEqual([
+      { presentationId: 'PRSTEST0001', reason: 'Already success' },
+      { presentationId: 'PRSTEST0002', reason: 'Already failed' }
+    ]);
+    expect(loans[0].payments).toHaveLength(1);
+    expect(loans[1].charges).toHaveLength(1);
+  });
+
+  test('the same return file processed twice at once posts each item once', async () => {
+    store.releaseReadsAt(2);
+    const responses = await Promise.all([upload(), upload()]);
+
+    expect(responses.map(response => response.status)).toEqual([200, 200]);
+    const results = responses.map(response => response.body.data);
+    expect(results.reduce((sum, result) => sum + result.succeeded, 0)).toBe(1);
+    expect(results.reduce((sum, result) => sum + result.failed, 0)).toBe(1);
+    expect(results.reduce((all, result) => all.concat(result.skipped), []).map(row => row.reason))
+      .toEqual(['Already processed', 'Already processed']);
+    expect(loans[0].payments).toHaveLength(1);
+    expect(loans[1].charges).toHaveLength(1);
+    expect(store.batch.items.map(item => item.status)).toEqual(['success', 'failed']);
+  });
+
+  test('borrowers cannot upload return files', async () => {
+    const response = await upload(loginAs('borrower').auth);
+
+    expect(response.status).toBe(403);
+    expect(store.batch.items.map(item => item.status)).toEqual(['pending', 'pending']);
+  });
+});
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+
+const { roundCurrency } = Loan;
+
+// EMIs 1-3 (Feb, Mar and Apr 15) are due by PAID_AT; EMI 4 is the next one coming up
+const DISBURSAL_DATE = new Date(2024, 0, 15);
+const PAID_AT = new Date(2024, 3, 20);
+
+const buildLoan = () => {
+  const loan = new Loan({
+    userId: new mongoose.Types.ObjectId(),
+    amount: 12000,
+    tenure: 12,
+    interestRate: 18,
+    purpose: 'business',
+    status: 'disbursed'
+  });
+  loan.disbursalDate = DISBURSAL_DATE;
+  loan.generateRepaymentSchedule();
+
+  // Late payment penalties on the two oldest installments
+  loan.repaymentSchedule[0].penaltyAmount = 200;
+  loan.repaymentSchedule[1].penaltyAmount = 200;
+  return loan;
+};
+
+const emiDue = (emi) => roundCurrency(emi.amount + (emi.penaltyAmount || 0));
+
+describe('payment allocation', () => {
+  test('settles penalty, then interest, then principal', () => {
+    const loan = buildLoan();
+    const emi = loan.repaymentSchedule[0];
+
+    const payment = loan.allocatePayment(500, { paidAt: PAID_AT });
+
+    expect(payment.allocations).toHaveLength(1);
+    expect(payment.allocations[0]).toMatchObject({
+      emiNumber: 1,
+      penalty: 200,
+      interest: emi.interest,
+      principal: roundCurrency(500 - 200 - emi.interest),
+      statusAfter: 'partial'
+    });
+  });
+
+  test('a payment smaller than the penalty goes to the penalty only', () => {
+    const loan = buildLoan();
+
+    const payment = loan.allocatePayment(150, { paidAt: PAID_AT });
+
+    expect(payment.allocations[0]).toMatchObject({ emiNumber: 1, penalty: 150, interest: 0, principal: 0 });
+    expect(loan.repaymentSchedule[0].status).toBe('partial');
+  });
+
+  test('clears the oldest installment before the next one', () => {
+    const loan = buildLoan();
+    const [first, second, third] = loan.repaymentSchedule;
+    const amount = roundCurrency(emiDue(first) + emiDue(second) + 100);
+
+    const payment = loan.allocatePayment(amount, { paidAt: PAID_AT });
+
+    expect(payment.allocations.map(allocation => allocation.emiNumber)).toEqual([1, 2, 3]);
+    expect(first.status).toBe('paid');
+    expect(first.paidDate).toEqual(PAID_AT);
+    expect(second.status).toBe('paid');
+    expect(third.status).toBe('partial');
+    expect(third.paidInterest).toBe(100);
+    expect(loan.advanceCredit).toBe(0);
+  });
+
+  test('pays the next installment early and holds the rest as advance credit', () => {
+    const loan = buildLoan();
+    const schedule = loan.repaymentSchedule;
+    const dueNow = roundCurrency(schedule.slice(0, 4).reduce((total, emi) => total + emiDue(emi), 0));
+
+    const payment = loan.allocatePayment(roundCurrency(dueNow + 300), { paidAt: PAID_AT });
+
+    expect(schedule.slice(0, 4).every(emi => emi.status === 'paid')).toBe(true);
+    expect(schedule[4].status).toBe('pending');
+    expect(loan.advanceCredit).toBe(300);
+    expect(payment.advanceCreditAfter).toBe(300);
+
+    // The advance goes to the fifth installment once it falls due
+    const allocations = loan.applyAdvanceCredit(schedule[4].dueDate);
+    expect(allocations).toHaveLength(1);
+    expect(allocations[0]).toMatchObject({ emiNumber: 5, total: 300 });
+    expect(loan.advanceCredit).toBe(0);
+    expect(loan.advanceApplications).toHaveLength(1);
+  });
+
+  test('advance credit is added to the next payment', () => {
+    const loan = buildLoan();
+    loan.advanceCredit = 250;
+
+    const payment = loan.allocatePayment(250, { paidAt: PAID_AT });
+
+    expect(payment.advanceCreditBefore).toBe(250);
+    expect(payment.allocations[0]).toMatchObject({ emiNumber: 1, penalty: 200 });
+    expect(roundCurrency(payment.allocations.reduce((total, allocation) => total + allocation.total, 0))).toBe(500);
+    expect(loan.advanceCredit).toBe(0);
+  });
+
+  test('enough to clear the loan pays off every installment', () => {
+    const loan = buildLoan();
+    const total = roundCurrency(loan.repaymentSchedule.reduce((sum, emi) => sum + emiDue(emi), 0));
+
+    const payment = loan.allocatePayment(total, { paidAt: PAID_AT });
+
+    expect(payment.allocations).toHaveLength(12);
+    expect(loan.canBeClosed()).toBe(true);
+    expect(loan.advanceCredit).toBe(0);
+  });
+
+  test('every rupee is accounted for', () => {
+    const loan = buildLoan();
+
+    for (const amount of [123.45, 999, 2500.5, 7000]) {
+      const payment = loan.allocatePayment(amount, { paidAt: PAID_AT });
+      const allocated = payment.allocations.reduce((total, allocation) => total + allocation.total, 0);
+
+      expect(roundCurrency(allocated + payment.advanceCreditAfter))
+        .toBe(roundCurrency(amount + payment.advanceCreditBefore));
+    }
+  });
+});
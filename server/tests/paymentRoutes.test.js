@@ -0,0 +1,217 @@
+const request = require('supertest');
+const { query, buildApp, loginAs } = require('./support/http');
+const { stubPaymentOrders, deliverCapture } = require('./support/paymentOrders');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const LedgerEntry = require('../models/LedgerEntry');
+const gateway = require('../services/providers/fakePaymentGateway');
+const { generateForeclosureQuote } = require('../services/foreclosureService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const app = buildApp('/api/loans', require('../routes/loans'));
+app.use('/api/payments', require('../routes/payments'));
+
+// A 12-month loan disbursed 40 days ago: EMI 1 is overdue
+const buildLoan = (userId) => {
+  const loan = new Loan({
+    userId: userId,
+    amount: 12000,
+    tenure: 12,
+    interestRate: 18,
+    purpose: 'business',
+    status: 'disbursed'
+  });
+  loan.loanId = 'LNTEST0001';
+  loan.disbursalDate = new Date(Date.now() - 40 * DAY_MS);
+  loan.generateRepaymentSchedule();
+  loan.save = jest.fn().mockResolvedValue(loan);
+  jest.spyOn(Loan, 'findOne').mockImplementation(() => query(loan));
+  jest.spyOn(Loan, 'findById').mockImplementation(() => query(loan));
+  return loan;
+};
+
+describe('payment routes', () => {
+  let orders;
+  let borrower;
+  let loan;
+
+  beforeEach(() => {
+    orders = stubPaymentOrders();
+    borrower = loginAs('borrower');
+    loan = buildLoan(borrower.user._id);
+
+    // Nothing is posted to the ledger yet, so balances come from the loan's records
+    jest.spyOn(LedgerEntry, 'find').mockReturnValue(query([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.NODE_ENV;
+  });
+
+  const createOrder = (body = {}, idempotencyKey) => {
+    const call = request(app)
+      .post(`/api/loans/${loan.loanId}/payment-orders`)
+      .set('Authorization', borrower.auth);
+    return (idempotencyKey ? call.set('Idempotency-Key', idempotencyKey) : call).send(body);
+  };
+
+  test('a retried order request with the same Idempotency-Key returns the first order', async () => {
+    const first = await createOrder({}, 'retry-1');
+    const second = await createOrder({}, 'retry-1');
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(200);
+    expect(second.body.data.orderId).toBe(first.body.data.orderId);
+    expect(orders).toHaveLength(1);
+  });
+
+  test('an Idempotency-Key reused for a different payment is refused', async () => {
+    await createOrder({}, 'retry-2');
+    const response = await createOrder({ amount: 50 }, 'retry-2');
+
+    expect(response.status).toBe(409);
+    expect(orders).toHaveLength(1);
+  });
+
+  test('a webhook with a bad signature is refused and changes nothing', async () => {
+    await createOrder();
+    const webhook = gateway.simulatePayment(orders[0]);
+
+    const response = await request(app)
+      .post('/api/payments/webhooks/fake')
+      .set(gateway.SIGNATURE_HEADER, 'not-the-signature')
+      .set('Content-Type', 'application/json')
+      .send(webhook.rawBody);
+
+    expect(response.status).toBe(401);
+    expect(orders[0].status).toBe('created');
+    expect(loan.payments).toHaveLength(0);
+  });
+
+  test('a captured payment is posted once however often the webhook is delivered', async () => {
+    await createOrder();
+    const webhook = gateway.simulatePayment(orders[0]);
+    const send = () => request(app)
+      .post('/api/payments/webhooks/fake')
+      .set(webhook.headers)
+      .set('Content-Type', 'application/json')
+      .send(webhook.rawBody);
+
+    const first = await send();
+    const redelivered = await send();
+
+    expect(first.body.data.status).toBe('processed');
+    expect(redelivered.body.data.status).toBe('duplicate');
+    expect(orders[0].status).toBe('captured');
+    expect(loan.payments).toHaveLength(1);
+    expect(loan.repaymentSchedule[0].status).toBe('paid');
+  });
+
+  test('the fake gateway takes no webhooks in production', async () => {
+    await createOrder();
+    process.env.NODE_ENV = 'production';
+
+    const response = await deliverCapture(app, orders[0]);
+
+    expect(response.status).toBe(404);
+    expect(loan.payments).toHaveLength(0);
+  });
+
+  test('a foreclosure closes the loan only when its payment is captured', async () => {
+    loan.repaymentSchedule[0].status = 'paid';
+    loan.repaymentSchedule[0].paidAmount = loan.repaymentSchedule[0].amount;
+    loan.repaymentSchedule[0].paidPrincipal = loan.repaymentSchedule[0].principal;
+    loan.repaymentSchedule[0].paidInterest = loan.repaymentSchedule[0].interest;
+    const quote = generateForeclosureQuote(loan, new Date(Date.now() + DAY_MS));
+    loan.foreclosureQuotes.push(quote);
+
+    const response = await request(app)
+      .post(`/api/loans/${loan.loanId}/foreclose`)
+      .set('Authorization', borrower.auth)
+      .send({ quoteId: quote.quoteId });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.purpose).toBe('foreclosure');
+    expect(response.body.data.amount).toBe(quote.totalAmount);
+    expect(loan.status).toBe('disbursed');
+    expect(loan.save).not.toHaveBeenCalled();
+
+    await deliverCapture(app, orders[0]);
+
+    expect(loan.status).toBe('closed');
+    expect(loan.payments[0].type).toBe('foreclosure');
+    expect(loan.foreclosureQuotes[0].status).toBe('settled');
+  });
+
+  test('a capture against a quote that is no longer open is allocated to dues and flagged', async () => {
+    const quote = generateForeclosureQuote(loan, new Date(Date.now() + DAY_MS));
+    loan.foreclosureQuotes.push(quote);
+
+    await request(app)
+      .post(`/api/loans/${loan.loanId}/foreclose`)
+      .set('Authorization', borrower.auth)
+      .send({ quoteId: quote.quoteId });
+    loan.foreclosureQuotes[0].status = 'expired';
+
+    const response = await deliverCapture(app, orders[0]);
+
+    expect(response.body.data.exceptions).toEqual([
+      expect.stringContaining(`Foreclosure quote ${quote.quoteId} is no longer payable`)
+    ]);
+    expect(loan.status).toBe('disbursed');
+    expect(loan.payments[0].type).toBe('emi');
+    expect(orders[0].exception).toMatch(/no longer payable/);
+  });
+
+  test('a foreclosure quote is what is owed today, whatever date it is payable until', async () => {
+    const quoteUntil = (validUntil) => request(app)
+      .get(`/api/loans/${loan.loanId}/foreclosure-quote`)
+      .query(validUntil ? { validUntil: validUntil } : {})
+      .set('Authorization', borrower.auth);
+
+    const weekly = await quoteUntil();
+    const monthly = await quoteUntil(new Date(Date.now() + 25 * DAY_MS).toISOString());
+
+    expect(monthly.status).toBe(200);
+    expect(monthly.body.data.quote.totalAmount).toBe(weekly.body.data.quote.totalAmount);
+    expect(monthly.body.data.quote.overdueInterest).toBe(loan.repaymentSchedule[0].interest);
+  });
+
+  test('a payment posted after a quote was issued expires the quote', async () => {
+    // Saved through the model, so its save hooks run (and post to the ledger)
+    delete loan.save;
+    jest.spyOn(LedgerEntry, 'create').mockImplementation(async (entry) => entry);
+    jest.spyOn(LedgerEntry, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+    loan.statusHistory.push({ status: 'disbursed', reason: 'Disbursed' });
+    jest.spyOn(Loan.collection, 'insertOne').mockResolvedValue({});
+    jest.spyOn(Loan.collection, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+
+    const { quote } = (await request(app)
+      .get(`/api/loans/${loan.loanId}/foreclosure-quote`)
+      .set('Authorization', borrower.auth)).body.data;
+    await createOrder();
+    await deliverCapture(app, orders[0]);
+
+    const response = await request(app)
+      .post(`/api/loans/${loan.loanId}/foreclose`)
+      .set('Authorization', borrower.auth)
+      .send({ quoteId: quote.quoteId });
+
+    expect(loan.payments).toHaveLength(1);
+    expect(loan.foreclosureQuotes[0].status).toBe('expired');
+    expect(response.status).toBe(404);
+  });
+
+  test('a borrower cannot record their own payment without a gateway capture', async () => {
+    const response = await request(app)
+      .post(`/api/loans/${loan.loanId}/pay-emi`)
+      .set('Authorization', borrower.auth)
+      .send({ amount: 1100, reference: 'UTR123' });
+
+    expect(response.status).toBe(403);
+    expect(loan.payments).toHaveLength(0);
+  });
+});
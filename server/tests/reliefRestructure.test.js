@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+
+const { roundCurrency } = Loan;
+
+// EMIs 1-2 (Feb and Mar 15) are paid, 3-4 (Apr and May 15) are overdue at AS_OF
+const DISBURSAL_DATE = new Date(2024, 0, 15);
+const AS_OF = new Date(2024, 4, 20);
+
+const buildLoan = (fields = {}) => {
+  const loan = new Loan({
+    userId: new mongoose.Types.ObjectId(),
+    amount: 12000,
+    tenure: 12,
+    interestRate: 18,
+    purpose: 'business',
+    status: 'disbursed',
+    ...fields
+  });
+  loan.loanId = 'GCTEST';
+  loan.disbursalDate = DISBURSAL_DATE;
+  loan.generateRepaymentSchedule();
+
+  if (loan.repaymentFrequency !== 'bullet') {
+    for (const emi of loan.repaymentSchedule.slice(0, 2)) {
+      emi.paidPrincipal = emi.principal;
+      emi.paidInterest = emi.interest;
+      emi.paidAmount = emi.amount;
+      emi.status = 'paid';
+      emi.paidDate = emi.dueDate;
+    }
+    loan.repaymentSchedule[2].penaltyAmount = 200;
+  }
+  return loan;
+};
+
+const restructure = (loan, mode, months = 3) => loan.restructureForRelief({
+  mode: mode,
+  months: months,
+  reliefEventId: 'RLFTEST',
+  reason: 'Flood relief',
+  appliedBy: 'admin',
+  asOf: AS_OF
+});
+
+const sum = (rows, field) => roundCurrency(rows.reduce((total, row) => total + row[field], 0));
+
+describe('relief restructuring', () => {
+  test.each(['moratorium', 'extend_tenure'])('%s reschedules everything owed', (mode) => {
+    const loan = buildLoan();
+    const overdue = loan.repaymentSchedule.slice(2, 4);
+    const unpaidPrincipal = sum(loan.repaymentSchedule.slice(2), 'principal');
+
+    const restructuring = restructure(loan, mode);
+    const newRows = loan.repaymentSchedule.filter(emi => emi.status === 'pending');
+
+    expect(restructuring.penaltyWaived).toBe(200);
+    expect(restructuring.principalRescheduled).toBe(unpaidPrincipal);
+    expect(restructuring.arrearsInterestCapitalized).toBe(sum(overdue, 'interest'));
+    expect(sum(newRows, 'principal')).toBe(roundCurrency(restructuring.principalRescheduled +
+      restructuring.arrearsInterestCapitalized + restructuring.moratoriumInterest));
+    expect(newRows[newRows.length - 1].closingBalance).toBe(0);
+
+    // Paid installments stay as they were and numbering carries on after them
+    expect(loan.repaymentSchedule.slice(0, 2).every(emi => emi.status === 'paid')).toBe(true);
+    expect(newRows[0].emiNumber).toBe(3);
+    expect(restructuring.originalSchedule).toHaveLength(12);
+
+    // No longer in arrears
+    expect(loan.daysPastDue).toBe(0);
+    expect(loan.assetClassification).toBe('standard');
+  });
+
+  test('moratorium pauses installments and capitalizes interest for the pause', () => {
+    const loan = buildLoan();
+
+    const restructuring = restructure(loan, 'moratorium');
+    const newRows = loan.repaymentSchedule.filter(emi => emi.status === 'pending');
+
+    expect(newRows).toHaveLength(10);
+    expect(newRows[0].dueDate).toEqual(new Date(2024, 8, 15));
+    expect(restructuring.moratoriumEndsAt).toEqual(new Date(2024, 7, 15));
+    expect(restructuring.moratoriumInterest).toBe(roundCurrency(
+      (restructuring.principalRescheduled + restructuring.arrearsInterestCapitalized) * 0.18 / 12 * 3
+    ));
+  });
+
+  test('extend_tenure adds installments from the next due date', () => {
+    const loan = buildLoan();
+
+    const restructuring = restructure(loan, 'extend_tenure');
+    const newRows = loan.repaymentSchedule.filter(emi => emi.status === 'pending');
+
+    expect(newRows).toHaveLength(13);
+    expect(newRows[0].dueDate).toEqual(new Date(2024, 5, 15));
+    expect(restructuring.moratoriumInterest).toBe(0);
+  });
+
+  test('tenure runs to the last rescheduled installment', () => {
+    const loan = buildLoan();
+
+    const restructuring = restructure(loan, 'moratorium');
+    const lastDueDate = loan.repaymentSchedule[loan.repaymentSchedule.length - 1].dueDate;
+
+    // Overdue installments moved past the pause push the end out by more than 3 months
+    expect(lastDueDate).toEqual(new Date(2025, 5, 15));
+    expect(restructuring.tenureBefore).toBe(12);
+    expect(restructuring.tenureAfter).toBe(17);
+    expect(loan.tenure).toBe(17);
+  });
+
+  test('a partly paid installment is settled at what was paid', () => {
+    const loan = buildLoan();
+    const third = loan.repaymentSchedule[2];
+    third.paidInterest = 100;
+    third.paidAmount = 100;
+    third.status = 'partial';
+
+    restructure(loan, 'moratorium');
+
+    expect(third.status).toBe('paid');
+    expect(third.amount).toBe(100);
+    expect(third.principal).toBe(0);
+    expect(loan.repaymentSchedule.filter(emi => emi.status === 'pending')[0].emiNumber).toBe(4);
+  });
+
+  test('a bullet loan moves its repayment later', () => {
+    const loan = buildLoan({ repaymentFrequency: 'bullet', tenure: 6 });
+    const [original] = loan.repaymentSchedule;
+
+    const restructuring = restructure(loan, 'moratorium');
+    const [row] = loan.repaymentSchedule;
+
+    expect(loan.repaymentSchedule).toHaveLength(1);
+    expect(row.dueDate).toEqual(new Date(2024, 9, 15));
+    expect(row.principal).toBe(12000);
+    expect(row.interest).toBeGreaterThan(original.interest);
+    expect(restructuring.tenureAfter).toBe(9);
+  });
+
+  test('refuses a loan with nothing left to pay', () => {
+    const loan = buildLoan();
+    for (const emi of loan.repaymentSchedule) {
+      emi.status = 'paid';
+    }
+
+    expect(() => restructure(loan, 'moratorium')).toThrow('No unpaid installments to restructure');
+  });
+});
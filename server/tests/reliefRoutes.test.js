@@ -0,0 +1,100 @@
+const request = require('supertest');
+const { query, buildApp, loginAs } = require('./support/http');
+const ReliefEvent = require('../models/ReliefEvent');
+const { applyReliefEvent } = require('../services/reliefService');
+
+// Restructuring itself is covered by reliefRestructure.test.js
+jest.mock('../services/reliefService', () => ({
+  findEligibleLoans: jest.fn(),
+  applyReliefEvent: jest.fn()
+}));
+
+const MINUTE_MS = 60 * 1000;
+
+const app = buildApp('/api/relief-events', require('../routes/relief'));
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// The event as the database holds it; the apply claim only matches an event that is
+// declared, or applying under a claim older than the cutoff (or with no claim time)
+const stubEventStore = (event) => {
+  const store = { event: clone(event.toObject()) };
+
+  const matches = (filter) => filter.$or.some(option => {
+    if (store.event.status !== option.status) return false;
+    if (!option.applyingSince) return true;
+    return !(store.event.applyingSince && new Date(store.event.applyingSince) >= option.applyingSince.$not.$gte);
+  });
+
+  jest.spyOn(ReliefEvent, 'findOneAndUpdate').mockImplementation((filter, update) => {
+    if (!matches(filter)) {
+      return query(null);
+    }
+    Object.assign(store.event, clone(update.$set));
+    return query(ReliefEvent.hydrate(clone(store.event)));
+  });
+  jest.spyOn(ReliefEvent, 'findOne').mockImplementation(() => query(ReliefEvent.hydrate(clone(store.event))));
+
+  return store;
+};
+
+describe('applying a relief event', () => {
+  let admin;
+  let store;
+
+  // A request applying the event died part-way and left it claimed
+  beforeEach(() => {
+    admin = loginAs('admin');
+
+    const event = new ReliefEvent({
+      eventId: 'RLFTEST0001',
+      name: 'Kosi floods',
+      calamityType: 'flood',
+      districts: ['Saharsa'],
+      startDate: new Date(2024, 7, 1),
+      endDate: new Date(2024, 7, 31),
+      reliefType: 'moratorium',
+      reliefMonths: 3,
+      status: 'applying'
+    });
+    store = stubEventStore(event);
+
+    applyReliefEvent.mockImplementation(async (claimed) => {
+      claimed.status = 'applied';
+      claimed.summary = { applied: 0, skipped: 0, failed: 0 };
+      return claimed;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    applyReliefEvent.mockReset();
+  });
+
+  const apply = () => request(app)
+    .post('/api/relief-events/RLFTEST0001/apply')
+    .set('Authorization', admin.auth);
+
+  test('a claim left by a request that died is taken over once stale', async () => {
+    store.event.applyingSince = new Date(Date.now() - 5 * MINUTE_MS).toISOString();
+
+    const recent = await apply();
+
+    expect(recent.status).toBe(409);
+    expect(recent.body.message).toBe('Relief event is being applied');
+    expect(applyReliefEvent).not.toHaveBeenCalled();
+
+    store.event.applyingSince = new Date(Date.now() - 31 * MINUTE_MS).toISOString();
+    const stale = await apply();
+
+    expect(stale.status).toBe(200);
+    expect(applyReliefEvent).toHaveBeenCalledTimes(1);
+  });
+
+  test('a claim made before claims were timed can be taken over', async () => {
+    const response = await apply();
+
+    expect(response.status).toBe(200);
+    expect(new Date(store.event.applyingSince).getTime()).toBeGreaterThan(Date.now() - MINUTE_MS);
+  });
+});
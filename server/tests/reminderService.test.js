@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const { getInstallmentToRemind } = require('../services/reminderService');
+
+// No SMS is sent
+jest.mock('twilio', () => () => ({
+  messages: { create: async () => ({ sid: 'SMtest' }) }
+}));
+
+// Monthly EMIs fall due on the 15th; on March 13 EMI 2 is two days away
+const DISBURSAL_DATE = new Date(2024, 0, 15);
+const AS_OF = new Date(2024, 2, 13);
+
+const buildLoan = () => {
+  const loan = new Loan({
+    userId: new mongoose.Types.ObjectId(),
+    amount: 12000,
+    tenure: 12,
+    interestRate: 18,
+    purpose: 'business',
+    status: 'disbursed'
+  });
+  loan.disbursalDate = DISBURSAL_DATE;
+  loan.generateRepaymentSchedule();
+  return loan;
+};
+
+describe('EMI reminders', () => {
+  test('reminds of the next installment within the lead time', () => {
+    const loan = buildLoan();
+    loan.repaymentSchedule[0].status = 'paid';
+
+    expect(getInstallmentToRemind(loan, AS_OF).emiNumber).toBe(2);
+  });
+
+  test('an overdue installment does not hold back the reminder for the next one', () => {
+    const loan = buildLoan();
+    loan.repaymentSchedule[0].status = 'overdue';
+
+    expect(getInstallmentToRemind(loan, AS_OF).emiNumber).toBe(2);
+  });
+
+  test('no reminder is sent twice or before the lead time', () => {
+    const loan = buildLoan();
+    loan.repaymentSchedule[1].reminderSentAt = AS_OF;
+
+    expect(getInstallmentToRemind(loan, AS_OF)).toBeNull();
+    expect(getInstallmentToRemind(buildLoan(), new Date(2024, 2, 5))).toBeNull();
+  });
+});
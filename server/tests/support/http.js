@@ -0,0 +1,80 @@
+// Helpers for route tests: an Express app around one router, logged-in users and
+// stand-ins for mongoose queries. No database is used; tests stub the model calls they need.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID || 'ACtest0000000000000000000000000000';
+process.env.TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || 'test-twilio-token';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-openai-key';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+
+// A model call a test forgot to stub fails at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+// Resolves to the result like a mongoose query, with the chainable helpers routes use
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    lean: () => chain,
+    exec: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+// App with one router mounted, parsing JSON (and keeping the raw body) as server/index.js does
+const buildApp = (path, router) => {
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString('utf8');
+    }
+  }));
+  app.use(path, router);
+  return app;
+};
+
+const users = new Map();
+let phoneSequence = 0;
+
+// A user with the given role and a bearer token for them. User.findById finds every
+// user created this way.
+const loginAs = (role = 'borrower', fields = {}) => {
+  phoneSequence += 1;
+  const user = new User({
+    phoneNumber: `9${String(phoneSequence).padStart(9, '0')}`,
+    name: `Test ${role}`,
+    aadhaarNumber: String(100000000000 + phoneSequence),
+    panNumber: `ABCDE${String(1000 + phoneSequence).slice(-4)}F`,
+    role: role,
+    isActive: true,
+    ...fields
+  });
+  user.save = jest.fn().mockResolvedValue(user);
+  users.set(user._id.toString(), user);
+
+  if (!jest.isMockFunction(User.findById)) {
+    jest.spyOn(User, 'findById').mockImplementation((id) => query(users.get(String(id)) || null));
+  }
+
+  const token = jwt.sign({
+    userId: user._id,
+    phoneNumber: user.phoneNumber,
+    preferredLanguage: user.preferredLanguage,
+    role: user.role
+  }, process.env.JWT_SECRET);
+
+  return { user, token, auth: `Bearer ${token}` };
+};
+
+module.exports = {
+  query,
+  buildApp,
+  loginAs
+};
@@ -0,0 +1,56 @@
+// In-memory payment orders for route tests. Only the queries paymentService makes are handled.
+const request = require('supertest');
+const PaymentOrder = require('../../models/PaymentOrder');
+const gateway = require('../../services/providers/fakePaymentGateway');
+const { query } = require('./http');
+
+process.env.PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'test-webhook-secret';
+
+const matches = (order, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '_id') return order._id.equals(condition);
+  if (key === 'webhookEvents.eventId') return !order.webhookEvents.some(event => event.eventId === condition.$ne);
+  if (condition && condition.$in) return condition.$in.includes(order.get(key));
+  return String(order.get(key)) === String(condition);
+});
+
+const applyUpdate = (order, update) => {
+  if (update.$push) order.webhookEvents.push(update.$push.webhookEvents);
+  Object.entries(update.$set || {}).forEach(([key, value]) => order.set(key, value));
+  return order;
+};
+
+// Stub the PaymentOrder model; returns the array orders are saved to
+const stubPaymentOrders = () => {
+  const orders = [];
+  jest.spyOn(PaymentOrder.prototype, 'save').mockImplementation(async function() {
+    await this.validate();
+    if (!orders.includes(this)) orders.push(this);
+    return this;
+  });
+  jest.spyOn(PaymentOrder, 'findOne').mockImplementation((filter) => query(orders.find(order => matches(order, filter)) || null));
+  jest.spyOn(PaymentOrder, 'findById').mockImplementation((id) => query(orders.find(order => order._id.equals(id)) || null));
+  jest.spyOn(PaymentOrder, 'exists').mockImplementation(async (filter) => orders.some(order => matches(order, filter)));
+  jest.spyOn(PaymentOrder, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const order = orders.find(entry => matches(entry, filter));
+    return order ? applyUpdate(order, update) : null;
+  });
+  jest.spyOn(PaymentOrder, 'updateOne').mockImplementation(async (filter, update) => {
+    orders.filter(order => matches(order, filter)).forEach(order => applyUpdate(order, update));
+  });
+  return orders;
+};
+
+// Pay an order through the fake gateway and deliver its signed webhook to the app
+const deliverCapture = (app, order, options) => {
+  const webhook = gateway.simulatePayment(order, options);
+  return request(app)
+    .post('/api/payments/webhooks/fake')
+    .set(webhook.headers)
+    .set('Content-Type', 'application/json')
+    .send(webhook.rawBody);
+};
+
+module.exports = {
+  stubPaymentOrders,
+  deliverCapture
+};
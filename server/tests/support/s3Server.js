@@ -0,0 +1,113 @@
+// Stand-in for an S3-compatible store such as MinIO: path-style PUT, GET and DELETE of
+// objects kept in memory. Every request must carry a valid Signature Version 4
+// Authorization header for the configured credentials, as a real store requires.
+const http = require('http');
+const { signRequest } = require('../../services/providers/s3StorageDriver');
+
+const errorBody = (code) => `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`;
+
+const parseAmzDate = (amzDate) => new Date(
+  amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z')
+);
+
+// Recompute the signature from what arrived and compare it with the one sent
+const isSignatureValid = (config, req, url, body) => {
+  const authorization = req.headers.authorization || '';
+  const match = authorization.match(/^AWS4-HMAC-SHA256 Credential=([^/]+)\/[^,]+, SignedHeaders=([^,]+), Signature=([0-9a-f]+)$/);
+  if (!match || match[1] !== config.accessKeyId || !req.headers['x-amz-date']) {
+    return false;
+  }
+
+  const extraHeaders = {};
+  match[2].split(';')
+    .filter(name => name !== 'host' && !name.startsWith('x-amz-'))
+    .forEach(name => {
+      extraHeaders[name] = req.headers[name];
+    });
+
+  const expected = signRequest(config, req.method, url, body.length ? body : '', extraHeaders, parseAmzDate(req.headers['x-amz-date']));
+  return expected.Authorization === authorization;
+};
+
+// Starts the server on a free local port. Resolves to { endpoint, objects, requests, close }.
+const startS3Server = ({ region = 'ap-south-1', bucket = 'test-bucket', accessKeyId = 'minio-test', secretAccessKey = 'minio-test-secret' } = {}) => {
+  const objects = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const url = new URL(req.url, `http://${req.headers.host}`);
+      const config = { region, bucket, accessKeyId, secretAccessKey };
+      requests.push({ method: req.method, path: url.pathname });
+
+      if (!isSignatureValid(config, req, url, body)) {
+        res.writeHead(403, { 'Content-Type': 'application/xml' });
+        return res.end(errorBody('SignatureDoesNotMatch'));
+      }
+
+      const [, requestBucket, ...keyParts] = url.pathname.split('/');
+      if (decodeURIComponent(requestBucket) !== bucket) {
+        res.writeHead(404, { 'Content-Type': 'application/xml' });
+        return res.end(errorBody('NoSuchBucket'));
+      }
+
+      const key = keyParts.map(decodeURIComponent).join('/');
+      const object = objects.get(key);
+
+      if (req.method === 'PUT') {
+        objects.set(key, { body: body, contentType: req.headers['content-type'] });
+        res.writeHead(200);
+        return res.end();
+      }
+      if (!object) {
+        res.writeHead(404, { 'Content-Type': 'application/xml' });
+        return res.end(errorBody('NoSuchKey'));
+      }
+      if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': object.contentType || 'application/octet-stream' });
+        return res.end(object.body);
+      }
+      if (req.method === 'DELETE') {
+        objects.delete(key);
+        res.writeHead(204);
+        return res.end();
+      }
+
+      res.writeHead(405);
+      res.end();
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        region,
+        bucket,
+        accessKeyId,
+        secretAccessKey,
+        objects,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+};
+
+// Point the s3 storage driver at a running stand-in
+const useS3Server = (s3) => {
+  process.env.STORAGE_DRIVER = 's3';
+  process.env.S3_ENDPOINT = s3.endpoint;
+  process.env.S3_REGION = s3.region;
+  process.env.S3_BUCKET = s3.bucket;
+  process.env.S3_ACCESS_KEY_ID = s3.accessKeyId;
+  process.env.S3_SECRET_ACCESS_KEY = s3.secretAccessKey;
+};
+
+module.exports = {
+  startS3Server,
+  useS3Server
+};
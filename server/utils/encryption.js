@@ -1,10 +1,28 @@
 const crypto = require('crypto');
 
 const algorithm = process.env.ENCRYPTION_ALGORITHM || 'aes-256-gcm';
-const secretKey = process.env.ENCRYPTION_KEY || 'your-32-character-secret-key-here';
 
-// Ensure the key is the right length
-const key = crypto.scryptSync(secretKey, 'salt', 32);
+let derivedKey = null;
+
+// No default key or salt: data encrypted with a published default is readable by anyone.
+// The 32-byte key is derived once and reused.
+const getKey = () => {
+  if (!process.env.ENCRYPTION_KEY) {
+    throw new Error('ENCRYPTION_KEY is not set');
+  }
+  if (!process.env.ENCRYPTION_SALT) {
+    throw new Error('ENCRYPTION_SALT is not set');
+  }
+
+  const source = `${process.env.ENCRYPTION_KEY}:${process.env.ENCRYPTION_SALT}`;
+  if (!derivedKey || derivedKey.source !== source) {
+    derivedKey = {
+      source: source,
+      key: crypto.scryptSync(process.env.ENCRYPTION_KEY, process.env.ENCRYPTION_SALT, 32)
+    };
+  }
+  return derivedKey.key;
+};
 
 // Encrypt data
 const encryptData = (text) => {
@@ -12,7 +30,7 @@ const encryptData = (text) => {
     if (!text) return null;
     
     const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipher(algorithm, key);
+    const cipher = crypto.createCipher(algorithm, getKey());
     
     let encrypted = cipher.update(text, 'utf8', 'hex');
     encrypted += cipher.final('hex');
@@ -36,7 +54,7 @@ const decryptData = (encryptedData) => {
     if (!encryptedData) return null;
     
     const { encrypted, iv, authTag } = encryptedData;
-    const decipher = crypto.createDecipher(algorithm, key);
+    const decipher = crypto.createDecipher(algorithm, getKey());
     
     decipher.setAuthTag(Buffer.from(authTag, 'hex'));
     
@@ -50,6 +68,37 @@ const decryptData = (encryptedData) => {
   }
 };
 
+// Encrypt a file's bytes; the IV and auth tag are kept alongside the stored object
+const encryptBuffer = (buffer) => {
+  try {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(algorithm, getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(buffer), cipher.final()]);
+
+    return {
+      encrypted,
+      iv: iv.toString('hex'),
+      authTag: cipher.getAuthTag().toString('hex')
+    };
+  } catch (error) {
+    console.error('Encryption error:', error);
+    throw new Error('Failed to encrypt data');
+  }
+};
+
+// Decrypt bytes written by encryptBuffer
+const decryptBuffer = (encrypted, { iv, authTag }) => {
+  try {
+    const decipher = crypto.createDecipheriv(algorithm, getKey(), Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+  } catch (error) {
+    console.error('Decryption error:', error);
+    throw new Error('Failed to decrypt data');
+  }
+};
+
 // Hash sensitive data (one-way)
 const hashData = (data) => {
   return crypto.createHash('sha256').update(data).digest('hex');
@@ -63,6 +112,8 @@ const generateSecureToken = (length = 32) => {
 module.exports = {
   encryptData,
   decryptData,
+  encryptBuffer,
+  decryptBuffer,
   hashData,
   generateSecureToken
 };
@@ -0,0 +1,31 @@
+// Raised when a loan is moved to a status its current status can't reach,
+// or when a guard on the target status fails (e.g. unverified documents)
+class LoanStatusTransitionError extends Error {
+  constructor(from, to, { reason, allowedTransitions = [] } = {}) {
+    super(reason || `Loan cannot move from '${from}' to '${to}'`);
+    this.name = 'LoanStatusTransitionError';
+    this.statusCode = 409;
+    this.code = reason ? 'TRANSITION_GUARD_FAILED' : 'ILLEGAL_STATUS_TRANSITION';
+    this.from = from;
+    this.to = to;
+    this.allowedTransitions = allowedTransitions;
+  }
+
+  // Response body shared by every route that changes loan status
+  toResponse() {
+    return {
+      success: false,
+      message: this.message,
+      error: {
+        code: this.code,
+        from: this.from,
+        to: this.to,
+        allowedTransitions: this.allowedTransitions
+      }
+    };
+  }
+}
+
+module.exports = {
+  LoanStatusTransitionError
+};
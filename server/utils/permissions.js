@@ -0,0 +1,89 @@
+// Role based access control definitions
+const ROLES = ['borrower', 'admin', 'loan_officer', 'field_agent', 'auditor'];
+
+// Back-office roles receive staff-scoped tokens
+const STAFF_ROLES = ['admin', 'loan_officer', 'field_agent', 'auditor'];
+
+const PERMISSIONS = {
+  LOANS_READ_ANY: 'loans:read_any',
+  LOANS_REVIEW: 'loans:review',
+  LOANS_DISBURSE: 'loans:disburse',
+  CREDIT_READ_ANY: 'credit:read_any',
+  USERS_READ: 'users:read',
+  USERS_MANAGE_ROLES: 'users:manage_roles',
+  AUDIT_READ: 'audit:read',
+  JOBS_RUN: 'jobs:run',
+  PRODUCTS_MANAGE: 'products:manage',
+  GROUPS_MANAGE: 'groups:manage',
+  GROUPS_COLLECT: 'groups:collect',
+  MANDATES_MANAGE: 'mandates:manage',
+  PAYMENTS_RECORD: 'payments:record',
+  PAYMENTS_RECONCILE: 'payments:reconcile',
+  CHARGES_WAIVE: 'charges:waive',
+  LOANS_WRITE_OFF: 'loans:write_off',
+  LOANS_RESTRUCTURE: 'loans:restructure',
+  REPORTS_READ: 'reports:read',
+  COLLECTIONS_MANAGE: 'collections:manage',
+  COLLECTIONS_VISIT: 'collections:visit',
+  APPLICATIONS_ASSIST: 'applications:assist'
+};
+
+// Borrowers get no extra permissions: they can only ever reach their own records
+const ROLE_PERMISSIONS = {
+  borrower: [],
+  admin: Object.values(PERMISSIONS),
+  loan_officer: [
+    PERMISSIONS.LOANS_READ_ANY,
+    PERMISSIONS.LOANS_REVIEW,
+    PERMISSIONS.CREDIT_READ_ANY,
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.GROUPS_MANAGE,
+    PERMISSIONS.GROUPS_COLLECT,
+    PERMISSIONS.PAYMENTS_RECORD,
+    PERMISSIONS.CHARGES_WAIVE,
+    PERMISSIONS.COLLECTIONS_MANAGE,
+    PERMISSIONS.COLLECTIONS_VISIT,
+    PERMISSIONS.APPLICATIONS_ASSIST
+  ],
+  field_agent: [
+    PERMISSIONS.LOANS_READ_ANY,
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.GROUPS_MANAGE,
+    PERMISSIONS.GROUPS_COLLECT,
+    PERMISSIONS.PAYMENTS_RECORD,
+    PERMISSIONS.COLLECTIONS_VISIT,
+    PERMISSIONS.APPLICATIONS_ASSIST
+  ],
+  auditor: [
+    PERMISSIONS.LOANS_READ_ANY,
+    PERMISSIONS.CREDIT_READ_ANY,
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.AUDIT_READ,
+    PERMISSIONS.REPORTS_READ
+  ]
+};
+
+// Get all permissions granted to a role
+const getPermissionsForRole = (role) => {
+  return ROLE_PERMISSIONS[role] || [];
+};
+
+// Check if a role grants a permission
+const hasPermission = (role, permission) => {
+  return getPermissionsForRole(role).includes(permission);
+};
+
+// Check if a role is a back-office role
+const isStaffRole = (role) => {
+  return STAFF_ROLES.includes(role);
+};
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getPermissionsForRole,
+  hasPermission,
+  isStaffRole
+};